@@ -2,6 +2,9 @@
 
 import { inline } from 'ne-tag-fns'
 import { inspect } from 'util'
+import { GraphQLError } from 'graphql'
+
+import type { ASTNode } from 'graphql'
 
 /**
  * The BaseError class provides a simply stock way to wrap errors in a more
@@ -57,6 +60,64 @@ export class BaseError extends Error {
     })
   }
 
+  /**
+   * A stable code identifying the kind of error, reported to clients as
+   * `extensions.code`. Subclasses override this with a code of their own;
+   * `INTERNAL_SERVER_ERROR` otherwise.
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return 'INTERNAL_SERVER_ERROR'
+  }
+
+  /**
+   * A message that is safe to show to clients in production, free of the
+   * details, such as arguments and context, captured for the developer.
+   * Subclasses whose messages are already safe may return `.message`.
+   *
+   * @type {string}
+   */
+  get publicMessage(): string {
+    return 'An internal error occurred.'
+  }
+
+  /**
+   * The `extensions` of the error as reported in a GraphQL response. When a
+   * resolver throws this error, GraphQL adopts these for the GraphQLError it
+   * creates.
+   *
+   * @type {Object}
+   */
+  get extensions(): { [string]: mixed } {
+    return { code: this.code }
+  }
+
+  /**
+   * Converts this error into a GraphQLError, with this as its
+   * `originalError`, for inclusion in the `errors` of a response. Only the
+   * `publicMessage` is used unless `options.debug` is true.
+   *
+   * @param {Object} options an optional object with the `nodes` and `path`
+   * at which the error occurred and a `debug` flag to use the full message
+   * @return {GraphQLError} a GraphQLError with this error's `extensions`
+   */
+  toGraphQLError(options: {
+    nodes?: ?Array<ASTNode>,
+    path?: ?Array<string | number>,
+    debug?: boolean,
+  } = {}): GraphQLError {
+    return new GraphQLError(
+      options.debug ? this.message : this.publicMessage,
+      options.nodes,
+      undefined,
+      undefined,
+      options.path,
+      this,
+      this.extensions
+    )
+  }
+
   /**
    * All BaseError children will show `[object <class name>]` as their internal 
    * class naming when used with `Object.prototype.toString.call` or `apply`.
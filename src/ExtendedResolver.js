@@ -1,11 +1,23 @@
 import { defaultFieldResolver } from 'graphql'
+import merge from 'deepmerge'
 import { stripResolversFromSchema } from './Schemata'
+import { callWithPolicy, ignoreError } from './resolverPolicies'
+import { now, recordEntry, timerPair } from './tracing'
+import { cacheResolver } from './resultCache'
 import {
   WrappedResolverExecutionError,
   ResolverResultsPatcherError
 } from './errors'
 
-import type { ResolverResultsPatcher } from './types'
+import type {
+  CacheHint,
+  ResolverMiddleware,
+  ResolverPolicy,
+  ResolverResultsMerger,
+  ResolverResultsPatcher,
+  ResolverTiming,
+  ResultCacheOptions,
+} from './types'
 import type {
   GraphQLFieldResolver,
   GraphQLResolveInfo,
@@ -15,6 +27,17 @@ import type {
 const original = Symbol('Original Resolver')
 const listing = Symbol('List of Resolvers')
 const patcher = Symbol('Resolver Result Patcher')
+const composition = Symbol('Resolver Composition Mode')
+const policies = Symbol('Resolver Error Policies')
+const merging = Symbol('Resolver Results Merger')
+const IGNORED = Symbol('Ignored Resolver Result')
+
+/**
+ * The modes in which the functions of an `ExtendedResolver` may be run
+ *
+ * @type {Array<string>}
+ */
+const MODES = ['sequential', 'middleware', 'parallel', 'race']
 
 const isFn = o => /Function\]/.test(Object.prototype.toString.call(o))
 
@@ -45,11 +68,17 @@ export class ExtendedResolver extends Function {
       this[listing] = Array.from(resolver[listing])
       this[original] = resolver[original]
       this[patcher] = resolver[patcher]
+      this[composition] = resolver[composition]
+      this[policies] = new Map(resolver[policies])
+      this[merging] = resolver[merging]
     }
     else {
       this[listing] = [resolver]
       this[original] = resolver
       this[patcher] = null
+      this[composition] = 'sequential'
+      this[policies] = new Map()
+      this[merging] = DefaultResultsMerger
     }
 
     return new Proxy(this, ExtendedResolver.handler)
@@ -108,6 +137,79 @@ export class ExtendedResolver extends Function {
     this[patcher] = value
   }
 
+  /**
+   * The manner in which the functions in `order` are combined when the
+   * `ExtendedResolver` is called; `'sequential'`, the default,
+   * `'middleware'`, `'parallel'` or `'race'`.
+   *
+   * Sequentially, each function is called in turn with the same arguments
+   * and object results are merged together.
+   *
+   * As middleware, each function receives a `next` function as a fifth
+   * argument and its result is the result of the whole. Calling `next()`
+   * runs the following function in `order` and returns a promise of its
+   * result, which may be transformed before being returned. `next(args)`
+   * replaces the arguments passed along and a function that never calls
+   * `next()` stops those that follow from running at all. The original
+   * resolver, when last, simply ignores `next`.
+   *
+   * In parallel, every function is called at once with the same arguments
+   * and, once all have resolved, their results are combined in order using
+   * the `merger`.
+   *
+   * In a race, every function is called at once and the first to resolve
+   * to a value other than null or undefined wins; the others are not
+   * waited upon. Should none do so, null is resolved, unless every function
+   * failed, in which case the first error is thrown.
+   *
+   * @type {string}
+   */
+  get mode(): 'sequential' | 'middleware' | 'parallel' | 'race' {
+    return this[composition]
+  }
+
+  /**
+   * Sets the manner in which the functions in `order` are combined.
+   *
+   * @see mode getter above
+   * @param {string} value one of `'sequential'`, `'middleware'`,
+   * `'parallel'` or `'race'`
+   */
+  set mode(value: 'sequential' | 'middleware' | 'parallel' | 'race') {
+    if (!MODES.includes(value)) {
+      throw new TypeError(
+        `ExtendedResolver mode must be one of ` +
+        `${MODES.map(mode => `'${mode}'`).join(', ')}, not '${String(value)}'`
+      )
+    }
+
+    this[composition] = value
+  }
+
+  /**
+   * The function combining the results of the functions in `order` when
+   * run in `'parallel'` mode. It is called with the results combined so
+   * far, undefined at first, and the result of the next function, in
+   * order, and returns their combination. `DefaultResultsMerger`, which
+   * deeply merges objects, is used unless another is set.
+   *
+   * @type {ResolverResultsMerger}
+   */
+  get merger(): ResolverResultsMerger {
+    return this[merging]
+  }
+
+  /**
+   * Sets the function combining results in `'parallel'` mode.
+   *
+   * @see merger getter above
+   * @param {ResolverResultsMerger} value the new merger; a falsy value
+   * restores the `DefaultResultsMerger`
+   */
+  set merger(value: ?ResolverResultsMerger) {
+    this[merging] = value || DefaultResultsMerger
+  }
+
   /**
    * A getter that retrieves the original resolver from within the
    * `ExtendedResolver` instance.
@@ -145,14 +247,17 @@ export class ExtendedResolver extends Function {
    *
    * @param {GraphQLFieldResolver} preresolver a field resolver to run before
    * the original field resolver executes.
+   * @param {ResolverPolicy} policy an optional error handling policy for the
+   * field resolver; see `setPolicy()`
    */
-  prepend(preresolver: GraphQLFieldResolver) {
+  prepend(preresolver: GraphQLFieldResolver, policy?: ResolverPolicy) {
     if (preresolver && isFn(preresolver)) {
       let index = this[listing].indexOf(this[original])
 
       index = ~index ? index : 0
 
       this[listing].splice(index, 0, preresolver)
+      this.setPolicy(preresolver, policy)
     }
   }
 
@@ -163,14 +268,17 @@ export class ExtendedResolver extends Function {
    *
    * @param {GraphQLFieldResolver} postresolver a field resolver that should
    * run after the original but before other postresolvers previously added.
+   * @param {ResolverPolicy} policy an optional error handling policy for the
+   * field resolver; see `setPolicy()`
    */
-  append(postresolver: GraphQLFieldResolver) {
+  append(postresolver: GraphQLFieldResolver, policy?: ResolverPolicy) {
     if (postresolver && isFn(postresolver)) {
       let index = this[listing].indexOf(this[original])
 
       index = ~index ? index + 1 : this[listing].length
 
       this[listing].splice(index, 0, postresolver)
+      this.setPolicy(postresolver, policy)
     }
   }
 
@@ -180,13 +288,75 @@ export class ExtendedResolver extends Function {
    *
    * @param {GraphQLFieldResolver} postresolver a field resolver that should
    * run after the original
+   * @param {ResolverPolicy} policy an optional error handling policy for the
+   * field resolver; see `setPolicy()`
    */
-  push(postresolver: GraphQLFieldResolver) {
+  push(postresolver: GraphQLFieldResolver, policy?: ResolverPolicy) {
     if (postresolver && isFn(postresolver)) {
       this[listing].push(postresolver)
+      this.setPolicy(postresolver, policy)
     }
   }
 
+  /**
+   * Sets the error handling policy of one of the functions in `order`,
+   * identified by the function itself or its index. Without a policy, any
+   * error thrown by the function is wrapped in a
+   * `WrappedResolverExecutionError` and the whole resolver fails.
+   *
+   * ```js
+   * resolver.setPolicy(resolver.original, {
+   *   timeout: 500,
+   *   retry: { attempts: 3, backoff: 100 },
+   *   fallback: [],
+   * })
+   * ```
+   *
+   * A policy may limit each call to `timeout` milliseconds, failing with a
+   * `ResolverTimeoutError`, `retry` failed calls, resolve a `fallback` once
+   * every attempt has failed or `continueOnError`, ignoring the error and
+   * carrying on with the results so far. Ignored errors are reported in the
+   * `errors` of the results of `Schemata#run()` and `Schemata#runAsync()`;
+   * see `ResolverPolicy` for the details.
+   *
+   * @param {GraphQLFieldResolver|number} resolver the function in `order`,
+   * or its index, whose policy is to be set
+   * @param {ResolverPolicy} policy the new policy; a falsy value removes any
+   * existing policy
+   */
+  setPolicy(
+    resolver: GraphQLFieldResolver | number,
+    policy: ?ResolverPolicy
+  ): void {
+    let fn = typeof resolver === 'number' ? this[listing][resolver] : resolver
+
+    if (!fn) {
+      return
+    }
+
+    if (policy) {
+      this[policies].set(fn, policy)
+    }
+    else {
+      this[policies].delete(fn)
+    }
+  }
+
+  /**
+   * Retrieves the error handling policy of one of the functions in `order`,
+   * identified by the function itself or its index.
+   *
+   * @param {GraphQLFieldResolver|number} resolver the function in `order`,
+   * or its index
+   * @return {ResolverPolicy|null} the policy of the function or null if it
+   * has none
+   */
+  getPolicy(resolver: GraphQLFieldResolver | number): ?ResolverPolicy {
+    let fn = typeof resolver === 'number' ? this[listing][resolver] : resolver
+
+    return this[policies].get(fn) || null
+  }
+
   /**
    * The `.toString()` functionality of the ExtendedResolver dutifily lists the
    * source of each function to be executed in order.
@@ -317,6 +487,211 @@ export class ExtendedResolver extends Function {
     return resolver
   }
 
+  /**
+   * Creates an `ExtendedResolver` in `'middleware'` mode that runs each of
+   * the supplied middleware functions around the resolver, in the onion
+   * style; the first function is outermost. Each receives
+   * `(source, args, context, info, next)` and may call `next()`, optionally
+   * with replacement args, to continue, transform what it returns or skip
+   * calling it altogether.
+   *
+   * ```js
+   * ExtendedResolver.compose([
+   *   async (source, args, context, info, next) => {
+   *     if (!context.user) return null
+   *
+   *     let mine = Object.assign({}, args, { userId: context.user.id })
+   *
+   *     return (await next(mine)) || []
+   *   },
+   * ], resolver)
+   * ```
+   *
+   * @param {Array<ResolverMiddleware>} middleware the functions to run
+   * around the resolver, outermost first
+   * @param {GraphQLFieldResolver} resolver the resolver at the center; the
+   * `defaultFieldResolver` if none is supplied
+   * @param {ResolverResultsPatcher} patcher an optional function that may
+   * patch the final results as with `.from()`
+   * @return {ExtendedResolver} a newly minted instance in `'middleware'`
+   * mode whose `original` is the supplied resolver
+   */
+  static compose(
+    middleware: Array<ResolverMiddleware>,
+    resolver: GraphQLFieldResolver = defaultFieldResolver,
+    patcher?: ResolverResultsPatcher
+  ): ExtendedResolver {
+    let composed = ExtendedResolver.from(resolver, patcher)
+
+    composed.mode = 'middleware'
+    middleware.forEach(fn => composed.prepend(fn))
+
+    return composed
+  }
+
+  /**
+   * Creates an `ExtendedResolver` in `'parallel'` mode that calls each of
+   * the supplied resolvers at the same time, rather than one after another,
+   * and combines their results, in the order supplied, once all of them
+   * have resolved. Objects are deeply merged unless another merger is
+   * supplied.
+   *
+   * ```js
+   * ExtendedResolver.parallel([fetchProfile, fetchPreferences])
+   * ```
+   *
+   * @param {Array<GraphQLFieldResolver>} resolvers the independent
+   * resolvers to run concurrently; the first becomes the `original`
+   * @param {ResolverResultsMerger} merger an optional function combining
+   * the results; `DefaultResultsMerger` if none is supplied
+   * @param {ResolverResultsPatcher} patcher an optional function that may
+   * patch the final results as with `.from()`
+   * @return {ExtendedResolver} a newly minted instance in `'parallel'` mode
+   */
+  static parallel(
+    resolvers: Array<GraphQLFieldResolver>,
+    merger?: ResolverResultsMerger,
+    patcher?: ResolverResultsPatcher
+  ): ExtendedResolver {
+    let resolver = ExtendedResolver.from(resolvers[0], patcher)
+
+    resolver.mode = 'parallel'
+    resolver.merger = merger
+    resolvers.slice(1).forEach(fn => resolver.push(fn))
+
+    return resolver
+  }
+
+  /**
+   * Creates an `ExtendedResolver` in `'race'` mode that calls each of the
+   * supplied resolvers at the same time and resolves the first value that
+   * is neither null nor undefined; that is, the first non-null result. Any
+   * that fail are ignored unless all of them do. Combined with a `timeout`
+   * policy for each, this fans out to several data sources and uses
+   * whichever answers first.
+   *
+   * ```js
+   * ExtendedResolver.race([fromCache, fromDatabase, fromLegacyApi])
+   * ```
+   *
+   * @param {Array<GraphQLFieldResolver>} resolvers the resolvers to race;
+   * the first becomes the `original`
+   * @param {ResolverResultsPatcher} patcher an optional function that may
+   * patch the final results as with `.from()`
+   * @return {ExtendedResolver} a newly minted instance in `'race'` mode
+   */
+  static race(
+    resolvers: Array<GraphQLFieldResolver>,
+    patcher?: ResolverResultsPatcher
+  ): ExtendedResolver {
+    let resolver = ExtendedResolver.from(resolvers[0], patcher)
+
+    resolver.mode = 'race'
+    resolvers.slice(1).forEach(fn => resolver.push(fn))
+
+    return resolver
+  }
+
+  /**
+   * Creates an `ExtendedResolver` around the supplied resolver and sets the
+   * error handling policy of that resolver, saving the need to wrap calls to
+   * flaky services by hand.
+   *
+   * ```js
+   * ExtendedResolver.withPolicy(fetchInventory, {
+   *   timeout: 1000,
+   *   retry: { attempts: 2, retryIf: error => error.code === 'ECONNRESET' },
+   *   fallback: (error, source) => source.cachedInventory,
+   * })
+   * ```
+   *
+   * @param {GraphQLFieldResolver} resolver the resolver to guard
+   * @param {ResolverPolicy} policy the error handling policy of the
+   * resolver; see `setPolicy()`
+   * @param {ResolverResultsPatcher} patcher an optional function that may
+   * patch the final results as with `.from()`
+   * @return {ExtendedResolver} a newly minted `ExtendedResolver` whose
+   * original resolver has the supplied policy
+   */
+  static withPolicy(
+    resolver: GraphQLFieldResolver,
+    policy: ResolverPolicy,
+    patcher?: ResolverResultsPatcher
+  ): ExtendedResolver {
+    let guarded = ExtendedResolver.from(resolver, patcher)
+
+    guarded.setPolicy(guarded.original, policy)
+
+    return guarded
+  }
+
+  /**
+   * Creates an `ExtendedResolver` around the supplied resolver that caches
+   * its results for `hint.maxAge` seconds, saving the need to memoize calls
+   * to slow services by hand. Results are keyed by type, field, parent,
+   * arguments and, for a `PRIVATE` scope, the user of the request; see
+   * `cacheResolver()`.
+   *
+   * ```js
+   * ExtendedResolver.withCache(fetchPrices, { maxAge: 60 }, { store })
+   * ```
+   *
+   * @param {GraphQLFieldResolver} resolver the resolver to cache
+   * @param {CacheHint} hint the `maxAge`, in seconds, and `scope` of the
+   * cached results
+   * @param {ResultCacheOptions} options an optional object with the `store`
+   * to use, an in-memory `LRUCacheStore` by default, and the `userKey` and
+   * `parentKey` functions used to build keys
+   * @param {ResolverResultsPatcher} patcher an optional function that may
+   * patch the final results as with `.from()`
+   * @return {ExtendedResolver} a newly minted `ExtendedResolver` whose
+   * original is the caching wrapper around the supplied resolver
+   */
+  static withCache(
+    resolver: GraphQLFieldResolver,
+    hint: CacheHint,
+    options: ResultCacheOptions = {},
+    patcher?: ResolverResultsPatcher
+  ): ExtendedResolver {
+    return ExtendedResolver.from(
+      cacheResolver(resolver, hint, options),
+      patcher
+    )
+  }
+
+  /**
+   * Wraps the supplied resolver with a prepended and appended pair of
+   * functions, named `TimerStart` and `TimerStop`, that measure how long
+   * each call takes and hand the `ResolverTiming`, with the path, parent
+   * type, field name, return type and duration in nanoseconds, to `report`.
+   * Any `results` are passed through by `TimerStop` untouched.
+   *
+   * ```js
+   * ExtendedResolver.Timer(resolver, timing => {
+   *   console.log(`${timing.path.join('.')} took ${timing.duration}ns`)
+   * })
+   * ```
+   *
+   * When running with tracing, each function of an `ExtendedResolver` is
+   * timed regardless; see `Schemata#run()`.
+   *
+   * @param {GraphQLFieldResolver} originalResolver the resolver to time
+   * @param {Function} report a function receiving the timing of each call
+   * @param {ResolverResultsPatcher} patcher an optional function that may
+   * patch the final results as with `.from()`
+   * @return {ExtendedResolver} a newly minted `ExtendedResolver` timing the
+   * supplied resolver
+   */
+  static Timer(
+    originalResolver: GraphQLFieldResolver,
+    report: (timing: ResolverTiming) => mixed,
+    patcher?: ResolverResultsPatcher = undefined
+  ): ExtendedResolver {
+    let [start, stop] = timerPair(report)
+
+    return ExtendedResolver.wrap(originalResolver, [start], [stop], patcher)
+  }
+
   /**
    * In the process of schema stitching, it is possible and likely that
    * a given schema has been extended or enlarged during the merging process
@@ -378,7 +753,10 @@ export class ExtendedResolver extends Function {
       /**
        * Reduce the results of each resolver in the list, including
        * the original resolver. Calling each in order with the same
-       * parameters and returning the coalesced results
+       * parameters and returning the coalesced results. In the
+       * `'sequential'` mode, an object result is merged into an object
+       * returned before it; any other result, such as a list, replaces
+       * the results so far
        *
        * @param {mixed} target this should always be the object context
        * @param {mixed} thisArg the `this` object for the context of the
@@ -399,33 +777,46 @@ export class ExtendedResolver extends Function {
         let results = {}
         let result
 
-        for (let fn of target[listing]) {
-          try {
-            result = await fn.apply(
-              thisArg || target,
-              myArgs.concat(results)
-            )
-          }
-          catch (error) {
-            throw new WrappedResolverExecutionError(
-              error,
+        if (target[composition] === 'middleware') {
+          results = await runMiddleware(this, target, thisArg, myArgs)
+        }
+        else if (target[composition] === 'parallel') {
+          results = await runParallel(this, target, thisArg, myArgs)
+        }
+        else if (target[composition] === 'race') {
+          results = await runRace(this, target, thisArg, myArgs)
+        }
+        else {
+          for (let fn of target[listing]) {
+            result = await callEntry(
               this,
-              target[listing].indexOf(fn),
-              myArgs.concat(results),
-              thisArg || target
-            );
-          }
+              target,
+              fn,
+              thisArg,
+              myArgs.concat([results])
+            )
 
-          if (
-            results &&
-            results instanceof Object &&
-            result &&
-            result instanceof Object
-          ) {
-            Object.assign(results, result)
-          }
-          else {
-            results = result
+            // Carry on with the results so far if the error was ignored
+            if (result === IGNORED) {
+              continue
+            }
+
+            // Objects are merged into the results so far, but any other
+            // result, lists included, replaces them; merging a list into
+            // another by index would mix the items of both
+            if (
+              results &&
+              results instanceof Object &&
+              !Array.isArray(results) &&
+              result &&
+              result instanceof Object &&
+              !Array.isArray(result)
+            ) {
+              Object.assign(results, result)
+            }
+            else {
+              results = result
+            }
           }
         }
 
@@ -448,3 +839,243 @@ export class ExtendedResolver extends Function {
     }
   }
 }
+
+/**
+ * Runs the functions in the internal listing of an `ExtendedResolver` as
+ * middleware, each receiving a `next` function that runs the function
+ * following it with either the same or the supplied arguments. An error
+ * thrown by any function is wrapped once, in a
+ * `WrappedResolverExecutionError` noting the index of the function that
+ * threw it, and passes through the functions before it unless caught. Each
+ * function is called according to its policy, if any; one ignoring errors
+ * resolves to undefined when it fails.
+ *
+ * @param {Object} handler the proxy handler, reported as the failing
+ * resolver in any `WrappedResolverExecutionError`, as in sequential mode
+ * @param {ExtendedResolver} target the `ExtendedResolver` being called
+ * @param {mixed} thisArg the `this` value of the call, if any
+ * @param {Array<mixed>} args the arguments supplied to the resolver
+ * @return {Promise<mixed>} the value returned by the first function
+ */
+async function runMiddleware(
+  handler: Object,
+  target: ExtendedResolver,
+  thisArg: mixed,
+  args: Array<mixed>
+): Promise<mixed> {
+  let fns = target[listing]
+  let call = async (index, [source, params, context, info]) => {
+    let fn = fns[index]
+
+    if (!fn) {
+      return undefined
+    }
+
+    let callArgs = [
+      source,
+      params,
+      context,
+      info,
+      (nextParams = params) => call(
+        index + 1,
+        [source, nextParams, context, info]
+      ),
+    ]
+
+    let policy = target[policies].get(fn)
+    let started = now()
+
+    try {
+      return await callWithPolicy(fn, thisArg || target, callArgs, policy)
+    }
+    catch (error) {
+      if (error instanceof WrappedResolverExecutionError) {
+        throw error
+      }
+
+      let wrapped = new WrappedResolverExecutionError(
+        error,
+        handler,
+        index,
+        callArgs,
+        thisArg || target
+      )
+
+      if (!policy || !policy.continueOnError) {
+        throw wrapped
+      }
+
+      ignoreError(info, wrapped)
+
+      return undefined
+    }
+    finally {
+      recordEntry(info, fn.name || 'anonymous', index, started)
+    }
+  }
+
+  return call(0, args)
+}
+
+/**
+ * The default `merger` of an `ExtendedResolver` in `'parallel'` mode. Two
+ * objects are deeply merged, with the values of the second taking
+ * precedence and lists being replaced rather than concatenated. Otherwise
+ * the second value is used, unless it is undefined.
+ *
+ * @param {mixed} merged the results combined so far; undefined at first
+ * @param {mixed} result the result of the next function
+ * @return {mixed} the combination of the two
+ */
+export function DefaultResultsMerger(merged: mixed, result: mixed): mixed {
+  let isObject = value => (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value)
+  )
+
+  if (isObject(merged) && isObject(result)) {
+    return merge((merged: any), (result: any), {
+      arrayMerge: (left, right) => right,
+    })
+  }
+
+  return result === undefined ? merged : result
+}
+
+/**
+ * Calls one of the functions in the internal listing of an
+ * `ExtendedResolver` according to its policy, timing it when the operation
+ * is traced. An error is wrapped in a `WrappedResolverExecutionError` and
+ * thrown unless the policy of the function ignores errors, in which case
+ * it is recorded for the response and `IGNORED` is resolved instead.
+ *
+ * @param {Object} handler the proxy handler, reported as the failing
+ * resolver in any `WrappedResolverExecutionError`
+ * @param {ExtendedResolver} target the `ExtendedResolver` being called
+ * @param {Function} fn the function to call
+ * @param {mixed} thisArg the `this` value of the call, if any
+ * @param {Array<mixed>} args the arguments for the function
+ * @return {Promise<mixed>} the result of the function or `IGNORED`
+ */
+async function callEntry(
+  handler: Object,
+  target: ExtendedResolver,
+  fn: Function,
+  thisArg: mixed,
+  args: Array<mixed>
+): Promise<mixed> {
+  let policy = target[policies].get(fn)
+  let index = target[listing].indexOf(fn)
+  let info: any = args[3]
+  let started = now()
+
+  try {
+    return await callWithPolicy(fn, thisArg || target, args, policy)
+  }
+  catch (error) {
+    let wrapped = new WrappedResolverExecutionError(
+      error,
+      handler,
+      index,
+      args,
+      thisArg || target
+    )
+
+    if (!policy || !policy.continueOnError) {
+      throw wrapped
+    }
+
+    ignoreError(info, wrapped)
+
+    return IGNORED
+  }
+  finally {
+    recordEntry(info, fn.name || 'anonymous', index, started)
+  }
+}
+
+/**
+ * Runs the functions in the internal listing of an `ExtendedResolver` at
+ * the same time, each with the arguments supplied to the resolver, and
+ * combines their results in order using its `merger`. Results of functions
+ * whose errors were ignored are left out.
+ *
+ * @param {Object} handler the proxy handler, reported as the failing
+ * resolver in any `WrappedResolverExecutionError`
+ * @param {ExtendedResolver} target the `ExtendedResolver` being called
+ * @param {mixed} thisArg the `this` value of the call, if any
+ * @param {Array<mixed>} args the arguments supplied to the resolver
+ * @return {Promise<mixed>} the combined results
+ */
+async function runParallel(
+  handler: Object,
+  target: ExtendedResolver,
+  thisArg: mixed,
+  args: Array<mixed>
+): Promise<mixed> {
+  let results = await Promise.all(target[listing].map(
+    fn => callEntry(handler, target, fn, thisArg, args)
+  ))
+
+  return results
+    .filter(result => result !== IGNORED)
+    .reduce((merged, result) => target[merging](merged, result), undefined)
+}
+
+/**
+ * Runs the functions in the internal listing of an `ExtendedResolver` at
+ * the same time and resolves the first result that is neither null nor
+ * undefined. Null is resolved if there is no such result, unless every
+ * function failed, in which case the error of the first to fail is thrown.
+ *
+ * @param {Object} handler the proxy handler, reported as the failing
+ * resolver in any `WrappedResolverExecutionError`
+ * @param {ExtendedResolver} target the `ExtendedResolver` being called
+ * @param {mixed} thisArg the `this` value of the call, if any
+ * @param {Array<mixed>} args the arguments supplied to the resolver
+ * @return {Promise<mixed>} the first non-null result
+ */
+function runRace(
+  handler: Object,
+  target: ExtendedResolver,
+  thisArg: mixed,
+  args: Array<mixed>
+): Promise<mixed> {
+  let fns = target[listing]
+
+  return new Promise((resolve, reject) => {
+    let pending = fns.length
+    let failures = []
+    let settle = () => {
+      if (--pending === 0) {
+        if (failures.length === fns.length) {
+          reject(failures[0])
+        }
+        else {
+          resolve(null)
+        }
+      }
+    }
+
+    if (!pending) {
+      resolve(null)
+    }
+
+    for (let fn of fns) {
+      callEntry(handler, target, fn, thisArg, args).then(
+        result => {
+          if (result != null && result !== IGNORED) {
+            resolve(result)
+          }
+
+          settle()
+        },
+        error => {
+          failures.push(error)
+          settle()
+        }
+      )
+    }
+  })
+}
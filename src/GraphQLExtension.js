@@ -28,6 +28,37 @@ import { extname, resolve } from 'path'
 export function graphQLExtensionHandler(module, filename) {
   let content = readFileSync(filename)
   let schemata = new Schemata(content.toString())
+
+  module.exports = schemataExports(schemata, filename)
+}
+
+/**
+ * Handles `require` or `import` of introspection JSON files, typically named
+ * `schema.json`, once `registerIntrospection()` has been called. The exports
+ * are the same as those of a `.graphql` file, with the SDL being built from
+ * the introspection result. An adjacent `.js` file of the same name provides
+ * the resolvers in the same manner too.
+ *
+ * @param {Module} module a node JS Module instance
+ * @param {string} filename a fully qualified path to the file being imported
+ */
+export function introspectionExtensionHandler(module, filename) {
+  let content = readFileSync(filename)
+  let schemata = Schemata.fromIntrospection(content.toString())
+
+  module.exports = schemataExports(schemata, filename)
+}
+
+/**
+ * Loads the resolvers from the `.js` file adjacent to the supplied filename,
+ * if any, and assigns them to the Schemata instance before creating the
+ * exports described in `graphQLExtensionHandler()`.
+ *
+ * @param {Schemata} schemata the instance created from the file's contents
+ * @param {string} filename a fully qualified path to the file being imported
+ * @return {Object} the exports for the module
+ */
+function schemataExports(schemata, filename) {
   let schema = schemata.schema
   let astNode = schemata.ast
   let resolvers
@@ -60,7 +91,7 @@ export function graphQLExtensionHandler(module, filename) {
   // a string but that also has three extra properties; sdl, ast and schema.
   // `ast` and `schema` invoke the functions `parse` and `buildSchema` from
   // the 'graphql' module, respectively
-  module.exports = {
+  return {
     astNode,
     default: schemata,
     resolvers,
@@ -76,4 +107,24 @@ export function register(extension = '.graphql') {
   require.extensions[extension] = graphQLExtensionHandler
 }
 
+/**
+ * Routes `require` or `import` of JSON files whose names match the supplied
+ * pattern to `introspectionExtensionHandler()`. All other JSON files are
+ * loaded as they were before.
+ *
+ * @param {RegExp} pattern a pattern matched against the full path of each
+ * JSON file; defaults to files named `schema.json` or ending in `.schema.json`
+ */
+export function registerIntrospection(pattern = /(^|[\\/.])schema\.json$/) {
+  require.extensions = require.extensions || {}
+
+  let jsonHandler = require.extensions['.json']
+
+  require.extensions['.json'] = function(module, filename) {
+    return pattern.test(filename)
+      ? introspectionExtensionHandler(module, filename)
+      : jsonHandler(module, filename)
+  }
+}
+
 export default register
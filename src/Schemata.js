@@ -10,39 +10,106 @@ import type {
   EnumValueNode,
   ExecutionResult,
   FieldNode,
+  GraphQLError,
   GraphQLFieldResolver,
+  GraphQLNamedType,
   GraphQLResolveInfo,
   GraphQLScalarTypeConfig,
   NamedTypeNode,
   ObjMap,
   ParseOptions,
   ScalarTypeDefinitionNode,
-  Source,
 } from 'graphql'
 
 import {
+  buildClientSchema,
   defaultFieldResolver,
+  GraphQLDirective,
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLList,
+  GraphQLNonNull,
   GraphQLObjectType,
+  GraphQLScalarType,
   GraphQLSchema,
+  GraphQLUnionType,
+  getLocation,
+  introspectionFromSchema,
+  isIntrospectionType,
+  isSpecifiedDirective,
+  isSpecifiedScalarType,
+  print,
   printSchema,
+  Source,
+  valueFromAST,
 } from 'graphql'
 
 import type {
+  ArgumentMergeResolver,
+  CacheControlConfig,
   ConflictResolvers,
+  ConflictStrategy,
+  CostAnalysisOptions,
   DirectiveMergeResolver,
+  DirectiveResolver,
   EnumMergeResolver,
   FieldMergeResolver,
+  IntrospectionSource,
+  LintFinding,
+  LintRuleConfig,
+  LoaderDefinitions,
+  MockOptions,
+  OperationSource,
+  OperationCost,
+  OperationValidationOptions,
+  MergeConflict,
   MergeOptionsConfig,
   ResolverArgs,
   ResolverArgsTransformer,
   ResolverMap,
+  ResultCacheOptions,
+  RootOperationTypes,
+  RunOptions,
+  RunRequest,
+  SchemaTransform,
+  StitchOptions,
+  TypeGeneratorOptions,
   ScalarMergeResolver,
+  SchemaChange,
   SchemaSource,
   UnionMergeResolver,
 } from './types'
 
 import { ExtendedResolverMap } from './ExtendedResolverMap'
 import { ExtendedResolver } from './ExtendedResolver'
+import { SchemaMergeConflictError } from './errors'
+import { diffAST } from './schemaDiff'
+import { lintAST } from './schemaLint'
+import { mockResolvers } from './schemaMocks'
+import { applyDirectives, DefaultDirectives } from './schemaDirectives'
+import {
+  validateOperation,
+  validateOperationFiles,
+} from './operationValidation'
+import { analyzeOperation, checkOperationLimits } from './costAnalysis'
+import { stitchSchemas } from './stitching'
+import {
+  startTrace,
+  traceOperation,
+  tracePhase,
+  traceResolver,
+  traceSchema,
+  untraced,
+  withTrace,
+} from './tracing'
+import { withIgnoredErrors } from './resolverPolicies'
+import { executionRoot } from './executionState'
+import { formatResult } from './errorFormatting'
+import { attachLoaders } from './loaders'
+import { applyCacheControl, withCacheControl } from './resultCache'
+import { generateFlow, generateTypeScript } from './typeGenerators'
+import * as Transforms from './schemaTransforms'
 import { inline } from 'ne-tag-fns'
 import merge from 'deepmerge'
 import Util from 'util'
@@ -180,13 +247,89 @@ export class Schemata extends String {
   }
 
   /**
-   * Returns the AST nodes for this snippet of SDL. It will throw an error
-   * if the string is not valid SDL/IDL.
+   * Returns the AST nodes for this snippet of SDL. If the string is not valid
+   * SDL/IDL, null is returned instead.
+   *
+   * The DocumentNode is parsed once and cached until the underlying SDL of
+   * the instance changes. As the same object is returned on each access, it
+   * should be treated as read-only; methods such as `mergeSDL()` and
+   * `pareSDL()` copy any nodes they need to modify.
    *
    * @return {ASTNode} any valid ASTNode supported by GraphQL
    */
   get ast(): ASTNode {
-    return this.constructor.parse(this.sdl, false)
+    return this.astCache.ast
+  }
+
+  /**
+   * Retrieves the cached parse results for the current SDL of this instance,
+   * parsing the SDL anew should it have changed since the last access. The
+   * cache holds the parsed DocumentNode and a lazily built index of type
+   * definitions and their fields by name.
+   *
+   * @return {Object} an object with `sdl`, `ast` and `index` properties
+   */
+  get astCache(): { sdl: string, ast: ?ASTNode, index: ?Map<string, Object> } {
+    let cache = this[MAP].get(wmkAST)
+
+    if (!cache || cache.sdl !== this.sdl) {
+      debug_log('[get .astCache] parsing SDL')
+      cache = {
+        sdl: this.sdl,
+        ast: this.constructor.parse(this.sdl, false),
+        index: null,
+      }
+
+      this[MAP].set(wmkAST, cache)
+    }
+
+    return cache
+  }
+
+  /**
+   * A name indexed lookup of the type definitions in the cached `.ast`. Each
+   * entry maps a type name to an object holding the first `definition` of
+   * that name and a `fields` Map of every field declared for that type,
+   * including those declared in type extensions.
+   *
+   * @return {Map<string, Object>} a Map of type names to index entries or
+   * null if the SDL cannot be parsed
+   */
+  get astIndex(): ?Map<string, Object> {
+    let cache = this.astCache
+
+    if (!cache.ast) {
+      return null
+    }
+
+    if (!cache.index) {
+      debug_log('[get .astIndex] indexing AST')
+      cache.index = new Map()
+
+      for (let definition of cache.ast.definitions) {
+        if (!definition.name) {
+          continue
+        }
+
+        // Directive definitions are indexed with an `@` prefix so that they
+        // are never mistaken for types
+        let name = definitionKey(definition)
+        let entry = cache.index.get(name)
+
+        if (!entry) {
+          entry = { definition, fields: new Map() }
+          cache.index.set(name, entry)
+        }
+
+        for (let field of definition.fields || []) {
+          if (!entry.fields.has(field.name.value)) {
+            entry.fields.set(field.name.value, field)
+          }
+        }
+      }
+    }
+
+    return cache.index
   }
 
   /**
@@ -276,18 +419,20 @@ export class Schemata extends String {
             return
           }
 
-          if (isRootType(type) && resolvers[fieldName]) {
-            field.resolve = resolvers[fieldName]
-            field.astNode.resolve = resolvers[fieldName]
+          if (isRootType(type, schema) && resolvers[fieldName]) {
+            bindFieldResolver(field, resolvers[fieldName])
           }
 
           if (resolvers[typeName] && resolvers[typeName][fieldName]) {
-            field.resolve = resolvers[typeName][fieldName]
-            field.astNode.resolve = resolvers[typeName][fieldName]
+            bindFieldResolver(field, resolvers[typeName][fieldName])
           }
         }
       )
 
+      // Apply type level resolvers such as `__resolveType`, `__isTypeOf`,
+      // internal enum values and custom scalar configs
+      schema = bindTypeResolvers(schema, resolvers)
+
       schema[EXE] = true
     }
 
@@ -362,6 +507,31 @@ export class Schemata extends String {
     this[MAP].set(wmkPreboundResolvers, maps)
   }
 
+  /**
+   * When an instance is the product of a merge using the `'collect'` conflict
+   * strategy, this is the list of conflicts found while merging. Each entry
+   * notes the type, the field or other subtype and both conflicting
+   * definitions with their source locations. In all other cases this value
+   * is null.
+   *
+   * @return {Array<MergeConflict>} the conflicts found while merging or null
+   */
+  get conflicts(): ?Array<MergeConflict> {
+    return this[MAP].get(wmkConflicts) || null
+  }
+
+  /**
+   * The loader definitions supplied to `withLoaders()`, keyed by type name
+   * and then loader name, or null when the instance has none. New `Loader`
+   * instances are created from these for every operation run.
+   *
+   * @return {LoaderDefinitions} the loader definitions of this instance or
+   * null
+   */
+  get loaders(): ?LoaderDefinitions {
+    return this[MAP].get(wmkLoaders) || null
+  }
+
   /**
    * Returns a GraphQLSchema object, pre-bound, to the associated resolvers
    * methods in `.resolvers`. If there are no resolvers, this is essentially
@@ -438,7 +608,7 @@ export class Schemata extends String {
 
     let _type = this.schema.getType(type)
     let _field = (_type.getFields() && _type.getFields()[field]) || null
-    let resolve = (_field && _field.resolve) || null
+    let resolve = (_field && untraced(_field.resolve)) || null
 
     return resolve
   }
@@ -471,13 +641,10 @@ export class Schemata extends String {
    * @return {FieldNode} the field reference in the type and field supplied
    */
   astTypeByName(type: string): ASTNode {
-    if (!this.validSDL) {
-      return null
-    }
-
-    let _type = this.ast.definitions.find(f => f.name.value === type)
+    let index = this.astIndex
+    let entry = index && index.get(type)
 
-    return _type
+    return (entry && entry.definition) || null
   }
 
   /**
@@ -489,21 +656,59 @@ export class Schemata extends String {
    * @return {FieldNode} the field reference in the type and field supplied
    */
   astFieldByName(type: string, field: string): FieldNode {
-    if (!this.validSDL) {
-      return null
+    let index = this.astIndex
+    let entry = index && index.get(type)
+
+    return (entry && entry.fields.get(field)) || null
+  }
+
+  /**
+   * Determines the names of the root operation types of the SDL of this
+   * instance. If the SDL contains a schema definition, i.e.
+   * `schema { query: RootQuery }`, its operation types are used. Otherwise,
+   * as with `buildSchema()`, any types named Query, Mutation and Subscription
+   * are the root types.
+   *
+   * @return {Object} an object with `query`, `mutation` and `subscription`
+   * keys, each the name of the root type for that operation or null if
+   * there is none
+   */
+  get rootOperationTypes(): RootOperationTypes {
+    let ast = this.ast
+    let index = this.astIndex
+    let names = { query: null, mutation: null, subscription: null }
+
+    if (!ast) {
+      return names
     }
 
-    let _type = this.ast.definitions.find(f => f.name.value === type)
-    let _field =
-      (_type && _type.fields.find(f => f.name.value === field)) || null
+    let schemaDefinitions = ast.definitions.filter(
+      definition => definitionKey(definition) === 'schema'
+    )
 
-    return _field
+    if (schemaDefinitions.length) {
+      for (let definition of schemaDefinitions) {
+        for (let operationType of definition.operationTypes || []) {
+          names[operationType.operation] = operationType.type.name.value
+        }
+      }
+    }
+    else {
+      for (let operation of Object.keys(DefaultRootTypeNames)) {
+        let name = DefaultRootTypeNames[operation]
+
+        names[operation] = index.has(name) ? name : null
+      }
+    }
+
+    return names
   }
 
   /**
    * Walks the AST for this SDL string and checks for the names of the fields
-   * of each of the root types; Query, Mutation and Subscription. If there are
-   * no root types defined, false is returned.
+   * of each of the root types; Query, Mutation and Subscription unless named
+   * otherwise in a schema definition. If there are no root types defined,
+   * false is returned.
    *
    * If there is at least one root type *and* some resolvers *and* at least one
    * of the fields of at least one root type is present in the root of the
@@ -513,28 +718,26 @@ export class Schemata extends String {
    * type field as a resolver on the root of the resolver map; false otherwise.
    */
   get hasFlattenedResolvers(): boolean {
-    let asts = (this.validSDL && this.ast.definitions) || null
+    let index = this.astIndex
 
-    if (!asts || !this.resolvers) {
+    if (!index || !this.resolvers) {
       return false
     }
 
-    let query = asts.find(f => f.name.value == 'Query')
-    let mutation = asts.find(f => f.name.value == 'Mutation')
-    let subscription = asts.find(f => f.name.value == 'Subscription')
+    let { query, mutation, subscription } = this.rootOperationTypes
     let resolvers = this.resolvers
 
     if (!query && !mutation && !subscription) {
       return false
     }
 
-    for (let type of [query, mutation, subscription]) {
-      if (!type || !type.fields) {
+    for (let type of [query, mutation, subscription].map(n => index.get(n))) {
+      if (!type) {
         continue
       }
 
-      for (let field of type.fields) {
-        if (field.name.value in resolvers) {
+      for (let fieldName of type.fields.keys()) {
+        if (fieldName in resolvers) {
           return true
         }
       }
@@ -556,11 +759,16 @@ export class Schemata extends String {
    * four methods, each describing how to handle a conflict when an associated
    * type of conflict occurs. If no object or method are supplied, the right
    * hande value always takes precedence over the existing value; replacing it
+   * @param {ConflictStrategy} conflictStrategy one of 'rightWins', 'leftWins',
+   * 'error' or 'collect'. With 'error' a `SchemaMergeConflictError` listing
+   * every conflict is thrown and with 'collect' the conflicts are reported on
+   * the `.conflicts` property of the returned instance
    * @return {Schemata} a new instance of Schemata
    */
   mergeSDL(
     schemaLanguage: SchemaSource,
-    conflictResolvers: ?ConflictResolvers = DefaultConflictResolvers
+    conflictResolvers: ?ConflictResolvers = DefaultConflictResolvers,
+    conflictStrategy: ConflictStrategy = ConflictStrategies.RIGHT_WINS
   ): Schemata {
     let source = normalizeSource(schemaLanguage, true)
 
@@ -572,59 +780,57 @@ export class Schemata extends String {
       `)
     }
 
-    let lAST = this.ast
+    let owned = new WeakSet()
+    let lAST = foldExtensions(copyDocument(this.ast), owned)
     let rAST = source.ast
+    let conflicts = []
     let _scalarFns = {}
 
     // Ensure we have default behavior with any custom behavior assigned
     // atop the default ones should only a partial custom be supplied.
-    conflictResolvers = merge(DefaultConflictResolvers, conflictResolvers)
+    conflictResolvers = applyConflictStrategy(
+      conflictStrategy,
+      merge(DefaultConflictResolvers, conflictResolvers || {}),
+      conflicts
+    )
 
     for (let rType of rAST.definitions) {
-      let lType = lAST.definitions.find(a => a.name.value == rType.name.value)
+      let key = definitionKey(rType)
+      let lType = lAST.definitions.find(a => definitionKey(a) === key)
 
-      if (
-        rType.kind &&
-        rType.kind.endsWith &&
-        rType.kind.endsWith('Extension')
-      ) {
-        rType = merge({}, rType)
-        rType.kind =
-          rType.kind.substring(0, rType.kind.length - 9) + 'Definition'
-      }
+      // Extensions are merged as though they were definitions, creating the
+      // definition should the base type not (yet) exist on the left
+      rType = asDefinition(rType)
 
       if (!lType) {
-        lAST.definitions.push(rType)
+        lAST.definitions.push(cloneASTNode(rType))
         continue
       }
 
-      switch (lType.kind) {
-      default:
-      case 'ObjectTypeDefinition':
-      case 'ObjectTypeDefinitionExtension':
-      case 'InterfaceTypeDefinition':
-      case 'InterfaceTypeDefinitionExtension':
-      case 'InputObjectTypeDefinition':
-      case 'InputObjectTypeDefinitionExtension':
-        combineTypeAndSubType('directives', lType, rType, conflictResolvers)
-        combineTypeAndSubType('fields', lType, rType, conflictResolvers)
-        break
+      // Types of the same name but a different kind cannot be combined in
+      // any meaningful way and are always a conflict
+      if (lType.kind !== rType.kind) {
+        conflicts.push(mergeConflict('definitions', [key], lType, rType))
+
+        if (conflictStrategy !== ConflictStrategies.LEFT_WINS) {
+          lAST.definitions.splice(
+            lAST.definitions.indexOf(lType),
+            1,
+            cloneASTNode(rType)
+          )
+        }
 
-      case 'EnumTypeDefinition':
-        combineTypeAndSubType('directives', lType, rType, conflictResolvers)
-        combineTypeAndSubType('values', lType, rType, conflictResolvers)
-        break
+        continue
+      }
 
-      case 'UnionTypeDefinition':
-        combineTypeAndSubType('directives', lType, rType, conflictResolvers)
-        combineTypeAndSubType('types', lType, rType, conflictResolvers)
-        break
+      // Only ever modify copies of the definitions within the receiver's
+      // cached AST
+      lType = copyOnWrite(lAST, lType, owned)
+      combineDefinitions(lType, rType, conflictResolvers)
 
-      case 'ScalarTypeDefinitionNode':
+      if (lType.kind === 'ScalarTypeDefinition') {
         let lScalar, lScalarConfig, rScalar, rScalarConfig, resolver
 
-        combineTypeAndSubType('directives', lType, rType, conflictResolvers)
-
         if (this.schema) {
           lScalar = this.schema.getType(lType.name.value)
           lScalarConfig = (lScalar && lScalar._scalarConfig) || null
@@ -644,19 +850,31 @@ export class Schemata extends String {
         )
 
         if (resolver) {
-          _scalarFns[lType.name.value] = _scalarFns[lType.name.value] || {}
           _scalarFns[lType.name.value] = resolver
         }
-
-        break
       }
     }
 
+    if (conflicts.length && conflictStrategy === ConflictStrategies.ERROR) {
+      throw new SchemaMergeConflictError(conflicts)
+    }
+
     let merged = Schemata.from(this.constructor.gql.print(lAST))
 
-    if (Object.keys(_scalarFns).length) {
+    if (conflictStrategy === ConflictStrategies.COLLECT) {
+      merged[MAP].set(wmkConflicts, conflicts)
+    }
+
+    if (Object.keys(_scalarFns).length && merged.schema) {
       for (let typeName of Object.keys(_scalarFns)) {
-        merged.schema.getType(typeName)._scalarConfig = _scalarConfig[typeName]
+        let scalar = merged.schema.getType(typeName)
+
+        if (scalar) {
+          scalar._scalarConfig = Object.assign({}, _scalarFns[typeName], {
+            name: scalar.name,
+            astNode: scalar.astNode,
+          })
+        }
       }
     }
 
@@ -694,82 +912,67 @@ export class Schemata extends String {
     }
 
     let resolvers = merge({}, resolverMap || this.resolvers || {})
-    let lAST = this.ast
+    let owned = new WeakSet()
+    let lAST = foldExtensions(copyDocument(this.ast), owned)
     let rAST = source.ast
 
     for (let rType of rAST.definitions) {
-      let lType = lAST.definitions.find(a => a.name.value == rType.name.value)
-
-      if (
-        rType.kind &&
-        rType.kind.endsWith &&
-        rType.kind.endsWith('Extension')
-      ) {
-        let len = 'Extension'.length
-
-        rType = merge({}, rType)
-        rType.kind =
-          rType.kind.substring(0, rType.kind.length - len) + 'Definition'
-      }
+      let key = definitionKey(rType)
+      let lType = lAST.definitions.find(a => definitionKey(a) === key)
 
+      // Nothing to pare when the type does not exist on the left
       if (!lType) {
-        lAST.definitions.push(rType)
         continue
       }
 
+      // Only ever modify copies of the definitions within the receiver's
+      // cached AST
+      lType = copyOnWrite(lAST, lType, owned)
+      rType = asDefinition(rType)
+
+      let remaining
+
       switch (lType.kind) {
       default:
       case 'ObjectTypeDefinition':
-      case 'ObjectTypeDefinitionExtension':
       case 'InterfaceTypeDefinition':
-      case 'InterfaceTypeDefinitionExtension':
       case 'InputObjectTypeDefinition':
-      case 'InputObjectTypeDefinitionExtension':
         pareTypeAndSubType('directives', lType, rType, resolvers)
+        pareTypeAndSubType('interfaces', lType, rType, resolvers)
         pareTypeAndSubType('fields', lType, rType, resolvers)
-
-        if (!lType.fields.length) {
-          let index = lAST.definitions.indexOf(lType)
-
-          if (index !== -1) {
-            lAST.definitions.splice(index, 1)
-          }
-        }
+        remaining = lType.fields
         break
 
       case 'EnumTypeDefinition':
         pareTypeAndSubType('directives', lType, rType, resolvers)
         pareTypeAndSubType('values', lType, rType, resolvers)
-
-        if (!lType.values.length) {
-          let index = lAST.definitions.indexOf(lType)
-
-          if (index !== -1) {
-            lAST.definitions.splice(index, 1)
-          }
-        }
+        remaining = lType.values
         break
 
       case 'UnionTypeDefinition':
         pareTypeAndSubType('directives', lType, rType, resolvers)
         pareTypeAndSubType('types', lType, rType, resolvers)
+        remaining = lType.types
+        break
 
-        if (!lType.types.length) {
-          let index = lAST.definitions.indexOf(lType)
+      case 'SchemaDefinition':
+        pareTypeAndSubType('directives', lType, rType, resolvers)
+        pareTypeAndSubType('operationTypes', lType, rType, resolvers)
+        remaining = lType.operationTypes
+        break
 
-          if (index !== -1) {
-            lAST.definitions.splice(index, 1)
-          }
-        }
+      case 'ScalarTypeDefinition':
+      case 'DirectiveDefinition':
+        remaining = []
         break
+      }
 
-      case 'ScalarTypeDefinitionNode':
+      if (!remaining || !remaining.length) {
         let index = lAST.definitions.indexOf(lType)
 
         if (index !== -1) {
           lAST.definitions.splice(index, 1)
         }
-        break
       }
     }
 
@@ -780,140 +983,646 @@ export class Schemata extends String {
   }
 
   /**
-   * A new Schemata object instance with merged schema definitions as its
-   * contents as well as merged resolvers and newly bound executable schema are
-   * all created in this step and passed back. The object instance itself is
-   * not modified
+   * Compares the SDL of this instance with the supplied schema source and
+   * reports the differences. Each change is classified as `BREAKING`,
+   * `DANGEROUS` or `SAFE` from the perspective of clients written against
+   * this instance; i.e. `left.diff(right)` describes what changes when moving
+   * from `left` to `right`.
    *
-   * Post merge, the previously stored and merged resolvers map are are applied
-   * and a new executable schema is built from the ashes of the old.
+   * @see Schemata.diff
    *
-   * @param {GraphQLSchema} schema an instance of GraphQLSchema to merge
-   * @param {ConflictResolvers} conflictResolvers an object containing up to
-   * four methods, each describing how to handle a conflict when an associated
-   * type of conflict occurs. If no object or method are supplied, the right
-   * hande value always takes precedence over the existing value; replacing it
-   * @return {Schemata} a new instance of Schemata with a merged schema string,
-   * merged resolver map and newly bound executable schema attached are all
-   * initiated
+   * @param {SchemaSource} schemaLanguage an instance of Schemata, a string of
+   * SDL, a Source instance of SDL, a GraphQLSchema or ASTNode that can be
+   * printed as an SDL string
+   * @return {Array<SchemaChange>} an array of changes; empty if the two
+   * describe the same schema
    */
-  merge(
-    schema: SchemaSource,
-    config?: MergeOptionsConfig = DefaultMergeOptions
-  ): Schemata {
-    if (!schema) {
+  diff(schemaLanguage: SchemaSource): Array<SchemaChange> {
+    return this.constructor.diff(this, schemaLanguage)
+  }
+
+  /**
+   * Lints the SDL of this instance using the supplied rules, or all of the
+   * built-in rules should none be supplied. The built-in rules check naming
+   * conventions, descriptions, unused types, input type suffixes, nullable
+   * lists of nullable items and deprecation reasons.
+   *
+   * @see lintAST
+   *
+   * @param {LintRuleConfig} rules an array of `LintRule` objects and built-in
+   * rule ids, or an object mapping rule ids to a severity, `'off'` or a
+   * custom `LintRule`
+   * @return {Array<LintFinding>} an array of findings, each with a `rule`,
+   * `severity`, `message` and `loc`; empty if there are no problems
+   */
+  lint(rules: ?LintRuleConfig): Array<LintFinding> {
+    let ast = this.ast
+
+    if (!ast) {
       throw new Error(inline`
-        In the call to mergeSchema(schema), ${schema} was received as a value
-        and the code could not proceed because of it. Please check your code
-        and try again
+        lint(rules) cannot be called unless the instance contains valid SDL.
+        Please check your code and try again.
       `)
     }
 
-    // Step0: Ensure we have all the defaults for config and schema
-    schema = normalizeSource(schema, true)
+    return lintAST(ast, rules)
+  }
 
-    if (config !== DefaultMergeOptions) {
-      let mergedConfig = merge({}, DefaultMergeOptions)
-      config = merge(mergedConfig, config)
+  /**
+   * Validates a query, mutation or subscription against the schema of this
+   * instance without executing it. Unlike `run()`, which also validates,
+   * nothing is resolved so this is safe to use against any schema, for
+   * example one produced by `merge()`, when checking client operations.
+   *
+   * @see validateOperation
+   *
+   * @param {OperationSource} document a string, `Source`, `gql` tagged
+   * template or parsed DocumentNode containing the operations to validate
+   * @param {OperationValidationOptions} options an optional object whose
+   * `rules` replace the validation rules from the GraphQL specification
+   * @return {Array<GraphQLError>} the syntax and validation errors found,
+   * each with `locations`; empty if the document is valid
+   */
+  validateOperation(
+    document: OperationSource,
+    options: OperationValidationOptions = {}
+  ): Array<GraphQLError> {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        validateOperation() cannot be called unless the instance contains a
+        valid schema. Please check your code and try again.
+      `)
     }
 
-    // Step1: Merge SDL; quit at this point if there are no resolvers
-    let left = Schemata.from(this, undefined, true)
-    let right = Schemata.from(schema, undefined, true)
-    let merged = left.mergeSDL(right, config.conflictResolvers)
+    return validateOperation(schema, document, options)
+  }
 
-    // If neither schemata instance has a resolver, there is no reason
-    // to continue. Return the merged schemas and call it a day.
-    if (
-      (!left.resolvers || !Object.keys(left.resolvers).length) &&
-      (!right.resolvers || !Object.keys(right.resolvers).length)
-    ) {
-      return merged
+  /**
+   * Validates every operation file matched by a glob pattern, a file path
+   * or a directory, or an array of these, against the schema of this
+   * instance. Directories are searched for `.graphql` and `.gql` files.
+   *
+   * @see validateOperationFiles
+   *
+   * @param {string|Array<string>} globOrList the operation files to check
+   * @param {OperationValidationOptions} options an optional object whose
+   * `rules` replace the validation rules from the GraphQL specification
+   * @return {{[string]: Array<GraphQLError>}} an object mapping each file
+   * path found to its errors; empty arrays for files without errors
+   */
+  validateOperations(
+    globOrList: string | Array<string>,
+    options: OperationValidationOptions = {}
+  ): { [string]: Array<GraphQLError> } {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        validateOperations() cannot be called unless the instance contains a
+        valid schema. Please check your code and try again.
+      `)
     }
 
-    // Step2: Backup resolvers from left, right, or both
-    let lResolvers = left.resolvers
-    let rResolvers = right.resolvers
-    let prevMaps = (left.prevResolverMaps || []).concat(
-      right.prevResolverMaps || [],
-      ExtendedResolverMap.from(left),
-      ExtendedResolverMap.from(right)
-    )
-    merged.prevResolverMaps = prevMaps
+    return validateOperationFiles(schema, globOrList, options)
+  }
 
-    // Step3: Merge resolvers
-    let mergeResolvers = {}
+  /**
+   * Measures an operation against the schema of this instance without
+   * executing it; see `analyzeOperation()` for how the measurements are made.
+   * The cost of a field defaults to 1 and can be set with `options.costs`,
+   * keyed by type and field name like a resolver map, or with a directive
+   * in the SDL such as `@cost(value: 5, multipliers: ["first"])`.
+   *
+   * @see analyzeOperation
+   *
+   * @param {OperationSource} query a string, `Source`, `gql` tagged template
+   * or parsed DocumentNode containing the operation
+   * @param {Object} variables the variables for the operation, used when
+   * they are arguments named as multipliers or in `@skip` and `@include`
+   * @param {CostAnalysisOptions} options an optional object with an
+   * `operationName`, a `costs` map and a `defaultCost`
+   * @return {OperationCost} the `depth`, `fieldCount` and `complexity` of
+   * the operation
+   */
+  analyzeOperation(
+    query: OperationSource,
+    variables?: ?ObjMap<mixed>,
+    options: CostAnalysisOptions = {}
+  ): OperationCost {
+    let schema = this.schema
 
-    if (prevMaps && prevMaps.length) {
-      mergeResolvers = prevMaps.reduce((p, c, i, a) => {
-        return merge(p, c.resolvers || {})
-      }, {})
-    }
-    else {
-      merge(mergeResolvers, left.resolvers)
-      merge(mergeResolvers, right.resolvers)
+    if (!schema) {
+      throw new Error(inline`
+        analyzeOperation() cannot be called unless the instance contains a
+        valid schema. Please check your code and try again.
+      `)
     }
-    merged.resolvers = mergeResolvers
 
-    // Step 4: Trigger a new schema creation
-    if (config.createMissingResolvers) {
-      merged.resolvers = merged.buildResolverForEachField()
-    }
-    merged.clearSchema()
-    merged.schema
+    return analyzeOperation(
+      schema,
+      query,
+      Object.assign({}, options, { variables })
+    )
+  }
 
-    // Step5: Wrap resolvers
-    if (config.injectMergedSchema) {
-      merged.forEachField(
-        (
-          type,
-          typeName,
-          typeDirectives,
-          field,
-          fieldName,
-          fieldArgs,
-          fieldDirectives,
-          schema,
-          context
-        ) => {
-          if (field.resolve) {
-            field.resolve = ExtendedResolver.SchemaInjector(
-              field.resolve,
-              merged.schema
-            )
+  /**
+   * Applies each of the supplied transforms, in order, to the SDL and
+   * resolvers of this instance and returns a new Schemata instance with the
+   * results. The instance itself is not modified. Transforms are functions
+   * receiving the DocumentNode, resolver map and root operation types and
+   * returning rewritten copies of the first two; see `renameTypes()`,
+   * `renameFields()`, `prefixTypes()`, `filterTypes()` and
+   * `filterRootFields()` for the built-in ones.
+   *
+   * @param {Array<SchemaTransform>} transforms the transforms to apply
+   * @return {Schemata} a new instance with transformed SDL and resolvers
+   */
+  transform(...transforms: Array<SchemaTransform>): Schemata {
+    if (!this.ast) {
+      throw new Error(inline`
+        transform() cannot be called unless the instance contains valid SDL.
+        Please check your code and try again.
+      `)
+    }
 
-            if (!merged.resolvers[typeName]) {
-              merged.resolvers[typeName] = {}
-            }
+    let result = Schemata.from(this.sdl, this.resolvers)
 
-            merged.resolvers[typeName][fieldName] = field.resolve
-          }
-        }
+    for (let transform of transforms) {
+      let { ast, resolvers } = transform(
+        result.ast,
+        result.resolvers,
+        result.rootOperationTypes
       )
 
-      // Do this once more to ensure we are using the modified resolvers
-      merged.clearSchema()
-      merged.schema
+      result = Schemata.from(this.constructor.gql.print(ast), resolvers)
     }
 
-    // Step6: Return final merged product
-    return merged
+    return result
   }
 
   /**
-   * Shortcut for the merge() function; mergeSDL still exists as an entity of
-   * itself, but merge() will invoke that function as needed to do its job and
-   * if there aren't any resolvers to consider, the functions act identically.
+   * Renames the types for which the supplied function returns a new name,
+   * updating every reference to them and moving their resolvers.
    *
-   * @see merge
+   * @see renameTypes
    *
-   * @param {GraphQLSchema} schema an instance of GraphQLSchema to merge
-   * @param {ConflictResolvers} conflictResolvers an object containing up to
-   * four methods, each describing how to handle a conflict when an associated
-   * type of conflict occurs. If no object or method are supplied, the right
-   * hande value always takes precedence over the existing value; replacing it
-   * @return {Schemata} a new instance of Schemata with a merged schema string,
-   * merged resolver map and newly bound executable schema attached are all
+   * @param {Function} fn a function receiving the name of each type and its
+   * ASTNode and returning a new name or a falsy value to keep the old one
+   * @return {Schemata} a new instance with renamed types
+   */
+  renameTypes(fn: (name: string, definition: ASTNode) => ?string): Schemata {
+    return this.transform(Transforms.renameTypes(fn))
+  }
+
+  /**
+   * Renames the fields for which the supplied function returns a new name,
+   * moving their resolvers, flattened root resolvers included.
+   *
+   * @see renameFields
+   *
+   * @param {Function} fn a function receiving the name of the type, the name
+   * of the field and its ASTNode and returning a new name or a falsy value
+   * to keep the old one
+   * @return {Schemata} a new instance with renamed fields
+   */
+  renameFields(
+    fn: (typeName: string, fieldName: string, field: ASTNode) => ?string
+  ): Schemata {
+    return this.transform(Transforms.renameFields(fn))
+  }
+
+  /**
+   * Prefixes the name of every type other than the root operation types,
+   * built-in scalars and those listed in `except`. Use this to namespace the
+   * types of one schema before merging it with another.
+   *
+   * @see prefixTypes
+   *
+   * @param {string} prefix the string to prepend to each type name
+   * @param {Object} options an optional object whose `except` property lists
+   * the names of types to leave as they are
+   * @return {Schemata} a new instance with prefixed types
+   */
+  prefixTypes(
+    prefix: string,
+    options: { except?: Array<string> } = {}
+  ): Schemata {
+    return this.transform(Transforms.prefixTypes(prefix, options))
+  }
+
+  /**
+   * Removes the types for which the supplied predicate returns false along
+   * with anything referring to them and their resolvers.
+   *
+   * @see filterTypes
+   *
+   * @param {Function} predicate a function receiving the name of each type
+   * and its ASTNode and returning true to keep the type
+   * @return {Schemata} a new instance without the filtered types
+   */
+  filterTypes(
+    predicate: (name: string, definition: ASTNode) => boolean
+  ): Schemata {
+    return this.transform(Transforms.filterTypes(predicate))
+  }
+
+  /**
+   * Removes the root fields for which the supplied predicate returns false
+   * along with their resolvers, flattened root resolvers included.
+   *
+   * @see filterRootFields
+   *
+   * @param {Function} predicate a function receiving the operation, the name
+   * of the field and its ASTNode and returning true to keep the field
+   * @return {Schemata} a new instance without the filtered root fields
+   */
+  filterRootFields(
+    predicate: (operation: string, fieldName: string, field: ASTNode) => boolean
+  ): Schemata {
+    return this.transform(Transforms.filterRootFields(predicate))
+  }
+
+  /**
+   * Creates the result of an introspection query against the schema of this
+   * instance; the same JSON a GraphQL server responds with to the query
+   * `IntrospectionQuery`. The result can be handed to other tools or back to
+   * `Schemata.fromIntrospection()`.
+   *
+   * @param {Object} options an optional object passed along to graphql's
+   * `introspectionFromSchema()`; i.e. `{ descriptions: false }`
+   * @return {Object} an object with a `__schema` key
+   */
+  toIntrospection(options?: { descriptions?: boolean }): Object {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        toIntrospection() cannot be called unless the instance contains a
+        valid schema. Please check your code and try again.
+      `)
+    }
+
+    return introspectionFromSchema(schema, options)
+  }
+
+  /**
+   * Creates a new instance whose resolvers generate data for every field;
+   * useful for prototyping against a schema before its resolvers exist and
+   * for tests. The data is the same on every run when `options.seed` is set.
+   * The instance itself is not modified.
+   *
+   * @see mockResolvers
+   *
+   * @param {MockOptions} options an optional object with `mocks` keyed by
+   * scalar name, type name or `Type.field`, a `seed`, a `listLength` and a
+   * `preserveResolvers` flag to mock only fields without resolvers
+   * @return {Schemata} a new instance with mock resolvers
+   */
+  mock(options: MockOptions = {}): Schemata {
+    let schema = options.preserveResolvers
+      ? this.schema
+      : this.constructor.buildSchema(this.sdl)
+
+    if (!schema) {
+      throw new Error(inline`
+        mock() cannot be called unless the instance contains a valid
+        schema. Please check your code and try again.
+      `)
+    }
+
+    return Schemata.from(
+      this.sdl,
+      mockResolvers(schema, options, this.resolvers)
+    )
+  }
+
+  /**
+   * Creates a new instance whose field resolvers are wrapped according to
+   * the directives applied to the fields, and object types, in the SDL. Each
+   * implementation receives the resolver, the arguments of the directive, the
+   * field and its type and returns the resolver to use in its place; the
+   * result is wrapped in an `ExtendedResolver` whose `.original` is the
+   * resolver that was wrapped. A type directive applies to all of the fields
+   * of the type. The instance itself is not modified.
+   *
+   * Without any implementations, the built-in `DefaultDirectives` are used;
+   * `@auth`, `@default`, `@deprecated`, `@lowercase` and `@uppercase`. As
+   * `ExtendedResolver` instances are asynchronous, use `runAsync()` to
+   * execute operations selecting the wrapped fields.
+   *
+   * @see applyDirectives
+   *
+   * @param {{[string]: DirectiveResolver}} implementations an object mapping
+   * directive names, without the `@`, to the functions implementing them
+   * @return {Schemata} a new instance with the wrapped resolvers
+   */
+  applyDirectives(
+    implementations: { [string]: DirectiveResolver } = DefaultDirectives
+  ): Schemata {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        applyDirectives() cannot be called unless the instance contains a
+        valid schema. Please check your code and try again.
+      `)
+    }
+
+    return Schemata.from(
+      this.sdl,
+      applyDirectives(schema, implementations, this.resolvers)
+    )
+  }
+
+  /**
+   * Creates a new instance that batches and caches the loading of data for
+   * each operation it runs. Every call to `run()` or `runAsync()` adds a
+   * `Loader` for each of the supplied batch functions to the context, under
+   * `context.loaders`, so that resolvers can call, for example,
+   * `context.loaders.Person.byId.load(id)`. The keys loaded within the same
+   * tick are handed to the batch function in one call and the values are
+   * cached for the rest of the operation. The loaders are added to the
+   * supplied context itself, replacing those of any earlier operation. A
+   * request running several operations can share loaders by passing the
+   * `shareLoaders` run option, which reuses those already on the context.
+   * Definitions from any earlier call are kept unless replaced. The
+   * instance itself is not modified.
+   *
+   * @see Loader
+   *
+   * @param {LoaderDefinitions} definitions batch functions, or objects with
+   * a `batch` function and `LoaderOptions`, keyed by type name and then
+   * loader name
+   * @return {Schemata} a new instance creating the loaders for each run
+   */
+  withLoaders(definitions: LoaderDefinitions): Schemata {
+    let loaders = Object.assign({}, this.loaders)
+    let result = Schemata.from(this.sdl, this.resolvers)
+
+    for (let typeName of Object.keys(definitions || {})) {
+      loaders[typeName] = Object.assign(
+        {},
+        loaders[typeName],
+        definitions[typeName]
+      )
+    }
+
+    result[MAP].set(wmkLoaders, loaders)
+
+    return result
+  }
+
+  /**
+   * Creates a new instance whose resolvers cache their results for the
+   * fields given a cache hint, cutting repeated calls to slow resolvers.
+   * Hints come from the `@cacheControl(maxAge: 60, scope: PRIVATE)`
+   * directive, on a field or on an object type for all of its fields, and
+   * from `config`, keyed by type name and then field name, which takes
+   * precedence. Results are keyed by type, field, parent, arguments and, for
+   * a `PRIVATE` scope, the user of the request. Every run reports the cache
+   * policy of the response, with the smallest `maxAge` of the fields
+   * resolved, in `extensions.cacheControl`. Any loaders are kept. The
+   * instance itself is not modified.
+   *
+   * As `ExtendedResolver` instances are asynchronous, use `runAsync()` to
+   * execute operations selecting the cached fields.
+   *
+   * @see applyCacheControl
+   *
+   * @param {CacheControlConfig} config cache hints keyed by type and field
+   * name, if any, in addition to those in the SDL
+   * @param {ResultCacheOptions} options an optional object with the `store`
+   * for results, an in-memory `LRUCacheStore` by default, and the `userKey`
+   * and `parentKey` functions used to build keys
+   * @return {Schemata} a new instance with the caching resolvers
+   */
+  withCaching(
+    config: ?CacheControlConfig = null,
+    options: ResultCacheOptions = {}
+  ): Schemata {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        withCaching() cannot be called unless the instance contains a valid
+        schema. Please check your code and try again.
+      `)
+    }
+
+    let result = Schemata.from(
+      this.sdl,
+      applyCacheControl(schema, config, options, this.resolvers)
+    )
+
+    if (this.loaders) {
+      result[MAP].set(wmkLoaders, this.loaders)
+    }
+
+    return result
+  }
+
+  /**
+   * Generates TypeScript declarations for each type of the schema of this
+   * instance, along with a `Resolvers` type describing a resolver map for
+   * it; i.e. `Resolvers['Query']['peep']`.
+   *
+   * @see generateTypeScript
+   *
+   * @param {TypeGeneratorOptions} options an optional object with `scalars`
+   * mapping scalar names to types, a `contextType` for resolvers and a
+   * `resolvers` flag that omits the resolver types when false
+   * @return {string} the contents of a `.ts` or `.d.ts` file
+   */
+  toTypeScript(options?: TypeGeneratorOptions): string {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        toTypeScript() cannot be called unless the instance contains a valid
+        schema. Please check your code and try again.
+      `)
+    }
+
+    return generateTypeScript(schema, options)
+  }
+
+  /**
+   * Generates Flow type declarations for each type of the schema of this
+   * instance, along with a `Resolvers` type describing a resolver map for
+   * it; i.e. `$ElementType<$ElementType<Resolvers, 'Query'>, 'peep'>`.
+   *
+   * @see generateFlow
+   *
+   * @param {TypeGeneratorOptions} options an optional object with `scalars`
+   * mapping scalar names to types, a `contextType` for resolvers and a
+   * `resolvers` flag that omits the resolver types when false
+   * @return {string} the contents of a `.js` or `.js.flow` file
+   */
+  toFlow(options?: TypeGeneratorOptions): string {
+    let schema = this.schema
+
+    if (!schema) {
+      throw new Error(inline`
+        toFlow() cannot be called unless the instance contains a valid
+        schema. Please check your code and try again.
+      `)
+    }
+
+    return generateFlow(schema, options)
+  }
+
+  /**
+   * A new Schemata object instance with merged schema definitions as its
+   * contents as well as merged resolvers and newly bound executable schema are
+   * all created in this step and passed back. The object instance itself is
+   * not modified
+   *
+   * Post merge, the previously stored and merged resolvers map are are applied
+   * and a new executable schema is built from the ashes of the old.
+   *
+   * @param {GraphQLSchema} schema an instance of GraphQLSchema to merge
+   * @param {ConflictResolvers} conflictResolvers an object containing up to
+   * four methods, each describing how to handle a conflict when an associated
+   * type of conflict occurs. If no object or method are supplied, the right
+   * hande value always takes precedence over the existing value; replacing it
+   * @return {Schemata} a new instance of Schemata with a merged schema string,
+   * merged resolver map and newly bound executable schema attached are all
+   * initiated
+   */
+  merge(
+    schema: SchemaSource,
+    config?: MergeOptionsConfig = DefaultMergeOptions
+  ): Schemata {
+    if (!schema) {
+      throw new Error(inline`
+        In the call to mergeSchema(schema), ${schema} was received as a value
+        and the code could not proceed because of it. Please check your code
+        and try again
+      `)
+    }
+
+    // Step0: Ensure we have all the defaults for config and schema
+    schema = normalizeSource(schema, true)
+
+    if (config !== DefaultMergeOptions) {
+      let mergedConfig = merge({}, DefaultMergeOptions)
+      config = merge(mergedConfig, config)
+    }
+
+    // Step1: Merge SDL; quit at this point if there are no resolvers
+    let left = Schemata.from(this, undefined, true)
+    let right = Schemata.from(schema, undefined, true)
+    let merged = left.mergeSDL(
+      right,
+      config.conflictResolvers,
+      config.conflictStrategy
+    )
+
+    // If neither schemata instance has a resolver, there is no reason
+    // to continue. Return the merged schemas and call it a day.
+    if (
+      (!left.resolvers || !Object.keys(left.resolvers).length) &&
+      (!right.resolvers || !Object.keys(right.resolvers).length)
+    ) {
+      return merged
+    }
+
+    // Step2: Backup resolvers from left, right, or both
+    let lResolvers = left.resolvers
+    let rResolvers = right.resolvers
+    let prevMaps = (left.prevResolverMaps || []).concat(
+      right.prevResolverMaps || [],
+      ExtendedResolverMap.from(left),
+      ExtendedResolverMap.from(right)
+    )
+    merged.prevResolverMaps = prevMaps
+
+    // Step3: Merge resolvers
+    let mergeResolvers = {}
+
+    if (prevMaps && prevMaps.length) {
+      mergeResolvers = prevMaps.reduce((p, c, i, a) => {
+        return merge(p, c.resolvers || {})
+      }, {})
+    }
+    else {
+      merge(mergeResolvers, left.resolvers)
+      merge(mergeResolvers, right.resolvers)
+    }
+    merged.resolvers = mergeResolvers
+
+    // Step 4: Trigger a new schema creation
+    if (config.createMissingResolvers) {
+      merged.resolvers = merged.buildResolverForEachField()
+    }
+    merged.clearSchema()
+    merged.schema
+
+    // Step5: Wrap resolvers
+    if (config.injectMergedSchema) {
+      merged.forEachField(
+        (
+          type,
+          typeName,
+          typeDirectives,
+          field,
+          fieldName,
+          fieldArgs,
+          fieldDirectives,
+          schema,
+          context
+        ) => {
+          if (field.resolve || field.subscribe) {
+            if (field.resolve) {
+              field.resolve = ExtendedResolver.SchemaInjector(
+                field.resolve,
+                merged.schema
+              )
+            }
+
+            if (field.subscribe) {
+              field.subscribe = ExtendedResolver.SchemaInjector(
+                field.subscribe,
+                merged.schema
+              )
+            }
+
+            if (!merged.resolvers[typeName]) {
+              merged.resolvers[typeName] = {}
+            }
+
+            merged.resolvers[typeName][fieldName] = field.subscribe
+              ? { subscribe: field.subscribe, resolve: field.resolve }
+              : field.resolve
+          }
+        }
+      )
+
+      // Do this once more to ensure we are using the modified resolvers
+      merged.clearSchema()
+      merged.schema
+    }
+
+    // Step6: Return final merged product
+    return merged
+  }
+
+  /**
+   * Shortcut for the merge() function; mergeSDL still exists as an entity of
+   * itself, but merge() will invoke that function as needed to do its job and
+   * if there aren't any resolvers to consider, the functions act identically.
+   *
+   * @see merge
+   *
+   * @param {GraphQLSchema} schema an instance of GraphQLSchema to merge
+   * @param {ConflictResolvers} conflictResolvers an object containing up to
+   * four methods, each describing how to handle a conflict when an associated
+   * type of conflict occurs. If no object or method are supplied, the right
+   * hande value always takes precedence over the existing value; replacing it
+   * @return {Schemata} a new instance of Schemata with a merged schema string,
+   * merged resolver map and newly bound executable schema attached are all
    * initiated
    */
   mergeSchema(
@@ -950,7 +1659,13 @@ export class Schemata extends String {
 
     // Next check to see if we are flattening or simply extending
     if (typeof flattenRootResolversOrFirstParam === 'boolean') {
-      for (let rootType of ['Query', 'Mutation', 'Subscription']) {
+      let rootTypes = schemata.rootOperationTypes
+
+      for (let rootType of Object.keys(rootTypes).map(k => rootTypes[k])) {
+        if (!rootType) {
+          continue
+        }
+
         if (flattenRootResolversOrFirstParam) {
           if (resolvers[rootType]) {
             for (let field of Object.keys(resolvers[rootType])) {
@@ -1058,7 +1773,12 @@ export class Schemata extends String {
         (r[typeName] = r[typeName] || {})[fieldName] =
           (r[typeName][fieldName] || {})
 
-        r[typeName][fieldName] = field.resolve || defaultFieldResolver
+        r[typeName][fieldName] = field.subscribe
+          ? {
+            subscribe: field.subscribe,
+            resolve: field.resolve || defaultFieldResolver,
+          }
+          : field.resolve || defaultFieldResolver
       }
     )
 
@@ -1089,16 +1809,10 @@ export class Schemata extends String {
    * @return {boolean} true if the string can be parsed; false otherwise
    */
   get validSDL(): boolean {
-    try {
-      this.constructor.gql.parse(this.sdl)
-      debug_log('[get .validSDL] true')
-      return true
-    }
-    catch (e) {
-      debug_log('[get .validSDL] false')
-      debug_trace('[get .validSDL] ', e)
-      return false
-    }
+    let valid = !!this.ast
+
+    debug_log(`[get .validSDL] ${valid}`)
+    return valid
   }
 
   /**
@@ -1525,8 +2239,11 @@ export class Schemata extends String {
    * Wrapper for `require('graphql').graphqlSync()` that automatically passes
    * in the internal `.schema` reference as the first parameter.
    *
-   * @param {string|Source} query A GraphQL language formatted string
-   * representing the requested operation.
+   * @param {string|Source|RunRequest} queryOrRequest A GraphQL language
+   * formatted string representing the requested operation, or a
+   * `RunRequest` object holding the operation as `query` along with any of
+   * the arguments below, by name, and of the `RunOptions`. The remaining
+   * arguments are ignored when a `RunRequest` is supplied.
    * @param {mixed} contextValue a bit of shared context to pass to resolvers
    * @param {Object} variableValues A mapping of variable name to runtime value
    * to use for all variables defined in the requestString.
@@ -1539,34 +2256,85 @@ export class Schemata extends String {
    * to use when one is not provided by the schema. If not provided, the
    * default field resolver is used (which looks for a value or method on the
    * source value with the field's name).
+   * @param {RunOptions} options an optional object with `maxDepth` and
+   * `maxComplexity` limits; operations exceeding either are not executed
+   * and a result with an error for each limit exceeded is returned instead.
+   * `costs` and `defaultCost` are used to measure complexity as with
+   * `analyzeOperation()`. When `tracing` is true, the time taken to parse,
+   * validate and resolve each field is returned in `extensions.tracing`
+   * using the Apollo tracing format. Errors are formatted by `formatError()`
+   * without developer details unless `errorFormat` is `'debug'`, or left as
+   * they are if it is `'raw'`. Instances created
+   * with `withLoaders()` add new loaders to the context for the operation,
+   * or reuse those on it when `shareLoaders` is true, and
+   * those created with `withCaching()` report the cache policy of the
+   * response in `extensions.cacheControl`
    * @return {ExecutionResult} the requested results. An error is thrown if
    * the results could not be fulfilled or invalid input/output was specified.
    */
   run(
-    query: string | Source,
+    queryOrRequest: string | Source | RunRequest,
     contextValue?: mixed,
     variableValues?: ?ObjMap<mixed>,
     rootValue?: mixed,
     operationName?: ?string,
-    fieldResolver?: ?GraphQLFieldResolver<any, any>
+    fieldResolver?: ?GraphQLFieldResolver<any, any>,
+    options: RunOptions = {}
   ): ExecutionResult {
-    return this.constructor.gql.graphqlSync(
+    if (isRunRequest(queryOrRequest)) {
+      let request: RunRequest = (queryOrRequest: any)
+
+      return this.run(
+        request.query,
+        request.contextValue,
+        request.variableValues,
+        request.rootValue,
+        request.operationName,
+        request.fieldResolver,
+        request
+      )
+    }
+
+    let query: string | Source = (queryOrRequest: any)
+    let rejected = checkOperationLimits(this.schema, query, Object.assign(
+      {}, options, { variables: variableValues, operationName }
+    ))
+
+    if (rejected) {
+      return formatResult(rejected, options.errorFormat)
+    }
+
+    if (this.loaders) {
+      contextValue = attachLoaders(
+        contextValue,
+        this.loaders,
+        options.shareLoaders
+      )
+    }
+
+    let result = executeOperation(
+      this.constructor.gql,
+      true,
       this.schema,
       query,
       this.resolvers || rootValue,
       contextValue,
       variableValues,
       operationName,
-      fieldResolver
+      fieldResolver,
+      options.tracing
     )
+
+    return formatResult((result: any), options.errorFormat)
   }
 
   /**
    * Wrapper for `require('graphql').graphql()` that automatically passes
    * in the internal `.schema` reference as the first parameter.
    *
-   * @param {string|Source} query A GraphQL language formatted string
-   * representing the requested operation.
+   * @param {string|Source|RunRequest} queryOrRequest A GraphQL language
+   * formatted string representing the requested operation, or a
+   * `RunRequest` object as accepted by `run()`
    * @param {mixed} contextValue a bit of shared context to pass to resolvers
    * @param {Object} variableValues A mapping of variable name to runtime value
    * to use for all variables defined in the requestString.
@@ -1579,25 +2347,140 @@ export class Schemata extends String {
    * to use when one is not provided by the schema. If not provided, the
    * default field resolver is used (which looks for a value or method on the
    * source value with the field's name).
+   * @param {RunOptions} options an optional object with `maxDepth` and
+   * `maxComplexity` limits; operations exceeding either are not executed
+   * and a result with an error for each limit exceeded is returned instead.
+   * `costs` and `defaultCost` are used to measure complexity as with
+   * `analyzeOperation()`. When `tracing` is true, the time taken to parse,
+   * validate and resolve each field is returned in `extensions.tracing`
+   * using the Apollo tracing format. Errors are formatted by `formatError()`
+   * without developer details unless `errorFormat` is `'debug'`, or left as
+   * they are if it is `'raw'`. Instances created
+   * with `withLoaders()` add new loaders to the context for the operation,
+   * or reuse those on it when `shareLoaders` is true, and
+   * those created with `withCaching()` report the cache policy of the
+   * response in `extensions.cacheControl`
    * @return {Promise<ExecutionResult>} a Promise contianing the requested
    * results
    */
   async runAsync(
-    query: string | Source,
+    queryOrRequest: string | Source | RunRequest,
     contextValue?: mixed,
     variableValues?: ?ObjMap<mixed>,
     rootValue?: mixed,
     operationName?: ?string,
-    fieldResolver?: ?GraphQLFieldResolver<any, any>
+    fieldResolver?: ?GraphQLFieldResolver<any, any>,
+    options: RunOptions = {}
   ): Promise<ExecutionResult> {
-    return this.constructor.gql.graphql(
+    if (isRunRequest(queryOrRequest)) {
+      let request: RunRequest = (queryOrRequest: any)
+
+      return this.runAsync(
+        request.query,
+        request.contextValue,
+        request.variableValues,
+        request.rootValue,
+        request.operationName,
+        request.fieldResolver,
+        request
+      )
+    }
+
+    let query: string | Source = (queryOrRequest: any)
+    let rejected = checkOperationLimits(this.schema, query, Object.assign(
+      {}, options, { variables: variableValues, operationName }
+    ))
+
+    if (rejected) {
+      return formatResult(rejected, options.errorFormat)
+    }
+
+    if (this.loaders) {
+      contextValue = attachLoaders(
+        contextValue,
+        this.loaders,
+        options.shareLoaders
+      )
+    }
+
+    let result = executeOperation(
+      this.constructor.gql,
+      false,
       this.schema,
       query,
       this.resolvers || rootValue,
       contextValue,
       variableValues,
       operationName,
-      fieldResolver
+      fieldResolver,
+      options.tracing
+    )
+
+    return formatResult((await result: any), options.errorFormat)
+  }
+
+  /**
+   * Wrapper for `require('graphql').subscribe()` that automatically passes
+   * in the internal `.schema` reference as the first parameter. The query is
+   * parsed and validated against the schema before the subscription is
+   * created.
+   *
+   * Subscription fields are bound from resolver map entries shaped as
+   * `{ Subscription: { onPerson: { subscribe, resolve } } }`.
+   *
+   * @param {string|Source} query A GraphQL language formatted string
+   * representing the requested subscription operation.
+   * @param {mixed} contextValue a bit of shared context to pass to resolvers
+   * @param {Object} variableValues A mapping of variable name to runtime value
+   * to use for all variables defined in the requestString.
+   * @param {ResolverMap|null} rootValue provided as the first argument to
+   * resolver functions on the top level type (e.g. the subscription type).
+   * @param {string} operationName The name of the operation to use if
+   * requestString contains multiple possible operations. Can be omitted if
+   * requestString contains only one operation.
+   * @param {GraphQLFieldResolver<any, any>} fieldResolver A resolver function
+   * to use when one is not provided by the schema.
+   * @param {GraphQLFieldResolver<any, any>} subscribeFieldResolver A resolver
+   * function to use when a subscription field has no `subscribe` function.
+   * @return {Promise<AsyncIterator<ExecutionResult>|ExecutionResult>} a
+   * Promise resolving to an async iterator of results or, should the query
+   * fail to parse, validate or subscribe, a single result with `errors`
+   */
+  async subscribe(
+    query: string | Source,
+    contextValue?: mixed,
+    variableValues?: ?ObjMap<mixed>,
+    rootValue?: mixed,
+    operationName?: ?string,
+    fieldResolver?: ?GraphQLFieldResolver<any, any>,
+    subscribeFieldResolver?: ?GraphQLFieldResolver<any, any>
+  ): Promise<AsyncIterator<ExecutionResult> | ExecutionResult> {
+    const gql = this.constructor.gql
+    const schema = this.schema
+    let document
+
+    try {
+      document = gql.parse(query)
+    }
+    catch (error) {
+      return { errors: [error] }
+    }
+
+    let errors = gql.validate(schema, document)
+
+    if (errors.length) {
+      return { errors }
+    }
+
+    return gql.subscribe(
+      schema,
+      document,
+      this.resolvers || rootValue,
+      contextValue,
+      variableValues,
+      operationName,
+      fieldResolver,
+      subscribeFieldResolver
     )
   }
 
@@ -1736,6 +2619,60 @@ export class Schemata extends String {
     }
   }
 
+  /**
+   * Compares two schema sources and reports the differences between them.
+   * Each reported change has a `type`, such as `FIELD_REMOVED`, a
+   * `criticality` of `BREAKING`, `DANGEROUS` or `SAFE`, a `path` such as
+   * `Query.peep(args.id)` and a human readable `message`.
+   *
+   * @since 1.11
+   *
+   * @param {SchemaSource} left the older schema; an instance of Schemata, a
+   * string of SDL, a Source instance of SDL, a GraphQLSchema or ASTNode
+   * @param {SchemaSource} right the newer schema; same possible values as
+   * `left`
+   * @return {Array<SchemaChange>} an array of changes; empty if the two
+   * describe the same schema
+   */
+  static diff(left: SchemaSource, right: SchemaSource): Array<SchemaChange> {
+    let lAST = normalizeSource(left, true).ast
+    let rAST = normalizeSource(right, true).ast
+
+    if (!lAST || !rAST) {
+      throw new Error(inline`
+        In the call to diff(left, right), ${!lAST ? 'left' : 'right'} could
+        not be parsed as SDL. Please check your code and try again.
+      `)
+    }
+
+    return diffAST(lAST, rAST)
+  }
+
+  /**
+   * Creates a gateway from several Schemata instances, each with its own
+   * resolvers. The SDL of the subschemas is merged, in order, and each query
+   * and mutation root field delegates to the subschema defining it. Unless
+   * the `conflictStrategy` option says otherwise, conflicting definitions
+   * throw a `SchemaMergeConflictError`. Links
+   * declare fields resolved by calling a root field of another subschema;
+   * i.e. resolving `Person.company` with `Query.companyById(id:)`.
+   *
+   * @see delegateTo
+   *
+   * @param {Array<Schemata>} subschemas the instances to stitch together
+   * @param {StitchOptions} options an object whose `links` property is an
+   * array of `StitchLink` objects and whose `conflictStrategy` is one of
+   * `'error'`, `'leftWins'` or `'rightWins'`
+   * @return {Schemata} a new instance whose resolvers delegate to the
+   * subschemas
+   */
+  static stitch(
+    subschemas: Array<Schemata>,
+    options: StitchOptions = {}
+  ): Schemata {
+    return stitchSchemas(this, subschemas, options)
+  }
+
   /**
    * A simple pass thru used within the class to reference graphql methods
    * and classes.
@@ -1746,6 +2683,34 @@ export class Schemata extends String {
     return require('graphql')
   }
 
+  /**
+   * Creates a new instance of Schemata from the result of an introspection
+   * query; i.e. a `schema.json` dump of another team's service. The JSON may
+   * be the `data` of the query, with its `__schema` key, the full response
+   * including `data` or either of those as a string.
+   *
+   * @param {IntrospectionSource} introspection the introspection result
+   * @param {ResolverMap} resolvers an optional object containing field
+   * resolvers for the schema
+   * @return {Schemata} an instance of Schemata wrapping the equivalent SDL
+   */
+  static fromIntrospection(
+    introspection: IntrospectionSource,
+    resolvers: ?ResolverMap = null
+  ): Schemata {
+    let json = introspectionOf(introspection)
+
+    if (!json) {
+      throw new Error(inline`
+        fromIntrospection(introspection) requires the result of an
+        introspection query; an object with a \`__schema\` key, optionally
+        wrapped in \`data\`. Please check your code and try again.
+      `)
+    }
+
+    return this.from(printSchema(buildClientSchema(json)), resolvers)
+  }
+
   /**
    * Shorthand way of invoking `new Schemata()`
    *
@@ -1867,23 +2832,48 @@ export class Schemata extends String {
   }
 }
 
+/**
+ * The names given to the root operation types of a schema that does not
+ * declare them with a schema definition.
+ *
+ * @type {Object}
+ */
+export const DefaultRootTypeNames: RootOperationTypes = {
+  query: 'Query',
+  mutation: 'Mutation',
+  subscription: 'Subscription',
+}
+
 /**
  * Given an type, determine if the type is a root type; i.e. one of Query,
- * Mutation or Subscription as defined in the `graphql` library.
+ * Mutation or Subscription as defined in the `graphql` library. If a schema
+ * is supplied, its query, mutation and subscription types are used instead
+ * so that root types with custom names are recognized.
  *
  * @param  {mixed} t a GraphQL AST or object type denoting a schema type
+ * @param {GraphQLSchema} schema an optional schema whose root operation
+ * types should be checked against
  * @return {Boolean} true if the type supplied is a root type; false otherwise
  */
-export const isRootType = t => {
+export const isRootType = (t, schema: ?GraphQLSchema) => {
   if (t === undefined || t === null || !t) {
     return false
   }
 
-  let name = typeof t.name === 'string' ? t.name : t.name.value
+  if (!(t instanceof GraphQLObjectType)) {
+    return false
+  }
 
-  return (
-    t instanceof GraphQLObjectType &&
-    (t.name === 'Query' || t.name === 'Mutation' || t.name === 'Subscription')
+  if (schema) {
+    return (
+      t === schema.getQueryType() ||
+      t === schema.getMutationType() ||
+      t === schema.getSubscriptionType()
+    )
+  }
+
+  return Object.keys(DefaultRootTypeNames).some(
+    operation => DefaultRootTypeNames[operation] === t.name
   )
 }
 
@@ -1950,55 +2940,496 @@ export function SchemaInjectorConfig(
       if (!Array.isArray(extraConfig.resolverInjectors)) {
         baseConfig.resolverInjectors.push(extraConfig.resolverInjectors)
       }
-      else {
-        baseConfig.resolverInjectors = baseConfig.resolverInjectors.concat(
-          extraConfig.resolverInjectors
-        )
+      else {
+        baseConfig.resolverInjectors = baseConfig.resolverInjectors.concat(
+          extraConfig.resolverInjectors
+        )
+      }
+    }
+  }
+
+  return baseConfig
+}
+
+/**
+ * Parses, validates and executes an operation as `graphql()` does, or
+ * `graphqlSync()` when `sync` is true, for `run()` and `runAsync()`. Any
+ * errors ignored by the `continueOnError` policies of `ExtendedResolver`
+ * functions are added to the result, along with any cache policy.
+ *
+ * When `tracing` is true, the time taken to parse, validate and resolve
+ * each field is added to `extensions.tracing` of the result; the resolvers
+ * of the schema are wrapped with `traceResolver()` the first time, see
+ * `traceSchema()`, and so is the field resolver of the execution.
+ *
+ * @param {Object} gql the graphql module; see `Schemata.gql`
+ * @param {boolean} sync true to throw, as `graphqlSync()` does, rather than
+ * returning a promise when a resolver is asynchronous
+ * @param {GraphQLSchema} schema the schema to execute against
+ * @param {string|Source} query the operation to execute
+ * @param {mixed} rootValue the root value of the execution
+ * @param {mixed} contextValue the context supplied to each resolver
+ * @param {Object} variableValues the variables of the operation
+ * @param {string} operationName the name of the operation to execute
+ * @param {GraphQLFieldResolver} fieldResolver the resolver for fields
+ * without one
+ * @param {boolean} tracing true to trace the operation
+ * @return {ExecutionResult|Promise<ExecutionResult>} the result or a
+ * promise of it
+ */
+function executeOperation(
+  gql: Object,
+  sync: boolean,
+  schema: GraphQLSchema,
+  query: string | Source,
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?ObjMap<mixed>,
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  tracing?: boolean = false
+): ExecutionResult | Promise<ExecutionResult> {
+  let trace = tracing ? startTrace() : null
+  let finish = result => (trace ? withTrace(trace, result) : result)
+  let fail = errors => (
+    sync ? finish({ errors }) : Promise.resolve(finish({ errors }))
+  )
+  let schemaErrors = gql.validateSchema(schema)
+  let document
+
+  if (schemaErrors.length) {
+    return fail(schemaErrors)
+  }
+
+  try {
+    document = tracePhase(trace, 'parsing', () => gql.parse(query))
+  }
+  catch (error) {
+    return fail([error])
+  }
+
+  let errors = tracePhase(
+    trace,
+    'validation',
+    () => gql.validate(schema, document)
+  )
+
+  if (errors.length) {
+    return fail(errors)
+  }
+
+  if (trace) {
+    traceSchema(schema)
+    traceOperation(trace, document)
+    fieldResolver = traceResolver(fieldResolver || defaultFieldResolver)
+  }
+
+  let root = executionRoot(rootValue)
+  let result = gql.execute(
+    schema,
+    document,
+    root,
+    contextValue,
+    variableValues,
+    operationName,
+    fieldResolver
+  )
+
+  if (result && typeof result.then === 'function') {
+    if (sync) {
+      throw new Error('GraphQL execution failed to complete synchronously.')
+    }
+
+    return result.then(result => finish(withCacheControl(
+      root,
+      withIgnoredErrors(root, result)
+    )))
+  }
+
+  return finish(withCacheControl(root, withIgnoredErrors(root, result)))
+}
+
+/**
+ * Walk the supplied GraphQLSchema instance and retrieve the resolvers stored
+ * on it. These values are then returned with a [typeName][fieldName] pathing
+ *
+ * Type level values are retrieved as well; `__resolveType` for interfaces and
+ * unions, `__isTypeOf` for object types, a map of value names to internal
+ * values for enums whose values differ from their names and a scalar config
+ * object, with `serialize()`, `parseValue()` and `parseLiteral()`, for custom
+ * scalars.
+ *
+ * @param {GraphQLSchema} schema an instance of GraphQLSchema
+ * @return {ResolverMap} an object containing a mapping of typeName.fieldName
+ * that links to the resolve() function it is associated within the supplied
+ * schema
+ */
+export function stripResolversFromSchema(schema: GraphQLSchema): ?ResolverMap {
+  let resolvers = {}
+
+  if (!schema) {
+    return null
+  }
+
+  forEachField(
+    schema,
+    (
+      type,
+      typeName,
+      typeDirectives,
+      field,
+      fieldName,
+      fieldArgs,
+      fieldDirectives,
+      _schema,
+      context
+    ) => {
+      if (field.subscribe) {
+        resolvers[typeName] = resolvers[typeName] || {}
+        resolvers[typeName][fieldName] = { subscribe: field.subscribe }
+
+        if (field.resolve) {
+          resolvers[typeName][fieldName].resolve = untraced(field.resolve)
+        }
+      }
+      else if (field.resolve) {
+        resolvers[typeName] = resolvers[typeName] || {}
+        resolvers[typeName][fieldName] = resolvers[typeName][fieldName] || {}
+        resolvers[typeName][fieldName] = untraced(field.resolve)
+      }
+    }
+  )
+
+  forEachOf(
+    schema,
+    (type, typeName, typeDirectives, _schema, context) => {
+      if (type instanceof GraphQLScalarType) {
+        let config = type._scalarConfig || {}
+
+        if (
+          !isSpecifiedScalarType(type) &&
+          (type[CUSTOM_SCALAR] || config.parseValue || config.parseLiteral)
+        ) {
+          // Only the functions and descriptive values are copied; the
+          // astNode of a scalar cannot be deeply merged with other maps
+          resolvers[typeName] = {
+            name: typeName,
+            description: type.description,
+            serialize: config.serialize,
+            parseValue: config.parseValue,
+            parseLiteral: config.parseLiteral,
+          }
+        }
+      }
+      else if (type instanceof GraphQLEnumType) {
+        for (let value of type.getValues()) {
+          if (value.value !== value.name) {
+            resolvers[typeName] = resolvers[typeName] || {}
+            resolvers[typeName][value.name] = value.value
+          }
+        }
+      }
+      else if (
+        type instanceof GraphQLInterfaceType ||
+        type instanceof GraphQLUnionType
+      ) {
+        if (type.resolveType) {
+          resolvers[typeName] = resolvers[typeName] || {}
+          resolvers[typeName].__resolveType = type.resolveType
+        }
+      }
+      else if (type instanceof GraphQLObjectType) {
+        if (type.isTypeOf) {
+          resolvers[typeName] = resolvers[typeName] || {}
+          resolvers[typeName].__isTypeOf = type.isTypeOf
+        }
+      }
+    },
+    null,
+    ALL
+  )
+
+  return resolvers
+}
+
+/**
+ * Binds a single resolver map entry to a field of a schema. The entry is
+ * either a resolver function or an object with a `subscribe` function, a
+ * `resolve` function or both; the latter being the shape required for the
+ * fields of a Subscription type.
+ *
+ * @param {GraphQLField} field the field of a type within a GraphQLSchema
+ * @param {Function|Object} resolver a field resolver function or an object
+ * with `subscribe` and/or `resolve` functions
+ */
+function bindFieldResolver(field: Object, resolver: mixed): void {
+  if (typeof resolver === 'function') {
+    field.resolve = resolver
+    field.astNode.resolve = resolver
+  }
+  else if (resolver && typeof resolver === 'object') {
+    if (typeof resolver.subscribe === 'function') {
+      field.subscribe = resolver.subscribe
+      field.astNode.subscribe = resolver.subscribe
+    }
+
+    if (typeof resolver.resolve === 'function') {
+      field.resolve = resolver.resolve
+      field.astNode.resolve = resolver.resolve
+    }
+  }
+}
+
+/**
+ * Applies the type level entries of a resolver map to the types of the
+ * supplied schema. These are the entries that `forEachField` never sees:
+ *
+ *  - `__resolveType` functions for interfaces and unions
+ *  - `__isTypeOf` functions for object types
+ *  - maps of enum value names to internal values; i.e. `{ RED: '#f00' }`
+ *  - `GraphQLScalarType` instances, or objects with a `serialize()` function,
+ *    supplying the config for custom scalars
+ *
+ * Enums and scalars cannot be changed once built, so new instances are
+ * created from their configs and the schema is rebuilt around them; see
+ * `rebuildSchema()`.
+ *
+ * @param {GraphQLSchema} schema the schema whose types are to be bound
+ * @param {ResolverMap} resolvers the resolver map containing the entries
+ * @return {GraphQLSchema} the supplied schema or, if any enums or scalars
+ * were bound, a rebuilt copy of it
+ */
+function bindTypeResolvers(
+  schema: GraphQLSchema,
+  resolvers: ResolverMap
+): GraphQLSchema {
+  let replacements: Map<string, GraphQLNamedType> = new Map()
+
+  forEachOf(
+    schema,
+    (type, typeName, typeDirectives, schema, context) => {
+      let typeResolvers = resolvers[typeName]
+
+      if (!typeResolvers) {
+        return
+      }
+
+      if (type instanceof GraphQLScalarType) {
+        let config = scalarConfigFrom(typeResolvers)
+
+        if (config) {
+          let scalar: Object = new GraphQLScalarType(
+            Object.assign({ description: type.description }, config, {
+              name: type.name,
+              astNode: type.astNode,
+            })
+          )
+
+          scalar[CUSTOM_SCALAR] = true
+          replacements.set(typeName, scalar)
+        }
+      }
+      else if (type instanceof GraphQLEnumType) {
+        let values = {}
+
+        for (let value of type.getValues()) {
+          let bound = Object.prototype.hasOwnProperty.call(
+            typeResolvers,
+            value.name
+          )
+
+          values[value.name] = {
+            value: bound ? typeResolvers[value.name] : value.value,
+            description: value.description,
+            deprecationReason: value.deprecationReason,
+            astNode: value.astNode,
+          }
+        }
+
+        replacements.set(typeName, new GraphQLEnumType({
+          name: type.name,
+          description: type.description,
+          astNode: type.astNode,
+          values,
+        }))
+      }
+      else if (
+        type instanceof GraphQLInterfaceType ||
+        type instanceof GraphQLUnionType
+      ) {
+        if (typeResolvers.__resolveType) {
+          type.resolveType = typeResolvers.__resolveType
+        }
+      }
+      else if (type instanceof GraphQLObjectType) {
+        if (typeResolvers.__isTypeOf) {
+          type.isTypeOf = typeResolvers.__isTypeOf
+        }
       }
-    }
-  }
+    },
+    null,
+    ALL
+  )
 
-  return baseConfig
+  return replacements.size ? rebuildSchema(schema, replacements) : schema
 }
 
 /**
- * Walk the supplied GraphQLSchema instance and retrieve the resolvers stored
- * on it. These values are then returned with a [typeName][fieldName] pathing
+ * Builds a new schema in which the named types are replaced by those
+ * supplied. Every object, interface, union and input object type is
+ * recreated from its config, along with the directives, so that each
+ * refers to the replacements; other types are reused. Resolvers,
+ * `isTypeOf` and `resolveType` functions and AST nodes are kept, and
+ * default values written in the SDL are read again using the new types, so
+ * that an enum default is given its bound internal value.
  *
- * @param {GraphQLSchema} schema an instance of GraphQLSchema
- * @return {ResolverMap} an object containing a mapping of typeName.fieldName
- * that links to the resolve() function it is associated within the supplied
- * schema
+ * @param {GraphQLSchema} schema the schema to rebuild
+ * @param {Map<string, GraphQLNamedType>} replacements the new types keyed
+ * by name
+ * @return {GraphQLSchema} a new schema using the replacement types
  */
-export function stripResolversFromSchema(schema: GraphQLSchema): ?ResolverMap {
-  let resolvers = {}
+function rebuildSchema(
+  schema: GraphQLSchema,
+  replacements: Map<string, GraphQLNamedType>
+): GraphQLSchema {
+  let rebuilt: Map<string, GraphQLNamedType> = new Map(replacements)
+  let named = (type: any): any => {
+    if (isIntrospectionType(type)) {
+      return type
+    }
 
-  if (!schema) {
-    return null
+    if (!rebuilt.has(type.name)) {
+      rebuilt.set(type.name, copyType(type))
+    }
+
+    return rebuilt.get(type.name)
   }
+  let typeOf = (type: any): any => {
+    if (type instanceof GraphQLList) {
+      return new GraphQLList(typeOf(type.ofType))
+    }
+    else if (type instanceof GraphQLNonNull) {
+      return new GraphQLNonNull(typeOf(type.ofType))
+    }
 
-  forEachField(
-    schema,
-    (
-      type,
-      typeName,
-      typeDirectives,
-      field,
-      fieldName,
-      fieldArgs,
-      fieldDirectives,
-      _schema,
-      context
-    ) => {
-      if (field.resolve) {
-        resolvers[typeName] = resolvers[typeName] || {}
-        resolvers[typeName][fieldName] = resolvers[typeName][fieldName] || {}
-        resolvers[typeName][fieldName] = field.resolve
+    return named(type)
+  }
+  let inputsOf = (inputs: Array<Object>): Object => {
+    let configs = {}
+
+    for (let input of inputs) {
+      let type = typeOf(input.type)
+      let written = input.astNode && input.astNode.defaultValue
+
+      configs[input.name] = {
+        type,
+        defaultValue: written
+          ? valueFromAST(written, type)
+          : input.defaultValue,
+        description: input.description,
+        astNode: input.astNode,
       }
     }
-  )
 
-  return resolvers
+    return configs
+  }
+  let fieldsOf = (type: any): Object => {
+    let configs = {}
+
+    for (let field of Object.values(type.getFields())) {
+      configs[field.name] = {
+        type: typeOf(field.type),
+        args: inputsOf(field.args),
+        resolve: field.resolve,
+        subscribe: field.subscribe,
+        deprecationReason: field.deprecationReason,
+        description: field.description,
+        astNode: field.astNode,
+      }
+    }
+
+    return configs
+  }
+  let copyType = (type: any): any => {
+    let common = {
+      name: type.name,
+      description: type.description,
+      astNode: type.astNode,
+      extensionASTNodes: type.extensionASTNodes,
+    }
+
+    if (type instanceof GraphQLObjectType) {
+      return new GraphQLObjectType(Object.assign(common, {
+        interfaces: () => type.getInterfaces().map(named),
+        fields: () => fieldsOf(type),
+        isTypeOf: type.isTypeOf,
+      }))
+    }
+    else if (type instanceof GraphQLInterfaceType) {
+      return new GraphQLInterfaceType(Object.assign(common, {
+        fields: () => fieldsOf(type),
+        resolveType: type.resolveType,
+      }))
+    }
+    else if (type instanceof GraphQLUnionType) {
+      return new GraphQLUnionType(Object.assign(common, {
+        types: () => type.getTypes().map(named),
+        resolveType: type.resolveType,
+      }))
+    }
+    else if (type instanceof GraphQLInputObjectType) {
+      return new GraphQLInputObjectType(Object.assign(common, {
+        fields: () => inputsOf(Object.values(type.getFields())),
+      }))
+    }
+
+    // Scalars and enums refer to no other types
+    return type
+  }
+  let typeMap = schema.getTypeMap()
+  let root = type => (type ? named(type) : null)
+
+  return new GraphQLSchema({
+    query: root(schema.getQueryType()),
+    mutation: root(schema.getMutationType()),
+    subscription: root(schema.getSubscriptionType()),
+    types: Object.keys(typeMap).map(name => named(typeMap[name])),
+    directives: schema.getDirectives().map(directive => (
+      isSpecifiedDirective(directive)
+        ? directive
+        : new GraphQLDirective({
+          name: directive.name,
+          description: directive.description,
+          locations: directive.locations,
+          args: inputsOf(directive.args),
+          astNode: directive.astNode,
+        })
+    )),
+    astNode: schema.astNode,
+  })
+}
+
+/**
+ * Extracts a `GraphQLScalarTypeConfig` from an entry in a resolver map. The
+ * entry may be an instance of `GraphQLScalarType`, a copy of one (as is
+ * created when resolver maps are deeply merged) or a plain config object
+ * with at least a `serialize()` function.
+ *
+ * @param {mixed} value the resolver map entry for a scalar type
+ * @return {GraphQLScalarTypeConfig} the config or null if there is none
+ */
+function scalarConfigFrom(value: mixed): ?GraphQLScalarTypeConfig {
+  if (value instanceof GraphQLScalarType) {
+    return value._scalarConfig
+  }
+  else if (value && value._scalarConfig) {
+    return value._scalarConfig
+  }
+  else if (value && typeof value.serialize === 'function') {
+    return value
+  }
+
+  return null
 }
 
 /** @type {Symbol} a unique symbol used as a key to all instance sdl strings */
@@ -2013,12 +3444,24 @@ export const MAP = Symbol('internal-weak-map-key')
 /** @type {Symbol} a key used to store the __executable__ flag on a schema */
 export const EXE = Symbol('executable-schema')
 
+/** @type {Symbol} a key marking scalars configured from a resolver map */
+const CUSTOM_SCALAR = Symbol('custom-scalar-config')
+
 /** @type {Object} a key used to store a resolver object in a WeakMap */
 const wmkResolvers = Object(Symbol('GraphQL Resolvers storage key'))
 
 /** @type {Object} a key used to store an internal schema in a WeakMap */
 const wmkSchema = Object(Symbol('GraphQLSchema storage key'))
 
+/** @type {Object} a key used to store the parsed AST cache in a WeakMap */
+const wmkAST = Object(Symbol('ASTNode cache storage key'))
+
+/** @type {Object} a key used to store collected merge conflicts */
+const wmkConflicts = Object(Symbol('Merge conflicts storage key'))
+
+/** @type {Object} a key used to store the definitions of loaders */
+const wmkLoaders = Object(Symbol('Loader definitions storage key'))
+
 /**
  * This is a `Symbol` key to a `WeakSet` of `ExtendedResolverMap` instances,
  * each of which have at least three properties:
@@ -2055,6 +3498,30 @@ export function DefaultFieldMergeResolver(
   return rightField
 }
 
+/**
+ * The default argument resolver blindly takes returns the right argument.
+ * This resolver is used when one is not specified. Arguments declared on only
+ * one side of a merged field are always kept.
+ *
+ * @param {FieldNode} leftField The matching left field indicating conflict
+ * @param {InputValueDefinitionNode} leftArgument The argument causing the
+ * conflict
+ * @param {FieldNode} rightField The matching right field indicating conflict
+ * @param {InputValueDefinitionNode} rightArgument the argument causing the
+ * conflict
+ *
+ * @return {InputValueDefinitionNode} the argument that should be used after
+ * resolution
+ */
+export function DefaultArgumentMergeResolver(
+  leftField: FieldNode,
+  leftArgument: ASTNode,
+  rightField: FieldNode,
+  rightArgument: ASTNode
+): ASTNode {
+  return rightArgument
+}
+
 /**
  * The default directive resolver blindly takes returns the right field. This
  * resolver is used when one is not specified.
@@ -2115,6 +3582,30 @@ export function DefaultUnionMergeResolver(
   return rightUnion
 }
 
+/**
+ * The default operation type resolver blindly takes returns the right
+ * operation type; i.e. `query: RightQuery` replaces `query: LeftQuery` in
+ * the schema definition. This resolver is used when one is not specified.
+ *
+ * @param {ASTNode} leftSchema The left schema definition indicating conflict
+ * @param {OperationTypeDefinitionNode} leftOperationType The operation type
+ * causing the conflict
+ * @param {ASTNode} rightSchema The right schema definition indicating conflict
+ * @param {OperationTypeDefinitionNode} rightOperationType the operation type
+ * causing the conflict
+ *
+ * @return {OperationTypeDefinitionNode} the operation type that should be
+ * used after resolution
+ */
+export function DefaultOperationTypeMergeResolver(
+  leftSchema: ASTNode,
+  leftOperationType: ASTNode,
+  rightSchema: ASTNode,
+  rightOperationType: ASTNode
+): ASTNode {
+  return rightOperationType
+}
+
 /**
  * The default scalar merge resolver returns the right config when there is
  * one, otherwise the left one or null will be the default result. This is
@@ -2158,6 +3649,9 @@ export const DefaultConflictResolvers: ConflictResolvers = {
   /** A handler for resolving fields in matching types */
   fieldMergeResolver: DefaultFieldMergeResolver,
 
+  /** A handler for resolving arguments of matching fields */
+  argumentMergeResolver: DefaultArgumentMergeResolver,
+
   /** A handler for resolving directives in matching types */
   directiveMergeResolver: DefaultDirectiveMergeResolver,
 
@@ -2167,10 +3661,34 @@ export const DefaultConflictResolvers: ConflictResolvers = {
   /** A handler for resolving type values in unions */
   typeValueMergeResolver: DefaultUnionMergeResolver,
 
+  /** A handler for resolving operation types in schema definitions */
+  operationTypeMergeResolver: DefaultOperationTypeMergeResolver,
+
   /** A handler for resolving scalar configs in custom scalars */
   scalarMergeResolver: DefaultScalarMergeResolver,
 }
 
+/**
+ * The names of the built-in strategies for handling conflicts while merging.
+ * Any of these values may be used as the `conflictStrategy` of a
+ * `MergeOptionsConfig` object.
+ *
+ * @type {Object}
+ */
+export const ConflictStrategies: { [string]: ConflictStrategy } = {
+  /** The configured conflict resolvers decide; by default the right wins */
+  RIGHT_WINS: 'rightWins',
+
+  /** The existing, left hand, definition is kept */
+  LEFT_WINS: 'leftWins',
+
+  /** A `SchemaMergeConflictError` listing all conflicts is thrown */
+  ERROR: 'error',
+
+  /** Conflicts are resolved as with `RIGHT_WINS` and reported */
+  COLLECT: 'collect',
+}
+
 /**
  * A `MergeOptionsConfig` object with an empty array of
  * `ResolverArgsTransformer` instances
@@ -2182,53 +3700,387 @@ export const DefaultMergeOptions: MergeOptionsConfig = {
   resolverInjectors: [],
   injectMergedSchema: true,
   createMissingResolvers: false,
+  conflictStrategy: ConflictStrategies.RIGHT_WINS,
 }
 
 const subTypeResolverMap: Map<string, Function> = new Map()
 subTypeResolverMap.set('fields', 'fieldMergeResolver')
+subTypeResolverMap.set('arguments', 'argumentMergeResolver')
 subTypeResolverMap.set('directives', 'directiveMergeResolver')
 subTypeResolverMap.set('values', 'enumValueMergeResolver')
 subTypeResolverMap.set('types', 'typeValueMergeResolver')
+subTypeResolverMap.set('interfaces', 'typeValueMergeResolver')
+subTypeResolverMap.set('operationTypes', 'operationTypeMergeResolver')
 subTypeResolverMap.set('scalars', 'scalarMergeResolver')
 
+/**
+ * Wraps each of the AST based resolvers in the supplied `ConflictResolvers`
+ * so that any subtype defined differently on each side of a merge is recorded
+ * in `conflicts` and resolved according to the chosen strategy. Subtypes that
+ * are identical, ignoring descriptions, are not considered in conflict.
+ *
+ * @param {ConflictStrategy} strategy one of the `ConflictStrategies` values
+ * @param {ConflictResolvers} conflictResolvers the resolvers to wrap
+ * @param {Array<MergeConflict>} conflicts an array to which each conflict
+ * found will be pushed
+ * @return {ConflictResolvers} a new `ConflictResolvers` object
+ */
+function applyConflictStrategy(
+  strategy: ConflictStrategy,
+  conflictResolvers: ConflictResolvers,
+  conflicts: Array<MergeConflict>
+): ConflictResolvers {
+  let strategies = Object.keys(ConflictStrategies).map(
+    key => ConflictStrategies[key]
+  )
+
+  if (!strategies.includes(strategy)) {
+    throw new Error(inline`
+      Unknown merge conflict strategy '${strategy}'. Please use one of
+      ${strategies.map(s => `'${s}'`).join(', ')} and try again.
+    `)
+  }
+
+  let resolvers = Object.assign({}, conflictResolvers)
+  let wrapped = new Set()
+
+  for (let [subTypeName, resolverName] of subTypeResolverMap) {
+    let resolver = conflictResolvers[resolverName]
+
+    if (subTypeName === 'scalars' || !resolver || wrapped.has(resolverName)) {
+      continue
+    }
+
+    wrapped.add(resolverName)
+
+    resolvers[resolverName] = function(
+      lType,
+      lSubType,
+      rType,
+      rSubType,
+      path = [definitionKey(lType)]
+    ) {
+      let left = printForComparison(subTypeName, lSubType)
+      let right = printForComparison(subTypeName, rSubType)
+
+      if (left === right) {
+        return resolver(lType, lSubType, rType, rSubType)
+      }
+
+      conflicts.push(mergeConflict(subTypeName, path, lSubType, rSubType))
+
+      return strategy === ConflictStrategies.LEFT_WINS
+        ? lSubType
+        : resolver(lType, lSubType, rType, rSubType)
+    }
+  }
+
+  return resolvers
+}
+
+/**
+ * Creates a `MergeConflict` report for the supplied conflicting nodes.
+ *
+ * @param {string} subTypeName the kind of subtype in conflict; one of
+ * 'definitions', 'fields', 'arguments', 'directives', 'values' or 'types'
+ * @param {Array<string>} path the names of the type, field and argument
+ * containing the conflicting nodes
+ * @param {ASTNode} lSubType the lefthand node in conflict
+ * @param {ASTNode} rSubType the righthand node in conflict
+ * @return {MergeConflict} a description of the conflict
+ */
+function mergeConflict(
+  subTypeName: string,
+  path: Array<string>,
+  lSubType: ASTNode,
+  rSubType: ASTNode
+): MergeConflict {
+  let names = path.concat(subTypeName === 'definitions' ? [] : nameOf(lSubType))
+  let locate = node =>
+    node.loc && node.loc.source
+      ? getLocation(node.loc.source, node.loc.start)
+      : null
+
+  return {
+    type: names[0],
+    field: names[1] || null,
+    argument: (path.length > 1 && names[2]) || null,
+    subType: subTypeName,
+    left: printForComparison(subTypeName, lSubType),
+    right: printForComparison(subTypeName, rSubType),
+    leftNode: lSubType,
+    rightNode: rSubType,
+    leftLocation: locate(lSubType),
+    rightLocation: locate(rSubType),
+  }
+}
+
+/**
+ * Prints an ASTNode without its description, if any, so that nodes which
+ * differ only in their documentation compare as equal. The arguments of
+ * fields and the directives of arguments are merged individually and so are
+ * left out as well.
+ *
+ * @param {string} subTypeName the kind of subtype being compared
+ * @param {ASTNode} node the node to print
+ * @return {string} the printed SDL of the node
+ */
+function printForComparison(subTypeName: string, node: ASTNode): string {
+  let omit = { description: undefined }
+
+  if (subTypeName === 'fields' && node.arguments) {
+    omit.arguments = []
+  }
+
+  if (subTypeName === 'arguments') {
+    omit.directives = []
+  }
+
+  return print(Object.assign({}, node, omit))
+}
+
+/**
+ * Normalizes the kind of a type definition or extension to the kind of the
+ * definition it declares or extends; i.e. 'ObjectTypeExtension' becomes
+ * 'ObjectTypeDefinition'.
+ *
+ * @param {string} kind the kind of an ASTNode
+ * @return {string} the kind of the equivalent definition
+ */
+function definitionKind(kind: string): string {
+  return kind.endsWith('Extension')
+    ? kind.substring(0, kind.length - 'Extension'.length) + 'Definition'
+    : kind
+}
+
+/**
+ * Determines the key by which a definition is matched to another during a
+ * merge or pare. Types and their extensions are keyed by name, directive
+ * definitions by their name prefixed with `@` and schema definitions, which
+ * have no name, by the string 'schema'.
+ *
+ * @param {ASTNode} definition a definition from a DocumentNode
+ * @return {string} the key for the supplied definition
+ */
+export function definitionKey(definition: ASTNode): string {
+  switch (definition.kind) {
+  case 'SchemaDefinition':
+  case 'SchemaExtension':
+    return 'schema'
+
+  case 'DirectiveDefinition':
+    return `@${definition.name.value}`
+
+  default:
+    return definition.name ? definition.name.value : definition.kind
+  }
+}
+
+/**
+ * Returns a shallow copy of an extension node with its kind changed to that
+ * of the definition it extends. Definitions are returned as is.
+ *
+ * @param {ASTNode} definition a definition or extension from a DocumentNode
+ * @return {ASTNode} a definition
+ */
+function asDefinition(definition: ASTNode): ASTNode {
+  let kind = definitionKind(definition.kind)
+
+  return kind === definition.kind
+    ? definition
+    : Object.assign({}, definition, { kind })
+}
+
+/**
+ * Folds each type extension (i.e. `extend type Query`) in the supplied
+ * document into the definition it extends. Extensions whose base type is
+ * absent, or appears later, become the definition themselves. The resulting
+ * document contains at most one definition per type, directive or schema.
+ * Definitions are copied before anything is folded into them, so the
+ * supplied document is never modified.
+ *
+ * @param {ASTNode} document a DocumentNode, usually from `copyDocument()`
+ * @param {WeakSet<ASTNode>} owned the set of definitions already copied;
+ * none by default
+ * @return {ASTNode} a new DocumentNode without extensions
+ */
+export function foldExtensions(
+  document: ASTNode,
+  owned: WeakSet<ASTNode> = new WeakSet()
+): ASTNode {
+  let folded = Object.assign({}, document, { definitions: [] })
+
+  for (let definition of document.definitions) {
+    let key = definitionKey(definition)
+    let existing = folded.definitions.find(d => definitionKey(d) === key)
+
+    if (!existing) {
+      folded.definitions.push(asDefinition(definition))
+      continue
+    }
+
+    existing = copyOnWrite(folded, existing, owned)
+    combineDefinitions(existing, asDefinition(definition))
+  }
+
+  return folded
+}
+
+/**
+ * Combines the right hand definition into the left hand definition of the
+ * same kind; fields, enum values, union types, interfaces, directives,
+ * directive locations and arguments and schema operation types are each
+ * merged as appropriate for the kind of definition. A left hand definition
+ * without a description takes that of the right.
+ *
+ * @param {ASTNode} lType the lefthand definition; modified in place
+ * @param {ASTNode} rType the righthand definition
+ * @param {ConflictResolvers} conflictResolvers the resolvers used to decide
+ * between two conflicting subtypes
+ */
+function combineDefinitions(
+  lType: ASTNode,
+  rType: ASTNode,
+  conflictResolvers: ConflictResolvers = DefaultConflictResolvers
+): void {
+  if (!lType.description && rType.description) {
+    lType.description = cloneASTNode(rType.description)
+  }
+
+  switch (lType.kind) {
+  default:
+  case 'ObjectTypeDefinition':
+  case 'InterfaceTypeDefinition':
+  case 'InputObjectTypeDefinition':
+    combineTypeAndSubType('directives', lType, rType, conflictResolvers)
+    combineTypeAndSubType('interfaces', lType, rType, conflictResolvers)
+    combineTypeAndSubType('fields', lType, rType, conflictResolvers)
+    break
+
+  case 'EnumTypeDefinition':
+    combineTypeAndSubType('directives', lType, rType, conflictResolvers)
+    combineTypeAndSubType('values', lType, rType, conflictResolvers)
+    break
+
+  case 'UnionTypeDefinition':
+    combineTypeAndSubType('directives', lType, rType, conflictResolvers)
+    combineTypeAndSubType('types', lType, rType, conflictResolvers)
+    break
+
+  case 'ScalarTypeDefinition':
+    combineTypeAndSubType('directives', lType, rType, conflictResolvers)
+    break
+
+  case 'SchemaDefinition':
+    combineTypeAndSubType('directives', lType, rType, conflictResolvers)
+    combineTypeAndSubType('operationTypes', lType, rType, conflictResolvers)
+    break
+
+  case 'DirectiveDefinition':
+    combineTypeAndSubType('arguments', lType, rType, conflictResolvers)
+
+    for (let location of rType.locations || []) {
+      if (!lType.locations.find(l => l.value === location.value)) {
+        lType.locations.push(cloneASTNode(location))
+      }
+    }
+    break
+  }
+}
+
+/**
+ * Returns the name by which a subtype, such as a field, enum value, named
+ * type or schema operation type, is matched to its counterpart in another
+ * definition.
+ *
+ * @param {ASTNode} node the subtype node
+ * @return {string} the name of the node or, for schema operation types, the
+ * name of the operation
+ */
+function nameOf(node: ASTNode): string {
+  return node.name ? node.name.value : node.operation
+}
+
 /**
  * Compares and combines a subset of ASTNode fields. Designed to work on all
  * the various types that might have a merge conflict.
  *
+ * The arguments of fields found on both sides are combined by name in turn,
+ * as are the directives of arguments found on both sides, unless the conflict
+ * resolver chooses the left hand field or argument as is.
+ *
  * @param {string} subTypeName the name of the field type; one of the following
- * values: 'fields', 'directives', 'values', 'types'
+ * values: 'fields', 'arguments', 'directives', 'values', 'types',
+ * 'interfaces' or 'operationTypes'
  * @param {ASTNode} lType the lefthand type containing the subtype to compare
- * @param {ASTNode} lSubType the lefthand subtype; fields, directive, value or
- * named union type
  * @param {ASTNode} rType the righthand type containing the subtype to compare
- * @param {ASTNode} rSubType the righthand subtype; fields, directive, value or
- * named union type
+ * @param {ConflictResolvers} conflictResolvers the resolvers used to decide
+ * which of two conflicting subtypes to keep
+ * @param {Array<string>} path the names of the type, field and argument that
+ * lead to `lType`; used when reporting conflicts
  */
 function combineTypeAndSubType(
   subTypeName: string,
   lType: ASTNode,
   rType: ASTNode,
-  conflictResolvers: ConflictResolvers = DefaultConflictResolvers
+  conflictResolvers: ConflictResolvers = DefaultConflictResolvers,
+  path: Array<string> = [definitionKey(lType)]
 ): void {
   if (rType[subTypeName]) {
+    lType[subTypeName] = lType[subTypeName] || []
+
     for (let rSubType of rType[subTypeName]) {
       let lSubType = lType[subTypeName].find(
-        f => f.name.value == rSubType.name.value
+        f => nameOf(f) == nameOf(rSubType)
       )
 
       if (!lSubType) {
-        lType[subTypeName].push(rSubType)
+        lType[subTypeName].push(cloneASTNode(rSubType))
         continue
       }
 
       let resolver = subTypeResolverMap.get(subTypeName) || 'fieldMergeResolver'
-      let resultingSubType = conflictResolvers[resolver](
+      let resolved = conflictResolvers[resolver](
         lType,
         lSubType,
         rType,
-        rSubType
+        rSubType,
+        path
       )
-      let index = lType.fields.indexOf(lSubType)
+      let resultingSubType = cloneASTNode(resolved)
+      let index = lType[subTypeName].indexOf(lSubType)
+      let subPath = path.concat(nameOf(lSubType))
+      let hasArguments = !!(lSubType.arguments || rSubType.arguments)
+
+      // A resolver returning the left hand subtype chooses to ignore changes
+      // entirely; otherwise the arguments of fields and the directives of
+      // arguments are combined from both sides
+      if (resolved === lSubType) {
+        lType[subTypeName].splice(index, 1, resultingSubType)
+        continue
+      }
+
+      if (subTypeName === 'fields' && hasArguments) {
+        resultingSubType.arguments = cloneASTNode(lSubType.arguments || [])
+        combineTypeAndSubType(
+          'arguments',
+          resultingSubType,
+          rSubType,
+          conflictResolvers,
+          subPath
+        )
+      }
+
+      if (subTypeName === 'arguments') {
+        resultingSubType.directives = cloneASTNode(lSubType.directives || [])
+        combineTypeAndSubType(
+          'directives',
+          resultingSubType,
+          rSubType,
+          conflictResolvers,
+          subPath
+        )
+      }
 
       lType[subTypeName].splice(index, 1, resultingSubType)
     }
@@ -2240,13 +4092,12 @@ function combineTypeAndSubType(
  * types that might have a merge conflict.
  *
  * @param {string} subTypeName the name of the field type; one of the following
- * values: 'fields', 'directives', 'values', 'types'
+ * values: 'fields', 'directives', 'values', 'types', 'interfaces' or
+ * 'operationTypes'
  * @param {ASTNode} lType the lefthand type containing the subtype to compare
- * @param {ASTNode} lSubType the lefthand subtype; fields, directive, value or
- * named union type
  * @param {ASTNode} rType the righthand type containing the subtype to compare
- * @param {ASTNode} rSubType the righthand subtype; fields, directive, value or
- * named union type
+ * @param {ResolverMap} resolvers a resolver map from which the resolvers of
+ * any removed fields or enum values are deleted
  */
 function pareTypeAndSubType(
   subTypeName: string,
@@ -2254,18 +4105,27 @@ function pareTypeAndSubType(
   rType: ASTNode,
   resolvers: ResolverMap = {}
 ): void {
+  if (!rType[subTypeName] || !lType[subTypeName]) {
+    return
+  }
+
   for (let rSubType of rType[subTypeName]) {
     let lSubType = lType[subTypeName].find(
-      f => f.name.value == rSubType.name.value
+      f => nameOf(f) == nameOf(rSubType)
     )
 
     if (!lSubType) {
       continue
     }
 
-    let index = lType.fields.indexOf(lSubType)
+    let index = lType[subTypeName].indexOf(lSubType)
     lType[subTypeName].splice(index, 1)
 
+    // Only fields and enum values have entries in a resolver map
+    if (subTypeName !== 'fields' && subTypeName !== 'values') {
+      continue
+    }
+
     if (
       resolvers[lType.name.value] &&
       resolvers[lType.name.value][lSubType.name.value]
@@ -2278,6 +4138,79 @@ function pareTypeAndSubType(
   }
 }
 
+/**
+ * Creates a shallow copy of a DocumentNode with its own array of definitions.
+ * The definitions themselves are shared with the original until they are
+ * passed through `copyOnWrite()`.
+ *
+ * @param {ASTNode} document the DocumentNode to copy
+ * @return {ASTNode} a new DocumentNode sharing the original's definitions
+ */
+function copyDocument(document: ASTNode): ASTNode {
+  return Object.assign({}, document, {
+    definitions: Array.from(document.definitions),
+  })
+}
+
+/**
+ * Deeply copies an ASTNode, or an array of them, so that the copy can be
+ * modified without affecting the original. Location information is immutable
+ * and references the tokens of the parsed source, so `loc` values are shared
+ * rather than copied.
+ *
+ * @param {mixed} node the ASTNode, array of ASTNodes or scalar value to copy
+ * @return {mixed} a deep copy of the supplied value
+ */
+function cloneASTNode(node: mixed): mixed {
+  if (Array.isArray(node)) {
+    return node.map(cloneASTNode)
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node
+  }
+
+  let copy = {}
+
+  for (let key of Object.keys(node)) {
+    copy[key] = key === 'loc' ? node[key] : cloneASTNode(node[key])
+  }
+
+  return copy
+}
+
+/**
+ * Ensures the supplied definition can be modified without affecting any other
+ * DocumentNode. Definitions not previously copied are replaced, within the
+ * supplied document, by a deep copy made with `cloneASTNode()`.
+ *
+ * @param {ASTNode} document the DocumentNode, usually from `copyDocument()`,
+ * that contains the definition
+ * @param {ASTNode} definition the definition about to be modified
+ * @param {WeakSet<ASTNode>} owned the set of definitions already copied
+ * @return {ASTNode} a definition that is safe to modify
+ */
+function copyOnWrite(
+  document: ASTNode,
+  definition: ASTNode,
+  owned: WeakSet<ASTNode>
+): ASTNode {
+  if (owned.has(definition)) {
+    return definition
+  }
+
+  let copy = cloneASTNode(definition)
+  let index = document.definitions.indexOf(definition)
+
+  if (index !== -1) {
+    document.definitions.splice(index, 1, copy)
+  }
+
+  owned.add(copy)
+
+  return copy
+}
+
 /**
  * Small function that sorts through the typeDefs value supplied which can be
  * any one of a Schemata instance, GraphQLSchema instance, Source instance or a
@@ -2305,7 +4238,9 @@ export function normalizeSource(
     return typeDefs
   }
 
+  let introspection = introspectionOf(typeDefs)
   let source = (
+    (introspection && printSchema(buildClientSchema(introspection))) ||
     typeDefs.body ||
     typeDefs.sdl ||
     (typeof typeDefs === 'string' && typeDefs) ||
@@ -2318,4 +4253,53 @@ export function normalizeSource(
   return wrap ? Schemata.from(source) : source
 }
 
+/**
+ * Determines whether the first argument given to `run()` or `runAsync()` is
+ * a `RunRequest` rather than the operation itself; that is, an object that
+ * is neither a `Source` nor a parsed document.
+ *
+ * @param {mixed} value the first argument supplied
+ * @return {boolean} true if the value is a `RunRequest`; false otherwise
+ */
+function isRunRequest(value: mixed): boolean {
+  return Boolean(
+    value &&
+    typeof value === 'object' &&
+    !(value instanceof Source) &&
+    !value.kind
+  )
+}
+
+/**
+ * Extracts the `__schema` portion of an introspection query result. The
+ * result may be the `data` of the query, the full response including `data`
+ * or either of those as a string of JSON.
+ *
+ * @param {mixed} value the value to examine
+ * @return {Object} an object with a `__schema` key suitable for passing to
+ * `buildClientSchema()` or null if the value is not an introspection result
+ */
+function introspectionOf(value: mixed): ?Object {
+  if (typeof value === 'string' && /^\s*\{/.test(value)) {
+    try {
+      value = JSON.parse(value)
+    }
+    catch (error) {
+      return null
+    }
+  }
+
+  if (!value || typeof value !== 'object') {
+    return null
+  }
+
+  if (value.data && typeof value.data === 'object') {
+    value = value.data
+  }
+
+  return value.__schema && typeof value.__schema === 'object'
+    ? { __schema: value.__schema }
+    : null
+}
+
 export default Schemata
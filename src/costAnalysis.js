@@ -0,0 +1,398 @@
+// @flow
+
+import {
+  getDirectiveValues,
+  getNamedType,
+  parse,
+  valueFromAST,
+  valueFromASTUntyped,
+  GraphQLError,
+  GraphQLIncludeDirective,
+  GraphQLSkipDirective,
+  Kind,
+  Source,
+} from 'graphql'
+import { OperationComplexityError } from './errors'
+
+import type {
+  DocumentNode,
+  ExecutionResult,
+  FieldNode,
+  GraphQLField,
+  GraphQLSchema,
+  GraphQLType,
+  OperationDefinitionNode,
+  SelectionSetNode,
+} from 'graphql'
+import type {
+  CostAnalysisOptions,
+  FieldCost,
+  OperationCost,
+  OperationSource,
+  RunOptions,
+} from './types'
+
+/**
+ * Measures an operation against the supplied schema without executing it.
+ * The result holds the deepest level of nested fields, the number of fields
+ * selected once fragments are expanded and a weighted complexity.
+ *
+ * Each field costs `options.defaultCost`, 1 unless otherwise specified,
+ * unless a cost is given for it in `options.costs`, keyed by type and then
+ * field name like a resolver map, or with a `@cost` directive in the SDL.
+ * The complexity of a field is its cost plus that of its selections,
+ * multiplied by the values of any of its arguments named in `multipliers`;
+ * a list argument multiplies by its length. So with
+ * `people(first: Int): [Person] @cost(value: 2, multipliers: ["first"])`
+ * the selection `people(first: 10) { name }` has a complexity of 30.
+ *
+ * Introspection fields cost nothing and fields excluded by `@skip` or
+ * `@include` are not counted. Fragments on each of the possible types of
+ * an interface or union are all counted, so the complexity of such a
+ * selection errs on the high side.
+ *
+ * @param {GraphQLSchema} schema the schema defining the fields selected
+ * @param {OperationSource} document a string, `Source`, `gql` tagged
+ * template or parsed DocumentNode containing the operation
+ * @param {CostAnalysisOptions} options an optional object with `variables`,
+ * an `operationName`, a `costs` map and a `defaultCost`
+ * @return {OperationCost} the `depth`, `fieldCount` and `complexity` of
+ * the operation
+ */
+export function analyzeOperation(
+  schema: GraphQLSchema,
+  document: OperationSource,
+  options: CostAnalysisOptions = {}
+): OperationCost {
+  let ast = toDocument(document)
+  let operation = findOperation(ast, options.operationName)
+  let fragments = {}
+
+  for (let definition of ast.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition
+    }
+  }
+
+  if (!operation) {
+    throw new GraphQLError(
+      options.operationName
+        ? `Unknown operation named "${options.operationName}".`
+        : 'Must provide an operation.'
+    )
+  }
+
+  let { costs = {}, defaultCost = 1 } = options
+  let variables = options.variables || {}
+  let measured: { [string]: OperationCost } = {}
+
+  let measure = (
+    type: ?GraphQLType,
+    selectionSet: SelectionSetNode,
+    spread: Array<string>
+  ): OperationCost => {
+    let result = { depth: 0, fieldCount: 0, complexity: 0 }
+    let add = (cost: OperationCost, depth: number, multiplier: number) => {
+      result.depth = Math.max(result.depth, cost.depth + depth)
+      result.fieldCount += cost.fieldCount
+      result.complexity += cost.complexity * multiplier
+    }
+
+    for (let selection of selectionSet.selections) {
+      if (!isIncluded(selection, variables)) {
+        continue
+      }
+
+      if (selection.kind === Kind.FIELD) {
+        let name = selection.name.value
+
+        if (/^__/.test(name)) {
+          continue
+        }
+
+        let fields = type && type.getFields ? (type: any).getFields() : {}
+        let field = fields[name]
+        let cost = costOf(costs, type, field, name, defaultCost)
+        let children = selection.selectionSet && field
+          ? measure(getNamedType(field.type), selection.selectionSet, spread)
+          : { depth: 0, fieldCount: 0, complexity: 0 }
+
+        add(
+          {
+            depth: children.depth,
+            fieldCount: children.fieldCount + 1,
+            complexity: cost.value + children.complexity,
+          },
+          1,
+          multiplierOf(field, selection, cost.multipliers, variables)
+        )
+      }
+      else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        let condition = selection.typeCondition
+
+        add(
+          measure(
+            condition ? schema.getType(condition.name.value) : type,
+            selection.selectionSet,
+            spread
+          ),
+          0,
+          1
+        )
+      }
+      else {
+        let name = selection.name.value
+        let fragment = fragments[name]
+
+        if (!fragment || spread.includes(name)) {
+          continue
+        }
+
+        // Each fragment is measured once, however often it is spread, so
+        // that nesting spreads cannot make the analysis itself exponential
+        if (!measured[name]) {
+          measured[name] = measure(
+            schema.getType(fragment.typeCondition.name.value),
+            fragment.selectionSet,
+            spread.concat(name)
+          )
+        }
+
+        add(measured[name], 0, 1)
+      }
+    }
+
+    return result
+  }
+
+  let rootTypes = {
+    query: schema.getQueryType(),
+    mutation: schema.getMutationType(),
+    subscription: schema.getSubscriptionType(),
+  }
+
+  return measure(rootTypes[operation.operation], operation.selectionSet, [])
+}
+
+/**
+ * Checks the supplied operation against the `maxDepth` and `maxComplexity`
+ * limits in `options`, as used by `Schemata#run()` and `Schemata#runAsync()`
+ * before executing anything. Should a limit be exceeded, an execution result
+ * with an error for each exceeded limit is returned. Each error wraps an
+ * `OperationComplexityError` and has an `extensions.code` of either
+ * `MAX_DEPTH_EXCEEDED` or `MAX_COMPLEXITY_EXCEEDED`.
+ *
+ * Operations that cannot be parsed or found are left for GraphQL itself to
+ * report. Any other error is thrown rather than letting the operation run
+ * unchecked.
+ *
+ * @param {GraphQLSchema} schema the schema against which the operation runs
+ * @param {OperationSource} document the operation about to be executed
+ * @param {RunOptions} options the limits along with any `variables`,
+ * `operationName`, `costs` and `defaultCost` used to measure the operation
+ * @return {ExecutionResult|null} a result containing only `errors` if the
+ * operation should be rejected; null otherwise
+ */
+export function checkOperationLimits(
+  schema: GraphQLSchema,
+  document: OperationSource,
+  options: RunOptions & CostAnalysisOptions = {}
+): ?ExecutionResult {
+  let { maxDepth, maxComplexity } = options
+  let ast
+
+  if (maxDepth == null && maxComplexity == null) {
+    return null
+  }
+
+  try {
+    ast = toDocument(document)
+  }
+  catch (error) {
+    if (error instanceof GraphQLError) {
+      return null
+    }
+
+    throw error
+  }
+
+  let operation = findOperation(ast, options.operationName)
+
+  if (!operation) {
+    return null
+  }
+
+  let analysis = analyzeOperation(schema, ast, options)
+  let errors = []
+
+  for (let [limit, max, actual] of [
+    ['maxDepth', maxDepth, analysis.depth],
+    ['maxComplexity', maxComplexity, analysis.complexity],
+  ]) {
+    if (max != null && actual > max) {
+      let error = new OperationComplexityError(limit, max, analysis)
+
+      errors.push(new GraphQLError(
+        error.message,
+        [operation],
+        undefined,
+        undefined,
+        undefined,
+        error,
+        Object.assign({ code: error.code, limit, max }, analysis)
+      ))
+    }
+  }
+
+  return errors.length ? { errors } : null
+}
+
+/**
+ * Parses the supplied operation source unless it is already a DocumentNode
+ *
+ * @param {OperationSource} document the operation to parse
+ * @return {DocumentNode} the parsed document
+ */
+function toDocument(document: OperationSource): DocumentNode {
+  if (document && (document: any).kind === Kind.DOCUMENT) {
+    return (document: any)
+  }
+
+  return parse(document instanceof Source ? document : String(document))
+}
+
+/**
+ * Finds the operation with the supplied name or, when no name is supplied,
+ * the first operation in the document.
+ *
+ * @param {DocumentNode} ast the document containing the operation
+ * @param {string} operationName the name of the operation to find, if any
+ * @return {OperationDefinitionNode|null} the operation or null if there is
+ * no such operation
+ */
+function findOperation(
+  ast: DocumentNode,
+  operationName: ?string
+): ?OperationDefinitionNode {
+  return (ast.definitions.find(definition => (
+    definition.kind === Kind.OPERATION_DEFINITION && (
+      !operationName ||
+      (definition.name && definition.name.value === operationName)
+    )
+  )): any) || null
+}
+
+/**
+ * Determines whether a selection is included given the `@skip` and
+ * `@include` directives applied to it and the variables of the operation.
+ *
+ * @param {Object} selection the field, fragment spread or inline fragment
+ * @param {Object} variables the variables supplied with the operation
+ * @return {boolean} false if the selection is skipped; true otherwise
+ */
+function isIncluded(selection: Object, variables: Object): boolean {
+  try {
+    let skip = getDirectiveValues(GraphQLSkipDirective, selection, variables)
+    let include = getDirectiveValues(
+      GraphQLIncludeDirective,
+      selection,
+      variables
+    )
+
+    return !(skip && skip.if) && !(include && !include.if)
+  }
+  catch (error) {
+    return true
+  }
+}
+
+/**
+ * Determines the cost of a field from the `costs` map, then any `@cost`
+ * directive on its definition and finally the default cost.
+ *
+ * @param {Object} costs the costs keyed by type and field name
+ * @param {GraphQLType} type the type on which the field is selected
+ * @param {GraphQLField} field the definition of the field, if known
+ * @param {string} name the name of the field
+ * @param {number} defaultCost the cost of fields without one of their own
+ * @return {{value: number, multipliers: Array<string>}} the cost of the
+ * field and the names of the arguments that multiply it
+ */
+function costOf(
+  costs: Object,
+  type: ?GraphQLType,
+  field: ?GraphQLField<any, any>,
+  name: string,
+  defaultCost: number
+): { value: number, multipliers: Array<string> } {
+  let configured: ?(number | FieldCost) =
+    type && costs[(type: any).name] && costs[(type: any).name][name]
+
+  if (configured == null && field && field.astNode) {
+    let directive = (field.astNode.directives || []).find(
+      directive => directive.name.value === 'cost'
+    )
+
+    if (directive) {
+      configured = {}
+
+      for (let argument of directive.arguments) {
+        configured[argument.name.value] = valueFromASTUntyped(argument.value)
+      }
+    }
+  }
+
+  if (typeof configured === 'number') {
+    configured = { value: configured }
+  }
+
+  return {
+    value: configured && configured.value != null
+      ? Number(configured.value)
+      : defaultCost,
+    multipliers: [].concat((configured && configured.multipliers) || []),
+  }
+}
+
+/**
+ * Calculates the multiplier of a field from the values supplied for the
+ * arguments named in `multipliers`. Numbers multiply by their value, lists
+ * by their length and anything else, including missing arguments, by one.
+ *
+ * @param {GraphQLField} field the definition of the field, if known
+ * @param {FieldNode} node the field as selected in the operation
+ * @param {Array<string>} multipliers the names of the multiplying arguments
+ * @param {Object} variables the variables supplied with the operation
+ * @return {number} the product of the multiplying arguments
+ */
+function multiplierOf(
+  field: ?GraphQLField<any, any>,
+  node: FieldNode,
+  multipliers: Array<string>,
+  variables: Object
+): number {
+  let multiplier = 1
+
+  for (let name of multipliers) {
+    let definition = field && field.args.find(arg => arg.name === name)
+    let argument = (node.arguments || []).find(
+      argument => argument.name.value === name
+    )
+    let value = definition && definition.defaultValue
+
+    if (definition && argument) {
+      value = valueFromAST(argument.value, definition.type, variables)
+    }
+
+    if (Array.isArray(value)) {
+      multiplier *= value.length
+    }
+    else if (typeof value === 'number' && value >= 0) {
+      multiplier *= value
+    }
+  }
+
+  return multiplier
+}
+
+export default analyzeOperation
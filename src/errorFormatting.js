@@ -0,0 +1,98 @@
+// @flow
+
+import { BaseError } from './BaseError'
+
+import type { ExecutionResult, GraphQLError } from 'graphql'
+import type { ErrorFormatOptions, FormattedError } from './types'
+
+/**
+ * Matches the ANSI escape sequences used to color terminal output
+ *
+ * @type {RegExp}
+ */
+const ANSI = /\u001b\[[0-9;]*[A-Za-z]/g
+
+/**
+ * Formats an error for the `errors` of a GraphQL response, in the shape set
+ * out by the specification with any `code` and other details under
+ * `extensions`.
+ *
+ * Errors raised by this library, such as a `WrappedResolverExecutionError`,
+ * only report their `publicMessage` and `extensions` unless `options.debug`
+ * is true, so that the arguments, context and results they capture for the
+ * developer never reach clients. When debugging, their full message is used
+ * and the stack trace of the error they wrap is added as
+ * `extensions.exception.stacktrace`. Other errors keep their message, as
+ * GraphQL reports them by default. Terminal colors are always removed.
+ *
+ * @param {GraphQLError|Error} error the error to format; usually one of the
+ * `errors` of an execution result
+ * @param {ErrorFormatOptions} options an optional object with a `debug`
+ * flag to include developer details
+ * @return {FormattedError} the error as it should be sent to clients
+ */
+export function formatError(
+  error: GraphQLError | Error,
+  options: ErrorFormatOptions = {}
+): FormattedError {
+  let graphQLError: Object = error
+  let original: Object = graphQLError.originalError || error
+  let internal = original instanceof BaseError ? original : null
+  let message = internal && !options.debug
+    ? internal.publicMessage
+    : String(error.message)
+  let extensions = Object.assign(
+    {},
+    internal && internal.extensions,
+    graphQLError.extensions
+  )
+  let formatted: FormattedError = {
+    message: message.replace(ANSI, ''),
+    locations: graphQLError.locations,
+    path: graphQLError.path,
+  }
+
+  if (options.debug) {
+    let cause = (internal && internal.error) || original
+
+    extensions.exception = {
+      stacktrace: String((cause && cause.stack) || message)
+        .replace(ANSI, '')
+        .split('\n'),
+    }
+  }
+
+  if (Object.keys(extensions).length) {
+    formatted.extensions = extensions
+  }
+
+  return formatted
+}
+
+/**
+ * Formats each of the `errors` of an execution result with `formatError()`,
+ * as `Schemata#run()` and `Schemata#runAsync()` do. Errors are made safe for
+ * clients unless another `errorFormat` is asked for.
+ *
+ * @param {ExecutionResult} result the result of executing an operation
+ * @param {string} errorFormat `'safe'`, the default, for production safe
+ * errors, `'debug'` for developer details or `'raw'` to leave the errors
+ * untouched
+ * @return {ExecutionResult} the result with its errors formatted
+ */
+export function formatResult(
+  result: ExecutionResult,
+  errorFormat: ?('safe' | 'debug' | 'raw')
+): ExecutionResult {
+  if (errorFormat === 'raw' || !result || !result.errors) {
+    return result
+  }
+
+  let debug = errorFormat === 'debug'
+
+  return (Object.assign({}, result, {
+    errors: result.errors.map(error => formatError(error, { debug })),
+  }): any)
+}
+
+export default formatError
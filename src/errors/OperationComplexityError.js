@@ -0,0 +1,119 @@
+// @flow
+
+import { dropLowest } from 'ne-tag-fns'
+import { BaseError } from '../BaseError'
+
+import type { OperationCost } from '../types'
+
+/**
+ * The `OperationComplexityError` describes an operation rejected before it
+ * was executed because it was nested too deeply or was too complex. It is
+ * reported as the original error of the GraphQLError returned from `run()`
+ * or `runAsync()` when a `maxDepth` or `maxComplexity` limit is exceeded.
+ *
+ * @class OperationComplexityError
+ */
+export class OperationComplexityError extends BaseError {
+  /**
+   * The name of the limit that was exceeded; either `'maxDepth'` or
+   * `'maxComplexity'`
+   *
+   * @type {string}
+   */
+  limit: 'maxDepth' | 'maxComplexity'
+
+  /**
+   * The value of the limit that was exceeded
+   *
+   * @type {number}
+   */
+  max: number
+
+  /**
+   * The depth, field count and complexity measured for the operation
+   *
+   * @type {OperationCost}
+   */
+  analysis: OperationCost
+
+  /**
+   * Creates a new instance of `OperationComplexityError`.
+   *
+   * @constructor
+   *
+   * @param {string} limit the name of the limit exceeded; `'maxDepth'` or
+   * `'maxComplexity'`
+   * @param {number} max the value of the limit exceeded
+   * @param {OperationCost} analysis the measurements of the operation
+   */
+  constructor(
+    limit: 'maxDepth' | 'maxComplexity',
+    max: number,
+    analysis: OperationCost
+  ) {
+    super(limit === 'maxDepth'
+      ? `The operation has a depth of ${analysis.depth}, which exceeds ` +
+        `the maximum depth of ${max}.`
+      : `The operation has a complexity of ${analysis.complexity}, which ` +
+        `exceeds the maximum complexity of ${max}.`
+    )
+
+    this.limit = limit
+    this.max = max
+    this.analysis = analysis
+  }
+
+  /**
+   * A code identifying the limit that was exceeded; `MAX_DEPTH_EXCEEDED` or
+   * `MAX_COMPLEXITY_EXCEEDED`. It is also reported as `extensions.code` of
+   * the GraphQLError wrapping this error.
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return this.limit === 'maxDepth'
+      ? 'MAX_DEPTH_EXCEEDED'
+      : 'MAX_COMPLEXITY_EXCEEDED'
+  }
+
+  /**
+   * The message of this error, which only describes the operation and the
+   * limit exceeded, so is safe to show to clients in production
+   *
+   * @type {string}
+   */
+  get publicMessage(): string {
+    return this.message
+  }
+
+  /**
+   * Description of the OperationComplexityError error and likely cause
+   * and fix.
+   *
+   * @return {string} a string denoting the purpose/cause of this error class
+   */
+  toString(): string {
+    return dropLowest`
+      ${this.message}
+
+      The operation was rejected before being executed. Select fewer or less
+      deeply nested fields, request smaller pages of lists or raise the
+      '${this.limit}' limit.
+
+      Depth: ${this.analysis.depth}
+      Field count: ${this.analysis.fieldCount}
+      Complexity: ${this.analysis.complexity}
+    `
+  }
+
+  /**
+   * Modify the `valueOf()` function to mirror the `toString()` functionality
+   *
+   * @return {string} an identical string to `.toString()`
+   */
+  valueOf(): string {
+    return this.toString()
+  }
+}
+
+export default OperationComplexityError
@@ -13,6 +13,24 @@ import { BaseError } from '../BaseError'
  * @class ResolverMapStumble
  */
 export class ResolverMapStumble extends BaseError {
+  /**
+   * The code reported to clients for this error
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return 'RESOLVER_MAP_INVALID'
+  }
+
+  /**
+   * A message safe to show to clients in production
+   *
+   * @type {string}
+   */
+  get publicMessage(): string {
+    return 'The resolver map is invalid.'
+  }
+
   /**
    * Description of the ResolverMapStumble error and likely cause and fix.
    *
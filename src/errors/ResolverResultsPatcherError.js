@@ -70,6 +70,25 @@ export class ResolverResultsPatcherError extends BaseError {
     this.results = results
   }
 
+  /**
+   * The code reported to clients for this error
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return 'RESULT_PATCHER_FAILED'
+  }
+
+  /**
+   * A message safe to show to clients in production; the results and
+   * context captured for the developer are left out.
+   *
+   * @type {string}
+   */
+  get publicMessage(): string {
+    return 'The results of the field could not be processed.'
+  }
+
   /**
    * Description of the ResolverResultsPatcherError error and likely cause
    * and fix.
@@ -0,0 +1,87 @@
+// @flow
+
+import { dropLowest } from 'ne-tag-fns'
+import { BaseError } from '../BaseError'
+
+/**
+ * The `ResolverTimeoutError` is thrown when a function run by an
+ * `ExtendedResolver` with a `timeout` policy takes longer than allowed to
+ * resolve. The function itself is not stopped, but its eventual result is
+ * ignored.
+ *
+ * @class ResolverTimeoutError
+ */
+export class ResolverTimeoutError extends BaseError {
+  /**
+   * The number of milliseconds the function was allowed to take
+   *
+   * @type {number}
+   */
+  timeout: number
+
+  /**
+   * The name of the function that timed out, if it had one
+   *
+   * @type {string}
+   */
+  resolverName: string
+
+  /**
+   * Creates a new instance of `ResolverTimeoutError`.
+   *
+   * @constructor
+   *
+   * @param {number} timeout the number of milliseconds allowed
+   * @param {string} name the name of the function that timed out
+   */
+  constructor(timeout: number, name: string = 'anonymous') {
+    super(`The resolver '${name}' did not resolve within ${timeout}ms.`)
+
+    this.timeout = timeout
+    this.resolverName = name
+  }
+
+  /**
+   * The code reported to clients for this error
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return 'RESOLVER_TIMEOUT'
+  }
+
+  /**
+   * A message safe to show to clients in production
+   *
+   * @type {string}
+   */
+  get publicMessage(): string {
+    return 'The field did not resolve in time.'
+  }
+
+  /**
+   * Description of the ResolverTimeoutError error and likely cause and fix.
+   *
+   * @return {string} a string denoting the purpose/cause of this error class
+   */
+  toString(): string {
+    return dropLowest`
+      ${this.message}
+
+      The function was given a timeout policy of ${this.timeout}ms. Check
+      the service it calls, raise the timeout or add a retry or fallback
+      policy to the function.
+    `
+  }
+
+  /**
+   * Modify the `valueOf()` function to mirror the `toString()` functionality
+   *
+   * @return {string} an identical string to `.toString()`
+   */
+  valueOf(): string {
+    return this.toString()
+  }
+}
+
+export default ResolverTimeoutError
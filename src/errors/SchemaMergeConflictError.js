@@ -0,0 +1,98 @@
+// @flow
+
+import { dropLowest } from 'ne-tag-fns'
+import { BaseError } from '../BaseError'
+
+import type { MergeConflict } from '../types'
+
+/**
+ * The `SchemaMergeConflictError` is thrown when two schemas are merged using
+ * the `'error'` conflict strategy and the two sides disagree on the definition
+ * of one or more types, fields, enum values, union members or directives.
+ * Every conflict found during the merge is captured, not just the first.
+ *
+ * @class SchemaMergeConflictError
+ */
+export class SchemaMergeConflictError extends BaseError {
+  /**
+   * Each of the conflicts found while merging, including the type, the field
+   * or other subtype and both of the conflicting definitions along with their
+   * source locations.
+   *
+   * @type {Array<MergeConflict>}
+   */
+  conflicts: Array<MergeConflict>
+
+  /**
+   * Creates a new instance of `SchemaMergeConflictError`.
+   *
+   * @constructor
+   *
+   * @param {Array<MergeConflict>} conflicts the conflicts found while merging
+   */
+  constructor(conflicts: Array<MergeConflict>) {
+    super(
+      `Merging schemas failed with ${conflicts.length} conflict(s): ` +
+      conflicts.map(describeConflict).join('; ')
+    )
+
+    this.conflicts = conflicts
+  }
+
+  /**
+   * The code reported to clients for this error
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return 'SCHEMA_MERGE_CONFLICT'
+  }
+
+  /**
+   * Description of the SchemaMergeConflictError error and likely cause
+   * and fix.
+   *
+   * @return {string} a string denoting the purpose/cause of this error class
+   */
+  toString(): string {
+    return dropLowest`
+      The schemas being merged disagree on the definitions listed below. The
+      merge was made using the 'error' conflict strategy, so rather than
+      silently taking one side, every conflict is reported. Reconcile the
+      definitions or choose another conflict strategy.
+
+      ${this.conflicts.map(describeConflict).join('\n')}
+    `
+  }
+
+  /**
+   * Modify the `valueOf()` function to mirror the `toString()` functionality
+   *
+   * @return {string} an identical string to `.toString()`
+   */
+  valueOf(): string {
+    return this.toString()
+  }
+}
+
+/**
+ * Creates a single line description of a conflict found while merging.
+ *
+ * @param {MergeConflict} conflict the conflict to describe
+ * @return {string} a description noting the type, field and both definitions
+ * along with where each was defined
+ */
+function describeConflict(conflict: MergeConflict): string {
+  let path = conflict.field
+    ? `${conflict.type}.${conflict.field}`
+    : conflict.type
+  let where = location =>
+    location ? ` (line ${location.line}, column ${location.column})` : ''
+
+  return (
+    `${path}: \`${conflict.left}\`${where(conflict.leftLocation)} ` +
+    `conflicts with \`${conflict.right}\`${where(conflict.rightLocation)}`
+  )
+}
+
+export default SchemaMergeConflictError
@@ -2,6 +2,7 @@
 
 import { inline, dropLowest } from 'ne-tag-fns'
 import { BaseError } from '../BaseError'
+import { GraphQLError } from 'graphql'
 import { inspect } from 'util'
 import PrettyError from 'pretty-error'
 
@@ -88,6 +89,46 @@ export class WrappedResolverExecutionError extends BaseError {
     this.results = results
   }
 
+  /**
+   * The code reported to clients for this error
+   *
+   * @type {string}
+   */
+  get code(): string {
+    return 'RESOLVER_EXECUTION_FAILED'
+  }
+
+  /**
+   * A message safe to show to clients in production. The message of the
+   * wrapped error is only used when that error was meant for clients; that
+   * is, when it is a GraphQLError or has `extensions` of its own.
+   *
+   * @type {string}
+   */
+  get publicMessage(): string {
+    let error: Object = this.error
+
+    if (error && (error instanceof GraphQLError || error.extensions)) {
+      return error instanceof BaseError ? error.publicMessage : error.message
+    }
+
+    return 'The field could not be resolved.'
+  }
+
+  /**
+   * The `extensions` of the error as reported in a GraphQL response. Any
+   * `extensions` of the wrapped error, such as its own `code`, take
+   * precedence so that wrapping a resolver does not change what clients
+   * see.
+   *
+   * @type {Object}
+   */
+  get extensions(): { [string]: mixed } {
+    let error: Object = this.error
+
+    return Object.assign({ code: this.code }, error && error.extensions)
+  }
+
   /**
    * Description of the WrappedResolverExecutionError error and likely cause
    * and fix.
@@ -1,3 +1,6 @@
 export { ResolverMapStumble } from './ResolverMapStumble'
 export { WrappedResolverExecutionError } from './WrappedResolverExecutionError'
 export { ResolverResultsPatcherError } from './ResolverResultsPatcherError'
+export { SchemaMergeConflictError } from './SchemaMergeConflictError'
+export { OperationComplexityError } from './OperationComplexityError'
+export { ResolverTimeoutError } from './ResolverTimeoutError'
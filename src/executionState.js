@@ -0,0 +1,66 @@
+// @flow
+
+/**
+ * The key of the state of a single execution on its root value
+ *
+ * @type {Symbol}
+ */
+const STATE = Symbol('Execution state')
+
+/**
+ * Creates the root value of a single execution of an operation. The root
+ * value supplied is its prototype, so root resolvers read the same fields,
+ * and it holds the state collected while executing, such as the errors
+ * ignored by `continueOnError` policies and the cache hints of the fields
+ * resolved. As every resolver can reach it through `info.rootValue`, the
+ * state of one execution is never mixed with that of another, even when both
+ * run the same parsed document at once. `Schemata#run()` and
+ * `Schemata#runAsync()` create one for each operation; servers executing
+ * operations by other means should do the same and pass it to
+ * `withIgnoredErrors()` and `withCacheControl()` afterwards. Root values
+ * that are neither objects nor empty are returned as they are and collect no
+ * state.
+ *
+ * @param {mixed} rootValue the root value supplied for the operation
+ * @return {mixed} the root value to execute the operation with
+ */
+export function executionRoot(rootValue: mixed): mixed {
+  if (rootValue != null && typeof rootValue !== 'object') {
+    return rootValue
+  }
+
+  let root = Object.create(rootValue || Object.prototype)
+
+  Object.defineProperty(root, STATE, {
+    value: { ignoredErrors: [], cacheHints: [] },
+  })
+
+  return root
+}
+
+/**
+ * Returns the state collected by the execution using the supplied root
+ * value; see `executionRoot()`.
+ *
+ * @param {mixed} root the root value of the execution; usually
+ * `info.rootValue`
+ * @return {Object} the state of the execution or null if the root value
+ * was not created by `executionRoot()`
+ */
+export function executionState(
+  root: mixed
+): ?{ ignoredErrors: Array<mixed>, cacheHints: Array<Object> } {
+  let object: any = root
+
+  if (
+    !object ||
+    typeof object !== 'object' ||
+    !Object.prototype.hasOwnProperty.call(object, STATE)
+  ) {
+    return null
+  }
+
+  return object[STATE]
+}
+
+export default executionRoot
@@ -63,7 +63,9 @@ TypeMap.set(SCALARS, GraphQLScalarType)
 /**
  * Iterates over the values contained in a Schema's typeMap. If a desired
  * value is encountered, the supplied callback will be invoked. The values are
- * the constants ALL, TYPES, INTERFACES, ENUMS, UNIONS and SCALARS. Optionally
+ * the constants ALL, TYPES, INTERFACES, ENUMS, UNIONS, SCALARS, INPUT_TYPES
+ * and ROOT_TYPES; the latter denoting the query, mutation and subscription
+ * types of the schema whatever their names. Optionally
  * HIDDEN is another value that can be bitmasked together for a varied result.
  * HIDDEN exposes the values in the schema typemap that begin with a double
  * underscore.
@@ -130,17 +132,16 @@ function forEachOf(
       if (doIt) {
         return
       }
-      else if (
-        (mask & ROOT_TYPES) === ROOT_TYPES
-        &&
-        (
-          type === schema.getQueryType()
-          || type === schema.getSubscriptionType()
-          || type === schema.getMutationType()
-        )
-      ) {
-        doIt = true
-        return
+      else if (mask === ROOT_TYPES) {
+        // Root types are determined by the schema rather than by name so
+        // that those named in a schema definition are found
+        doIt =
+          ((types & mask) === mask) &&
+          (
+            type === schema.getQueryType()
+            || type === schema.getSubscriptionType()
+            || type === schema.getMutationType()
+          )
       }
       else {
         doIt =
@@ -206,7 +207,7 @@ function forEachField(
 ): GraphQLSchema {
   forEachOf(
     schema,
-    (type, typeName, _, context, directives) => {
+    (type, typeName, directives, _schema, context) => {
       if (!type._fields) {
         return
       }
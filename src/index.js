@@ -2,11 +2,15 @@ import { Schemata } from './Schemata'
 import jestTransformer from './jestTransformer'
 
 export {
+  ConflictStrategies,
+  DefaultArgumentMergeResolver,
   DefaultConflictResolvers,
   DefaultDirectiveMergeResolver,
   DefaultEnumMergeResolver,
   DefaultFieldMergeResolver,
   DefaultMergeOptions,
+  DefaultOperationTypeMergeResolver,
+  DefaultRootTypeNames,
   DefaultScalarMergeResolver,
   DefaultUnionMergeResolver,
   isRootType,
@@ -17,11 +21,75 @@ export {
   TYPEDEFS_KEY
 } from './Schemata'
 
-export { ExtendedResolver } from './ExtendedResolver'
+export { ExtendedResolver, DefaultResultsMerger } from './ExtendedResolver'
 export { ExtendedResolverMap } from './ExtendedResolverMap'
-export { register, graphQLExtensionHandler } from './GraphQLExtension'
+export {
+  register,
+  registerIntrospection,
+  graphQLExtensionHandler,
+  introspectionExtensionHandler,
+} from './GraphQLExtension'
 export { gql } from './gqlTagFn'
 export { at, atNicely } from './propAt'
+export {
+  diffAST,
+  isSafeInputTypeChange,
+  isSafeOutputTypeChange,
+  ChangeTypes,
+  BREAKING,
+  DANGEROUS,
+  SAFE,
+} from './schemaDiff'
+export {
+  lintAST,
+  LintRules,
+  DefaultLintRules,
+  ERROR,
+  WARNING,
+} from './schemaLint'
+export {
+  renameTypes,
+  renameFields,
+  prefixTypes,
+  filterTypes,
+  filterRootFields,
+} from './schemaTransforms'
+export { delegateTo, delegatedFieldResolver } from './stitching'
+export { analyzeOperation, checkOperationLimits } from './costAnalysis'
+export { DefaultMocks, mockResolvers } from './schemaMocks'
+export {
+  applyDirectives,
+  authDirective,
+  deprecatedDirective,
+  DefaultDirectives,
+  DefaultRoleChecker,
+} from './schemaDirectives'
+export {
+  validateOperation,
+  validateOperationFiles,
+} from './operationValidation'
+export { withIgnoredErrors } from './resolverPolicies'
+export { executionRoot } from './executionState'
+export { formatError } from './errorFormatting'
+export { Loader, attachLoaders, createLoaders } from './loaders'
+export {
+  applyCacheControl,
+  cacheResolver,
+  withCacheControl,
+  DefaultCacheParentKey,
+  DefaultCacheUserKey,
+  LRUCacheStore,
+} from './resultCache'
+export {
+  traceResolver,
+  traceSchema,
+} from './tracing'
+export {
+  DefaultScalarTypes,
+  generateFlow,
+  generateTypes,
+  generateTypeScript,
+} from './typeGenerators'
 export {
   walkResolverMap,
   asyncWalkResolverMap,
@@ -34,22 +102,67 @@ export {
   ResolverMapStumble,
   WrappedResolverExecutionError,
   ResolverResultsPatcherError,
+  SchemaMergeConflictError,
+  OperationComplexityError,
+  ResolverTimeoutError,
 } from './errors'
 
 export type {
+  ArgumentMergeResolver,
   AsyncEntryInspector,
+  CacheControlConfig,
+  CacheHint,
+  CacheStore,
   ConflictResolvers,
+  ConflictStrategy,
+  CostAnalysisOptions,
+  CostMap,
   DirectiveMergeResolver,
+  DirectiveResolver,
   EntryInspector,
   EnumMergeResolver,
+  ErrorFormatOptions,
+  FieldCost,
   FieldMergeResolver,
+  FormattedError,
+  IntrospectionSource,
+  LintFinding,
+  LintReporter,
+  LintRule,
+  LintRuleConfig,
+  LoaderBatchFunction,
+  LoaderDefinitions,
+  LoaderOptions,
+  MergeConflict,
   MergeOptionsConfig,
+  MockGenerator,
+  MockOptions,
+  OperationCost,
+  OperationSource,
+  OperationValidationOptions,
+  OperationTypeMergeResolver,
   ResolverArgs,
   ResolverArgsTransformer,
   ResolverMap,
+  ResolverMiddleware,
+  ResolverPolicy,
+  ResolverResultsMerger,
   ResolverResultsPatcher,
+  ResolverTiming,
+  ResolverTrace,
+  ResultCacheOptions,
+  RoleChecker,
+  RootOperationTypes,
+  RunOptions,
+  RunRequest,
   ScalarMergeResolver,
+  SchemaChange,
   SchemaSource,
+  SchemaTransform,
+  StitchLink,
+  StitchOptions,
+  TypeGeneratorOptions,
+  TransformResult,
   UnionMergeResolver,
 } from './types'
 
@@ -0,0 +1,348 @@
+// @flow
+
+import type {
+  LoaderBatchFunction,
+  LoaderDefinitions,
+  LoaderOptions,
+} from './types'
+
+const isFn = o => /Function\]/.test(Object.prototype.toString.call(o))
+
+/**
+ * A request scoped batching and caching loader in the style of DataLoader.
+ * Every key loaded within the same tick is collected and handed to the
+ * batch function in a single call, so resolving a list of N items costs one
+ * call rather than N. Values are cached by key for the life of the loader,
+ * which should be the life of a single request; `Schemata#withLoaders()`
+ * creates new loaders for every operation it runs.
+ *
+ * @class Loader
+ */
+export class Loader {
+  /**
+   * The function loading the values for a list of keys
+   *
+   * @type {LoaderBatchFunction}
+   */
+  batch: LoaderBatchFunction
+
+  /**
+   * The options of the loader; see `LoaderOptions`
+   *
+   * @type {LoaderOptions}
+   */
+  options: LoaderOptions
+
+  /**
+   * The context of the request the loader serves, passed to `batch`
+   *
+   * @type {mixed}
+   */
+  context: mixed
+
+  /**
+   * Promises of the values loaded so far, keyed by cache key
+   *
+   * @type {Map<mixed, Promise<mixed>>}
+   */
+  cache: Map<mixed, Promise<mixed>>
+
+  /**
+   * The loads waiting for the next batch to be dispatched
+   *
+   * @type {Array<Object>}
+   */
+  queue: Array<{
+    key: mixed,
+    resolve: Function,
+    reject: Function,
+    promise?: Promise<mixed>,
+  }>
+
+  /**
+   * Creates a new loader.
+   *
+   * @constructor
+   *
+   * @param {LoaderBatchFunction} batch a function receiving a list of keys
+   * and the request context, and returning, or resolving, a list of values
+   * of the same length and order. An Error in place of a value rejects the
+   * load of that key alone.
+   * @param {LoaderOptions} options an optional object; `cache: false`
+   * disables caching, `maxBatchSize` limits the keys per batch and
+   * `cacheKey` converts keys, such as objects, to cache keys
+   * @param {mixed} context the context of the request, if any
+   */
+  constructor(
+    batch: LoaderBatchFunction,
+    options: LoaderOptions = {},
+    context: mixed = null
+  ) {
+    if (!isFn(batch)) {
+      throw new TypeError('A Loader requires a batch function')
+    }
+
+    this.batch = batch
+    this.options = options
+    this.context = context
+    this.cache = new Map()
+    this.queue = []
+  }
+
+  /**
+   * Loads the value for a single key. The key joins the next batch unless
+   * its value is already cached.
+   *
+   * @param {mixed} key the key to load
+   * @return {Promise<mixed>} a promise of the value for the key
+   */
+  load(key: mixed): Promise<mixed> {
+    if (key === null || key === undefined) {
+      return Promise.reject(new TypeError(
+        `Loader.load() requires a key but received ${String(key)}`
+      ))
+    }
+
+    let cacheKey = this.cacheKeyOf(key)
+    let caching = this.options.cache !== false
+
+    if (caching && this.cache.has(cacheKey)) {
+      return (this.cache.get(cacheKey): any)
+    }
+
+    let load: Object = { key }
+    let promise = new Promise((resolve, reject) => {
+      this.queue.push(Object.assign(load, { resolve, reject }))
+
+      if (this.queue.length === 1) {
+        scheduleDispatch(this)
+      }
+    })
+
+    load.promise = promise
+
+    if (caching) {
+      this.cache.set(cacheKey, promise)
+    }
+
+    return promise
+  }
+
+  /**
+   * Loads the values for several keys, in the same batch where possible.
+   *
+   * @param {Array<mixed>} keys the keys to load
+   * @return {Promise<Array<mixed>>} a promise of the values in the order of
+   * the keys
+   */
+  loadMany(keys: Array<mixed>): Promise<Array<mixed>> {
+    return Promise.all(keys.map(key => this.load(key)))
+  }
+
+  /**
+   * Caches a value for a key, unless one is already cached, so that a later
+   * `load()` does not need a batch. Errors may be primed as well, in which
+   * case loading the key rejects with them.
+   *
+   * @param {mixed} key the key of the value
+   * @param {mixed} value the value to cache
+   * @return {Loader} this loader, for chaining
+   */
+  prime(key: mixed, value: mixed): Loader {
+    let cacheKey = this.cacheKeyOf(key)
+
+    if (this.options.cache !== false && !this.cache.has(cacheKey)) {
+      let promise = value instanceof Error
+        ? Promise.reject(value)
+        : Promise.resolve(value)
+
+      // Prevent unhandled rejections for errors that are never loaded
+      promise.catch(() => {})
+      this.cache.set(cacheKey, promise)
+    }
+
+    return this
+  }
+
+  /**
+   * Removes the cached value of a key, such as after a mutation changed it.
+   *
+   * @param {mixed} key the key whose value should be forgotten
+   * @return {Loader} this loader, for chaining
+   */
+  clear(key: mixed): Loader {
+    this.cache.delete(this.cacheKeyOf(key))
+
+    return this
+  }
+
+  /**
+   * Removes every cached value.
+   *
+   * @return {Loader} this loader, for chaining
+   */
+  clearAll(): Loader {
+    this.cache.clear()
+
+    return this
+  }
+
+  /**
+   * Converts a key into the key used by the cache
+   *
+   * @param {mixed} key the key supplied to `load()`
+   * @return {mixed} the cache key
+   */
+  cacheKeyOf(key: mixed): mixed {
+    return this.options.cacheKey ? this.options.cacheKey(key) : key
+  }
+}
+
+/**
+ * Creates loaders for a single request from the supplied definitions,
+ * keyed the same way; typically by type name and then loader name. Each
+ * definition is either a batch function or an object with a `batch`
+ * function and any `LoaderOptions`.
+ *
+ * @param {LoaderDefinitions} definitions the batch functions, keyed by type
+ * and loader name
+ * @param {mixed} context the context of the request, passed to each batch
+ * function
+ * @param {Object} existing loaders already created for the request, which
+ * are kept rather than replaced
+ * @return {Object} the loaders, keyed by type and loader name
+ */
+export function createLoaders(
+  definitions: LoaderDefinitions,
+  context: mixed = null,
+  existing: ?Object = null
+): { [string]: { [string]: Loader } } {
+  let loaders = Object.assign({}, existing)
+
+  for (let typeName of Object.keys(definitions)) {
+    let group = loaders[typeName] = Object.assign({}, loaders[typeName])
+
+    for (let name of Object.keys(definitions[typeName])) {
+      let definition: any = definitions[typeName][name]
+
+      if (group[name]) {
+        continue
+      }
+
+      group[name] = isFn(definition)
+        ? new Loader(definition, {}, context)
+        : new Loader(definition.batch, definition, context)
+    }
+  }
+
+  return loaders
+}
+
+/**
+ * Adds new loaders for a single operation to the supplied context under
+ * `context.loaders`, as `Schemata#run()` and `Schemata#runAsync()` do for
+ * instances created with `withLoaders()`. The context itself is used, so
+ * anything written to it while the operation runs, such as `context.user`
+ * set by an authorization check, is seen by the caller. Loaders of the same
+ * type names already on the context are replaced and others are kept, so
+ * no cached value outlives the operation. Sharing loaders between the
+ * operations of one request is opt in: with `share`, loaders already on the
+ * context are kept and only missing ones are added, so that it can be
+ * passed to each operation and primed or cleared by the caller. Without an
+ * object context, a new one is created.
+ *
+ * @param {mixed} context the context supplied for the operation
+ * @param {LoaderDefinitions} definitions the batch functions, keyed by type
+ * and loader name
+ * @param {boolean} share true if the loaders should be reused from the
+ * supplied context; false by default
+ * @return {Object} the context to execute with
+ */
+export function attachLoaders(
+  context: mixed,
+  definitions: LoaderDefinitions,
+  share: boolean = false
+): Object {
+  let target: Object = context && typeof context === 'object'
+    ? context
+    : {}
+
+  target.loaders = share
+    ? createLoaders(definitions, target, target.loaders)
+    : Object.assign({}, target.loaders, createLoaders(definitions, target))
+
+  return target
+}
+
+/**
+ * Dispatches the queued loads of a loader once the current tick, including
+ * any promise callbacks queued within it, has run.
+ *
+ * @param {Loader} loader the loader whose queue should be dispatched
+ */
+function scheduleDispatch(loader: Loader): void {
+  Promise.resolve().then(() => process.nextTick(() => dispatch(loader)))
+}
+
+/**
+ * Hands the queued keys of a loader to its batch function, in batches of
+ * at most `maxBatchSize`, and settles each load with its value.
+ *
+ * @param {Loader} loader the loader whose queue should be dispatched
+ */
+function dispatch(loader: Loader): void {
+  let queue = loader.queue
+  let size = loader.options.maxBatchSize || queue.length
+
+  loader.queue = []
+
+  for (let start = 0; start < queue.length; start += size) {
+    let loads = queue.slice(start, start + size)
+    let fail = error => {
+      for (let load of loads) {
+        forget(loader, load)
+        load.reject(error)
+      }
+    }
+
+    Promise.resolve()
+      .then(() => loader.batch(loads.map(load => load.key), loader.context))
+      .then(values => {
+        if (!Array.isArray(values) || values.length !== loads.length) {
+          throw new TypeError(
+            `A Loader batch function must return a list of ${loads.length} ` +
+            `value(s), one for each key, but returned ${String(values)}`
+          )
+        }
+
+        loads.forEach((load, index) => {
+          if (values[index] instanceof Error) {
+            forget(loader, load)
+            load.reject(values[index])
+          }
+          else {
+            load.resolve(values[index])
+          }
+        })
+      })
+      .catch(fail)
+  }
+}
+
+/**
+ * Removes the cached promise of a failed load, so that the key is loaded
+ * again next time, unless it has since been cleared and replaced; i.e. by
+ * `prime()`.
+ *
+ * @param {Loader} loader the loader of the failed load
+ * @param {Object} load the queued load, with its `key` and `promise`
+ */
+function forget(loader: Loader, load: Object): void {
+  let cacheKey = loader.cacheKeyOf(load.key)
+
+  if (loader.cache.get(cacheKey) === load.promise) {
+    loader.cache.delete(cacheKey)
+  }
+}
+
+export default Loader
@@ -0,0 +1,132 @@
+// @flow
+
+import { readFileSync, statSync } from 'fs'
+import { join } from 'path'
+import { sync as globSync } from 'glob'
+import {
+  parse,
+  specifiedRules,
+  validate,
+  GraphQLError,
+  Source,
+} from 'graphql'
+
+import type { DocumentNode, GraphQLSchema } from 'graphql'
+import type {
+  OperationSource,
+  OperationValidationOptions,
+} from './types'
+
+/**
+ * Validates an operation document against the supplied schema without
+ * executing it. The document may be a string, a `Source`, the result of the
+ * `gql` template function or an already parsed DocumentNode. Syntax errors
+ * are reported in the same way as validation errors rather than thrown.
+ *
+ * @param {GraphQLSchema} schema the schema against which to validate
+ * @param {OperationSource} document the query, mutation or subscription
+ * document to validate
+ * @param {OperationValidationOptions} options an optional object whose
+ * `rules` replace the validation rules from the GraphQL specification
+ * @return {Array<GraphQLError>} the errors found, each with `locations`;
+ * empty if the document is valid
+ */
+export function validateOperation(
+  schema: GraphQLSchema,
+  document: OperationSource,
+  options: OperationValidationOptions = {}
+): Array<GraphQLError> {
+  let { rules = specifiedRules } = options
+  let ast: DocumentNode
+
+  if (document && (document: any).kind === 'Document') {
+    ast = (document: any)
+  }
+  else {
+    try {
+      ast = parse(document instanceof Source ? document : String(document))
+    }
+    catch (error) {
+      if (error instanceof GraphQLError) {
+        return [error]
+      }
+
+      throw error
+    }
+  }
+
+  return validate(schema, ast, rules)
+}
+
+/**
+ * Validates every operation file matched by the supplied glob patterns,
+ * file paths or directories against the supplied schema. Directories are
+ * searched for `.graphql` and `.gql` files at any depth.
+ *
+ * @param {GraphQLSchema} schema the schema against which to validate
+ * @param {string|Array<string>} globOrList a glob pattern, file path or
+ * directory, or an array of any of these
+ * @param {OperationValidationOptions} options an optional object whose
+ * `rules` replace the validation rules from the GraphQL specification
+ * @return {{[string]: Array<GraphQLError>}} an object mapping the path of
+ * each file found to the errors within it; files without errors map to an
+ * empty array
+ */
+export function validateOperationFiles(
+  schema: GraphQLSchema,
+  globOrList: string | Array<string>,
+  options: OperationValidationOptions = {}
+): { [string]: Array<GraphQLError> } {
+  let results = {}
+
+  for (let file of operationFiles(globOrList)) {
+    results[file] = validateOperation(
+      schema,
+      readFileSync(file).toString(),
+      options
+    )
+  }
+
+  return results
+}
+
+/**
+ * Expands the supplied glob patterns, file paths and directories into a
+ * sorted list of unique file paths.
+ *
+ * @param {string|Array<string>} globOrList a glob pattern, file path or
+ * directory, or an array of any of these
+ * @return {Array<string>} the paths of the files found
+ */
+function operationFiles(globOrList: string | Array<string>): Array<string> {
+  let files = new Set()
+
+  for (let pattern of [].concat(globOrList)) {
+    if (isDirectory(pattern)) {
+      pattern = join(pattern, '**', '*.{graphql,gql}')
+    }
+
+    for (let file of globSync(pattern, { nodir: true })) {
+      files.add(file)
+    }
+  }
+
+  return Array.from(files).sort()
+}
+
+/**
+ * Determines whether the supplied path exists and is a directory
+ *
+ * @param {string} path the path to check
+ * @return {boolean} true if the path is a directory; false otherwise
+ */
+function isDirectory(path: string): boolean {
+  try {
+    return statSync(path).isDirectory()
+  }
+  catch (error) {
+    return false
+  }
+}
+
+export default validateOperation
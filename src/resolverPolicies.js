@@ -0,0 +1,177 @@
+// @flow
+
+import { responsePathAsArray } from 'graphql'
+import { locatedError } from 'graphql/error'
+import { ResolverTimeoutError, WrappedResolverExecutionError } from './errors'
+import { executionState } from './executionState'
+
+import type { ExecutionResult, GraphQLResolveInfo } from 'graphql'
+import type { ResolverPolicy } from './types'
+
+const isFn = o => /Function\]/.test(Object.prototype.toString.call(o))
+
+/**
+ * Calls a function run by an `ExtendedResolver` according to its policy.
+ * Each call is abandoned with a `ResolverTimeoutError` after `timeout`
+ * milliseconds, failed calls are repeated as set out by `retry` and,
+ * should every attempt fail, the `fallback` is resolved instead when there
+ * is one. Errors already wrapped by an `ExtendedResolver`, such as those
+ * thrown by a later middleware function, are passed through untouched.
+ *
+ * @param {Function} fn the function to call
+ * @param {mixed} thisArg the `this` value of the call
+ * @param {Array<mixed>} args the arguments supplied to the function
+ * @param {ResolverPolicy} policy the policy of the function, if any
+ * @return {Promise<mixed>} a promise of the result of the function or
+ * the fallback
+ */
+export async function callWithPolicy(
+  fn: Function,
+  thisArg: mixed,
+  args: Array<mixed>,
+  policy: ?ResolverPolicy
+): Promise<mixed> {
+  let { retry, timeout, fallback } = policy || {}
+  let attempts = retry
+    ? Math.max(1, retry.attempts == null ? 3 : retry.attempts)
+    : 1
+  let failure
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await withTimeout(() => fn.apply(thisArg, args), timeout, fn)
+    }
+    catch (error) {
+      if (error instanceof WrappedResolverExecutionError) {
+        throw error
+      }
+
+      failure = error
+
+      if (
+        !retry ||
+        attempt === attempts ||
+        (retry.retryIf && !await retry.retryIf(error, attempt))
+      ) {
+        break
+      }
+
+      await delay(
+        isFn(retry.backoff)
+          ? (retry.backoff: any)(attempt, error)
+          : Number(retry.backoff || 0) * attempt
+      )
+    }
+  }
+
+  if (fallback !== undefined) {
+    return isFn(fallback)
+      ? (fallback: any).apply(thisArg, [failure].concat(args))
+      : fallback
+  }
+
+  throw failure
+}
+
+/**
+ * Records an error ignored by a `continueOnError` policy with the state of
+ * the execution, found through `info.rootValue`, so that it can be reported
+ * with the results of the operation; see `withIgnoredErrors()`. The error
+ * is located at the field being resolved. Without a root value created by
+ * `executionRoot()` the error cannot be reported and is dropped.
+ *
+ * @param {GraphQLResolveInfo} info the info supplied to the resolver
+ * @param {Error} error the error that was ignored
+ */
+export function ignoreError(info: ?GraphQLResolveInfo, error: Error): void {
+  let state = executionState(info && info.rootValue)
+
+  if (!info || !state) {
+    return
+  }
+
+  state.ignoredErrors.push(locatedError(
+    error,
+    info.fieldNodes,
+    info.path ? responsePathAsArray(info.path) : undefined
+  ))
+}
+
+/**
+ * Adds any errors ignored by `continueOnError` policies during a single
+ * execution to the `errors` of its result. `Schemata#run()` and
+ * `Schemata#runAsync()` do so automatically; servers executing operations
+ * by other means should execute each with a root value created by
+ * `executionRoot()` and pass it here along with the result. The errors are
+ * only reported once.
+ *
+ * @param {mixed} root the root value the operation was executed with
+ * @param {ExecutionResult} result the result of executing it
+ * @return {ExecutionResult} the result, with any ignored errors appended
+ * to its `errors`
+ */
+export function withIgnoredErrors(
+  root: mixed,
+  result: ExecutionResult
+): ExecutionResult {
+  let state = executionState(root)
+  let errors = state ? state.ignoredErrors.splice(0) : []
+
+  if (!errors.length) {
+    return result
+  }
+
+  return Object.assign({}, result, {
+    errors: (result.errors || []).concat(errors),
+  })
+}
+
+/**
+ * Calls the supplied function, rejecting with a `ResolverTimeoutError`
+ * should it not resolve within `timeout` milliseconds.
+ *
+ * @param {Function} call a function making the call to time
+ * @param {number} timeout the number of milliseconds allowed, if any
+ * @param {Function} fn the function being called, for its name
+ * @return {Promise<mixed>} a promise of the result of the call
+ */
+async function withTimeout(
+  call: () => mixed,
+  timeout: ?number,
+  fn: Function
+): Promise<mixed> {
+  if (!timeout) {
+    return call()
+  }
+
+  let timer
+
+  try {
+    return await Promise.race([
+      call(),
+      new Promise((resolve, reject) => {
+        let name = fn.name || undefined
+
+        timer = setTimeout(
+          () => reject(new ResolverTimeoutError(Number(timeout), name)),
+          timeout
+        )
+      }),
+    ])
+  }
+  finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Returns a promise resolving after the supplied number of milliseconds
+ *
+ * @param {number} ms the number of milliseconds to wait
+ * @return {Promise<void>} a promise resolving once the time has passed
+ */
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms || 0)))
+}
+
+export default callWithPolicy
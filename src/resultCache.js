@@ -0,0 +1,437 @@
+// @flow
+
+import {
+  getNamedType,
+  isCompositeType,
+  responsePathAsArray,
+  GraphQLObjectType,
+} from 'graphql'
+import { executionState } from './executionState'
+import { forEachField, TYPES } from './forEachOf'
+import {
+  directiveArgs,
+  setFieldResolver,
+  typeDirectivesOf,
+} from './schemaDirectives'
+
+import type {
+  DirectiveNode,
+  ExecutionResult,
+  GraphQLResolveInfo,
+  GraphQLSchema,
+} from 'graphql'
+import type {
+  CacheControlConfig,
+  CacheHint,
+  CacheStore,
+  ResolverMap,
+  ResultCacheOptions,
+} from './types'
+
+/**
+ * Numbers identifying parent objects without an `id`, for cache keys
+ *
+ * @type {WeakMap<Object, number>}
+ */
+const references: WeakMap<Object, number> = new WeakMap()
+
+/**
+ * The number given to the last parent object identified by reference
+ *
+ * @type {number}
+ */
+let lastReference: number = 0
+
+/**
+ * An in-memory `CacheStore` that holds at most `maxSize` entries, evicting
+ * the least recently used entry to make room for a new one. Entries expire
+ * once their `maxAge`, in seconds, has passed.
+ *
+ * @class LRUCacheStore
+ */
+export class LRUCacheStore {
+  /**
+   * The most entries held at any one time
+   *
+   * @type {number}
+   */
+  maxSize: number
+
+  /**
+   * The entries, in order from least to most recently used
+   *
+   * @type {Map<string, {value: mixed, expires: number}>}
+   */
+  entries: Map<string, { value: mixed, expires: number }>
+
+  /**
+   * Creates a new, empty, store.
+   *
+   * @constructor
+   *
+   * @param {number} maxSize the most entries to hold; 1000 by default
+   */
+  constructor(maxSize: number = 1000) {
+    this.maxSize = Math.max(1, maxSize)
+    this.entries = new Map()
+  }
+
+  /**
+   * The number of entries held, including any that have expired but have
+   * not yet been removed.
+   *
+   * @return {number} the number of entries
+   */
+  get size(): number {
+    return this.entries.size
+  }
+
+  /**
+   * Retrieves the value stored under a key, marking it as recently used.
+   *
+   * @param {string} key the key of the value
+   * @return {mixed} the value or undefined if there is none or it expired
+   */
+  get(key: string): mixed {
+    let entry = this.entries.get(key)
+
+    if (!entry) {
+      return undefined
+    }
+
+    this.entries.delete(key)
+
+    if (entry.expires <= Date.now()) {
+      return undefined
+    }
+
+    this.entries.set(key, entry)
+
+    return entry.value
+  }
+
+  /**
+   * Stores a value under a key, evicting the least recently used entry if
+   * the store is full.
+   *
+   * @param {string} key the key of the value
+   * @param {mixed} value the value to store
+   * @param {number} maxAge the number of seconds the value may be used
+   */
+  set(key: string, value: mixed, maxAge: number): void {
+    this.entries.delete(key)
+
+    while (this.entries.size >= this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+
+    this.entries.set(key, { value, expires: Date.now() + maxAge * 1000 })
+  }
+
+  /**
+   * Removes the value stored under a key.
+   *
+   * @param {string} key the key of the value
+   */
+  delete(key: string): void {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Removes every value.
+   */
+  clear(): void {
+    this.entries.clear()
+  }
+}
+
+/**
+ * The function used to identify the user of a request when caching fields
+ * with a `PRIVATE` scope. The key is read from `context.userId` or
+ * `context.user.id`. Without one, `PRIVATE` fields are not cached.
+ *
+ * @param {mixed} context the context supplied when executing the operation
+ * @return {mixed} a value identifying the user or null
+ */
+export function DefaultCacheUserKey(context: mixed): mixed {
+  let ctx: Object = context || {}
+
+  if (ctx.userId != null) {
+    return ctx.userId
+  }
+
+  return ctx.user && ctx.user.id != null ? ctx.user.id : null
+}
+
+/**
+ * The function used to identify the parent of a field when caching it.
+ * Root fields have no parent to identify. Parents with an `id` are known
+ * by it, so that the same entity found by different requests shares its
+ * cached values; other parents are known by reference.
+ *
+ * @param {mixed} parent the parent value supplied to the resolver
+ * @param {GraphQLResolveInfo} info the info supplied to the resolver
+ * @return {mixed} a value identifying the parent
+ */
+export function DefaultCacheParentKey(
+  parent: mixed,
+  info: ?GraphQLResolveInfo
+): mixed {
+  if (parent == null || (info && parent === info.rootValue)) {
+    return null
+  }
+
+  if (typeof parent !== 'object' && typeof parent !== 'function') {
+    return parent
+  }
+
+  let object: Object = parent
+
+  if (object.id != null) {
+    return `id:${String(object.id)}`
+  }
+
+  if (!references.has(object)) {
+    references.set(object, ++lastReference)
+  }
+
+  return `ref:${String(references.get(object))}`
+}
+
+/**
+ * Wraps a resolver so that its results are cached for `hint.maxAge`
+ * seconds. Results are keyed by the type and field being resolved, the
+ * identity of the parent, the arguments and, for the `PRIVATE` scope, the
+ * user of the request, so a `PRIVATE` value is never shared between users.
+ * Errors are not cached. Every call records the hint for the
+ * `extensions.cacheControl` of the response; see `withCacheControl()`.
+ *
+ * @param {Function} resolver the resolver whose results should be cached
+ * @param {CacheHint} hint the `maxAge`, in seconds, and `scope` of results
+ * @param {ResultCacheOptions} options an optional object with the `store`,
+ * an in-memory `LRUCacheStore` by default, and the `userKey` and
+ * `parentKey` functions used to build keys
+ * @return {Function} the caching resolver
+ */
+export function cacheResolver(
+  resolver: Function,
+  hint: CacheHint,
+  options: ResultCacheOptions = {}
+): Function {
+  let store: CacheStore = options.store || new LRUCacheStore()
+  let userKey = options.userKey || DefaultCacheUserKey
+  let parentKey = options.parentKey || DefaultCacheParentKey
+  let maxAge = Math.max(0, Number(hint.maxAge) || 0)
+  let scope = String(hint.scope).toUpperCase() === 'PRIVATE'
+    ? 'PRIVATE'
+    : 'PUBLIC'
+
+  return async function cachedResolver(parent, args, context, info) {
+    let user = scope === 'PRIVATE' ? await userKey(context) : null
+
+    recordCacheHint(info, maxAge, scope)
+
+    if (!maxAge || (scope === 'PRIVATE' && user == null)) {
+      return resolver(parent, args, context, info)
+    }
+
+    let key = JSON.stringify([
+      info ? info.parentType.name : null,
+      info ? info.fieldName : null,
+      parentKey(parent, info),
+      sortKeys(args),
+      user,
+    ])
+    let cached: any = await store.get(key)
+
+    if (cached && typeof cached === 'object' && 'value' in cached) {
+      return cached.value
+    }
+
+    let value = await resolver(parent, args, context, info)
+
+    await store.set(key, { value }, maxAge)
+
+    return value
+  }
+}
+
+/**
+ * Wraps the resolver of each field given a cache hint with
+ * `cacheResolver()`, sharing a single store between them. Hints come from
+ * the `@cacheControl(maxAge: 60, scope: PRIVATE)` directive, applied to a
+ * field or to an object type for all of its fields, and from `config`,
+ * which is keyed by type name and then field name like a resolver map and
+ * takes precedence. Fields without a resolver are wrapped around
+ * `defaultFieldResolver`. As with Apollo's cache control, root fields and
+ * fields of an object, interface or union type that have no hint are given
+ * a `maxAge` of 0; they are never cached and make the response uncacheable.
+ * Other fields without a hint are left alone and do not affect the policy.
+ *
+ * @param {GraphQLSchema} schema an executable schema whose fields should
+ * be cached
+ * @param {CacheControlConfig} config hints keyed by type and field name,
+ * if any; a number is taken as the `maxAge` of a `PUBLIC` hint
+ * @param {ResultCacheOptions} options the options of `cacheResolver()`
+ * @param {ResolverMap} resolvers the resolver map used to build the schema;
+ * it is copied, not modified
+ * @return {ResolverMap} a resolver map with the caching resolvers
+ */
+export function applyCacheControl(
+  schema: GraphQLSchema,
+  config: ?CacheControlConfig = null,
+  options: ResultCacheOptions = {},
+  resolvers: ?ResolverMap = null
+): ResolverMap {
+  let result: Object = Object.assign({}, resolvers)
+  let shared = Object.assign({}, options, {
+    store: options.store || new LRUCacheStore(),
+  })
+  let roots = [
+    schema.getQueryType(),
+    schema.getMutationType(),
+    schema.getSubscriptionType(),
+  ]
+  let hintOf = (directives: Array<DirectiveNode>) => {
+    let directive = directives.find(node => node.name.value === 'cacheControl')
+
+    return directive ? directiveArgs(schema, directive) : null
+  }
+
+  forEachField(
+    schema,
+    (type, typeName, _, field, fieldName, fieldArgs, fieldDirectives) => {
+      if (!(type instanceof GraphQLObjectType)) {
+        return
+      }
+
+      let configured = config && config[typeName] && config[typeName][fieldName]
+      let found = [
+        hintOf(typeDirectivesOf(type)),
+        hintOf(fieldDirectives),
+        typeof configured === 'number' ? { maxAge: configured } : configured,
+      ].filter(Boolean)
+
+      if (!found.length) {
+        let composite = isCompositeType(getNamedType(field.type))
+
+        if (!roots.includes(type) && !composite) {
+          return
+        }
+
+        found.push({ maxAge: 0 })
+      }
+
+      setFieldResolver(
+        result,
+        schema,
+        type,
+        field,
+        [resolver => cacheResolver(
+          resolver,
+          Object.assign({}, ...found),
+          shared
+        )]
+      )
+    },
+    null,
+    TYPES
+  )
+
+  return result
+}
+
+/**
+ * Adds the overall cache policy of the response to the `extensions` of the
+ * result of a single execution, as `extensions.cacheControl`. Along with the
+ * hint of each cached field resolved, by path, the policy has the smallest
+ * `maxAge` of those hints and a `PRIVATE` scope if any of them have one; the
+ * response as a whole may be cached accordingly. `Schemata#run()` and
+ * `Schemata#runAsync()` do so automatically; servers executing operations by
+ * other means should execute each with a root value created by
+ * `executionRoot()` and pass it here along with the result. Results without
+ * cached fields are returned untouched.
+ *
+ * @param {mixed} root the root value the operation was executed with
+ * @param {ExecutionResult} result the result of executing it
+ * @return {ExecutionResult} the result with its cache policy
+ */
+export function withCacheControl(
+  root: mixed,
+  result: ExecutionResult
+): ExecutionResult {
+  let state = executionState(root)
+  let found = state ? state.cacheHints.splice(0) : []
+
+  if (!found.length) {
+    return result
+  }
+
+  return (Object.assign({}, result, {
+    extensions: Object.assign({}, (result: Object).extensions, {
+      cacheControl: {
+        version: 1,
+        maxAge: Math.min(...found.map(hint => hint.maxAge)),
+        scope: found.some(hint => hint.scope === 'PRIVATE')
+          ? 'PRIVATE'
+          : 'PUBLIC',
+        hints: found,
+      },
+    }),
+  }): any)
+}
+
+/**
+ * Records the cache hint of a field being resolved with the state of the
+ * execution, found through `info.rootValue`, for the cache policy of the
+ * response; see `withCacheControl()`.
+ *
+ * @param {GraphQLResolveInfo} info the info supplied to the resolver
+ * @param {number} maxAge the number of seconds the value may be cached
+ * @param {string} scope `'PUBLIC'` or `'PRIVATE'`
+ */
+function recordCacheHint(
+  info: ?GraphQLResolveInfo,
+  maxAge: number,
+  scope: string
+): void {
+  let state = executionState(info && info.rootValue)
+
+  if (!info || !state) {
+    return
+  }
+
+  state.cacheHints.push({
+    path: info.path ? responsePathAsArray(info.path) : [],
+    maxAge,
+    scope,
+  })
+}
+
+/**
+ * Copies a value with the keys of its objects sorted, so that arguments
+ * supplied in any order produce the same cache key.
+ *
+ * @param {mixed} value the value to copy
+ * @return {mixed} the copy
+ */
+function sortKeys(value: mixed): mixed {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys)
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+
+  let object: Object = value
+  let sorted = {}
+
+  for (let key of Object.keys(object).sort()) {
+    sorted[key] = sortKeys(object[key])
+  }
+
+  return sorted
+}
+
+export default cacheResolver
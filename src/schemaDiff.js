@@ -0,0 +1,661 @@
+// @flow
+
+import { print } from 'graphql'
+import { definitionKey, foldExtensions } from './Schemata'
+
+import type { ASTNode } from 'graphql'
+import type { SchemaChange } from './types'
+
+/** @type {string} a change that will break existing clients */
+export const BREAKING = 'BREAKING'
+
+/** @type {string} a change that might alter behavior for existing clients */
+export const DANGEROUS = 'DANGEROUS'
+
+/** @type {string} a change that existing clients can safely ignore */
+export const SAFE = 'SAFE'
+
+/**
+ * The names of each type of change that `diffAST()` can report. Each change
+ * object returned carries one of these values as its `type` property.
+ *
+ * @type {Object}
+ */
+export const ChangeTypes = {
+  TYPE_ADDED: 'TYPE_ADDED',
+  TYPE_REMOVED: 'TYPE_REMOVED',
+  TYPE_KIND_CHANGED: 'TYPE_KIND_CHANGED',
+  TYPE_DESCRIPTION_CHANGED: 'TYPE_DESCRIPTION_CHANGED',
+  FIELD_ADDED: 'FIELD_ADDED',
+  FIELD_REMOVED: 'FIELD_REMOVED',
+  FIELD_TYPE_CHANGED: 'FIELD_TYPE_CHANGED',
+  FIELD_DESCRIPTION_CHANGED: 'FIELD_DESCRIPTION_CHANGED',
+  FIELD_DEPRECATION_ADDED: 'FIELD_DEPRECATION_ADDED',
+  FIELD_DEPRECATION_REMOVED: 'FIELD_DEPRECATION_REMOVED',
+  INPUT_FIELD_ADDED: 'INPUT_FIELD_ADDED',
+  INPUT_FIELD_REMOVED: 'INPUT_FIELD_REMOVED',
+  INPUT_FIELD_TYPE_CHANGED: 'INPUT_FIELD_TYPE_CHANGED',
+  INPUT_FIELD_DEFAULT_CHANGED: 'INPUT_FIELD_DEFAULT_CHANGED',
+  ARG_ADDED: 'ARG_ADDED',
+  ARG_REMOVED: 'ARG_REMOVED',
+  ARG_TYPE_CHANGED: 'ARG_TYPE_CHANGED',
+  ARG_DEFAULT_CHANGED: 'ARG_DEFAULT_CHANGED',
+  ENUM_VALUE_ADDED: 'ENUM_VALUE_ADDED',
+  ENUM_VALUE_REMOVED: 'ENUM_VALUE_REMOVED',
+  UNION_MEMBER_ADDED: 'UNION_MEMBER_ADDED',
+  UNION_MEMBER_REMOVED: 'UNION_MEMBER_REMOVED',
+  INTERFACE_ADDED: 'INTERFACE_ADDED',
+  INTERFACE_REMOVED: 'INTERFACE_REMOVED',
+  DIRECTIVE_ADDED: 'DIRECTIVE_ADDED',
+  DIRECTIVE_REMOVED: 'DIRECTIVE_REMOVED',
+  DIRECTIVE_LOCATION_ADDED: 'DIRECTIVE_LOCATION_ADDED',
+  DIRECTIVE_LOCATION_REMOVED: 'DIRECTIVE_LOCATION_REMOVED',
+  ROOT_OPERATION_CHANGED: 'ROOT_OPERATION_CHANGED',
+}
+
+/**
+ * Compares two DocumentNodes, usually the `.ast` of two Schemata instances,
+ * and reports each difference between the left (old) and right (new) sides.
+ * Each reported change is tagged as either `BREAKING`, `DANGEROUS` or `SAFE`
+ * and carries a path such as `Query.peep(args.id)` identifying where in the
+ * schema the change occurred. Interfaces implemented by an object type have
+ * paths such as `Person@implements(Node)` so that they are never mistaken
+ * for a field.
+ *
+ * Type extensions are folded into the type definitions they extend before
+ * the comparison is made. Schema definitions are not compared as types;
+ * rather the root operation types of each side are, whether they are named
+ * by a `schema` definition or by convention, so adding a `schema` block
+ * that names the same types changes nothing.
+ *
+ * @param {ASTNode} lAST the DocumentNode representing the older schema
+ * @param {ASTNode} rAST the DocumentNode representing the newer schema
+ * @return {Array<SchemaChange>} an array of change objects; empty if the two
+ * documents describe the same schema
+ */
+export function diffAST(lAST: ASTNode, rAST: ASTNode): Array<SchemaChange> {
+  let changes: Array<SchemaChange> = []
+  let lDefs = definitionsOf(lAST)
+  let rDefs = definitionsOf(rAST)
+
+  for (let [name, lType] of lDefs) {
+    let rType = rDefs.get(name)
+
+    if (!rType) {
+      if (lType.kind === 'DirectiveDefinition') {
+        report(changes, 'DIRECTIVE_REMOVED', BREAKING, name,
+          `Directive ${name} was removed`)
+      }
+      else {
+        report(changes, 'TYPE_REMOVED', BREAKING, name,
+          `Type ${name} was removed`)
+      }
+      continue
+    }
+
+    if (lType.kind !== rType.kind) {
+      report(changes, 'TYPE_KIND_CHANGED', BREAKING, name,
+        `${name} changed from ${lType.kind} to ${rType.kind}`)
+      continue
+    }
+
+    diffDescription(changes, 'TYPE_DESCRIPTION_CHANGED', name, lType, rType)
+
+    switch (lType.kind) {
+    case 'ObjectTypeDefinition':
+      diffNamedList(changes, 'interfaces', lType, rType,
+        'INTERFACE_ADDED', DANGEROUS, 'INTERFACE_REMOVED', BREAKING,
+        (typeName, name) => `${typeName}@implements(${name})`)
+      diffFields(changes, lType, rType)
+      break
+
+    case 'InterfaceTypeDefinition':
+      diffFields(changes, lType, rType)
+      break
+
+    case 'InputObjectTypeDefinition':
+      diffInputFields(changes, lType, rType)
+      break
+
+    case 'EnumTypeDefinition':
+      diffNamedList(changes, 'values', lType, rType,
+        'ENUM_VALUE_ADDED', DANGEROUS, 'ENUM_VALUE_REMOVED', BREAKING)
+      break
+
+    case 'UnionTypeDefinition':
+      diffNamedList(changes, 'types', lType, rType,
+        'UNION_MEMBER_ADDED', DANGEROUS, 'UNION_MEMBER_REMOVED', BREAKING)
+      break
+
+    case 'DirectiveDefinition':
+      diffDirectiveDefinition(changes, lType, rType)
+      break
+
+    default:
+      break
+    }
+  }
+
+  for (let [name, rType] of rDefs) {
+    if (lDefs.has(name)) {
+      continue
+    }
+
+    if (rType.kind === 'DirectiveDefinition') {
+      report(changes, 'DIRECTIVE_ADDED', SAFE, name,
+        `Directive ${name} was added`)
+    }
+    else {
+      report(changes, 'TYPE_ADDED', SAFE, name, `Type ${name} was added`)
+    }
+  }
+
+  diffRootOperationTypes(
+    changes,
+    rootOperationTypes(lAST, lDefs),
+    rootOperationTypes(rAST, rDefs)
+  )
+
+  return changes
+}
+
+/**
+ * Determines whether or not an output type, such as that of a field on an
+ * object type, can safely change from `oldType` to `newType`. Making an
+ * output type more strict, by adding a non-null wrapper, never breaks a
+ * client.
+ *
+ * @param {ASTNode} oldType the TypeNode of the older field
+ * @param {ASTNode} newType the TypeNode of the newer field
+ * @return {boolean} true if clients will continue to work; false otherwise
+ */
+export function isSafeOutputTypeChange(
+  oldType: ASTNode,
+  newType: ASTNode
+): boolean {
+  switch (oldType.kind) {
+  case 'NamedType':
+    return (
+      (newType.kind === 'NamedType' &&
+        newType.name.value === oldType.name.value) ||
+      (newType.kind === 'NonNullType' &&
+        isSafeOutputTypeChange(oldType, newType.type))
+    )
+
+  case 'ListType':
+    return (
+      (newType.kind === 'ListType' &&
+        isSafeOutputTypeChange(oldType.type, newType.type)) ||
+      (newType.kind === 'NonNullType' &&
+        isSafeOutputTypeChange(oldType, newType.type))
+    )
+
+  case 'NonNullType':
+    return (
+      newType.kind === 'NonNullType' &&
+      isSafeOutputTypeChange(oldType.type, newType.type)
+    )
+
+  default:
+    return false
+  }
+}
+
+/**
+ * Determines whether or not an input type, such as that of an argument or an
+ * input object field, can safely change from `oldType` to `newType`. Relaxing
+ * an input type, by removing a non-null wrapper, never breaks a client.
+ *
+ * @param {ASTNode} oldType the TypeNode of the older argument or field
+ * @param {ASTNode} newType the TypeNode of the newer argument or field
+ * @return {boolean} true if clients will continue to work; false otherwise
+ */
+export function isSafeInputTypeChange(
+  oldType: ASTNode,
+  newType: ASTNode
+): boolean {
+  switch (oldType.kind) {
+  case 'NamedType':
+    return (
+      newType.kind === 'NamedType' &&
+      newType.name.value === oldType.name.value
+    )
+
+  case 'ListType':
+    return (
+      newType.kind === 'ListType' &&
+      isSafeInputTypeChange(oldType.type, newType.type)
+    )
+
+  case 'NonNullType':
+    return (
+      (newType.kind === 'NonNullType' &&
+        isSafeInputTypeChange(oldType.type, newType.type)) ||
+      isSafeInputTypeChange(oldType.type, newType)
+    )
+
+  default:
+    return false
+  }
+}
+
+/**
+ * Builds a map of definition keys to definition nodes, as `foldExtensions()`
+ * leaves them, so that `extend type Query` blocks compare the same way as
+ * fields declared on `type Query` itself. Schema definitions are left out;
+ * see `rootOperationTypes()`. The nodes of the supplied DocumentNode are
+ * never modified.
+ *
+ * @param {ASTNode} ast a DocumentNode
+ * @return {Map<string, ASTNode>} a map of names to definition nodes
+ */
+function definitionsOf(ast: ASTNode): Map<string, ASTNode> {
+  let defs: Map<string, ASTNode> = new Map()
+  let folded = foldExtensions({ definitions: (ast && ast.definitions) || [] })
+
+  for (let definition of folded.definitions) {
+    let key = definitionKey(definition)
+
+    if (key !== 'schema') {
+      defs.set(key, definition)
+    }
+  }
+
+  return defs
+}
+
+/**
+ * Appends a new change object to the supplied list of changes.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {string} type one of the keys in `ChangeTypes`
+ * @param {string} criticality one of `BREAKING`, `DANGEROUS` or `SAFE`
+ * @param {string} path the path to the changed element
+ * @param {string} message a human readable description of the change
+ */
+function report(
+  changes: Array<SchemaChange>,
+  type: string,
+  criticality: string,
+  path: string,
+  message: string
+): void {
+  changes.push({ type: ChangeTypes[type], criticality, path, message })
+}
+
+/**
+ * Reports a safe change if the descriptions of the two nodes differ.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {string} type one of the keys in `ChangeTypes`
+ * @param {string} path the path to the changed element
+ * @param {ASTNode} lNode the older node
+ * @param {ASTNode} rNode the newer node
+ */
+function diffDescription(
+  changes: Array<SchemaChange>,
+  type: string,
+  path: string,
+  lNode: ASTNode,
+  rNode: ASTNode
+): void {
+  let lDesc = (lNode.description && lNode.description.value) || null
+  let rDesc = (rNode.description && rNode.description.value) || null
+
+  if (lDesc !== rDesc) {
+    report(changes, type, SAFE, path, `Description of ${path} changed`)
+  }
+}
+
+/**
+ * Compares a list of named nodes, such as enum values, union members or
+ * implemented interfaces, and reports additions and removals.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {string} subTypeName the name of the list on each node
+ * @param {ASTNode} lType the older type definition
+ * @param {ASTNode} rType the newer type definition
+ * @param {string} added the change type to report for additions
+ * @param {string} addedCriticality the criticality of an addition
+ * @param {string} removed the change type to report for removals
+ * @param {string} removedCriticality the criticality of a removal
+ * @param {Function} pathOf a function converting the type name and the name
+ * of an item to a path; `Type.item` by default
+ */
+function diffNamedList(
+  changes: Array<SchemaChange>,
+  subTypeName: string,
+  lType: ASTNode,
+  rType: ASTNode,
+  added: string,
+  addedCriticality: string,
+  removed: string,
+  removedCriticality: string,
+  pathOf: (type: string, name: string) => string = (t, n) => `${t}.${n}`
+): void {
+  let typeName = lType.name.value
+  let lNames = (lType[subTypeName] || []).map(n => n.name.value)
+  let rNames = (rType[subTypeName] || []).map(n => n.name.value)
+
+  for (let name of lNames) {
+    if (!rNames.includes(name)) {
+      report(changes, removed, removedCriticality, pathOf(typeName, name),
+        `${name} was removed from ${typeName}`)
+    }
+  }
+
+  for (let name of rNames) {
+    if (!lNames.includes(name)) {
+      report(changes, added, addedCriticality, pathOf(typeName, name),
+        `${name} was added to ${typeName}`)
+    }
+  }
+}
+
+/**
+ * Compares the fields of two object or interface type definitions, including
+ * the arguments of each field that exists on both sides.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {ASTNode} lType the older type definition
+ * @param {ASTNode} rType the newer type definition
+ */
+function diffFields(
+  changes: Array<SchemaChange>,
+  lType: ASTNode,
+  rType: ASTNode
+): void {
+  let typeName = lType.name.value
+  let rFields = rType.fields || []
+
+  for (let lField of lType.fields || []) {
+    let fieldName = lField.name.value
+    let path = `${typeName}.${fieldName}`
+    let rField = rFields.find(f => f.name.value === fieldName)
+
+    if (!rField) {
+      report(changes, 'FIELD_REMOVED', BREAKING, path,
+        `Field ${path} was removed`)
+      continue
+    }
+
+    if (!isSafeOutputTypeChange(lField.type, rField.type)) {
+      report(changes, 'FIELD_TYPE_CHANGED', BREAKING, path,
+        `${path} changed type from ${print(lField.type)} to ${
+          print(rField.type)}`)
+    }
+    else if (print(lField.type) !== print(rField.type)) {
+      report(changes, 'FIELD_TYPE_CHANGED', SAFE, path,
+        `${path} changed type from ${print(lField.type)} to ${
+          print(rField.type)}`)
+    }
+
+    diffDescription(changes, 'FIELD_DESCRIPTION_CHANGED', path, lField, rField)
+    diffDeprecation(changes, path, lField, rField)
+    diffArguments(changes, path, lField.arguments, rField.arguments)
+  }
+
+  for (let rField of rFields) {
+    let fieldName = rField.name.value
+
+    if (!(lType.fields || []).find(f => f.name.value === fieldName)) {
+      report(changes, 'FIELD_ADDED', SAFE, `${typeName}.${fieldName}`,
+        `Field ${typeName}.${fieldName} was added`)
+    }
+  }
+}
+
+/**
+ * Compares the fields of two input object type definitions.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {ASTNode} lType the older input type definition
+ * @param {ASTNode} rType the newer input type definition
+ */
+function diffInputFields(
+  changes: Array<SchemaChange>,
+  lType: ASTNode,
+  rType: ASTNode
+): void {
+  diffInputValues(
+    changes,
+    lType.name.value,
+    name => `${lType.name.value}.${name}`,
+    lType.fields,
+    rType.fields,
+    'INPUT_FIELD'
+  )
+}
+
+/**
+ * Compares the arguments of a field or directive that exists on both sides
+ * of the comparison.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {string} owner the path of the field or directive owning the args
+ * @param {Array<ASTNode>} lArgs the older InputValueDefinition nodes
+ * @param {Array<ASTNode>} rArgs the newer InputValueDefinition nodes
+ */
+function diffArguments(
+  changes: Array<SchemaChange>,
+  owner: string,
+  lArgs: ?Array<ASTNode>,
+  rArgs: ?Array<ASTNode>
+): void {
+  diffInputValues(
+    changes,
+    owner,
+    name => `${owner}(args.${name})`,
+    lArgs,
+    rArgs,
+    'ARG'
+  )
+}
+
+/**
+ * Shared comparison logic for arguments and input object fields; both are
+ * represented by InputValueDefinition nodes and both follow the same rules.
+ * Adding a required value breaks clients, adding an optional one may change
+ * behavior and changing a default value may do the same.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {string} owner the path of the element owning the values
+ * @param {Function} pathOf a function converting a value name to a path
+ * @param {Array<ASTNode>} lValues the older InputValueDefinition nodes
+ * @param {Array<ASTNode>} rValues the newer InputValueDefinition nodes
+ * @param {string} prefix either 'ARG' or 'INPUT_FIELD'
+ */
+function diffInputValues(
+  changes: Array<SchemaChange>,
+  owner: string,
+  pathOf: (name: string) => string,
+  lValues: ?Array<ASTNode>,
+  rValues: ?Array<ASTNode>,
+  prefix: string
+): void {
+  let noun = prefix === 'ARG' ? 'Argument' : 'Input field'
+
+  lValues = lValues || []
+  rValues = rValues || []
+
+  for (let lValue of lValues) {
+    let path = pathOf(lValue.name.value)
+    let rValue = rValues.find(v => v.name.value === lValue.name.value)
+
+    if (!rValue) {
+      report(changes, `${prefix}_REMOVED`, BREAKING, path,
+        `${noun} ${path} was removed`)
+      continue
+    }
+
+    let lPrinted = print(lValue.type)
+    let rPrinted = print(rValue.type)
+
+    if (!isSafeInputTypeChange(lValue.type, rValue.type)) {
+      report(changes, `${prefix}_TYPE_CHANGED`, BREAKING, path,
+        rValue.type.kind === 'NonNullType' && lValue.type.kind !== 'NonNullType'
+          ? `${noun} ${path} was made required (${lPrinted} to ${rPrinted})`
+          : `${noun} ${path} changed type from ${lPrinted} to ${rPrinted}`)
+    }
+    else if (lPrinted !== rPrinted) {
+      report(changes, `${prefix}_TYPE_CHANGED`, SAFE, path,
+        `${noun} ${path} changed type from ${lPrinted} to ${rPrinted}`)
+    }
+
+    let lDefault = lValue.defaultValue ? print(lValue.defaultValue) : null
+    let rDefault = rValue.defaultValue ? print(rValue.defaultValue) : null
+
+    if (lDefault !== rDefault) {
+      report(changes, `${prefix}_DEFAULT_CHANGED`, DANGEROUS, path,
+        `${noun} ${path} changed default value from ${lDefault} to ${
+          rDefault}`)
+    }
+  }
+
+  for (let rValue of rValues) {
+    if (lValues.find(v => v.name.value === rValue.name.value)) {
+      continue
+    }
+
+    let path = pathOf(rValue.name.value)
+    let required = rValue.type.kind === 'NonNullType' && !rValue.defaultValue
+    let adjective = required ? 'Required' : 'Optional'
+
+    report(changes, `${prefix}_ADDED`, required ? BREAKING : DANGEROUS, path,
+      `${adjective} ${noun.toLowerCase()} ${path} was added to ${owner}`)
+  }
+}
+
+/**
+ * Reports the addition or removal of an `@deprecated` directive on a field.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {string} path the path of the field
+ * @param {ASTNode} lField the older FieldDefinition node
+ * @param {ASTNode} rField the newer FieldDefinition node
+ */
+function diffDeprecation(
+  changes: Array<SchemaChange>,
+  path: string,
+  lField: ASTNode,
+  rField: ASTNode
+): void {
+  const isDeprecated = field => (field.directives || []).some(
+    d => d.name.value === 'deprecated'
+  )
+
+  let wasDeprecated = isDeprecated(lField)
+  let nowDeprecated = isDeprecated(rField)
+
+  if (!wasDeprecated && nowDeprecated) {
+    report(changes, 'FIELD_DEPRECATION_ADDED', SAFE, path,
+      `Field ${path} was deprecated`)
+  }
+  else if (wasDeprecated && !nowDeprecated) {
+    report(changes, 'FIELD_DEPRECATION_REMOVED', SAFE, path,
+      `Field ${path} is no longer deprecated`)
+  }
+}
+
+/**
+ * Compares two directive definitions of the same name; their locations and
+ * their arguments.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {ASTNode} lDirective the older DirectiveDefinition node
+ * @param {ASTNode} rDirective the newer DirectiveDefinition node
+ */
+function diffDirectiveDefinition(
+  changes: Array<SchemaChange>,
+  lDirective: ASTNode,
+  rDirective: ASTNode
+): void {
+  let name = `@${lDirective.name.value}`
+  let lLocations = lDirective.locations.map(l => l.value)
+  let rLocations = rDirective.locations.map(l => l.value)
+
+  for (let location of lLocations) {
+    if (!rLocations.includes(location)) {
+      report(changes, 'DIRECTIVE_LOCATION_REMOVED', BREAKING, name,
+        `Location ${location} was removed from ${name}`)
+    }
+  }
+
+  for (let location of rLocations) {
+    if (!lLocations.includes(location)) {
+      report(changes, 'DIRECTIVE_LOCATION_ADDED', SAFE, name,
+        `Location ${location} was added to ${name}`)
+    }
+  }
+
+  diffArguments(changes, name, lDirective.arguments, rDirective.arguments)
+}
+
+/**
+ * Determines the names of the root operation types of a DocumentNode. Those
+ * named by `schema` definitions and extensions are used if there are any;
+ * otherwise, as with `buildASTSchema()`, the object types named Query,
+ * Mutation and Subscription are.
+ *
+ * @param {ASTNode} ast a DocumentNode
+ * @param {Map<string, ASTNode>} defs the definitions of the document, as
+ * returned by `definitionsOf()`
+ * @return {Object} the name of the root type of each operation, or null if
+ * there is none, keyed by operation
+ */
+function rootOperationTypes(
+  ast: ASTNode,
+  defs: Map<string, ASTNode>
+): { [string]: ?string } {
+  let roots = { query: null, mutation: null, subscription: null }
+  let schemas = ((ast && ast.definitions) || [])
+    .filter(node => /^Schema(Definition|Extension)$/.test(node.kind))
+
+  if (schemas.length) {
+    for (let schema of schemas) {
+      for (let opType of schema.operationTypes || []) {
+        roots[opType.operation] = opType.type.name.value
+      }
+    }
+  }
+  else {
+    for (let operation of Object.keys(roots)) {
+      let name = operation[0].toUpperCase() + operation.slice(1)
+      let type = defs.get(name)
+
+      if (type && type.kind === 'ObjectTypeDefinition') {
+        roots[operation] = name
+      }
+    }
+  }
+
+  return roots
+}
+
+/**
+ * Compares the root operation types of two schemas.
+ *
+ * @param {Array<SchemaChange>} changes the list of changes to append to
+ * @param {Object} lRoots the root type names of the older schema, keyed by
+ * operation
+ * @param {Object} rRoots the root type names of the newer schema, keyed by
+ * operation
+ */
+function diffRootOperationTypes(
+  changes: Array<SchemaChange>,
+  lRoots: { [string]: ?string },
+  rRoots: { [string]: ?string }
+): void {
+  for (let operation of ['query', 'mutation', 'subscription']) {
+    let lName = lRoots[operation]
+    let rName = rRoots[operation]
+
+    if (lName !== rName) {
+      report(changes, 'ROOT_OPERATION_CHANGED', lName ? BREAKING : SAFE,
+        `schema.${operation}`,
+        `Root ${operation} type changed from ${lName} to ${rName}`)
+    }
+  }
+}
+
+export default diffAST
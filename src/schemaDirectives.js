@@ -0,0 +1,296 @@
+// @flow
+
+import {
+  defaultFieldResolver,
+  getDirectiveValues,
+  valueFromASTUntyped,
+  GraphQLObjectType,
+} from 'graphql'
+import { ExtendedResolver } from './ExtendedResolver'
+import { forEachField, TYPES } from './forEachOf'
+import { untraced } from './tracing'
+
+import type {
+  DirectiveNode,
+  GraphQLField,
+  GraphQLNamedType,
+  GraphQLSchema,
+} from 'graphql'
+import type { DirectiveResolver, ResolverMap, RoleChecker } from './types'
+
+/**
+ * The role checker used by the built-in `@auth` directive. The roles of the
+ * current user are read from `context.roles` or `context.user.roles`, and
+ * access is granted if any of them are required. A `requires` list grants
+ * access to users with any one of its roles.
+ *
+ * @param {mixed} context the context supplied when executing the operation
+ * @param {string|Array<string>} requires the role or roles from `@auth`
+ * @return {boolean} true if access should be granted; false otherwise
+ */
+export const DefaultRoleChecker: RoleChecker = (context, requires) => {
+  let ctx: Object = context || {}
+  let roles = [].concat(ctx.roles || (ctx.user && ctx.user.roles) || [])
+
+  return [].concat(requires).some(role => roles.includes(role))
+}
+
+/**
+ * Creates an implementation of the `@auth(requires: "ADMIN")` directive
+ * that throws, rather than resolving the field, unless the supplied role
+ * checker grants access.
+ *
+ * @param {RoleChecker} hasRole a function receiving the context, the roles
+ * in `requires`, and the parent, args and info of the field being resolved;
+ * `DefaultRoleChecker` if none is supplied
+ * @return {DirectiveResolver} an implementation for `applyDirectives()`
+ */
+export function authDirective(
+  hasRole: RoleChecker = DefaultRoleChecker
+): DirectiveResolver {
+  return (resolver, { requires }, field, type) =>
+    async function(parent, args, context, info) {
+      if (!await hasRole(context, requires, parent, args, info)) {
+        throw new Error(
+          `Not authorized to access ${type.name}.${field.name}; requires ` +
+          `the role ${[].concat(requires).join(' or ')}.`
+        )
+      }
+
+      return resolver(parent, args, context, info)
+    }
+}
+
+/**
+ * Creates an implementation of the `@deprecated` directive that logs each
+ * time a deprecated field is resolved, so that remaining uses can be found
+ * before the field is removed.
+ *
+ * @param {Function} log the function receiving each message; `console.warn`
+ * if none is supplied
+ * @return {DirectiveResolver} an implementation for `applyDirectives()`
+ */
+export function deprecatedDirective(
+  log: (message: string) => mixed = message => console.warn(message)
+): DirectiveResolver {
+  return (resolver, { reason }, field, type) =>
+    function(parent, args, context, info) {
+      log(
+        `The deprecated field ${type.name}.${field.name} was resolved` +
+        (reason ? `: ${reason}` : '.')
+      )
+
+      return resolver(parent, args, context, info)
+    }
+}
+
+/**
+ * Creates an implementation of a directive that converts the string, or
+ * strings in a list, resolved by a field. Other values are left untouched.
+ *
+ * @param {Function} convert a function converting a single string
+ * @return {DirectiveResolver} an implementation for `applyDirectives()`
+ */
+function stringDirective(convert: (string) => string): DirectiveResolver {
+  let apply = value => {
+    if (Array.isArray(value)) {
+      return value.map(apply)
+    }
+
+    return typeof value === 'string' ? convert(value) : value
+  }
+
+  return resolver => async function(parent, args, context, info) {
+    return apply(await resolver(parent, args, context, info))
+  }
+}
+
+/**
+ * The built-in directive implementations, used by `applyDirectives()` when
+ * none are supplied:
+ *
+ *   `@auth(requires: "ADMIN")` - only resolves the field if the roles of the
+ *                                current user include one of those required;
+ *                                see `DefaultRoleChecker` and `authDirective`
+ *   `@default(value: "None")`  - resolves the value if the field would
+ *                                otherwise resolve to null or undefined
+ *   `@deprecated`              - logs a warning each time the field is used
+ *   `@lowercase`               - converts resolved strings to lower case
+ *   `@uppercase`               - converts resolved strings to upper case
+ *
+ * @type {{[string]: DirectiveResolver}}
+ */
+export const DefaultDirectives: { [string]: DirectiveResolver } = {
+  auth: authDirective(),
+
+  default: (resolver, { value }) => async function(...args) {
+    let result = await resolver(...args)
+
+    return result == null ? value : result
+  },
+
+  deprecated: deprecatedDirective(),
+
+  lowercase: stringDirective(string => string.toLowerCase()),
+
+  uppercase: stringDirective(string => string.toUpperCase()),
+}
+
+/**
+ * Wraps the resolver of each field carrying one of the named directives, or
+ * belonging to an object type that carries one, with the matching
+ * implementation. Each implementation receives the resolver so far, the
+ * arguments of the directive, the field and its type, and returns the new
+ * resolver. Field directives are applied first, in the order written, and
+ * type directives are applied around them; the final resolver is an
+ * `ExtendedResolver` in `'middleware'` mode whose `.original` is the
+ * resolver that was wrapped, so that others may still be prepended or
+ * appended; see `setFieldResolver()`.
+ *
+ * The resolvers of the supplied schema are used, so flattened root
+ * resolvers are wrapped too and keep their place in the returned map.
+ * Fields without a resolver are wrapped around `defaultFieldResolver`.
+ *
+ * @param {GraphQLSchema} schema an executable schema whose fields should
+ * be wrapped
+ * @param {{[string]: DirectiveResolver}} implementations the implementations
+ * keyed by directive name, without the `@`
+ * @param {ResolverMap} resolvers the resolver map used to build the schema;
+ * it is copied, not modified
+ * @return {ResolverMap} a resolver map with the wrapped resolvers
+ */
+export function applyDirectives(
+  schema: GraphQLSchema,
+  implementations: { [string]: DirectiveResolver } = DefaultDirectives,
+  resolvers: ?ResolverMap = null
+): ResolverMap {
+  let result: Object = Object.assign({}, resolvers)
+
+  forEachField(
+    schema,
+    (type, typeName, _, field, fieldName, fieldArgs, fieldDirectives) => {
+      if (!(type instanceof GraphQLObjectType)) {
+        return
+      }
+
+      let directives = fieldDirectives.concat(typeDirectivesOf(type))
+        .filter(directive => implementations[directive.name.value])
+
+      if (!directives.length) {
+        return
+      }
+
+      // The last directive applied wraps all of the others, so it runs first
+      let wrappers = directives.reverse().map(directive => resolver =>
+        implementations[directive.name.value](
+          resolver,
+          directiveArgs(schema, directive),
+          field,
+          type
+        )
+      )
+
+      setFieldResolver(result, schema, type, field, wrappers)
+    },
+    null,
+    TYPES
+  )
+
+  return result
+}
+
+/**
+ * Sets the resolver of a field in a resolver map to an `ExtendedResolver`
+ * in `'middleware'` mode whose `.original` is the field's current resolver
+ * and which runs the supplied wrappers around it, the first outermost. Each
+ * wrapper receives a resolver that continues down the chain, passing along
+ * any replacement args, and returns the resolver to call in its place. As
+ * the original stays in the chain, more resolvers may be prepended or
+ * appended later. Flattened root resolvers keep their place in the map and
+ * the `subscribe` function of subscription fields is kept.
+ *
+ * @param {Object} result the resolver map to modify
+ * @param {GraphQLSchema} schema the executable schema of the field
+ * @param {GraphQLObjectType} type the type of the field
+ * @param {GraphQLField} field the field whose resolver is replaced
+ * @param {Array<Function>} wrappers functions receiving the resolver to
+ * wrap and returning the resolver wrapping it, outermost first
+ */
+export function setFieldResolver(
+  result: Object,
+  schema: GraphQLSchema,
+  type: GraphQLObjectType,
+  field: GraphQLField<mixed, mixed>,
+  wrappers: Array<(resolver: Function) => Function>
+): void {
+  let roots = [
+    schema.getQueryType(),
+    schema.getMutationType(),
+    schema.getSubscriptionType(),
+  ]
+  let extended = ExtendedResolver.compose(
+    wrappers.map(wrap => (source, args, context, info, next) =>
+      wrap((parent, params) => next(params))(source, args, context, info)
+    ),
+    untraced(field.resolve) || defaultFieldResolver
+  )
+
+  let entry = field.subscribe
+    ? { subscribe: field.subscribe, resolve: extended }
+    : extended
+  let flattened = roots.includes(type) &&
+    result[field.name] &&
+    !(result[type.name] && result[type.name][field.name])
+
+  if (flattened) {
+    result[field.name] = entry
+  }
+  else {
+    result[type.name] = Object.assign({}, result[type.name], {
+      [field.name]: entry,
+    })
+  }
+}
+
+/**
+ * Gathers the directives applied in the SDL to a named type, both in its
+ * definition and in any extensions of it.
+ *
+ * @param {GraphQLNamedType} type the type whose directives are wanted
+ * @return {Array<DirectiveNode>} the directives in the order written
+ */
+export function typeDirectivesOf(type: GraphQLNamedType): Array<DirectiveNode> {
+  let nodes = [type.astNode].concat((type: any).extensionASTNodes || [])
+
+  return [].concat(...nodes.map(node => (node && node.directives) || []))
+}
+
+/**
+ * Reads the arguments of a directive applied in the SDL. If the directive
+ * is declared in the schema its arguments are coerced, and defaulted, using
+ * that declaration; otherwise they are read as written.
+ *
+ * @param {GraphQLSchema} schema the schema in which the directive is used
+ * @param {DirectiveNode} node the directive as applied in the SDL
+ * @return {Object} the arguments of the directive keyed by name
+ */
+export function directiveArgs(
+  schema: GraphQLSchema,
+  node: DirectiveNode
+): Object {
+  let definition = schema.getDirective(node.name.value)
+
+  if (definition) {
+    return getDirectiveValues(definition, { directives: [node] }) || {}
+  }
+
+  let args = {}
+
+  for (let argument of node.arguments || []) {
+    args[argument.name.value] = valueFromASTUntyped(argument.value)
+  }
+
+  return args
+}
+
+export default applyDirectives
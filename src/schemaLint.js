@@ -0,0 +1,495 @@
+// @flow
+
+import { inline } from 'ne-tag-fns'
+
+import type { ASTNode } from 'graphql'
+import type {
+  LintFinding,
+  LintReporter,
+  LintRule,
+  LintRuleConfig,
+} from './types'
+
+/** @type {string} the severity of a finding that should fail a build */
+export const ERROR = 'error'
+
+/** @type {string} the severity of a finding worth looking at */
+export const WARNING = 'warning'
+
+/** @type {RegExp} a pattern matching PascalCase names */
+const PASCAL_CASE = /^[A-Z][A-Za-z0-9]*$/
+
+/** @type {RegExp} a pattern matching camelCase names */
+const CAMEL_CASE = /^[a-z][A-Za-z0-9]*$/
+
+/** @type {RegExp} a pattern matching UPPER_CASE names */
+const UPPER_CASE = /^[A-Z][A-Z0-9_]*$/
+
+/** @type {Array<string>} the kinds of definitions that declare named types */
+const TYPE_KINDS = [
+  'ScalarTypeDefinition',
+  'ObjectTypeDefinition',
+  'InterfaceTypeDefinition',
+  'UnionTypeDefinition',
+  'EnumTypeDefinition',
+  'InputObjectTypeDefinition',
+]
+
+/** @type {Array<string>} the kinds of definitions that carry fields */
+const FIELD_KINDS = [
+  'ObjectTypeDefinition',
+  'ObjectTypeExtension',
+  'InterfaceTypeDefinition',
+  'InterfaceTypeExtension',
+  'InputObjectTypeDefinition',
+  'InputObjectTypeExtension',
+]
+
+/** @type {Array<string>} the names of the default root operation types */
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription']
+
+/**
+ * Type names must be PascalCase; i.e. `Person` or `BlogPost`
+ *
+ * @type {LintRule}
+ */
+export const TypeNamesPascalCase: LintRule = {
+  id: 'type-names-pascal-case',
+  severity: ERROR,
+  check(ast: ASTNode, report: LintReporter): void {
+    for (let definition of typeDefinitions(ast)) {
+      if (!PASCAL_CASE.test(definition.name.value)) {
+        report(
+          definition.name,
+          `Type "${definition.name.value}" should be named in PascalCase`
+        )
+      }
+    }
+  },
+}
+
+/**
+ * Field names must be camelCase; i.e. `name` or `createdAt`
+ *
+ * @type {LintRule}
+ */
+export const FieldNamesCamelCase: LintRule = {
+  id: 'field-names-camel-case',
+  severity: ERROR,
+  check(ast: ASTNode, report: LintReporter): void {
+    for (let [type, field] of fieldDefinitions(ast)) {
+      if (!CAMEL_CASE.test(field.name.value)) {
+        report(field.name, inline`
+          Field "${type.name.value}.${field.name.value}" should be named in
+          camelCase
+        `)
+      }
+    }
+  },
+}
+
+/**
+ * Enum values must be UPPER_CASE; i.e. `RED` or `TRANS_FEMALE`
+ *
+ * @type {LintRule}
+ */
+export const EnumValuesUpperCase: LintRule = {
+  id: 'enum-values-upper-case',
+  severity: ERROR,
+  check(ast: ASTNode, report: LintReporter): void {
+    for (let definition of definitionsOf(ast, /^EnumType/)) {
+      for (let value of definition.values || []) {
+        if (!UPPER_CASE.test(value.name.value)) {
+          report(value.name, inline`
+            Enum value "${definition.name.value}.${value.name.value}" should
+            be named in UPPER_CASE
+          `)
+        }
+      }
+    }
+  },
+}
+
+/**
+ * Every type and every field must carry a description
+ *
+ * @type {LintRule}
+ */
+export const RequireDescriptions: LintRule = {
+  id: 'require-descriptions',
+  severity: WARNING,
+  check(ast: ASTNode, report: LintReporter): void {
+    for (let definition of typeDefinitions(ast)) {
+      if (!hasDescription(definition)) {
+        report(
+          definition,
+          `Type "${definition.name.value}" is missing a description`
+        )
+      }
+    }
+
+    for (let [type, field] of fieldDefinitions(ast)) {
+      if (!hasDescription(field)) {
+        report(field, inline`
+          Field "${type.name.value}.${field.name.value}" is missing a
+          description
+        `)
+      }
+    }
+  },
+}
+
+/**
+ * Every type must be reachable; referenced by a field, an argument, a union,
+ * an `implements` clause or be one of the root operation types
+ *
+ * @type {LintRule}
+ */
+export const NoUnusedTypes: LintRule = {
+  id: 'no-unused-types',
+  severity: WARNING,
+  check(ast: ASTNode, report: LintReporter): void {
+    let used: Set<string> = new Set()
+    let schemaDefinition = (ast.definitions || []).find(
+      definition => definition.kind === 'SchemaDefinition'
+    )
+
+    if (schemaDefinition) {
+      for (let operationType of schemaDefinition.operationTypes) {
+        used.add(operationType.type.name.value)
+      }
+    }
+    else {
+      ROOT_TYPE_NAMES.forEach(name => used.add(name))
+    }
+
+    for (let definition of ast.definitions || []) {
+      for (let named of definition.interfaces || []) {
+        used.add(named.name.value)
+      }
+
+      for (let named of definition.types || []) {
+        used.add(named.name.value)
+      }
+
+      for (let field of definition.fields || []) {
+        used.add(namedTypeOf(field.type))
+
+        for (let arg of field.arguments || []) {
+          used.add(namedTypeOf(arg.type))
+        }
+      }
+
+      for (let arg of definition.arguments || []) {
+        used.add(namedTypeOf(arg.type))
+      }
+    }
+
+    for (let definition of typeDefinitions(ast)) {
+      if (!used.has(definition.name.value)) {
+        report(
+          definition.name,
+          `Type "${definition.name.value}" is never referenced`
+        )
+      }
+    }
+  },
+}
+
+/**
+ * Input object type names must end in `Input`; i.e. `PersonInput`
+ *
+ * @type {LintRule}
+ */
+export const InputTypeSuffix: LintRule = {
+  id: 'input-type-suffix',
+  severity: WARNING,
+  check(ast: ASTNode, report: LintReporter): void {
+    for (let definition of definitionsOf(ast, /^InputObjectTypeDefinition$/)) {
+      if (!definition.name.value.endsWith('Input')) {
+        report(
+          definition.name,
+          `Input type "${definition.name.value}" should end with "Input"`
+        )
+      }
+    }
+  },
+}
+
+/**
+ * Lists must not be both nullable and contain nullable items; i.e. `[String]`
+ * should be one of `[String!]`, `[String]!` or `[String!]!`
+ *
+ * @type {LintRule}
+ */
+export const NoNullableListOfNullable: LintRule = {
+  id: 'no-nullable-list-of-nullable',
+  severity: WARNING,
+  check(ast: ASTNode, report: LintReporter): void {
+    const isLoose = type => (
+      type.kind === 'ListType' && type.type.kind !== 'NonNullType'
+    )
+
+    for (let [type, field] of fieldDefinitions(ast)) {
+      let path = `${type.name.value}.${field.name.value}`
+
+      if (isLoose(field.type)) {
+        report(
+          field.type,
+          `Field "${path}" is a nullable list of nullable items`
+        )
+      }
+
+      for (let arg of field.arguments || []) {
+        if (isLoose(arg.type)) {
+          report(arg.type, inline`
+            Argument "${path}(${arg.name.value})" is a nullable list of
+            nullable items
+          `)
+        }
+      }
+    }
+  },
+}
+
+/**
+ * Any use of `@deprecated` must supply a `reason`
+ *
+ * @type {LintRule}
+ */
+export const DeprecationReason: LintRule = {
+  id: 'deprecation-reason',
+  severity: ERROR,
+  check(ast: ASTNode, report: LintReporter): void {
+    const check = (node, path) => {
+      let directive = (node.directives || []).find(
+        d => d.name.value === 'deprecated'
+      )
+
+      if (
+        directive &&
+        !(directive.arguments || []).find(a => a.name.value === 'reason')
+      ) {
+        report(directive, `"${path}" is deprecated without supplying a reason`)
+      }
+    }
+
+    for (let [type, field] of fieldDefinitions(ast)) {
+      check(field, `${type.name.value}.${field.name.value}`)
+    }
+
+    for (let definition of definitionsOf(ast, /^EnumType/)) {
+      for (let value of definition.values || []) {
+        check(value, `${definition.name.value}.${value.name.value}`)
+      }
+    }
+  },
+}
+
+/**
+ * The built-in lint rules, keyed by rule id
+ *
+ * @type {Object}
+ */
+export const LintRules: { [string]: LintRule } = [
+  TypeNamesPascalCase,
+  FieldNamesCamelCase,
+  EnumValuesUpperCase,
+  RequireDescriptions,
+  NoUnusedTypes,
+  InputTypeSuffix,
+  NoNullableListOfNullable,
+  DeprecationReason,
+].reduce((rules, rule) => Object.assign(rules, { [rule.id]: rule }), {})
+
+/**
+ * The rules used by `lintAST()` and `Schemata#lint()` when none are supplied;
+ * every built-in rule at its default severity.
+ *
+ * @type {Array<LintRule>}
+ */
+export const DefaultLintRules: Array<LintRule> = Object.values(LintRules)
+
+/**
+ * Runs the supplied lint rules against a DocumentNode, usually the `.ast` of
+ * a Schemata instance, and returns a finding for each problem reported.
+ *
+ * Rules may be supplied as an array of `LintRule` objects or ids of built-in
+ * rules. Alternatively an object may be supplied mapping rule ids to either a
+ * severity (`'error'` or `'warning'`), `'off'` or a custom `LintRule`; any
+ * built-in rule not mentioned in such an object runs at its default severity.
+ *
+ * @param {ASTNode} ast a DocumentNode to lint
+ * @param {LintRuleConfig} rules the rules to apply; defaults to every
+ * built-in rule
+ * @return {Array<LintFinding>} the findings, ordered by their position in the
+ * source
+ */
+export function lintAST(
+  ast: ASTNode,
+  rules: ?LintRuleConfig = DefaultLintRules
+): Array<LintFinding> {
+  let findings: Array<LintFinding> = []
+
+  for (let rule of normalizeRules(rules)) {
+    let check = typeof rule === 'function' ? rule : rule.check
+    let id = rule.id || rule.name
+    let severity = rule.severity || ERROR
+
+    check(ast, (node: ?ASTNode, message: string) => {
+      findings.push({ rule: id, severity, message, loc: locationOf(node) })
+    })
+  }
+
+  return findings.sort(
+    (a, b) => (a.loc ? a.loc.start : -1) - (b.loc ? b.loc.start : -1)
+  )
+}
+
+/**
+ * Converts the various ways rules can be supplied to `lintAST()` into an
+ * array of `LintRule` objects.
+ *
+ * @param {LintRuleConfig} rules an array or object of rules
+ * @return {Array<LintRule>} an array of rules to run
+ */
+function normalizeRules(rules: ?LintRuleConfig): Array<LintRule> {
+  const builtIn = id => {
+    if (!LintRules[id]) {
+      throw new Error(inline`
+        lint(rules) received an unknown rule id "${id}". Built-in rules are
+        ${Object.keys(LintRules).join(', ')}.
+      `)
+    }
+
+    return LintRules[id]
+  }
+
+  if (!rules) {
+    return DefaultLintRules
+  }
+
+  if (Array.isArray(rules)) {
+    return rules.map(rule => (typeof rule === 'string' ? builtIn(rule) : rule))
+  }
+
+  let config = {}
+  let result = []
+
+  for (let id of Object.keys(LintRules)) {
+    config[id] = true
+  }
+
+  Object.assign(config, rules)
+
+  for (let id of Object.keys(config)) {
+    let value = config[id]
+
+    if (value === 'off' || value === false) {
+      continue
+    }
+    else if (value === true) {
+      result.push(builtIn(id))
+    }
+    else if (typeof value === 'string') {
+      result.push(Object.assign({}, builtIn(id), { severity: value }))
+    }
+    else if (typeof value === 'function') {
+      result.push({ id, severity: ERROR, check: value })
+    }
+    else {
+      result.push(Object.assign({ id }, value))
+    }
+  }
+
+  return result
+}
+
+/**
+ * Reduces a graphql `Location` to plain values that can be serialized and
+ * used by editors to highlight the offending source.
+ *
+ * @param {ASTNode} node the node a finding was reported against
+ * @return {Object} an object with `start`, `end`, `line` and `column` or
+ * null if the node has no location
+ */
+function locationOf(node: ?ASTNode): ?Object {
+  let loc = node && node.loc
+
+  if (!loc) {
+    return null
+  }
+
+  return {
+    start: loc.start,
+    end: loc.end,
+    line: loc.startToken ? loc.startToken.line : undefined,
+    column: loc.startToken ? loc.startToken.column : undefined,
+  }
+}
+
+/**
+ * Returns the definitions in the document whose kind matches the pattern.
+ *
+ * @param {ASTNode} ast a DocumentNode
+ * @param {RegExp} kind a pattern to test against each definition's kind
+ * @return {Array<ASTNode>} the matching definitions
+ */
+function definitionsOf(ast: ASTNode, kind: RegExp): Array<ASTNode> {
+  return ((ast && ast.definitions) || []).filter(d => kind.test(d.kind))
+}
+
+/**
+ * Returns each named type definition in the document; extensions excluded.
+ *
+ * @param {ASTNode} ast a DocumentNode
+ * @return {Array<ASTNode>} the type definitions
+ */
+function typeDefinitions(ast: ASTNode): Array<ASTNode> {
+  return ((ast && ast.definitions) || []).filter(
+    d => TYPE_KINDS.includes(d.kind)
+  )
+}
+
+/**
+ * Returns a pair of the owning definition and field for each field declared
+ * on an object, interface or input type, or any extension of them.
+ *
+ * @param {ASTNode} ast a DocumentNode
+ * @return {Array<[ASTNode, ASTNode]>} pairs of definitions and their fields
+ */
+function fieldDefinitions(ast: ASTNode): Array<[ASTNode, ASTNode]> {
+  let pairs = []
+
+  for (let definition of (ast && ast.definitions) || []) {
+    if (FIELD_KINDS.includes(definition.kind)) {
+      for (let field of definition.fields || []) {
+        pairs.push([definition, field])
+      }
+    }
+  }
+
+  return pairs
+}
+
+/**
+ * Determines whether or not the node carries a non-empty description.
+ *
+ * @param {ASTNode} node any definition node
+ * @return {boolean} true if a description is present
+ */
+function hasDescription(node: ASTNode): boolean {
+  return Boolean(node.description && node.description.value.trim())
+}
+
+/**
+ * Unwraps list and non-null wrappers to find the name of the named type.
+ *
+ * @param {ASTNode} type a TypeNode
+ * @return {string} the name of the innermost named type
+ */
+function namedTypeOf(type: ASTNode): string {
+  return type.kind === 'NamedType' ? type.name.value : namedTypeOf(type.type)
+}
+
+export default lintAST
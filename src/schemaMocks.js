@@ -0,0 +1,217 @@
+// @flow
+
+import {
+  defaultFieldResolver,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  isAbstractType,
+  isLeafType,
+  responsePathAsArray,
+} from 'graphql'
+
+import type { GraphQLSchema, GraphQLType } from 'graphql'
+import type { MockGenerator, MockOptions, ResolverMap } from './types'
+
+/** @type {Array<string>} the words from which mock strings are made */
+const WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing',
+  'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'labore', 'magna',
+]
+
+/**
+ * The generators used for the built-in scalars. Custom scalars without a
+ * generator of their own are mocked as strings.
+ *
+ * @type {{[string]: MockGenerator}}
+ */
+export const DefaultMocks: { [string]: MockGenerator } = {
+  Int: random => Math.floor(random() * 201) - 100,
+  Float: random => Math.round((random() * 200 - 100) * 100) / 100,
+  String: random => `${pick(random, WORDS)} ${pick(random, WORDS)}`,
+  Boolean: random => random() < 0.5,
+  ID: random => (
+    '0000000' + Math.floor(random() * 0x100000000).toString(16)
+  ).slice(-8),
+}
+
+/**
+ * Creates a resolver map that resolves every field of the supplied schema
+ * with generated data. Scalars are generated by the matching entry in
+ * `options.mocks`, or `DefaultMocks`, enums pick one of their values, lists
+ * have `options.listLength` items and interfaces and unions pick one of
+ * their possible types. An entry named `Type.field` in `options.mocks`
+ * takes over generating that field, while one named after an object type
+ * supplies some or all of the field values of each generated object.
+ *
+ * Each generator receives a random number function along with the usual
+ * resolver arguments. When `options.seed` is supplied the random numbers
+ * depend only on the seed and the path of the field in the response, so the
+ * same query always produces the same data.
+ *
+ * When `options.preserveResolvers` is true the supplied resolvers are kept
+ * and only fields without one are mocked; values already present on the
+ * parent object are used rather than mocked. Subscriptions are not mocked.
+ *
+ * @param {GraphQLSchema} schema the schema whose fields should be mocked
+ * @param {MockOptions} options an optional object with `mocks`, `seed`,
+ * `listLength` and `preserveResolvers` properties
+ * @param {ResolverMap} resolvers the existing resolvers, kept when
+ * `options.preserveResolvers` is true
+ * @return {ResolverMap} a resolver map of mock resolvers
+ */
+export function mockResolvers(
+  schema: GraphQLSchema,
+  options: MockOptions = {},
+  resolvers: ?ResolverMap = null
+): ResolverMap {
+  let { seed, listLength = 2, preserveResolvers = false } = options
+  let mocks = Object.assign({}, DefaultMocks, options.mocks)
+  let existing = (preserveResolvers && resolvers) || {}
+  let result = Object.assign({}, existing)
+  let roots = [schema.getQueryType(), schema.getMutationType()]
+  let types = schema.getTypeMap()
+
+  let mockValue = (type: GraphQLType, random, ...args) => {
+    if (type instanceof GraphQLNonNull) {
+      return mockValue(type.ofType, random, ...args)
+    }
+
+    if (type instanceof GraphQLList) {
+      let [min, max] = [].concat(listLength, listLength)
+      let length = min + Math.floor(random() * (max - min + 1))
+
+      return Array.from(
+        { length },
+        () => mockValue(type.ofType, random, ...args)
+      )
+    }
+
+    let mock = mocks[type.name]
+
+    if (type instanceof GraphQLEnumType && !mock) {
+      return pick(random, type.getValues()).value
+    }
+
+    if (isLeafType(type)) {
+      return (mock || mocks.String)(random, ...args)
+    }
+
+    let value = mock ? mock(random, ...args) : {}
+
+    if (value && isAbstractType(type) && !value.__typename) {
+      let concrete = pick(random, schema.getPossibleTypes(type))
+
+      return concrete
+        ? Object.assign(mockValue(concrete, random, ...args) || {}, value, {
+          __typename: concrete.name,
+        })
+        : null
+    }
+
+    return value && Object.assign({}, value)
+  }
+
+  for (let typeName of Object.keys(types)) {
+    let type = types[typeName]
+
+    if (/^__/.test(typeName) || type === schema.getSubscriptionType()) {
+      continue
+    }
+
+    if (isAbstractType(type)) {
+      let resolveType = existing[typeName] && existing[typeName].__resolveType
+
+      result[typeName] = Object.assign({}, existing[typeName], {
+        __resolveType(value, ...args) {
+          return (value && value.__typename) ||
+            (resolveType ? resolveType(value, ...args) : null)
+        },
+      })
+    }
+
+    if (!(type instanceof GraphQLObjectType)) {
+      continue
+    }
+
+    let isRoot = roots.includes(type)
+    let fields = type.getFields()
+    let typeResolvers = Object.assign({}, existing[typeName])
+
+    for (let fieldName of Object.keys(fields)) {
+      let field = fields[fieldName]
+
+      if (typeResolvers[fieldName] || (isRoot && existing[fieldName])) {
+        continue
+      }
+
+      typeResolvers[fieldName] = (parent, args, context, info) => {
+        let random = randomFor(seed, info.path)
+        let mock = mocks[`${typeName}.${fieldName}`]
+
+        if (mock) {
+          return mock(random, parent, args, context, info)
+        }
+
+        if (!isRoot && parent && parent[fieldName] !== undefined) {
+          return defaultFieldResolver(parent, args, context, info)
+        }
+
+        return mockValue(field.type, random, parent, args, context, info)
+      }
+    }
+
+    result[typeName] = typeResolvers
+  }
+
+  return result
+}
+
+/**
+ * Returns the random number function for a field. Without a seed this is
+ * `Math.random`; otherwise a generator seeded with both the seed and the
+ * path of the field, so that each field receives the same values no matter
+ * the order in which fields are resolved.
+ *
+ * @param {mixed} seed the seed supplied in the mock options, if any
+ * @param {Object} path the response path of the field being resolved
+ * @return {Function} a function returning numbers from 0 up to, but not
+ * including, 1
+ */
+function randomFor(seed: mixed, path: Object): () => number {
+  if (seed == null) {
+    return Math.random
+  }
+
+  let key = `${String(seed)}:${responsePathAsArray(path).join('.')}`
+  let state = 2166136261
+
+  // FNV-1a hash of the key to seed a mulberry32 generator
+  for (let i = 0; i < key.length; i++) {
+    state = Math.imul(state ^ key.charCodeAt(i), 16777619)
+  }
+
+  return function() {
+    state = (state + 0x6D2B79F5) | 0
+
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Picks an item from an array at random
+ *
+ * @param {Function} random a function returning numbers from 0 up to 1
+ * @param {Array<mixed>} items the items to choose from
+ * @return {mixed} the chosen item or undefined if there are none
+ */
+function pick<T>(random: () => number, items: Array<T>): T {
+  return items[Math.floor(random() * items.length)]
+}
+
+export default mockResolvers
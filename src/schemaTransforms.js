@@ -0,0 +1,855 @@
+// @flow
+
+import { visit, defaultFieldResolver, GraphQLScalarType } from 'graphql'
+
+import type { ASTNode } from 'graphql'
+import type {
+  ResolverMap,
+  RootOperationTypes,
+  SchemaTransform,
+  TransformResult,
+} from './types'
+
+/** @type {Array<string>} the names of the scalars built into GraphQL */
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID']
+
+/** @type {Array<string>} the kinds of definitions that declare named types */
+const TYPE_KINDS = [
+  'ScalarTypeDefinition',
+  'ObjectTypeDefinition',
+  'InterfaceTypeDefinition',
+  'UnionTypeDefinition',
+  'EnumTypeDefinition',
+  'InputObjectTypeDefinition',
+  'ScalarTypeExtension',
+  'ObjectTypeExtension',
+  'InterfaceTypeExtension',
+  'UnionTypeExtension',
+  'EnumTypeExtension',
+  'InputObjectTypeExtension',
+]
+
+/** @type {Array<string>} the kinds of definitions that carry fields */
+const FIELD_KINDS = [
+  'ObjectTypeDefinition',
+  'ObjectTypeExtension',
+  'InterfaceTypeDefinition',
+  'InterfaceTypeExtension',
+  'InputObjectTypeDefinition',
+  'InputObjectTypeExtension',
+]
+
+/** @type {Array<string>} the kinds of definitions that carry member types */
+const UNION_KINDS = ['UnionTypeDefinition', 'UnionTypeExtension']
+
+/**
+ * Creates a transform that renames types. The supplied function is invoked
+ * once for each named type, built-in scalars excepted, and should return the
+ * new name or a falsy value to leave the type as is. Every reference to a
+ * renamed type is updated, resolvers stored under the old type name are moved
+ * to the new one and any `__resolveType` resolvers have the names they return
+ * renamed too. Should a root type be renamed in SDL without a `schema`
+ * definition, one is added so that it remains a root type.
+ *
+ * @param {Function} fn a function receiving the name of the type and its
+ * ASTNode and returning the new name of the type
+ * @return {SchemaTransform} a function to supply to `Schemata#transform()`
+ */
+export function renameTypes(
+  fn: (name: string, definition: ASTNode) => ?string
+): SchemaTransform {
+  return function(
+    ast: ASTNode,
+    resolvers: ?ResolverMap,
+    rootTypes: RootOperationTypes
+  ): TransformResult {
+    let renames: Map<string, string> = new Map()
+    let seen: Set<string> = new Set()
+
+    for (let definition of typeDefinitions(ast)) {
+      let name = definition.name.value
+
+      if (seen.has(name) || BUILT_IN_SCALARS.includes(name)) {
+        continue
+      }
+
+      let newName = fn(name, definition)
+
+      seen.add(name)
+
+      if (newName && newName !== name) {
+        renames.set(name, newName)
+      }
+    }
+
+    if (!renames.size) {
+      return { ast, resolvers }
+    }
+
+    return {
+      ast: renameTypesInAST(ast, renames, rootTypes),
+      resolvers: renameTypesInResolvers(ast, resolvers, renames, rootTypes),
+    }
+  }
+}
+
+/**
+ * Creates a transform that renames the fields of object, interface and input
+ * types. The supplied function is invoked for each field and should return
+ * the new name or a falsy value to leave the field as is. Resolvers for a
+ * renamed field, flattened root resolvers included, move to the new name.
+ * Fields of object types without a resolver are given one that reads the
+ * value from the old name so that existing data continues to resolve.
+ *
+ * @param {Function} fn a function receiving the name of the type, the name
+ * of the field and its ASTNode and returning the new name of the field
+ * @return {SchemaTransform} a function to supply to `Schemata#transform()`
+ */
+export function renameFields(
+  fn: (typeName: string, fieldName: string, field: ASTNode) => ?string
+): SchemaTransform {
+  return function(
+    ast: ASTNode,
+    resolvers: ?ResolverMap,
+    rootTypes: RootOperationTypes
+  ): TransformResult {
+    let renames: Map<string, Map<string, string>> = new Map()
+    let definitions = ast.definitions.map(definition => {
+      if (!FIELD_KINDS.includes(definition.kind)) {
+        return definition
+      }
+
+      let typeName = definition.name.value
+      let renamed = false
+      let fields = (definition.fields || []).map(field => {
+        let name = fn(typeName, field.name.value, field)
+
+        if (!name || name === field.name.value) {
+          return field
+        }
+
+        if (!renames.has(typeName)) {
+          renames.set(typeName, new Map())
+        }
+
+        renames.get(typeName).set(field.name.value, name)
+        renamed = true
+
+        return renameNode(field, name)
+      })
+
+      return renamed
+        ? Object.assign({}, definition, { fields })
+        : definition
+    })
+
+    if (!renames.size) {
+      return { ast, resolvers }
+    }
+
+    return {
+      ast: Object.assign({}, ast, { definitions }),
+      resolvers: renameFieldsInResolvers(ast, resolvers, renames, rootTypes),
+    }
+  }
+}
+
+/**
+ * Creates a transform that prefixes the names of types; commonly used to
+ * namespace the types of one service before merging it with another. Root
+ * operation types and built-in scalars are never prefixed, so that root
+ * fields from both sides merge together.
+ *
+ * @param {string} prefix the string to prepend to the name of each type
+ * @param {Object} options an optional object whose `except` property is an
+ * array of type names that should not be prefixed
+ * @return {SchemaTransform} a function to supply to `Schemata#transform()`
+ */
+export function prefixTypes(
+  prefix: string,
+  { except = [] }: { except?: Array<string> } = {}
+): SchemaTransform {
+  return function(
+    ast: ASTNode,
+    resolvers: ?ResolverMap,
+    rootTypes: RootOperationTypes
+  ): TransformResult {
+    let roots = rootTypeNames(rootTypes)
+    let transform = renameTypes(name => (
+      roots.has(name) || except.includes(name) ? null : `${prefix}${name}`
+    ))
+
+    return transform(ast, resolvers, rootTypes)
+  }
+}
+
+/**
+ * Creates a transform that removes each type for which the supplied predicate
+ * returns false. Fields, arguments, interfaces, union members and operation
+ * types referring to a removed type are removed with it, as are types left
+ * without any fields or members. Resolvers for everything removed are
+ * removed from the resolver map.
+ *
+ * @param {Function} predicate a function receiving the name of the type and
+ * its ASTNode and returning true if the type should be kept
+ * @return {SchemaTransform} a function to supply to `Schemata#transform()`
+ */
+export function filterTypes(
+  predicate: (name: string, definition: ASTNode) => boolean
+): SchemaTransform {
+  return function(
+    ast: ASTNode,
+    resolvers: ?ResolverMap,
+    rootTypes: RootOperationTypes
+  ): TransformResult {
+    let removed: Set<string> = new Set()
+    let seen: Set<string> = new Set()
+
+    for (let definition of typeDefinitions(ast)) {
+      let name = definition.name.value
+
+      if (seen.has(name) || BUILT_IN_SCALARS.includes(name)) {
+        continue
+      }
+
+      seen.add(name)
+
+      if (!predicate(name, definition)) {
+        removed.add(name)
+      }
+    }
+
+    if (!removed.size) {
+      return { ast, resolvers }
+    }
+
+    return pruneTypes(ast, ast, resolvers, removed, new Map(), rootTypes)
+  }
+}
+
+/**
+ * Creates a transform that removes each root field for which the supplied
+ * predicate returns false. Root types left without any fields are removed
+ * along with their resolvers, flattened root resolvers included.
+ *
+ * @param {Function} predicate a function receiving the operation, i.e.
+ * `'query'`, the name of the field and its ASTNode and returning true if the
+ * field should be kept
+ * @return {SchemaTransform} a function to supply to `Schemata#transform()`
+ */
+export function filterRootFields(
+  predicate: (operation: string, fieldName: string, field: ASTNode) => boolean
+): SchemaTransform {
+  return function(
+    ast: ASTNode,
+    resolvers: ?ResolverMap,
+    rootTypes: RootOperationTypes
+  ): TransformResult {
+    let operations: Map<string, string> = new Map()
+    let removedFields: Map<string, Set<string>> = new Map()
+
+    for (let operation of Object.keys(rootTypes)) {
+      if (rootTypes[operation]) {
+        operations.set(rootTypes[operation], operation)
+      }
+    }
+
+    let definitions = ast.definitions.map(definition => {
+      let name = definition.name && definition.name.value
+      let operation = operations.get(name)
+
+      if (!operation || !FIELD_KINDS.includes(definition.kind)) {
+        return definition
+      }
+
+      let fields = (definition.fields || []).filter(field => {
+        if (predicate(operation, field.name.value, field)) {
+          return true
+        }
+
+        addTo(removedFields, name, field.name.value)
+
+        return false
+      })
+
+      return fields.length === (definition.fields || []).length
+        ? definition
+        : Object.assign({}, definition, { fields })
+    })
+
+    if (!removedFields.size) {
+      return { ast, resolvers }
+    }
+
+    return pruneTypes(
+      ast,
+      Object.assign({}, ast, { definitions }),
+      resolvers,
+      new Set(),
+      removedFields,
+      rootTypes
+    )
+  }
+}
+
+/**
+ * Renames each definition of, and reference to, the types in the supplied
+ * map of renames.
+ *
+ * @param {ASTNode} ast the DocumentNode to rewrite
+ * @param {Map<string, string>} renames a map of old type names to new ones
+ * @param {RootOperationTypes} rootTypes the root types of the document
+ * @return {ASTNode} a rewritten copy of the DocumentNode
+ */
+function renameTypesInAST(
+  ast: ASTNode,
+  renames: Map<string, string>,
+  rootTypes: RootOperationTypes
+): ASTNode {
+  let rename = node => (
+    renames.has(node.name.value)
+      ? renameNode(node, renames.get(node.name.value))
+      : undefined
+  )
+  let visitor = { NamedType: { leave: rename } }
+
+  for (let kind of TYPE_KINDS) {
+    visitor[kind] = { leave: rename }
+  }
+
+  let result = visit(ast, visitor)
+  let hasSchema = ast.definitions.some(
+    definition => definition.kind === 'SchemaDefinition'
+  )
+  let rootRenamed = Array.from(rootTypeNames(rootTypes))
+    .some(name => renames.has(name))
+
+  // Root types are otherwise only found by their default names
+  if (rootRenamed && !hasSchema) {
+    let operationTypes = Object.keys(rootTypes)
+      .filter(operation => rootTypes[operation])
+      .map(operation => {
+        let name = String(rootTypes[operation])
+
+        return {
+          kind: 'OperationTypeDefinition',
+          operation,
+          type: {
+            kind: 'NamedType',
+            name: { kind: 'Name', value: renames.get(name) || name },
+          },
+        }
+      })
+
+    result = Object.assign({}, result, {
+      definitions: result.definitions.concat({
+        kind: 'SchemaDefinition',
+        directives: [],
+        operationTypes,
+      }),
+    })
+  }
+
+  return result
+}
+
+/**
+ * Moves the resolvers stored under the old type names to the new ones and
+ * wraps any `__resolveType` resolvers so they report the new names.
+ *
+ * @param {ASTNode} ast the DocumentNode before renaming
+ * @param {ResolverMap} resolvers the resolver map to rewrite
+ * @param {Map<string, string>} renames a map of old type names to new ones
+ * @param {RootOperationTypes} rootTypes the root types of the document
+ * @return {ResolverMap} a rewritten copy of the resolver map
+ */
+function renameTypesInResolvers(
+  ast: ASTNode,
+  resolvers: ?ResolverMap,
+  renames: Map<string, string>,
+  rootTypes: RootOperationTypes
+): ?ResolverMap {
+  if (!resolvers) {
+    return resolvers
+  }
+
+  let types = typeKeys(ast, rootTypes)
+  let result = {}
+
+  for (let key of Object.keys(resolvers)) {
+    let value = resolvers[key]
+
+    if (!types.has(key)) {
+      result[key] = value
+      continue
+    }
+
+    if (isResolverEntry(value) && typeof value.__resolveType === 'function') {
+      value = Object.assign({}, value, {
+        __resolveType: renameResolvedType(value.__resolveType, renames),
+      })
+    }
+
+    result[renames.get(key) || key] = value
+  }
+
+  return result
+}
+
+/**
+ * Moves the resolvers stored under the old field names to the new ones and
+ * supplies resolvers reading the old name for object type fields that have
+ * none.
+ *
+ * @param {ASTNode} ast the DocumentNode before renaming
+ * @param {ResolverMap} resolvers the resolver map to rewrite
+ * @param {Map<string, Map<string, string>>} renames a map of type names to
+ * maps of old field names to new ones
+ * @param {RootOperationTypes} rootTypes the root types of the document
+ * @return {ResolverMap} a rewritten copy of the resolver map
+ */
+function renameFieldsInResolvers(
+  ast: ASTNode,
+  resolvers: ?ResolverMap,
+  renames: Map<string, Map<string, string>>,
+  rootTypes: RootOperationTypes
+): ?ResolverMap {
+  let types = typeKeys(ast, rootTypes)
+  let roots = rootTypeNames(rootTypes)
+  let objectTypes = new Set(
+    ast.definitions
+      .filter(definition => /^ObjectType/.test(definition.kind))
+      .map(definition => definition.name.value)
+  )
+  let result = Object.assign({}, resolvers)
+  let added = false
+
+  for (let [typeName, fields] of renames) {
+    // Flattened root resolvers live at the top level of the map
+    if (roots.has(typeName)) {
+      result = renameKeys(result, key => (
+        types.has(key) ? key : fields.get(key) || key
+      ))
+    }
+
+    let entry = isResolverEntry(result[typeName])
+      ? renameKeys(result[typeName], key => fields.get(key) || key)
+      : null
+
+    if (objectTypes.has(typeName)) {
+      for (let [from, to] of fields) {
+        let flattened = roots.has(typeName) && !types.has(to) && to in result
+
+        if (!flattened && !(entry && to in entry)) {
+          entry = entry || {}
+          entry[to] = resolveAs(from)
+          added = true
+        }
+      }
+    }
+
+    if (entry) {
+      result[typeName] = entry
+    }
+  }
+
+  return resolvers || added ? result : resolvers
+}
+
+/**
+ * Removes the named types and fields, then anything left referring to them,
+ * until nothing further needs removing. Resolvers for anything removed are
+ * dropped from a copy of the resolver map.
+ *
+ * @param {ASTNode} original the DocumentNode before any changes
+ * @param {ASTNode} ast the DocumentNode to prune
+ * @param {ResolverMap} resolvers the resolver map to prune
+ * @param {Set<string>} removed the names of the types to remove
+ * @param {Map<string, Set<string>>} removedFields a map of type names to the
+ * names of fields already removed from them
+ * @param {RootOperationTypes} rootTypes the root types of the document
+ * @return {TransformResult} the pruned DocumentNode and resolver map
+ */
+function pruneTypes(
+  original: ASTNode,
+  ast: ASTNode,
+  resolvers: ?ResolverMap,
+  removed: Set<string>,
+  removedFields: Map<string, Set<string>>,
+  rootTypes: RootOperationTypes
+): TransformResult {
+  let definitions = ast.definitions
+  let size
+
+  do {
+    size = removed.size
+    definitions = definitions
+      .filter(definition => (
+        !TYPE_KINDS.includes(definition.kind) ||
+        !removed.has(definition.name.value)
+      ))
+      .map(definition => pruneDefinition(definition, removed, removedFields))
+      .filter(Boolean)
+
+    let members: Map<string, number> = new Map()
+
+    for (let definition of definitions) {
+      let list = memberList(definition)
+
+      if (list) {
+        let name = definition.name.value
+
+        members.set(name, (members.get(name) || 0) + list.length)
+      }
+    }
+
+    // Types without any fields or members are no longer valid
+    for (let [name, count] of members) {
+      if (!count) {
+        removed.add(name)
+      }
+    }
+  }
+  while (removed.size !== size)
+
+  return {
+    ast: Object.assign({}, ast, { definitions }),
+    resolvers: pruneResolvers(
+      original, resolvers, removed, removedFields, rootTypes
+    ),
+  }
+}
+
+/**
+ * Removes the fields, arguments, interfaces, union members and operation
+ * types of a definition that refer to removed types.
+ *
+ * @param {ASTNode} definition the definition to prune
+ * @param {Set<string>} removed the names of the removed types
+ * @param {Map<string, Set<string>>} removedFields a map of type names to the
+ * names of fields removed from them; updated with any removed here
+ * @return {ASTNode} the definition, a pruned copy of it or null if an
+ * extension is left with nothing to extend
+ */
+function pruneDefinition(
+  definition: ASTNode,
+  removed: Set<string>,
+  removedFields: Map<string, Set<string>>
+): ?ASTNode {
+  let keep = node => !removed.has(namedTypeOf(node.type || node))
+  let changes = {}
+
+  if (FIELD_KINDS.includes(definition.kind)) {
+    let name = definition.name.value
+    let fields = (definition.fields || []).filter(field => {
+      if (keep(field)) {
+        return true
+      }
+
+      addTo(removedFields, name, field.name.value)
+
+      return false
+    })
+
+    changes.fields = fields.map(field => {
+      let args = (field.arguments || []).filter(keep)
+
+      return args.length === (field.arguments || []).length
+        ? field
+        : Object.assign({}, field, { arguments: args })
+    })
+
+    if (definition.interfaces) {
+      changes.interfaces = definition.interfaces.filter(keep)
+    }
+  }
+  else if (UNION_KINDS.includes(definition.kind)) {
+    changes.types = (definition.types || []).filter(keep)
+  }
+  else if (definition.kind === 'SchemaDefinition') {
+    changes.operationTypes = definition.operationTypes.filter(keep)
+
+    if (!changes.operationTypes.length) {
+      return null
+    }
+  }
+  else if (definition.kind === 'DirectiveDefinition') {
+    changes.arguments = (definition.arguments || []).filter(keep)
+  }
+
+  let unchanged = Object.keys(changes).every(key => (
+    changes[key].length === (definition[key] || []).length &&
+    changes[key].every((node, i) => node === definition[key][i])
+  ))
+
+  if (unchanged) {
+    return definition
+  }
+
+  let list = memberList(changes)
+
+  if (/Extension$/.test(definition.kind) && list && !list.length) {
+    return null
+  }
+
+  return Object.assign({}, definition, changes)
+}
+
+/**
+ * Removes the resolvers of removed types and fields from a copy of the
+ * resolver map, flattened root resolvers included.
+ *
+ * @param {ASTNode} ast the DocumentNode before any changes
+ * @param {ResolverMap} resolvers the resolver map to prune
+ * @param {Set<string>} removed the names of the removed types
+ * @param {Map<string, Set<string>>} removedFields a map of type names to the
+ * names of fields removed from them
+ * @param {RootOperationTypes} rootTypes the root types of the document
+ * @return {ResolverMap} a pruned copy of the resolver map
+ */
+function pruneResolvers(
+  ast: ASTNode,
+  resolvers: ?ResolverMap,
+  removed: Set<string>,
+  removedFields: Map<string, Set<string>>,
+  rootTypes: RootOperationTypes
+): ?ResolverMap {
+  if (!resolvers) {
+    return resolvers
+  }
+
+  let types = typeKeys(ast, rootTypes)
+  let flattened: Set<string> = new Set()
+  let result = {}
+
+  for (let name of rootTypeNames(rootTypes)) {
+    for (let field of removedFields.get(name) || []) {
+      flattened.add(field)
+    }
+  }
+
+  for (let key of Object.keys(resolvers)) {
+    let value = resolvers[key]
+
+    if (!types.has(key)) {
+      if (!flattened.has(key)) {
+        result[key] = value
+      }
+
+      continue
+    }
+
+    if (removed.has(key)) {
+      continue
+    }
+
+    let fields = removedFields.get(key)
+
+    result[key] = fields && isResolverEntry(value)
+      ? renameKeys(value, field => fields.has(field) ? null : field)
+      : value
+  }
+
+  return result
+}
+
+/**
+ * Wraps a `__resolveType` resolver so that any renamed type names it returns,
+ * directly or by way of a promise, are replaced by the new names.
+ *
+ * @param {Function} resolveType the resolver to wrap
+ * @param {Map<string, string>} renames a map of old type names to new ones
+ * @return {Function} the wrapping resolver
+ */
+function renameResolvedType(
+  resolveType: Function,
+  renames: Map<string, string>
+): Function {
+  let rename = type => (
+    typeof type === 'string' && renames.has(type) ? renames.get(type) : type
+  )
+
+  return function(...args) {
+    let type = resolveType.apply(this, args)
+
+    return type && typeof type.then === 'function'
+      ? type.then(rename)
+      : rename(type)
+  }
+}
+
+/**
+ * Creates a resolver that resolves a renamed field from the value stored
+ * under its previous name.
+ *
+ * @param {string} fieldName the previous name of the field
+ * @return {Function} a field resolver
+ */
+function resolveAs(fieldName: string): Function {
+  return function(source, args, context, info) {
+    return defaultFieldResolver(
+      source,
+      args,
+      context,
+      Object.assign({}, info, { fieldName })
+    )
+  }
+}
+
+/**
+ * Determines the keys of a resolver map that hold the resolvers of a type
+ * rather than a flattened root field resolver. Should a root field share its
+ * name with a type, the key is considered to be the flattened resolver.
+ *
+ * @param {ASTNode} ast the DocumentNode described by the resolver map
+ * @param {RootOperationTypes} rootTypes the root types of the document
+ * @return {Set<string>} the names of the types defined in the document
+ */
+function typeKeys(ast: ASTNode, rootTypes: RootOperationTypes): Set<string> {
+  let roots = rootTypeNames(rootTypes)
+  let rootFields: Set<string> = new Set()
+  let types: Set<string> = new Set()
+
+  for (let definition of typeDefinitions(ast)) {
+    types.add(definition.name.value)
+
+    if (roots.has(definition.name.value)) {
+      for (let field of definition.fields || []) {
+        rootFields.add(field.name.value)
+      }
+    }
+  }
+
+  for (let field of rootFields) {
+    types.delete(field)
+  }
+
+  return types
+}
+
+/**
+ * Copies an object, renaming its keys with the supplied function. Keys for
+ * which the function returns null are omitted.
+ *
+ * @param {Object} object the object to copy
+ * @param {Function} fn a function receiving a key and returning its new name
+ * @return {Object} the copy
+ */
+function renameKeys(object: Object, fn: (key: string) => ?string): Object {
+  let result = {}
+
+  for (let key of Object.keys(object)) {
+    let name = fn(key)
+
+    if (name != null) {
+      result[name] = object[key]
+    }
+  }
+
+  return result
+}
+
+/**
+ * Copies an ASTNode having a name, giving it a new name.
+ *
+ * @param {ASTNode} node the node to copy
+ * @param {string} name the new name
+ * @return {ASTNode} the renamed copy
+ */
+function renameNode(node: ASTNode, name: string): ASTNode {
+  return Object.assign({}, node, {
+    name: Object.assign({}, node.name, { value: name }),
+  })
+}
+
+/**
+ * Unwraps any list and non-null types, returning the name of the named type
+ *
+ * @param {ASTNode} type a type reference
+ * @return {string} the name of the referenced type
+ */
+function namedTypeOf(type: ASTNode): string {
+  while (type.kind !== 'NamedType') {
+    type = type.type
+  }
+
+  return type.name.value
+}
+
+/**
+ * Returns the fields or union members of a definition, if it has them.
+ *
+ * @param {Object} definition a definition or the changes made to one
+ * @return {Array<ASTNode>} the fields or members or null for definitions
+ * that have neither
+ */
+function memberList(definition: Object): ?Array<ASTNode> {
+  if (definition.kind && !FIELD_KINDS.includes(definition.kind) &&
+      !UNION_KINDS.includes(definition.kind)) {
+    return null
+  }
+
+  return definition.fields || definition.types || null
+}
+
+/**
+ * Adds a value to the set stored under a key, creating it when missing.
+ *
+ * @param {Map<string, Set<string>>} map the map of sets
+ * @param {string} key the key of the set
+ * @param {string} value the value to add
+ */
+function addTo(map: Map<string, Set<string>>, key: string, value: string) {
+  if (!map.has(key)) {
+    map.set(key, new Set())
+  }
+
+  map.get(key).add(value)
+}
+
+/**
+ * Returns true for the objects of a resolver map that hold the resolvers of
+ * a type, as opposed to a GraphQLScalarType or a resolver function.
+ *
+ * @param {mixed} value a value from a resolver map
+ * @return {boolean} true if the value is an object of resolvers
+ */
+function isResolverEntry(value: mixed): boolean {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    !(value instanceof GraphQLScalarType)
+  )
+}
+
+/**
+ * Returns the names of the root operation types that exist
+ *
+ * @param {RootOperationTypes} rootTypes the root types of a document
+ * @return {Set<string>} the names of the root types
+ */
+function rootTypeNames(rootTypes: RootOperationTypes): Set<string> {
+  return new Set(
+    Object.keys(rootTypes).map(key => rootTypes[key]).filter(Boolean)
+  )
+}
+
+/**
+ * Returns each definition or extension of a named type within a document
+ *
+ * @param {ASTNode} ast the DocumentNode to search
+ * @return {Array<ASTNode>} the type definitions and extensions
+ */
+function typeDefinitions(ast: ASTNode): Array<ASTNode> {
+  return ast.definitions.filter(
+    definition => TYPE_KINDS.includes(definition.kind)
+  )
+}
+
+export default {
+  renameTypes,
+  renameFields,
+  prefixTypes,
+  filterTypes,
+  filterRootFields,
+}
@@ -0,0 +1,598 @@
+// @flow
+
+import {
+  defaultFieldResolver,
+  execute,
+  getNamedType,
+  getLocation,
+  GraphQLError,
+  isCompositeType,
+  parseType,
+  print,
+  responsePathAsArray,
+  visit,
+} from 'graphql'
+import { inline } from 'ne-tag-fns'
+
+import type {
+  ASTNode,
+  GraphQLFieldResolver,
+  GraphQLNamedType,
+  GraphQLResolveInfo,
+} from 'graphql'
+import { SchemaMergeConflictError } from './errors'
+
+import type { Schemata } from './Schemata'
+import type { MergeConflict, ResolverMap, StitchOptions } from './types'
+
+/** @type {string} the prefix of the variables holding delegated arguments */
+const ARG_PREFIX = '_delegated_'
+
+/**
+ * Resolves a field by executing a query or mutation for the named root field
+ * of another schema. The selections made on the field being resolved are
+ * sent along, minus any fields unknown to the other schema. Aliases are kept,
+ * so the value returned is keyed by the response keys of the request and
+ * its fields should be resolved with `delegatedFieldResolver()`, as
+ * `stitch()` does. Any errors the other schema reports are relocated
+ * beneath the field being resolved.
+ *
+ * Fields named in the `requires` option are added to the selections made on
+ * the types under which they are listed, ensuring values needed by other
+ * delegated fields are always fetched.
+ *
+ * @param {Schemata} subschema the Schemata instance, with resolvers, that
+ * should resolve the field
+ * @param {string} operation one of `'query'` or `'mutation'`
+ * @param {string} fieldName the name of the root field of `subschema` to
+ * call
+ * @param {Object} args the arguments supplied to that root field
+ * @param {mixed} context the context of the request, passed along as is
+ * @param {GraphQLResolveInfo} info the info object of the field being
+ * resolved
+ * @param {Object} options an optional object whose `requires` property maps
+ * type names to arrays of field names that should always be selected
+ * @return {mixed} the value, or a promise of the value, for the field
+ */
+export function delegateTo(
+  subschema: Schemata,
+  operation: string,
+  fieldName: string,
+  args: { [string]: mixed },
+  context: mixed,
+  info: GraphQLResolveInfo,
+  options: { requires?: { [string]: Array<string> } } = {}
+): mixed {
+  let schema = subschema.schema
+  let rootType = schema && {
+    query: schema.getQueryType(),
+    mutation: schema.getMutationType(),
+  }[operation]
+  let field = rootType && rootType.getFields()[fieldName]
+
+  if (!field) {
+    throw new Error(
+      `delegateTo() could not find the ${operation} field "${fieldName}" ` +
+      'in the supplied subschema. Please check your code and try again.'
+    )
+  }
+
+  let requires = options.requires || {}
+  let variableDefinitions = []
+  let variableValues = {}
+  let argumentNodes = []
+
+  for (let arg of field.args) {
+    if (args[arg.name] === undefined) {
+      continue
+    }
+
+    let variable = {
+      kind: 'Variable',
+      name: { kind: 'Name', value: `${ARG_PREFIX}${arg.name}` },
+    }
+
+    variableDefinitions.push({
+      kind: 'VariableDefinition',
+      variable,
+      type: parseType(String(arg.type)),
+    })
+    argumentNodes.push({
+      kind: 'Argument',
+      name: { kind: 'Name', value: arg.name },
+      value: variable,
+    })
+    variableValues[variable.name.value] = args[arg.name]
+  }
+
+  let selections = []
+
+  for (let fieldNode of info.fieldNodes) {
+    if (fieldNode.selectionSet) {
+      selections = selections.concat(fieldNode.selectionSet.selections)
+    }
+  }
+
+  let selectionSet = isCompositeType(getNamedType(field.type))
+    ? filterSelectionSet(
+      getNamedType(field.type),
+      { kind: 'SelectionSet', selections },
+      schema,
+      info.fragments,
+      requires
+    )
+    : undefined
+
+  // Pass along any variables of the request used within the selections
+  let used = usedVariables(selectionSet)
+
+  for (let definition of info.operation.variableDefinitions || []) {
+    let name = definition.variable.name.value
+
+    if (used.has(name)) {
+      variableDefinitions.push(definition)
+      variableValues[name] = (info.variableValues || {})[name]
+    }
+  }
+
+  let document = {
+    kind: 'Document',
+    definitions: [{
+      kind: 'OperationDefinition',
+      operation,
+      variableDefinitions,
+      directives: [],
+      selectionSet: {
+        kind: 'SelectionSet',
+        selections: [{
+          kind: 'Field',
+          name: { kind: 'Name', value: fieldName },
+          arguments: argumentNodes,
+          directives: [],
+          selectionSet,
+        }],
+      },
+    }],
+  }
+
+  let result = execute(
+    schema,
+    document,
+    subschema.resolvers,
+    context,
+    variableValues
+  )
+
+  return result && typeof result.then === 'function'
+    ? result.then(result => handleResult(result, fieldName, info))
+    : handleResult(result, fieldName, info)
+}
+
+/**
+ * Resolves a field of a value returned by `delegateTo()`. As aliases are
+ * sent along to the subschema, the values of such a result are keyed by the
+ * response key of each field, its alias or name, rather than by field name
+ * alone; this reads the value under the response key, so that a field
+ * selected several times with different arguments keeps each value. Values
+ * without one, such as those created by other resolvers, are resolved as
+ * `defaultFieldResolver` would.
+ *
+ * @param {mixed} parent the value of the parent field
+ * @param {Object} args the arguments supplied to the field
+ * @param {mixed} context the context of the request
+ * @param {GraphQLResolveInfo} info the info object of the field being
+ * resolved
+ * @return {mixed} the value of the field
+ */
+export const delegatedFieldResolver: GraphQLFieldResolver<any, any> = (
+  parent,
+  args,
+  context,
+  info
+) => {
+  let key = info.path.key
+
+  if (parent && typeof parent === 'object' && key in parent) {
+    return parent[key]
+  }
+
+  return defaultFieldResolver(parent, args, context, info)
+}
+
+/**
+ * Creates a gateway Schemata instance from several others. The SDL of each
+ * subschema is merged, in order, and every query and mutation root field is
+ * given a resolver delegating to the subschema that defines it. Types the
+ * subschemas define differently and root fields defined by more than one
+ * subschema are handled according to the `conflictStrategy` option: with
+ * `'error'`, the default, a `SchemaMergeConflictError` listing each of them
+ * is thrown, with `'leftWins'` the first subschema wins and with
+ * `'rightWins'` the last one does. Each link adds a
+ * field to a type that is resolved by delegating to a root field of another
+ * subschema, optionally declaring the fields it requires of its parent.
+ * Interfaces and unions are resolved by their `__typename` and every other
+ * field of an object type with `delegatedFieldResolver()`.
+ *
+ * @param {Class<Schemata>} Class the Schemata class, or a subclass of it,
+ * used to create the gateway
+ * @param {Array<Schemata>} subschemas the Schemata instances, each with
+ * resolvers, to stitch together
+ * @param {StitchOptions} options an object whose `links` property is an
+ * array of `StitchLink` objects and whose `conflictStrategy` is one of
+ * `'error'`, `'leftWins'` or `'rightWins'`
+ * @return {Schemata} a new instance whose resolvers delegate to the
+ * subschemas
+ */
+export function stitchSchemas(
+  Class: Class<Schemata>,
+  subschemas: Array<Schemata>,
+  options: StitchOptions = {}
+): Schemata {
+  let links = options.links || []
+  let strategy = options.conflictStrategy || 'error'
+
+  if (!subschemas || !subschemas.length) {
+    throw new Error(inline`
+      stitch(subschemas) requires at least one Schemata instance to stitch.
+      Please check your code and try again.
+    `)
+  }
+
+  if (!['error', 'leftWins', 'rightWins'].includes(strategy)) {
+    throw new Error(inline`
+      stitch() supports the 'error', 'leftWins' and 'rightWins' conflict
+      strategies, not '${String(strategy)}'. Please check your code and try
+      again.
+    `)
+  }
+
+  let gateway = subschemas
+    .slice(1)
+    .reduce((merged, subschema) => (
+      merged.mergeSDL(subschema.sdl, null, strategy)
+    ), Class.from(subschemas[0].sdl))
+
+  for (let link of links) {
+    if (link.fieldType) {
+      gateway = gateway.mergeSDL(
+        `type ${link.type} { ${link.field}: ${link.fieldType} }`,
+        null,
+        strategy
+      )
+    }
+
+    if (!gateway.astFieldByName(link.type, link.field)) {
+      throw new Error(
+        `stitch() could not link "${link.type}.${link.field}" as the ` +
+        'field does not exist. Supply a `fieldType` to add the field as ' +
+        'part of the link.'
+      )
+    }
+  }
+
+  let requires = {}
+  let resolvers: ResolverMap = {}
+  let roots = gateway.rootOperationTypes
+  let typeResolvers = type => (resolvers[type] = resolvers[type] || {})
+  let owners: Map<string, Object> = new Map()
+  let conflicts = []
+
+  for (let link of links) {
+    let fields = [].concat(link.requires || [])
+
+    requires[link.type] = (requires[link.type] || []).concat(fields)
+  }
+
+  for (let subschema of subschemas) {
+    let subRoots = subschema.rootOperationTypes
+
+    for (let operation of ['query', 'mutation']) {
+      let entry = subRoots[operation] && roots[operation]
+        && subschema.astIndex.get(subRoots[operation])
+
+      if (!entry) {
+        continue
+      }
+
+      for (let [fieldName, node] of entry.fields) {
+        let key = `${String(roots[operation])}.${fieldName}`
+        let owner = owners.get(key)
+
+        if (owner) {
+          conflicts.push(rootFieldConflict(
+            String(roots[operation]), fieldName, owner.node, node
+          ))
+
+          if (strategy === 'leftWins') {
+            continue
+          }
+        }
+
+        owners.set(key, { node })
+        typeResolvers(String(roots[operation]))[fieldName] = (
+          root, args, context, info
+        ) => delegateTo(
+          subschema, operation, fieldName, args, context, info, { requires }
+        )
+      }
+    }
+  }
+
+  if (conflicts.length && strategy === 'error') {
+    throw new SchemaMergeConflictError(conflicts)
+  }
+
+  for (let link of links) {
+    typeResolvers(link.type)[link.field] = (parent, args, context, info) => {
+      let linkArgs = link.args ? link.args(parent, args, context, info) : args
+
+      return delegateTo(
+        link.schema,
+        link.operation || 'query',
+        link.fieldName,
+        linkArgs,
+        context,
+        info,
+        { requires }
+      )
+    }
+  }
+
+  for (let { definition, fields } of gateway.astIndex.values()) {
+    let typeName = definition.name.value
+
+    if (/^(Interface|Union)Type/.test(definition.kind)) {
+      typeResolvers(typeName).__resolveType = (
+        value => value && value.__typename
+      )
+    }
+    else if (
+      /^ObjectType/.test(definition.kind) &&
+      typeName !== roots.subscription
+    ) {
+      let typeResolver = typeResolvers(typeName)
+
+      for (let fieldName of fields.keys()) {
+        typeResolver[fieldName] = typeResolver[fieldName] ||
+          delegatedFieldResolver
+      }
+    }
+  }
+
+  return Class.from(gateway.sdl, resolvers)
+}
+
+/**
+ * Describes a root field defined by more than one of the subschemas being
+ * stitched, in the manner of the conflicts found while merging.
+ *
+ * @param {string} typeName the name of the root type of the gateway
+ * @param {string} fieldName the name of the root field
+ * @param {ASTNode} left the field as defined by the earlier subschema
+ * @param {ASTNode} right the field as defined by the later subschema
+ * @return {MergeConflict} a description of the conflict
+ */
+function rootFieldConflict(
+  typeName: string,
+  fieldName: string,
+  left: ASTNode,
+  right: ASTNode
+): MergeConflict {
+  let locate = node => (
+    node.loc && node.loc.source
+      ? getLocation(node.loc.source, node.loc.start)
+      : null
+  )
+
+  return {
+    type: typeName,
+    field: fieldName,
+    argument: null,
+    subType: 'fields',
+    left: print(left),
+    right: print(right),
+    leftNode: left,
+    rightNode: right,
+    leftLocation: locate(left),
+    rightLocation: locate(right),
+  }
+}
+
+/**
+ * Rewrites the selections made on a type so that they can be sent to a
+ * subschema. Fields and fragments unknown to the subschema are removed,
+ * fragment spreads are inlined, required fields are added and `__typename`
+ * is always selected. Aliases are kept, so results are keyed by
+ * response key; required fields are added without one unless already
+ * selected that way, so that they can be read by name.
+ *
+ * @param {GraphQLNamedType} type the subschema type the selections are made
+ * on
+ * @param {ASTNode} selectionSet the SelectionSetNode to rewrite
+ * @param {GraphQLSchema} schema the schema of the subschema
+ * @param {Object} fragments the fragment definitions of the request, keyed
+ * by name
+ * @param {Object} requires a map of type names to arrays of field names that
+ * should always be selected
+ * @return {ASTNode} the rewritten SelectionSetNode
+ */
+function filterSelectionSet(
+  type: GraphQLNamedType,
+  selectionSet: ASTNode,
+  schema: Object,
+  fragments: { [string]: ASTNode },
+  requires: { [string]: Array<string> }
+): ASTNode {
+  let fields = typeof type.getFields === 'function' ? type.getFields() : {}
+  let selections = []
+
+  for (let selection of selectionSet.selections) {
+    if (selection.kind === 'FragmentSpread') {
+      let fragment = fragments[selection.name.value]
+
+      // Spreads of unknown fragments fail validation; there is nothing to send
+      if (!fragment) {
+        continue
+      }
+
+      selection = {
+        kind: 'InlineFragment',
+        typeCondition: fragment.typeCondition,
+        directives: selection.directives,
+        selectionSet: fragment.selectionSet,
+      }
+    }
+
+    if (selection.kind === 'InlineFragment') {
+      let condition = selection.typeCondition
+        ? schema.getType(selection.typeCondition.name.value)
+        : type
+
+      if (condition) {
+        selections.push(Object.assign({}, selection, {
+          selectionSet: filterSelectionSet(
+            condition, selection.selectionSet, schema, fragments, requires
+          ),
+        }))
+      }
+
+      continue
+    }
+
+    let name = selection.name.value
+    let field = fields[name]
+
+    if (name === '__typename') {
+      selections.push(selection)
+    }
+    else if (field) {
+      let fieldType = getNamedType(field.type)
+
+      selections.push(Object.assign({}, selection, {
+        selectionSet: selection.selectionSet && isCompositeType(fieldType)
+          ? filterSelectionSet(
+            fieldType, selection.selectionSet, schema, fragments, requires
+          )
+          : undefined,
+      }))
+    }
+  }
+
+  let selected = new Set(
+    selections
+      .filter(selection => selection.kind === 'Field' && !selection.alias)
+      .map(selection => selection.name.value)
+  )
+  // The __typename of every value is fetched, as the gateway may resolve it
+  // as an interface or union even where the subschema returns an object type
+  let extras = (requires[type.name] || [])
+    .filter(name => fields[name])
+    .concat('__typename')
+
+  for (let name of extras) {
+    if (!selected.has(name)) {
+      selected.add(name)
+      selections.push({ kind: 'Field', name: { kind: 'Name', value: name } })
+    }
+  }
+
+  return { kind: 'SelectionSet', selections }
+}
+
+/**
+ * Collects the names of the variables used within an ASTNode
+ *
+ * @param {ASTNode} node the node to search
+ * @return {Set<string>} the names of the variables used
+ */
+function usedVariables(node: ?ASTNode): Set<string> {
+  let names = new Set()
+
+  if (node) {
+    visit(node, {
+      Variable(variable) {
+        names.add(variable.name.value)
+      },
+    })
+  }
+
+  return names
+}
+
+/**
+ * Extracts the value of the delegated field from the result of a delegated
+ * operation. Errors are relocated beneath the field being resolved; if the
+ * value is missing they are thrown, otherwise each takes the place of the
+ * null value at its path so that it is reported when that field resolves.
+ *
+ * @param {Object} result the ExecutionResult of the delegated operation
+ * @param {string} fieldName the name of the delegated root field
+ * @param {GraphQLResolveInfo} info the info object of the field being
+ * resolved
+ * @return {mixed} the value of the delegated field
+ */
+function handleResult(
+  result: Object,
+  fieldName: string,
+  info: GraphQLResolveInfo
+): mixed {
+  let errors = (result.errors || []).map(error => relocateError(error, info))
+  let value = result.data ? result.data[fieldName] : null
+
+  if (value == null) {
+    if (errors.length > 1) {
+      throw new GraphQLError(
+        errors.map(error => error.message).join('\n'),
+        info.fieldNodes,
+        undefined,
+        undefined,
+        responsePathAsArray(info.path),
+        errors[0].originalError,
+        { errors }
+      )
+    }
+    else if (errors.length) {
+      throw errors[0]
+    }
+
+    return value
+  }
+
+  for (let i = 0; i < errors.length; i++) {
+    let path = (result.errors[i].path || []).slice(1)
+    let key = path.pop()
+    let parent = path.reduce((object, key) => object && object[key], value)
+
+    if (key !== undefined && parent && parent[key] == null) {
+      parent[key] = errors[i]
+    }
+  }
+
+  return value
+}
+
+/**
+ * Creates a copy of an error reported by a subschema whose path and
+ * locations refer to the field being resolved.
+ *
+ * @param {GraphQLError} error the error reported by the subschema
+ * @param {GraphQLResolveInfo} info the info object of the field being
+ * resolved
+ * @return {GraphQLError} the relocated error
+ */
+function relocateError(
+  error: GraphQLError,
+  info: GraphQLResolveInfo
+): GraphQLError {
+  return new GraphQLError(
+    error.message,
+    info.fieldNodes,
+    undefined,
+    undefined,
+    responsePathAsArray(info.path).concat((error.path || []).slice(1)),
+    error.originalError || error,
+    error.extensions
+  )
+}
+
+export default stitchSchemas
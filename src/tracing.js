@@ -0,0 +1,366 @@
+// @flow
+
+import {
+  defaultFieldResolver,
+  responsePathAsArray,
+  GraphQLObjectType,
+  Kind,
+} from 'graphql'
+
+import type {
+  DocumentNode,
+  ExecutionResult,
+  GraphQLFieldResolver,
+  GraphQLResolveInfo,
+  GraphQLSchema,
+} from 'graphql'
+import type { ResolverTrace, ResolverTiming } from './types'
+
+/**
+ * The traces of the operations being executed with tracing, keyed by the
+ * OperationDefinitionNodes of their parsed documents; each execution parses
+ * its own document so these are never shared between executions.
+ *
+ * @type {WeakMap<Object, Object>}
+ */
+const traces: WeakMap<Object, Object> = new WeakMap()
+
+/**
+ * The schemas whose resolvers have been wrapped with `traceResolver()`; see
+ * `traceSchema()`.
+ *
+ * @type {WeakSet<GraphQLSchema>}
+ */
+const tracedSchemas: WeakSet<GraphQLSchema> = new WeakSet()
+
+/** @type {Symbol} a key to the resolver wrapped by `traceResolver()` */
+const UNTRACED = Symbol('untraced-resolver')
+
+/**
+ * Returns the current value of the high resolution timer in nanoseconds.
+ *
+ * @return {number} a number of nanoseconds from an arbitrary point in time
+ */
+export function now(): number {
+  let [seconds, nanoseconds] = process.hrtime()
+
+  return seconds * 1e9 + nanoseconds
+}
+
+/**
+ * Finds the trace of the operation being resolved, if it is being traced.
+ *
+ * @param {GraphQLResolveInfo} info the info supplied to a resolver
+ * @return {Object|null} the internal trace or null if the operation is not
+ * being traced
+ */
+export function traceFor(info: ?GraphQLResolveInfo): ?Object {
+  return (info && info.operation && traces.get(info.operation)) || null
+}
+
+/**
+ * Adds the timing of a single function run by an `ExtendedResolver` to the
+ * trace of the field being resolved, should it be traced. The timing is
+ * listed in the `entries` of the field's resolver trace.
+ *
+ * @param {GraphQLResolveInfo} info the info supplied to the resolver
+ * @param {string} name the name of the function
+ * @param {number} index the index of the function in `order`
+ * @param {number} started the time at which the function was called, as
+ * returned by `now()`
+ */
+export function recordEntry(
+  info: ?GraphQLResolveInfo,
+  name: string,
+  index: number,
+  started: number
+): void {
+  let trace = traceFor(info)
+  let record = trace && info && trace.fields.get(info.path)
+
+  if (record) {
+    (record.entries = record.entries || []).push({
+      name,
+      index,
+      startOffset: started - trace.started,
+      duration: now() - started,
+    })
+  }
+}
+
+/**
+ * Wraps a resolver so that, when the operation is being traced, the start
+ * offset and duration of each call is recorded along with the path, parent
+ * type, field name and return type of the field. The wrapper returns
+ * whatever the resolver returns, synchronously or not, and simply calls the
+ * resolver when the operation is not being traced.
+ *
+ * @param {GraphQLFieldResolver} resolver the resolver to wrap
+ * @return {GraphQLFieldResolver} the wrapped resolver
+ */
+export function traceResolver(
+  resolver: GraphQLFieldResolver<any, any>
+): GraphQLFieldResolver<any, any> {
+  let tracedResolver = function(source, args, context, info) {
+    let trace = traceFor(info)
+
+    // Resolvers wrapped more than once are only recorded by the outermost
+    if (!trace || trace.fields.has(info.path)) {
+      return resolver.apply(this, arguments)
+    }
+
+    let started = now()
+    let record: ResolverTrace = {
+      path: responsePathAsArray(info.path),
+      parentType: String(info.parentType),
+      fieldName: info.fieldName,
+      returnType: String(info.returnType),
+      startOffset: started - trace.started,
+      duration: 0,
+    }
+    let finish = () => { record.duration = now() - started }
+    let result
+
+    trace.resolvers.push(record)
+    trace.fields.set(info.path, record)
+
+    try {
+      result = resolver.apply(this, arguments)
+    }
+    catch (error) {
+      finish()
+      throw error
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => { finish(); return value },
+        error => { finish(); throw error }
+      )
+    }
+
+    finish()
+
+    return result
+  }
+
+  tracedResolver[UNTRACED] = resolver
+
+  return tracedResolver
+}
+
+/**
+ * Returns the resolver wrapped by `traceResolver()`, so that traced schemas
+ * still hand out the resolvers they were built with.
+ *
+ * @param {Function} resolver a resolver, traced or not
+ * @return {Function} the resolver without its tracing wrapper
+ */
+export function untraced(resolver: ?Function): ?Function {
+  return resolver && (resolver: any)[UNTRACED]
+    ? (resolver: any)[UNTRACED]
+    : resolver
+}
+
+/**
+ * Wraps the resolver of every field in the supplied executable schema that
+ * has one with `traceResolver()`, in place and only once per schema, so
+ * that operations executed against the schema itself can be traced. Fields
+ * without a resolver are left alone; when tracing, the field resolver of
+ * the execution is wrapped instead. The wrappers simply call the resolvers
+ * when the operation is not being traced and `untraced()` returns the
+ * original resolvers.
+ *
+ * @param {GraphQLSchema} schema the schema whose resolvers are wrapped
+ * @return {GraphQLSchema} the same schema
+ */
+export function traceSchema(schema: GraphQLSchema): GraphQLSchema {
+  if (tracedSchemas.has(schema)) {
+    return schema
+  }
+
+  for (let type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !/^__/.test(type.name)) {
+      for (let field of Object.values(type.getFields())) {
+        if ((field: any).resolve) {
+          (field: any).resolve = traceResolver((field: any).resolve)
+        }
+      }
+    }
+  }
+
+  tracedSchemas.add(schema)
+
+  return schema
+}
+
+/**
+ * Creates the internal trace of a request, timed from the moment it is
+ * created. The phases and resolvers of the request are added to it as they
+ * run and `withTrace()` adds it to the result.
+ *
+ * @return {Object} the internal trace of the request
+ */
+export function startTrace(): Object {
+  return {
+    startTime: new Date(),
+    started: now(),
+    parsing: { startOffset: 0, duration: 0 },
+    validation: { startOffset: 0, duration: 0 },
+    resolvers: [],
+    fields: new WeakMap(),
+  }
+}
+
+/**
+ * Runs a phase of the request, such as `'parsing'` or `'validation'`, and
+ * records its timing, relative to the start of the trace, under its name.
+ * The timing is recorded even if the phase throws. Without a trace the
+ * phase is simply run.
+ *
+ * @param {Object} trace the internal trace of the request, if any
+ * @param {string} name the name of the phase in the trace
+ * @param {Function} fn the function performing the phase
+ * @return {mixed} the value returned by `fn`
+ */
+export function tracePhase<T>(trace: ?Object, name: string, fn: () => T): T {
+  if (!trace) {
+    return fn()
+  }
+
+  let started = now()
+
+  try {
+    return fn()
+  }
+  finally {
+    trace[name] = {
+      startOffset: started - trace.started,
+      duration: now() - started,
+    }
+  }
+}
+
+/**
+ * Marks the operations of a parsed document as traced, so that resolvers
+ * wrapped with `traceResolver()` record their timings in the trace when
+ * they are executed. Each execution should parse its own document.
+ *
+ * @param {Object} trace the internal trace of the request
+ * @param {DocumentNode} document the parsed document about to be executed
+ */
+export function traceOperation(trace: Object, document: DocumentNode): void {
+  for (let definition of document.definitions) {
+    if (definition.kind === Kind.OPERATION_DEFINITION) {
+      traces.set(definition, trace)
+    }
+  }
+}
+
+/**
+ * Adds a trace to `extensions.tracing` of a result, in the Apollo tracing
+ * format; nanosecond offsets from the start of the request and durations
+ * for parsing, validation and each resolver. When resolvers are
+ * `ExtendedResolver` instances, the time spent in each function of their
+ * `order` is listed in the `entries` of their trace.
+ *
+ * @param {Object} trace the internal trace of the request
+ * @param {ExecutionResult} result the result of the request
+ * @return {ExecutionResult} a copy of the result with its trace
+ */
+export function withTrace(
+  trace: Object,
+  result: ExecutionResult
+): ExecutionResult {
+  return Object.assign({}, result, {
+    extensions: Object.assign({}, result.extensions, {
+      tracing: formatTrace(trace),
+    }),
+  })
+}
+
+/**
+ * Converts the internal trace of a request into the Apollo tracing format
+ *
+ * @param {Object} trace the internal trace of the request
+ * @return {Object} the value for `extensions.tracing` in the result
+ */
+function formatTrace(trace: Object): Object {
+  let duration = now() - trace.started
+  let phase = ({ startOffset, duration }) => ({ startOffset, duration })
+
+  return {
+    version: 1,
+    startTime: trace.startTime.toISOString(),
+    endTime: new Date(
+      trace.startTime.getTime() + Math.round(duration / 1e6)
+    ).toISOString(),
+    duration,
+    parsing: phase(trace.parsing),
+    validation: phase(trace.validation),
+    execution: {
+      resolvers: trace.resolvers,
+    },
+  }
+}
+
+/**
+ * Creates a prepended and appended pair of functions for an
+ * `ExtendedResolver` that time each call of the resolver and hand the
+ * timing to `report` once it completes. In `'middleware'` mode the first
+ * function times the remainder of the chain by itself and the second is
+ * never reached. Calls are paired by the path of the field being resolved,
+ * or by their args when called outside of an execution, so concurrent
+ * calls do not share a start time.
+ *
+ * @param {Function} report a function receiving a `ResolverTiming` after
+ * each call
+ * @return {[Function, Function]} the functions to prepend and append
+ */
+export function timerPair(
+  report: (timing: ResolverTiming) => mixed
+): [Function, Function] {
+  let started: WeakMap<Object, number> = new WeakMap()
+  let keyOf = (args, info) => (info && info.path) || args
+  let done = (info, start) => report({
+    path: info && info.path ? responsePathAsArray(info.path) : [],
+    parentType: info ? String(info.parentType) : null,
+    fieldName: info ? info.fieldName : null,
+    returnType: info ? String(info.returnType) : null,
+    duration: now() - start,
+  })
+
+  return [
+    async function TimerStart(source, args, context, info, next) {
+      let start = now()
+
+      if (typeof next === 'function') {
+        try {
+          return await next()
+        }
+        finally {
+          done(info, start)
+        }
+      }
+
+      let key = keyOf(args, info)
+
+      if (key && typeof key === 'object') {
+        started.set(key, start)
+      }
+    },
+
+    function TimerStop(source, args, context, info, results) {
+      let key = keyOf(args, info)
+
+      if (key && typeof key === 'object' && started.has(key)) {
+        done(info, started.get(key))
+        started.delete(key)
+      }
+
+      return results
+    },
+  ]
+}
+
+export default traceSchema
@@ -0,0 +1,392 @@
+// @flow
+
+import {
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLUnionType,
+  isSpecifiedScalarType,
+} from 'graphql'
+
+import type { GraphQLSchema, GraphQLType } from 'graphql'
+import type { TypeGeneratorOptions } from './types'
+
+/** @type {Object} the types used for the scalars built into GraphQL */
+export const DefaultScalarTypes = {
+  ID: 'string',
+  String: 'string',
+  Int: 'number',
+  Float: 'number',
+  Boolean: 'boolean',
+}
+
+/**
+ * The differences between the TypeScript and Flow output; everything else
+ * is written using syntax common to both. Flow has no equivalent of the
+ * intersection with `Partial` that permits flattened root resolvers, so the
+ * root resolver types are spread into its `ResolverMap` instead; they are
+ * exact so that spreading them retains the type of each resolver.
+ *
+ * @type {Object}
+ */
+const Dialects = {
+  typescript: {
+    header: [
+      "import { GraphQLResolveInfo, GraphQLScalarType } from 'graphql'",
+    ],
+    maybe: 'export type Maybe<T> = T | null | undefined',
+    exact: ['{', '}'],
+    resolverMap: (entries, roots) => [
+      'export type ResolverMap = Partial<Resolvers>',
+      ...roots.map(root => `  & ${root}`),
+    ],
+  },
+
+  flow: {
+    header: [
+      '// @flow',
+      '',
+      "import type { GraphQLResolveInfo, GraphQLScalarType } from 'graphql'",
+    ],
+    maybe: 'export type Maybe<T> = ?T',
+    exact: ['{|', '|}'],
+    resolverMap: (entries, roots) => [
+      'export type ResolverMap = {',
+      ...roots.map(root => `  ...${root},`),
+      ...entries.map(([name, type]) => `  ${name}?: ${type},`),
+      '}',
+    ],
+  },
+}
+
+/**
+ * The helper types referenced by the generated resolver types. Each is
+ * valid in both TypeScript and Flow.
+ *
+ * @type {Array<string>}
+ */
+const HELPER_TYPES = [
+  'export type Resolver<Result, Parent = any, Args = {}, Context = any> = (',
+  '  parent: Parent,',
+  '  args: Args,',
+  '  context: Context,',
+  '  info: GraphQLResolveInfo',
+  ') => Result | Promise<Result>',
+  '',
+  'export type SubscriptionResolver<',
+  '  Result,',
+  '  Parent = any,',
+  '  Args = {},',
+  '  Context = any',
+  '> = {',
+  '  subscribe: Resolver<AsyncIterator<any>, Parent, Args, Context>,',
+  '  resolve?: Resolver<Result, any, Args, Context>,',
+  '}',
+  '',
+  'export type TypeResolver<Types, Context = any> = (',
+  '  value: any,',
+  '  context: Context,',
+  '  info: GraphQLResolveInfo',
+  ') => Maybe<Types> | Promise<Maybe<Types>>',
+  '',
+  'export type ScalarConfig<Internal> = GraphQLScalarType | {',
+  '  serialize?: (value: Internal) => any,',
+  '  parseValue?: (value: any) => Internal,',
+  '  parseLiteral?: (ast: any, variables?: any) => Internal,',
+  '}',
+]
+
+/**
+ * Generates TypeScript declarations for every type of the supplied schema
+ * along with resolver signatures matching the `ResolverMap` shape Schemata
+ * consumes.
+ *
+ * @see generateTypes
+ *
+ * @param {GraphQLSchema} schema the schema to describe
+ * @param {TypeGeneratorOptions} options scalar mappings, the context type and
+ * whether or not to generate resolver types
+ * @return {string} the contents of a `.ts` or `.d.ts` file
+ */
+export function generateTypeScript(
+  schema: GraphQLSchema,
+  options: TypeGeneratorOptions = {}
+): string {
+  return generateTypes(schema, 'typescript', options)
+}
+
+/**
+ * Generates Flow type declarations for every type of the supplied schema
+ * along with resolver signatures matching the `ResolverMap` shape Schemata
+ * consumes.
+ *
+ * @see generateTypes
+ *
+ * @param {GraphQLSchema} schema the schema to describe
+ * @param {TypeGeneratorOptions} options scalar mappings, the context type and
+ * whether or not to generate resolver types
+ * @return {string} the contents of a `.js` or `.js.flow` file
+ */
+export function generateFlow(
+  schema: GraphQLSchema,
+  options: TypeGeneratorOptions = {}
+): string {
+  return generateTypes(schema, 'flow', options)
+}
+
+/**
+ * Generates type declarations for each scalar, enum, input object,
+ * interface, object and union type of a schema. Built-in scalars map to
+ * `string`, `number` and `boolean` while custom scalars map to `any` unless
+ * a mapping is supplied in `options.scalars`. Unless `options.resolvers` is
+ * false, a `Resolvers` type keyed by type name, with a `<Type>Resolvers`
+ * type for each, and a `ResolverMap` type also permitting flattened root
+ * resolvers are generated too; i.e. `Resolvers['Query']['peep']`.
+ *
+ * @param {GraphQLSchema} schema the schema to describe
+ * @param {string} language either `'typescript'` or `'flow'`
+ * @param {TypeGeneratorOptions} options scalar mappings, the context type and
+ * whether or not to generate resolver types
+ * @return {string} the generated source code
+ */
+export function generateTypes(
+  schema: GraphQLSchema,
+  language: 'typescript' | 'flow',
+  options: TypeGeneratorOptions = {}
+): string {
+  let dialect = Dialects[language]
+  let scalars = Object.assign({}, DefaultScalarTypes, options.scalars)
+  let context = options.contextType || 'any'
+  let types = Object.keys(schema.getTypeMap())
+    .sort()
+    .map(name => schema.getType(name))
+    .filter(type => !/^__/.test(type.name) && !isSpecifiedScalarType(type))
+  let ofKind = Type => types.filter(type => type instanceof Type)
+  let ref = type => typeReference(type, scalars)
+  let lines = dialect.header.concat('', dialect.maybe)
+
+  for (let type of ofKind(GraphQLScalarType)) {
+    lines.push('', ...comment(type))
+    lines.push(`export type ${type.name} = ${scalars[type.name] || 'any'}`)
+  }
+
+  for (let type of ofKind(GraphQLEnumType)) {
+    let values = type.getValues().map(value => `'${value.name}'`)
+
+    lines.push('', ...comment(type))
+    lines.push(`export type ${type.name} = ${values.join(' | ')}`)
+  }
+
+  for (let type of ofKind(GraphQLInputObjectType)) {
+    lines.push('', ...comment(type))
+    lines.push(...objectType(type.name, fieldList(type), ref))
+  }
+
+  for (let type of ofKind(GraphQLInterfaceType)) {
+    lines.push('', ...comment(type))
+    lines.push(...objectType(type.name, fieldList(type), ref))
+  }
+
+  for (let type of ofKind(GraphQLObjectType)) {
+    lines.push('', ...comment(type))
+    lines.push(...objectType(type.name, fieldList(type), ref))
+
+    for (let field of fieldList(type).filter(field => field.args.length)) {
+      lines.push('')
+      lines.push(...objectType(argsName(type, field), field.args, ref))
+    }
+  }
+
+  for (let type of ofKind(GraphQLUnionType)) {
+    let members = type.getTypes().map(member => member.name)
+
+    lines.push('', ...comment(type))
+    lines.push(`export type ${type.name} = ${members.join(' | ')}`)
+  }
+
+  if (options.resolvers === false) {
+    return lines.concat('').join('\n')
+  }
+
+  let roots = [
+    schema.getQueryType(),
+    schema.getMutationType(),
+    schema.getSubscriptionType(),
+  ].filter(Boolean)
+  let subscription = schema.getSubscriptionType()
+  let entries = []
+
+  lines.push('', ...HELPER_TYPES)
+
+  for (let type of types) {
+    let name = `${type.name}Resolvers`
+    let properties = []
+
+    if (type instanceof GraphQLScalarType) {
+      entries.push([type.name, `ScalarConfig<${type.name}>`])
+      continue
+    }
+
+    if (type instanceof GraphQLEnumType) {
+      entries.push([type.name, '{ [value: string]: any }'])
+      continue
+    }
+
+    if (type instanceof GraphQLInterfaceType ||
+        type instanceof GraphQLUnionType) {
+      let members = schema.getPossibleTypes(type)
+        .map(member => `'${member.name}'`)
+        .join(' | ') || 'string'
+
+      properties.push(
+        `  __resolveType?: TypeResolver<${members}, ${context}>,`
+      )
+    }
+    else if (type instanceof GraphQLObjectType) {
+      let parent = roots.includes(type) ? 'any' : type.name
+      let signature = type === subscription
+        ? 'SubscriptionResolver'
+        : 'Resolver'
+
+      for (let field of fieldList(type)) {
+        let args = field.args.length ? argsName(type, field) : '{}'
+
+        properties.push(...comment(field, '  '))
+        properties.push(
+          `  ${field.name}?: ${signature}<` +
+          `${ref(field.type)}, ${parent}, ${args}, ${context}>,`
+        )
+      }
+    }
+    else {
+      continue
+    }
+
+    lines.push('', `export type ${name} = ${dialect.exact[0]}`)
+    lines.push(...properties, dialect.exact[1])
+    entries.push([type.name, name])
+  }
+
+  lines.push('', 'export type Resolvers = {')
+  lines.push(...entries.map(([name, type]) => `  ${name}: ${type},`), '}')
+  lines.push('', ...dialect.resolverMap(
+    entries,
+    roots.map(type => `${type.name}Resolvers`)
+  ))
+
+  return lines.concat('').join('\n')
+}
+
+/**
+ * Writes an object type declaration for the supplied fields or arguments.
+ * Non-null values are required while nullable ones are optional.
+ *
+ * @param {string} name the name of the declared type
+ * @param {Array<Object>} fields the fields or arguments of the type
+ * @param {Function} ref a function converting a GraphQL type to a reference
+ * @return {Array<string>} the lines of the declaration
+ */
+function objectType(
+  name: string,
+  fields: Array<Object>,
+  ref: (type: GraphQLType) => string
+): Array<string> {
+  let lines = [`export type ${name} = {`]
+
+  for (let field of fields) {
+    let optional = field.type instanceof GraphQLNonNull ? '' : '?'
+
+    lines.push(...comment(field, '  '))
+    lines.push(`  ${field.name}${optional}: ${ref(field.type)},`)
+  }
+
+  return lines.concat('}')
+}
+
+/**
+ * Converts a GraphQL type into a reference to a generated type; nullable
+ * types are wrapped in `Maybe` and lists become arrays.
+ *
+ * @param {GraphQLType} type the type of a field or argument
+ * @param {Object} scalars a map of built-in scalar names to types
+ * @param {boolean} nullable false if the type is wrapped in a non-null type
+ * @return {string} the reference
+ */
+function typeReference(
+  type: GraphQLType,
+  scalars: { [string]: string },
+  nullable: boolean = true
+): string {
+  if (type instanceof GraphQLNonNull) {
+    return typeReference(type.ofType, scalars, false)
+  }
+
+  let reference = type instanceof GraphQLList
+    ? `Array<${typeReference(type.ofType, scalars)}>`
+    : isSpecifiedScalarType(type) ? scalars[type.name] : type.name
+
+  return nullable ? `Maybe<${reference}>` : reference
+}
+
+/**
+ * Writes the description of a type, field or argument, and the reason it
+ * is deprecated if it is, as a doc comment.
+ *
+ * @param {Object} item a type, field or argument
+ * @param {string} indent the indentation preceding each line
+ * @return {Array<string>} the lines of the comment; empty if there is
+ * nothing to say
+ */
+function comment(item: Object, indent: string = ''): Array<string> {
+  let text = (item.description || '').trim()
+
+  if (item.isDeprecated) {
+    text += `${text ? '\n\n' : ''}@deprecated ${item.deprecationReason || ''}`
+  }
+
+  if (!text) {
+    return []
+  }
+
+  let lines = text.replace(/\*\//g, '*\\/').split('\n')
+
+  if (lines.length === 1) {
+    return [`${indent}/** ${lines[0].trim()} */`]
+  }
+
+  return [
+    `${indent}/**`,
+    ...lines.map(line => `${indent} *${line.trim() ? ' ' : ''}${line.trim()}`),
+    `${indent} */`,
+  ]
+}
+
+/**
+ * Returns the fields of an object, interface or input object type
+ *
+ * @param {Object} type the type whose fields are desired
+ * @return {Array<Object>} the fields of the type
+ */
+function fieldList(type: Object): Array<Object> {
+  let fields = type.getFields()
+
+  return Object.keys(fields).map(name => fields[name])
+}
+
+/**
+ * Creates the name of the type describing the arguments of a field; i.e.
+ * `QueryPeepArgs` for the `peep` field of `Query`.
+ *
+ * @param {Object} type the type containing the field
+ * @param {Object} field the field with arguments
+ * @return {string} the name of the arguments type
+ */
+function argsName(type: Object, field: Object): string {
+  return `${type.name}${field.name[0].toUpperCase()}${field.name.slice(1)}Args`
+}
+
+export default generateTypes
@@ -1,5 +1,15 @@
 import type { Schemata } from './Schemata'
-import type { Source, GraphQLSchema, ASTNode } from 'graphql'
+import type {
+  Source,
+  GraphQLSchema,
+  ASTNode,
+  DocumentNode,
+  GraphQLField,
+  GraphQLFieldResolver,
+  GraphQLObjectType,
+  GraphQLResolveInfo,
+  ValidationContext,
+} from 'graphql'
 
 /**
  * An object that specifies the various types of resolvers that might occur
@@ -9,6 +19,9 @@ export type ConflictResolvers = {
   /** A handler for resolving fields in matching types */
   fieldMergeResolver?: FieldMergeResolver,
 
+  /** A handler for resolving arguments of matching fields */
+  argumentMergeResolver?: ArgumentMergeResolver,
+
   /** A handler for resolving directives in matching types */
   directiveMergeResolver?: DirectiveMergeResolver,
 
@@ -18,10 +31,39 @@ export type ConflictResolvers = {
   /** A handler for resolving type values in unions */
   typeValueMergeResolver?: UnionMergeResolver,
 
+  /** A handler for resolving operation types in schema definitions */
+  operationTypeMergeResolver?: OperationTypeMergeResolver,
+
   /** A handler for resolving scalar config conflicts in custom scalars */
   scalarMergeResolver?: ScalarMergeResolver
 }
 
+/**
+ * The callback for collision when a field argument is trying to be merged
+ * with an existing argument of the same name. Arguments found on only one
+ * side are always kept and any directives on conflicting arguments are merged
+ * separately using the `DirectiveMergeResolver`.
+ *
+ * @param {FieldNode} leftField the FieldNode that will receive the merged
+ * field's argument from the right
+ * @param {InputValueDefinitionNode} leftArgument the argument denoting the
+ * value that should be modified or replaced
+ * @param {FieldNode} rightField the FieldNode containing the argument to be
+ * merged
+ * @param {InputValueDefinitionNode} rightArgument the argument requesting to
+ * be merged and finding a conflicting value already present
+ * @return {InputValueDefinitionNode} the argument to merge into the existing
+ * field. To ignore changes, returning the leftArgument is sufficient enough.
+ * The default behavior is to always take the right hand value, overwriting
+ * new with old
+ */
+export type ArgumentMergeResolver = (
+  leftField: ASTNode,
+  leftArgument: ASTNode,
+  rightField: ASTNode,
+  rightArgument: ASTNode
+) => ASTNode
+
 /**
  * The callback for collision when a directive is trying to be merged with an
  * existing directive.
@@ -91,6 +133,77 @@ export type FieldMergeResolver = (
   rightField: FieldNode
 ) => FieldNode
 
+/**
+ * The callback for collision when a schema definition's operation type, such
+ * as `query: Query`, is trying to be merged with an existing mapping for the
+ * same operation.
+ *
+ * @param {ASTNode} leftSchema the SchemaDefinition that will receive the
+ * merged operation type from the right
+ * @param {ASTNode} leftOperationType the OperationTypeDefinition that should
+ * be modified or replaced
+ * @param {ASTNode} rightSchema the SchemaDefinition containing the operation
+ * type to be merged
+ * @param {ASTNode} rightOperationType the OperationTypeDefinition requesting
+ * to be merged and finding a conflicting value already present
+ * @return {ASTNode} the operation type to merge into the existing schema
+ * definition. The default behavior is to always take the right hand value
+ */
+export type OperationTypeMergeResolver = (
+  leftSchema: ASTNode,
+  leftOperationType: ASTNode,
+  rightSchema: ASTNode,
+  rightOperationType: ASTNode
+) => ASTNode
+
+/**
+ * The names of the root operation types of a schema, keyed by operation. A
+ * null value denotes a schema without a root type for that operation.
+ *
+ * @type {RootOperationTypes}
+ */
+export type RootOperationTypes = {
+  query: ?string,
+  mutation: ?string,
+  subscription: ?string
+}
+
+/**
+ * The name of a built-in strategy for handling merge conflicts; that is, a
+ * type, field, enum value, union member or directive defined differently on
+ * each side of a merge.
+ *
+ *   rightWins - the configured `ConflictResolvers` decide; by default the
+ *               right hand definition replaces the left (the default)
+ *   leftWins  - the existing left hand definition is kept
+ *   error     - a `SchemaMergeConflictError` listing every conflict is thrown
+ *   collect   - merges as `rightWins` would and records each conflict in the
+ *               `.conflicts` property of the resulting Schemata
+ *
+ * @type {ConflictStrategy}
+ */
+export type ConflictStrategy = 'rightWins' | 'leftWins' | 'error' | 'collect'
+
+/**
+ * A description of a single conflict found while merging two schemas. The
+ * `left` and `right` values are the printed SDL of each definition while the
+ * locations, when known, are the line and column in the source of each side.
+ *
+ * @type {MergeConflict}
+ */
+export type MergeConflict = {
+  type: string,
+  field: ?string,
+  argument: ?string,
+  subType: string,
+  left: string,
+  right: string,
+  leftNode: ASTNode,
+  rightNode: ASTNode,
+  leftLocation: ?{ line: number, column: number },
+  rightLocation: ?{ line: number, column: number }
+}
+
 /**
  * A flow type definition of an object containing one or more resolver
  * injector functions.
@@ -107,6 +220,10 @@ export type FieldMergeResolver = (
  * resolver will be assigned the `defaultFieldResolver` before the injection of
  * any newly merged schema occurs.
  *
+ * The `.conflictStrategy` value, one of 'rightWins', 'leftWins', 'error' or
+ * 'collect', determines what happens when both sides define the same type or
+ * field differently. See `ConflictStrategy` for details.
+ *
  * @see ResolverArgsTransformer
  * @type {MergeOptionsConfig}
  */
@@ -114,12 +231,14 @@ export type MergeOptionsConfig = {
   conflictResolvers: ConflictResolvers,
   resolverInjectors: ResolverArgsTransformer | Array<ResolverArgsTransformer>,
   injectMergedSchema: boolean,
-  createMissingResolvers: boolean
+  createMissingResolvers: boolean,
+  conflictStrategy?: ConflictStrategy
 }
 
 /**
  * To complete the ResolverMap type, we define a string key mapped to either
- * a function or a nested `ResolverMap`.
+ * a function or a nested `ResolverMap`. Fields of a Subscription type map to
+ * an object with `subscribe` and `resolve` functions instead.
  *
  * @type {ResolverMap}
  */
@@ -216,7 +335,19 @@ export type SchemaSource = string
   | Source
   | Schemata
   | GraphQLSchema
-  | ASTNodes;
+  | ASTNodes
+  | IntrospectionSource;
+
+/**
+ * The result of an introspection query, as accepted by
+ * `Schemata.fromIntrospection()`; the `data` of the query, the full response
+ * including `data` or either of those as a string of JSON.
+ *
+ * @type {IntrospectionSource}
+ */
+export type IntrospectionSource = string
+  | { __schema: Object }
+  | { data: { __schema: Object } };
 
 /**
  * A flow type defining the parameters for creating a new instance of
@@ -249,6 +380,34 @@ export type SchemataConfigUnion = ExtendedResolverMapConfig | Schemata
  */
 export type ResolverResultsPatcher = (results: mixed) => Promise<mixed>
 
+/**
+ * A function combining the results of an `ExtendedResolver` in
+ * `'parallel'` mode. It receives the results combined so far, undefined at
+ * first, and the result of the next function in `order`, and returns their
+ * combination.
+ *
+ * @type {ResolverResultsMerger}
+ */
+export type ResolverResultsMerger = (merged: mixed, result: mixed) => mixed
+
+/**
+ * A function used by an `ExtendedResolver` in `'middleware'` mode. Along
+ * with the usual resolver arguments it receives `next`, which runs the
+ * following function, or the original resolver, and returns a promise of
+ * its result. Supplying `next` with an object replaces the `args` passed
+ * along. Not calling `next` at all prevents the following functions from
+ * running.
+ *
+ * @type {ResolverMiddleware}
+ */
+export type ResolverMiddleware = (
+  source: mixed,
+  args: { [string]: mixed },
+  context: mixed,
+  info: mixed,
+  next: (args?: { [string]: mixed }) => Promise<mixed>
+) => mixed
+
 /**
  * An `EntryInspector` is a function passed to `walkResolverMap` that is
  * invoked for each encountered pair along the way as it traverses the
@@ -295,4 +454,506 @@ export type AsyncEntryInspector = (
   value: Function,
   path: Array<string>,
   map: ResolverMap
-) => ?Promise<{ [string]: Function }>
\ No newline at end of file
+) => ?Promise<{ [string]: Function }>
+/**
+ * A single difference between two schemas as reported by `diffAST()`,
+ * `Schemata#diff()` or `Schemata.diff()`. The `criticality` is one of the
+ * values `BREAKING`, `DANGEROUS` or `SAFE` and the `path` denotes the type,
+ * field or argument that changed; i.e. `Query.peep(args.id)`
+ *
+ * @type {SchemaChange}
+ */
+export type SchemaChange = {
+  type: string,
+  criticality: 'BREAKING' | 'DANGEROUS' | 'SAFE',
+  path: string,
+  message: string
+}
+
+/**
+ * A function handed to each `LintRule`'s `check()` function. It is invoked
+ * once for each problem found, with the offending ASTNode and a message.
+ *
+ * @type {LintReporter}
+ */
+export type LintReporter = (node: ?ASTNode, message: string) => void
+
+/**
+ * A rule used by `Schemata#lint()` and `lintAST()`. The `check()` function
+ * receives the DocumentNode being linted and a `LintReporter` with which to
+ * report any problems found.
+ *
+ * @type {LintRule}
+ */
+export type LintRule = {
+  id: string,
+  severity?: 'error' | 'warning',
+  check: (ast: ASTNode, report: LintReporter) => void
+}
+
+/**
+ * The ways in which rules can be supplied to `Schemata#lint()`; either an
+ * array of `LintRule` objects and built-in rule ids or an object mapping
+ * rule ids to a severity, `'off'` or a custom `LintRule`
+ *
+ * @type {LintRuleConfig}
+ */
+export type LintRuleConfig = Array<LintRule | string>
+  | { [string]: 'error' | 'warning' | 'off' | boolean | LintRule }
+
+/**
+ * A single problem reported while linting SDL. The `loc` value holds the
+ * `start` and `end` character offsets as well as the `line` and `column` of
+ * the offending ASTNode when the SDL was parsed with locations.
+ *
+ * @type {LintFinding}
+ */
+export type LintFinding = {
+  rule: string,
+  severity: 'error' | 'warning',
+  message: string,
+  loc: ?{ start: number, end: number, line: number, column: number }
+}
+
+/**
+ * The SDL and resolver map produced by a `SchemaTransform`
+ *
+ * @type {TransformResult}
+ */
+export type TransformResult = {
+  ast: ASTNode,
+  resolvers: ?ResolverMap
+}
+
+/**
+ * A function used by `Schemata#transform()`. It receives the DocumentNode
+ * and resolver map of a Schemata instance along with the names of its root
+ * operation types and returns a rewritten copy of both. Neither of the
+ * supplied values should be modified.
+ *
+ * @type {SchemaTransform}
+ */
+export type SchemaTransform = (
+  ast: ASTNode,
+  resolvers: ?ResolverMap,
+  rootTypes: RootOperationTypes
+) => TransformResult
+
+/**
+ * Declares that a field of a type in a stitched schema is resolved by calling
+ * a root field of another subschema. The `fieldType` adds the field to the
+ * type when no subschema defines it. Fields listed in `requires` are always
+ * fetched on the type so that `args` can build the arguments of the call
+ * from them.
+ *
+ * @type {StitchLink}
+ */
+export type StitchLink = {
+  type: string,
+  field: string,
+  fieldType?: string,
+  requires?: string | Array<string>,
+  schema: Schemata,
+  operation?: 'query' | 'mutation',
+  fieldName: string,
+  args?: (
+    parent: mixed,
+    args: { [string]: mixed },
+    context: mixed,
+    info: mixed
+  ) => { [string]: mixed }
+}
+
+/**
+ * The options supplied to `Schemata.stitch()`.
+ *
+ *   links            - the fields joining a type of one subschema to another
+ *   conflictStrategy - how types defined differently and root fields defined
+ *                      by several subschemas are handled; `'error'` by
+ *                      default, or `'leftWins'` or `'rightWins'`
+ *
+ * @type {StitchOptions}
+ */
+export type StitchOptions = {
+  links?: Array<StitchLink>,
+  conflictStrategy?: 'error' | 'leftWins' | 'rightWins'
+}
+
+/**
+ * The options accepted by `Schemata#toTypeScript()` and `Schemata#toFlow()`.
+ *
+ *   scalars     - a map of scalar names to the types used for them; custom
+ *                 scalars default to `any`
+ *   contextType - the type of the context handed to resolvers; `any` by
+ *                 default
+ *   resolvers   - false to omit the resolver types; true by default
+ *
+ * @type {TypeGeneratorOptions}
+ */
+export type TypeGeneratorOptions = {
+  scalars?: { [string]: string },
+  contextType?: string,
+  resolvers?: boolean
+}
+
+/**
+ * A function generating mock data for a scalar, a type or a single field.
+ * It receives a function returning random numbers, seeded when the mock
+ * options include a seed, followed by the usual resolver arguments.
+ *
+ * @type {MockGenerator}
+ */
+export type MockGenerator = (
+  random: () => number,
+  parent: mixed,
+  args: { [string]: mixed },
+  context: mixed,
+  info: mixed
+) => mixed
+
+/**
+ * The options accepted by `Schemata#mock()`.
+ *
+ *   mocks             - generators keyed by scalar or type name, or by
+ *                       `Type.field` for a single field
+ *   seed              - makes the generated data the same on every run
+ *   listLength        - the length of mocked lists or a `[min, max]` range;
+ *                       2 by default
+ *   preserveResolvers - true to keep existing resolvers and mock only the
+ *                       fields without one; false by default
+ *
+ * @type {MockOptions}
+ */
+export type MockOptions = {
+  mocks?: { [string]: MockGenerator },
+  seed?: number | string,
+  listLength?: number | [number, number],
+  preserveResolvers?: boolean
+}
+
+/**
+ * An operation document accepted by `Schemata#validateOperation()`; a string,
+ * a `Source`, the result of the `gql` template function or a parsed
+ * DocumentNode.
+ *
+ * @type {OperationSource}
+ */
+export type OperationSource = string | Source | Schemata | DocumentNode
+
+/**
+ * The options accepted by `Schemata#validateOperation()` and
+ * `Schemata#validateOperations()`. When `rules` is supplied it replaces the
+ * validation rules from the GraphQL specification; spread `specifiedRules`
+ * from graphql into the array to add to them instead.
+ *
+ * @type {OperationValidationOptions}
+ */
+export type OperationValidationOptions = {
+  rules?: Array<(context: ValidationContext) => mixed>
+}
+
+/**
+ * The cost of a field used when analyzing operations; a fixed `value` and
+ * the names of the arguments, such as `first`, whose values multiply the
+ * cost of the field and its selections. The same shape as the arguments of
+ * the `@cost(value: 5, multipliers: ["first"])` directive.
+ *
+ * @type {FieldCost}
+ */
+export type FieldCost = {
+  value?: number,
+  multipliers?: Array<string>
+}
+
+/**
+ * The costs of fields keyed by type name and then field name, in the same
+ * way as a resolver map; i.e. `{ Query: { people: { value: 2 } } }`. A
+ * number may be used in place of a `FieldCost` without multipliers.
+ *
+ * @type {CostMap}
+ */
+export type CostMap = {
+  [typeName: string]: { [fieldName: string]: number | FieldCost }
+}
+
+/**
+ * The options used when measuring an operation with
+ * `Schemata#analyzeOperation()`. `defaultCost` is the cost of each field
+ * without one of its own and defaults to 1.
+ *
+ * @type {CostAnalysisOptions}
+ */
+export type CostAnalysisOptions = {
+  variables?: ?{ [string]: mixed },
+  operationName?: ?string,
+  costs?: CostMap,
+  defaultCost?: number
+}
+
+/**
+ * The measurements of an operation: the deepest level of nested fields, the
+ * number of fields selected and the weighted complexity of the selections.
+ *
+ * @type {OperationCost}
+ */
+export type OperationCost = {
+  depth: number,
+  fieldCount: number,
+  complexity: number
+}
+
+/**
+ * Additional options for `Schemata#run()` and `Schemata#runAsync()`. Any
+ * operation nested deeper than `maxDepth` or more complex than
+ * `maxComplexity` is rejected before it is executed; `costs` and
+ * `defaultCost` are used to measure the complexity. Setting `tracing`
+ * returns the timings of the operation in `extensions.tracing`. The errors
+ * of the result are formatted with `formatError()`, without developer
+ * details by default or with them when `errorFormat` is `'debug'`; an
+ * `errorFormat` of `'raw'` returns the `GraphQLError`s untouched. Setting
+ * `shareLoaders` reuses the loaders of `Schemata#withLoaders()` already on
+ * the supplied context rather than replacing them.
+ *
+ * @type {RunOptions}
+ */
+export type RunOptions = {
+  maxDepth?: number,
+  maxComplexity?: number,
+  costs?: CostMap,
+  defaultCost?: number,
+  tracing?: boolean,
+  errorFormat?: 'safe' | 'debug' | 'raw',
+  shareLoaders?: boolean
+}
+
+/**
+ * A single object that may be passed to `Schemata#run()` and
+ * `Schemata#runAsync()` in place of their positional arguments. It holds the
+ * operation as `query`, the arguments named as their parameters and any of
+ * the `RunOptions`.
+ *
+ * @type {RunRequest}
+ */
+export type RunRequest = RunOptions & {
+  query: string | Source,
+  contextValue?: mixed,
+  variableValues?: ?{ [string]: mixed },
+  rootValue?: mixed,
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>
+}
+
+/**
+ * A function loading the values for a batch of keys for a `Loader`. It
+ * receives the keys and the context of the request and returns, or
+ * resolves, a list of values of the same length and in the same order; an
+ * Error in place of a value rejects the load of that key alone.
+ *
+ * @type {LoaderBatchFunction}
+ */
+export type LoaderBatchFunction = (
+  keys: Array<mixed>,
+  context: mixed
+) => Array<mixed> | Promise<Array<mixed>>
+
+/**
+ * The options of a `Loader`. Values are cached per request unless `cache`
+ * is false, batches hold at most `maxBatchSize` keys when it is set and
+ * `cacheKey` converts keys, such as objects, to the keys of the cache.
+ *
+ * @type {LoaderOptions}
+ */
+export type LoaderOptions = {
+  cache?: boolean,
+  cacheKey?: (key: mixed) => mixed,
+  maxBatchSize?: number
+}
+
+/**
+ * The loaders supplied to `Schemata#withLoaders()`, keyed by type name and
+ * then loader name; i.e. `{ Person: { byId: ids => fetchPeople(ids) } }`.
+ * Each is a batch function or an object with a `batch` function and any
+ * `LoaderOptions`.
+ *
+ * @type {LoaderDefinitions}
+ */
+export type LoaderDefinitions = {
+  [typeName: string]: {
+    [loaderName: string]:
+      | LoaderBatchFunction
+      | ({ batch: LoaderBatchFunction } & LoaderOptions)
+  }
+}
+
+/**
+ * Options for `formatError()`. With `debug` set, errors raised by this
+ * library report their full message and a stack trace rather than only
+ * their public message.
+ *
+ * @type {ErrorFormatOptions}
+ */
+export type ErrorFormatOptions = {
+  debug?: boolean
+}
+
+/**
+ * An error as returned by `formatError()`, in the shape set out by the
+ * GraphQL specification for the `errors` of a response.
+ *
+ * @type {FormattedError}
+ */
+export type FormattedError = {
+  message: string,
+  locations?: ?Array<{ line: number, column: number }>,
+  path?: ?Array<string | number>,
+  extensions?: { [string]: mixed }
+}
+
+/**
+ * The error handling policy of a function run by an `ExtendedResolver`.
+ * Each call may be limited to `timeout` milliseconds, after which it fails
+ * with a `ResolverTimeoutError`. Failed calls are repeated up to
+ * `retry.attempts` times in all, 3 by default, waiting `retry.backoff`
+ * milliseconds multiplied by the attempt number, or the number returned
+ * when it is a function, and only while `retry.retryIf`, if supplied,
+ * returns true. Once every attempt has failed, the `fallback` value, or the
+ * result of calling it with the error followed by the arguments of the
+ * function, is used in place of the result. Failing that,
+ * `continueOnError` ignores the error, reporting it with the results of the
+ * operation, and the chain carries on with the results so far.
+ *
+ * @type {ResolverPolicy}
+ */
+export type ResolverPolicy = {
+  continueOnError?: boolean,
+  fallback?: mixed,
+  retry?: {
+    attempts?: number,
+    backoff?: number | (attempt: number, error: Error) => number,
+    retryIf?: (error: Error, attempt: number) => boolean | Promise<boolean>
+  },
+  timeout?: number
+}
+
+/**
+ * How long, in seconds, the value of a field may be cached and whether it
+ * may be shared between users; the same shape as the arguments of the
+ * `@cacheControl(maxAge: 60, scope: PRIVATE)` directive. The `scope` is
+ * `'PUBLIC'` by default.
+ *
+ * @type {CacheHint}
+ */
+export type CacheHint = {
+  maxAge?: number,
+  scope?: 'PUBLIC' | 'PRIVATE'
+}
+
+/**
+ * The cache hints of fields keyed by type name and then field name, in the
+ * same way as a resolver map; i.e. `{ Query: { prices: { maxAge: 60 } } }`.
+ * A number may be used in place of a `CacheHint` with a `PUBLIC` scope.
+ *
+ * @type {CacheControlConfig}
+ */
+export type CacheControlConfig = {
+  [typeName: string]: { [fieldName: string]: number | CacheHint }
+}
+
+/**
+ * A store for cached resolver results, such as the default `LRUCacheStore`
+ * or an adapter for Redis or memcached. `get` returns, or resolves,
+ * undefined for keys it does not hold, and `set` receives the number of
+ * seconds the value may be kept.
+ *
+ * @type {CacheStore}
+ */
+export type CacheStore = {
+  get(key: string): mixed | Promise<mixed>,
+  set(key: string, value: mixed, maxAge: number): mixed | Promise<mixed>
+}
+
+/**
+ * The options used when caching resolver results. The `store` holds the
+ * results; an in-memory `LRUCacheStore` by default. `userKey` identifies the
+ * user of a request from its context for fields with a `PRIVATE` scope and
+ * `parentKey` identifies the parent of a field; see `DefaultCacheUserKey`
+ * and `DefaultCacheParentKey`.
+ *
+ * @type {ResultCacheOptions}
+ */
+export type ResultCacheOptions = {
+  store?: CacheStore,
+  userKey?: (context: mixed) => mixed,
+  parentKey?: (parent: mixed, info: ?GraphQLResolveInfo) => mixed
+}
+
+/**
+ * The trace of a single resolver invocation as found in
+ * `extensions.tracing.execution.resolvers` when running with tracing.
+ * Offsets and durations are in nanoseconds; the offset is from the start of
+ * the request. For an `ExtendedResolver`, `entries` holds the timing of each
+ * function in its `order` with the function's name and index.
+ *
+ * @type {ResolverTrace}
+ */
+export type ResolverTrace = {
+  path: Array<string | number>,
+  parentType: string,
+  fieldName: string,
+  returnType: string,
+  startOffset: number,
+  duration: number,
+  entries?: Array<{
+    name: string,
+    index: number,
+    startOffset: number,
+    duration: number
+  }>
+}
+
+/**
+ * The timing of a single resolver invocation as reported by
+ * `ExtendedResolver.Timer()`. The duration is in nanoseconds.
+ *
+ * @type {ResolverTiming}
+ */
+export type ResolverTiming = {
+  path: Array<string | number>,
+  parentType: ?string,
+  fieldName: ?string,
+  returnType: ?string,
+  duration: number
+}
+
+/**
+ * An implementation of a schema directive as used by
+ * `Schemata#applyDirectives()`. It receives the resolver of a field carrying
+ * the directive, or belonging to a type carrying it, along with the
+ * arguments of the directive, the field and its type, and returns the
+ * resolver that should be used in its place; usually one calling the
+ * resolver it received.
+ *
+ * @type {DirectiveResolver}
+ */
+export type DirectiveResolver = (
+  resolver: GraphQLFieldResolver<any, any>,
+  directiveArgs: { [string]: mixed },
+  field: GraphQLField<any, any>,
+  type: GraphQLObjectType
+) => GraphQLFieldResolver<any, any>
+
+/**
+ * A function used by the `@auth` directive to decide whether the current
+ * request may resolve a field. It receives the context of the request, the
+ * role or roles listed in `requires` and the parent, args and info of the
+ * field, and returns, or resolves to, true if access should be granted.
+ *
+ * @type {RoleChecker}
+ */
+export type RoleChecker = (
+  context: mixed,
+  requires: string | Array<string>,
+  parent?: mixed,
+  args?: { [string]: mixed },
+  info?: mixed
+) => boolean | Promise<boolean>
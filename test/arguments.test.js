@@ -0,0 +1,95 @@
+import { Schemata } from '..'
+
+describe('merging field arguments', async () => {
+  let left = `
+    directive @deprecatedArg(reason: String) on ARGUMENT_DEFINITION
+    directive @range(min: Int, max: Int) on ARGUMENT_DEFINITION
+
+    type Person { name: String }
+    type Query {
+      people(limit: Int = 10, sort: String @deprecatedArg): [Person]
+    }
+  `
+  let right = `
+    type Query {
+      people(offset: Int, limit: Int = 25 @range(max: 100)): [Person]
+    }
+  `
+  let args = (schemata, field = 'people') =>
+    schemata.astFieldByName('Query', field).arguments
+
+  it('should keep the arguments declared on both sides', () => {
+    let merged = Schemata.from(left).mergeSDL(right)
+    let names = args(merged).map(arg => arg.name.value)
+
+    expect(names).toEqual(['limit', 'sort', 'offset'])
+    expect(merged.validSchema).toBe(true)
+  })
+
+  it('should resolve arguments of the same name with the right side', () => {
+    let merged = Schemata.from(left).mergeSDL(right)
+    let limit = args(merged).find(arg => arg.name.value === 'limit')
+
+    expect(limit.defaultValue.value).toBe('25')
+  })
+
+  it('should merge the directives of matching arguments', () => {
+    let merged = Schemata.from(left).mergeSDL(
+      'type Query { people(sort: String @range(min: 1)): [Person] }'
+    )
+    let sort = args(merged).find(arg => arg.name.value === 'sort')
+
+    expect(sort.directives.map(d => d.name.value))
+      .toEqual(['deprecatedArg', 'range'])
+  })
+
+  it('should ignore changes when the left argument is chosen', () => {
+    let calls = []
+    let merged = Schemata.from(left).mergeSDL(right, {
+      argumentMergeResolver(lField, lArg, rField, rArg) {
+        calls.push([lField.name.value, lArg.name.value, rArg.name.value])
+
+        return lArg
+      }
+    })
+    let limit = args(merged).find(arg => arg.name.value === 'limit')
+
+    expect(calls).toEqual([['people', 'limit', 'limit']])
+    expect(limit.defaultValue.value).toBe('10')
+    expect(limit.directives.length).toBe(0)
+  })
+
+  it('should report conflicting default values', () => {
+    let merged = Schemata.from(left).mergeSDL(right, null, 'collect')
+
+    expect(merged.conflicts.length).toBe(1)
+    expect(merged.conflicts[0]).toMatchObject({
+      type: 'Query',
+      field: 'people',
+      argument: 'limit',
+      subType: 'arguments',
+      left: 'limit: Int = 10',
+      right: 'limit: Int = 25',
+    })
+  })
+
+  it('should not report fields differing only by their arguments', () => {
+    let merged = Schemata.from(left).mergeSDL(
+      'type Query { people(offset: Int): [Person] }',
+      null,
+      'error'
+    )
+
+    expect(args(merged).length).toBe(3)
+  })
+
+  it('should keep the left argument on conflict with leftWins', () => {
+    let merged = Schemata.from(left).merge(right, {
+      conflictStrategy: 'leftWins'
+    })
+    let limit = args(merged).find(arg => arg.name.value === 'limit')
+
+    expect(limit.defaultValue.value).toBe('10')
+    expect(args(merged).length).toBe(3)
+  })
+})
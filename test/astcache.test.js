@@ -0,0 +1,85 @@
+import { Schemata, TYPEDEFS_KEY } from '..'
+import { print } from 'graphql'
+
+describe('caching of parsed SDL', async () => {
+  let sdl = `
+    type Person { name: String age: Int }
+    extend type Person { nickname: String }
+    enum Color { RED GREEN }
+    type Query { people: [Person] }
+  `
+
+  it('should return the same DocumentNode on each access', () => {
+    let schemata = Schemata.from(sdl)
+
+    expect(schemata.ast).toBe(schemata.ast)
+  })
+
+  it('should reparse the SDL when the type definitions change', () => {
+    let schemata = Schemata.from(sdl)
+    let ast = schemata.ast
+
+    schemata[TYPEDEFS_KEY] = 'type Query { hello: String }'
+
+    expect(schemata.ast).not.toBe(ast)
+    expect(schemata.astTypeByName('Person')).toBeNull()
+    expect(schemata.astFieldByName('Query', 'hello')).not.toBeNull()
+  })
+
+  it('should report invalid SDL without throwing', () => {
+    let schemata = Schemata.from('type Query {')
+
+    expect(schemata.ast).toBeNull()
+    expect(schemata.validSDL).toBe(false)
+    expect(schemata.astTypeByName('Query')).toBeNull()
+    expect(schemata.astFieldByName('Query', 'hello')).toBeNull()
+  })
+
+  it('should look up types and fields by name', () => {
+    let schemata = Schemata.from(sdl)
+    let person = schemata.astTypeByName('Person')
+
+    expect(person.kind).toBe('ObjectTypeDefinition')
+    expect(person).toBe(schemata.ast.definitions[0])
+    expect(schemata.astFieldByName('Person', 'age').name.value).toBe('age')
+    expect(schemata.astFieldByName('Person', 'nickname')).not.toBeNull()
+    expect(schemata.astFieldByName('Person', 'missing')).toBeNull()
+    expect(schemata.astFieldByName('Missing', 'name')).toBeNull()
+  })
+})
+
+describe('copy-on-write merging', async () => {
+  let left = `
+    type Person { name: String }
+    enum Color { RED }
+    type Query { people: [Person] }
+  `
+  let right = `
+    type Person { age: Int }
+    enum Color { BLUE }
+    type Query { colors: [Color] }
+  `
+
+  it('should not alter the receiver when merging SDL', () => {
+    let schemata = Schemata.from(left)
+    let ast = schemata.ast
+    let before = print(ast)
+    let merged = schemata.mergeSDL(right)
+
+    expect(schemata.ast).toBe(ast)
+    expect(print(schemata.ast)).toBe(before)
+    expect(schemata.astFieldByName('Person', 'age')).toBeNull()
+    expect(merged.astFieldByName('Person', 'age')).not.toBeNull()
+    expect(merged.astFieldByName('Person', 'name')).not.toBeNull()
+  })
+
+  it('should not alter the receiver when paring SDL', () => {
+    let schemata = Schemata.from(left)
+    let before = print(schemata.ast)
+    let pared = schemata.pareSDL('type Query { people: [Person] }')
+
+    expect(print(schemata.ast)).toBe(before)
+    expect(pared.astTypeByName('Query')).toBeNull()
+    expect(schemata.astFieldByName('Query', 'people')).not.toBeNull()
+  })
+})
@@ -0,0 +1,83 @@
+import {
+  ExtendedResolver,
+  Schemata,
+  WrappedResolverExecutionError,
+} from '..'
+
+describe('Running resolvers concurrently', () => {
+  it('should start every resolver before any has finished', async () => {
+    let release
+    let released = new Promise(resolve => { release = resolve })
+    let er = ExtendedResolver.parallel([
+      async () => ({ profile: await released }),
+      () => {
+        release({ name: 'Brielle' })
+
+        return { preferences: { theme: 'dark' } }
+      },
+    ])
+
+    expect(er.mode).toBe('parallel')
+    expect(await er(null, {})).toEqual({
+      profile: { name: 'Brielle' },
+      preferences: { theme: 'dark' },
+    })
+  })
+
+  it('should deeply merge results unless given a merger', async () => {
+    let sources = [
+      () => ({ id: 1, address: { city: 'Austin' }, tags: ['a'] }),
+      () => ({ address: { zip: '78701' }, tags: ['b'] }),
+      () => undefined,
+    ]
+    let summed = ExtendedResolver.parallel(
+      [() => 1, () => 2, () => 3],
+      (merged = 0, result) => merged + result
+    )
+
+    expect(await ExtendedResolver.parallel(sources)(null, {})).toEqual({
+      id: 1,
+      address: { city: 'Austin', zip: '78701' },
+      tags: ['b'],
+    })
+    expect(await summed(null, {})).toBe(6)
+    expect(ExtendedResolver.from(summed).merger).toBe(summed.merger)
+  })
+
+  it('should resolve the first non-null result of a race', async () => {
+    let legacy = jest.fn(() => new Promise(() => {}))
+    let er = ExtendedResolver.race([
+      () => null,
+      async () => { throw new Error('contrived') },
+      async () => 'database',
+      legacy,
+    ])
+    let results = await Schemata.from('type Query { value: String }', {
+      value: er,
+    }).runAsync('{ value }')
+
+    expect(er.mode).toBe('race')
+    expect(results).toEqual({ data: { value: 'database' } })
+    expect(legacy).toHaveBeenCalled()
+  })
+
+  it('should resolve null or throw when no racer succeeds', async () => {
+    let failing = ExtendedResolver.race([
+      () => { throw new Error('contrived first') },
+      async () => { throw new Error('contrived second') },
+    ])
+    let empty = ExtendedResolver.race([() => null, () => undefined])
+    let error
+
+    try {
+      await failing(null, {})
+    }
+    catch (thrown) {
+      error = thrown
+    }
+
+    expect(error).toBeInstanceOf(WrappedResolverExecutionError)
+    expect(error.message).toBe('contrived first')
+    expect(await empty(null, {})).toBeNull()
+  })
+})
@@ -0,0 +1,110 @@
+import {
+  ConflictStrategies,
+  Schemata,
+  SchemaMergeConflictError
+} from '..'
+
+describe('merge conflict strategies', async () => {
+  let teamA = `
+    type User {
+      id: ID!
+      name: String
+    }
+    enum Role { ADMIN }
+    type Query { user: User }
+  `
+  let teamB = `
+    type User {
+      "Identifier"
+      id: String
+      name: String
+      email: String
+    }
+    enum Role { ADMIN GUEST }
+    type Query { user: User }
+  `
+
+  it('should take the right hand side by default', () => {
+    let merged = Schemata.from(teamA).mergeSDL(teamB)
+
+    expect(merged.astFieldByName('User', 'id').type.kind).toBe('NamedType')
+    expect(merged.astFieldByName('User', 'email')).not.toBeNull()
+    expect(merged.conflicts).toBeNull()
+  })
+
+  it('should keep the left hand side with leftWins', () => {
+    let merged = Schemata.from(teamA).merge(teamB, {
+      conflictStrategy: ConflictStrategies.LEFT_WINS
+    })
+
+    expect(merged.astFieldByName('User', 'id').type.kind).toBe('NonNullType')
+    expect(merged.astFieldByName('User', 'email')).not.toBeNull()
+  })
+
+  it('should throw a SchemaMergeConflictError with error', () => {
+    let error
+
+    try {
+      Schemata.from(teamA).merge(teamB, { conflictStrategy: 'error' })
+    }
+    catch (e) {
+      error = e
+    }
+
+    expect(error).toBeInstanceOf(SchemaMergeConflictError)
+    expect(error.conflicts.length).toBe(1)
+
+    let [conflict] = error.conflicts
+
+    expect(conflict.type).toBe('User')
+    expect(conflict.field).toBe('id')
+    expect(conflict.subType).toBe('fields')
+    expect(conflict.left).toBe('id: ID!')
+    expect(conflict.right).toBe('id: String')
+    // Locations are relative to the trimmed SDL of each side and include
+    // any description preceding the field
+    expect(conflict.leftLocation).toEqual({ line: 2, column: 7 })
+    expect(conflict.rightLocation).toEqual({ line: 2, column: 7 })
+    expect(error.toString()).toMatch(/User\.id/)
+    expect(error.message).toMatch(/1 conflict/)
+  })
+
+  it('should not consider identical definitions a conflict', () => {
+    let merged = Schemata.from(teamA).merge(teamA, {
+      conflictStrategy: 'error'
+    })
+
+    expect(merged.sdl).toBe(Schemata.from(teamA).mergeSDL(teamA).sdl)
+  })
+
+  it('should merge and report every conflict with collect', () => {
+    let merged = Schemata.from(teamA).merge(
+      teamB + `
+        type Thing { id: ID }
+        interface Other { id: ID }
+        directive @auth(role: String) on FIELD_DEFINITION
+      `,
+      { conflictStrategy: 'collect' }
+    ).mergeSDL('union Other = Thing', null, 'collect')
+
+    expect(merged.astFieldByName('User', 'id').type.kind).toBe('NamedType')
+    expect(merged.conflicts.length).toBe(1)
+    expect(merged.conflicts[0].type).toBe('Other')
+    expect(merged.conflicts[0].field).toBeNull()
+    expect(merged.conflicts[0].subType).toBe('definitions')
+  })
+
+  it('should report conflicts found during merge() with collect', () => {
+    let merged = Schemata.from(teamA).merge(teamB, {
+      conflictStrategy: 'collect'
+    })
+
+    expect(merged.conflicts.map(c => `${c.type}.${c.field}`))
+      .toEqual(['User.id'])
+  })
+
+  it('should reject unknown strategies', () => {
+    expect(() => Schemata.from(teamA).mergeSDL(teamB, null, 'sometimes'))
+      .toThrow(/Unknown merge conflict strategy/)
+  })
+})
@@ -0,0 +1,172 @@
+import { Schemata, OperationComplexityError } from '..'
+import { formatError } from 'graphql'
+
+describe('cost analysis', async () => {
+  let sdl = `
+    type Person {
+      name: String
+      friends(first: Int = 3): [Person] @cost(value: 2, multipliers: ["first"])
+    }
+
+    type Query {
+      people(first: Int, ids: [ID]): [Person]
+        @cost(value: 2, multipliers: ["first", "ids"])
+      me: Person
+    }
+  `
+  let friend = { name: 'Jo' }
+  let resolvers = {
+    Person: { friends: () => [friend] },
+    me: () => ({ name: 'Jane' }),
+    people: () => [friend],
+  }
+
+  it('should measure depth, field count and complexity', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+
+    expect(schemata.analyzeOperation(`{
+      people(first: 10) { name friends { name } }
+      me { ...Details __typename }
+    }
+    fragment Details on Person { name }`)).toEqual({
+      depth: 3,
+      fieldCount: 6,
+      complexity: (2 + 1 + (2 + 1) * 3) * 10 + (1 + 1),
+    })
+  })
+
+  it('should measure each fragment once however often spread', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let fragments = ['fragment F0 on Person { name }']
+
+    for (let index = 1; index <= 40; index++) {
+      fragments.push(
+        `fragment F${index} on Person { ...F${index - 1} ...F${index - 1} }`
+      )
+    }
+
+    let query = `{ me { ...F40 } } ${fragments.join(' ')}`
+    let started = Date.now()
+
+    expect(schemata.analyzeOperation(query)).toEqual({
+      depth: 2,
+      fieldCount: 1 + Math.pow(2, 40),
+      complexity: 1 + Math.pow(2, 40),
+    })
+    expect(Date.now() - started).toBeLessThan(1000)
+  })
+
+  it('should use variables, lists and @skip/@include', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let query = `query People($first: Int, $ids: [ID], $deep: Boolean!) {
+      people(first: $first, ids: $ids) {
+        name
+        friends(first: 1) @include(if: $deep) { name }
+      }
+    }`
+
+    expect(schemata.analyzeOperation(query, {
+      first: 2,
+      ids: [1, 2, 3],
+      deep: false,
+    })).toEqual({ depth: 2, fieldCount: 2, complexity: (2 + 1) * 6 })
+    expect(schemata.analyzeOperation(query, { first: 1, deep: true }))
+      .toEqual({ depth: 3, fieldCount: 4, complexity: 2 + 1 + 2 + 1 })
+  })
+
+  it('should prefer costs supplied like a resolver map', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let query = '{ people(first: 5) { name } me { name } }'
+
+    expect(schemata.analyzeOperation(query, null, {
+      costs: {
+        Query: { people: { value: 10, multipliers: ['first'] }, me: 4 },
+        Person: { name: 0 },
+      },
+    }).complexity).toBe(10 * 5 + 4)
+    expect(schemata.analyzeOperation(query, null, { defaultCost: 0 })
+      .complexity).toBe(2 * 5)
+  })
+
+  it('should reject operations exceeding the limits of run()', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let deep = '{ me { friends { friends { friends { name } } } } }'
+    let results = schemata.run(deep, null, null, null, null, null, {
+      maxDepth: 3,
+      errorFormat: 'raw',
+    })
+    let error = results.errors[0]
+
+    expect(results.data).toBeUndefined()
+    expect(results.errors.length).toBe(1)
+    expect(error.message).toMatch(/depth of 5/)
+    expect(error.locations).toEqual([{ line: 1, column: 1 }])
+    expect(error.extensions).toEqual({
+      code: 'MAX_DEPTH_EXCEEDED',
+      limit: 'maxDepth',
+      max: 3,
+      depth: 5,
+      fieldCount: 5,
+      complexity: 1 + (2 + (2 + (2 + 1) * 3) * 3) * 3,
+    })
+    expect(formatError(error).code).toBe('MAX_DEPTH_EXCEEDED')
+    expect(error.originalError).toBeInstanceOf(OperationComplexityError)
+    expect(error.originalError.analysis.depth).toBe(5)
+
+    let rejected = await schemata.runAsync(
+      '{ people(first: 100) { name } }',
+      null, null, null, null, null,
+      { maxDepth: 1, maxComplexity: 100 }
+    )
+
+    expect(rejected.errors.map(error => error.extensions.code)).toEqual([
+      'MAX_DEPTH_EXCEEDED',
+      'MAX_COMPLEXITY_EXCEEDED',
+    ])
+  })
+
+  it('should execute operations within the limits', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let options = { maxDepth: 3, maxComplexity: 20 }
+    let query = '{ me { name friends(first: 2) { name } } }'
+
+    expect(schemata.run(query, null, null, null, null, null, options))
+      .toEqual({ data: { me: { name: 'Jane', friends: [friend] } } })
+    expect(await schemata.runAsync(query, null, null, null, null, null,
+      options
+    )).toEqual({ data: { me: { name: 'Jane', friends: [friend] } } })
+    expect(schemata.run('{ me { ', null, null, null, null, null, options)
+      .errors[0].message).toMatch(/Syntax Error/)
+  })
+
+  it('should throw rather than skip checks that cannot be made', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let costs = {
+      get Query() { throw new Error('costs unavailable') },
+    }
+
+    expect(() => schemata.run('{ me { name } }', null, null, null, null,
+      null, { maxDepth: 3, costs }
+    )).toThrow(/costs unavailable/)
+  })
+
+  it('should accept the arguments of run() in a single object', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let request = {
+      query: `
+        query Named { me { name } }
+        query Friends($first: Int) { me { friends(first: $first) { name } } }
+      `,
+      variableValues: { first: 2 },
+      operationName: 'Friends',
+      maxComplexity: 20,
+    }
+
+    expect(schemata.run(request))
+      .toEqual({ data: { me: { friends: [friend] } } })
+    expect(await schemata.runAsync(Object.assign({}, request, {
+      variableValues: { first: 100 },
+    })).then(results => results.errors[0].extensions.code))
+      .toBe('MAX_COMPLEXITY_EXCEEDED')
+  })
+})
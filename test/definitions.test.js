@@ -0,0 +1,161 @@
+import { Schemata } from '..'
+import { print } from 'graphql'
+
+describe('merging schema, directive and extension definitions', async () => {
+  it('should merge schema definitions by operation', () => {
+    let left = Schemata.from(`
+      schema { query: RootQuery }
+      type RootQuery { a: String }
+    `)
+    let merged = left.mergeSDL(`
+      schema { mutation: RootMutation }
+      type RootMutation { b: String }
+    `)
+    let schemaDef = merged.ast.definitions.find(
+      d => d.kind === 'SchemaDefinition'
+    )
+
+    expect(schemaDef.operationTypes.map(o => o.operation))
+      .toEqual(['query', 'mutation'])
+    expect(merged.schema.getQueryType().name).toBe('RootQuery')
+    expect(merged.schema.getMutationType().name).toBe('RootMutation')
+  })
+
+  it('should report conflicting operation types', () => {
+    let merged = Schemata.from(`
+      schema { query: RootQuery }
+      type RootQuery { a: String }
+    `).mergeSDL(`
+      schema { query: Query }
+      type Query { b: String }
+    `, null, 'collect')
+
+    expect(merged.conflicts.length).toBe(1)
+    expect(merged.conflicts[0]).toMatchObject({
+      type: 'schema',
+      field: 'query',
+      subType: 'operationTypes',
+    })
+    expect(merged.schema.getQueryType().name).toBe('Query')
+  })
+
+  it('should merge directive definitions', () => {
+    let merged = Schemata.from(`
+      directive @auth(role: String) on FIELD_DEFINITION
+      type Query { a: String @auth(role: "admin") }
+    `).mergeSDL(`
+      directive @auth(scopes: [String]) on OBJECT | FIELD_DEFINITION
+      type Query { b: String }
+    `)
+    let auth = merged.astTypeByName('auth')
+    let directive = merged.ast.definitions.find(
+      d => d.kind === 'DirectiveDefinition'
+    )
+
+    expect(auth).toBeNull()
+    expect(directive.locations.map(l => l.value))
+      .toEqual(['FIELD_DEFINITION', 'OBJECT'])
+    expect(directive.arguments.map(a => a.name.value))
+      .toEqual(['role', 'scopes'])
+    expect(merged.schema.getDirective('auth')).toBeTruthy()
+  })
+
+  it('should merge extensions into existing types', () => {
+    let merged = Schemata.from('type Query { a: String }').mergeSDL(`
+      extend type Query { b: String }
+      type Thing { id: ID }
+      extend type Thing implements Node { name: String }
+      interface Node { id: ID }
+      enum Color { RED }
+      extend enum Color { BLUE }
+    `)
+
+    expect(print(merged.ast)).not.toMatch(/extend/)
+    expect(merged.astFieldByName('Query', 'b')).not.toBeNull()
+    expect(merged.astFieldByName('Thing', 'name')).not.toBeNull()
+    expect(merged.astTypeByName('Thing').interfaces[0].name.value)
+      .toBe('Node')
+    expect(merged.astTypeByName('Color').values.length).toBe(2)
+    expect(merged.validSchema).toBe(true)
+  })
+
+  it('should handle extensions whose base type arrives later', () => {
+    let module1 = Schemata.from('extend type Query { a: String }')
+    let merged = module1.mergeSDL(`
+      """The root"""
+      type Query { b: String }
+    `)
+    let query = merged.astTypeByName('Query')
+
+    expect(query.kind).toBe('ObjectTypeDefinition')
+    expect(query.description.value).toBe('The root')
+    expect(query.fields.map(f => f.name.value)).toEqual(['a', 'b'])
+    expect(merged.validSchema).toBe(true)
+  })
+
+  it('should fold extensions on the left hand side', () => {
+    let merged = Schemata.from(`
+      type Query { a: String }
+      extend type Query { b: String }
+    `).mergeSDL('extend type Query { c: String }')
+
+    expect(merged.ast.definitions.length).toBe(1)
+    expect(merged.astTypeByName('Query').fields.length).toBe(3)
+  })
+
+  it('should replace a type of a different kind when the right wins', () => {
+    let merged = Schemata.from('type Query { a: Thing } type Thing { a: ID }')
+      .mergeSDL('enum Thing { A B }')
+
+    expect(merged.astTypeByName('Thing').kind).toBe('EnumTypeDefinition')
+  })
+})
+
+describe('paring schema, directive and extension definitions', async () => {
+  let sdl = `
+    schema { query: RootQuery mutation: RootMutation }
+    directive @auth on FIELD_DEFINITION
+    scalar Date
+    type RootQuery { a: String b: Date }
+    extend type RootQuery { c: String }
+    type RootMutation { d: String }
+  `
+
+  it('should pare operation types from schema definitions', () => {
+    let pared = Schemata.from(sdl).pareSDL(`
+      schema { mutation: RootMutation }
+      type RootMutation { d: String }
+    `)
+    let schemaDef = pared.ast.definitions.find(
+      d => d.kind === 'SchemaDefinition'
+    )
+
+    expect(schemaDef.operationTypes.map(o => o.operation)).toEqual(['query'])
+    expect(pared.astTypeByName('RootMutation')).toBeNull()
+    expect(pared.validSchema).toBe(true)
+  })
+
+  it('should pare directive definitions and scalars', () => {
+    let pared = Schemata.from(sdl).pareSDL(`
+      directive @auth on FIELD_DEFINITION
+      scalar Date
+      extend type RootQuery { b: Date }
+    `)
+
+    expect(print(pared.ast)).not.toMatch(/@auth|Date/)
+    expect(pared.astFieldByName('RootQuery', 'a')).not.toBeNull()
+  })
+
+  it('should pare fields added by extensions', () => {
+    let pared = Schemata.from(sdl).pareSDL('extend type RootQuery { c: String }')
+
+    expect(pared.astFieldByName('RootQuery', 'c')).toBeNull()
+    expect(pared.astFieldByName('RootQuery', 'a')).not.toBeNull()
+  })
+
+  it('should not add types that only exist on the right', () => {
+    let pared = Schemata.from(sdl).pareSDL('type Other { id: ID }')
+
+    expect(pared.astTypeByName('Other')).toBeNull()
+  })
+})
@@ -0,0 +1,155 @@
+import { Schemata, gql, BREAKING, DANGEROUS, SAFE } from '..'
+
+describe('Diffing Schemata', () => {
+  const base = gql`
+    enum Color { RED GREEN BLUE }
+
+    interface Node { id: ID! }
+
+    type Person implements Node {
+      id: ID!
+      name: String
+      color: Color
+    }
+
+    type Robot { id: ID! }
+
+    union Being = Person | Robot
+
+    type Query {
+      peep(id: ID, limit: Int = 10): Person
+      peeps: [Person]
+    }
+  `
+
+  const find = (changes, path) => changes.filter(c => c.path === path)
+
+  it('should report nothing for identical schemas', () => {
+    expect(base.diff(base)).toEqual([])
+  })
+
+  it('should classify breaking changes', () => {
+    let changes = base.diff(`
+      enum Color { RED GREEN }
+
+      interface Node { id: ID! }
+
+      type Person {
+        id: ID
+        name: String
+        color: Color
+      }
+
+      type Robot { id: ID! }
+
+      union Being = Person
+
+      type Query {
+        peep(id: ID!, limit: Int = 10): Person
+      }
+    `)
+
+    expect(find(changes, 'Color.BLUE')[0].criticality).toBe(BREAKING)
+    expect(find(changes, 'Person@implements(Node)')[0].criticality)
+      .toBe(BREAKING)
+    expect(find(changes, 'Person.id')[0].type).toBe('FIELD_TYPE_CHANGED')
+    expect(find(changes, 'Person.id')[0].criticality).toBe(BREAKING)
+    expect(find(changes, 'Being.Robot')[0].criticality).toBe(BREAKING)
+    expect(find(changes, 'Query.peeps')[0].type).toBe('FIELD_REMOVED')
+    expect(find(changes, 'Query.peep(args.id)')[0].criticality)
+      .toBe(BREAKING)
+  })
+
+  it('should classify dangerous and safe changes', () => {
+    let changes = Schemata.diff(base, `
+      enum Color { RED GREEN BLUE CYAN }
+
+      interface Node { id: ID! }
+
+      type Person implements Node {
+        id: ID!
+        name: String!
+        color: Color
+        age: Int
+      }
+
+      type Robot { id: ID! }
+
+      union Being = Person | Robot
+
+      type Query {
+        peep(id: ID, limit: Int = 20, offset: Int): Person
+        peeps: [Person]
+      }
+
+      type Pet { name: String }
+    `)
+
+    expect(find(changes, 'Color.CYAN')[0].criticality).toBe(DANGEROUS)
+    expect(find(changes, 'Query.peep(args.limit)')[0].criticality)
+      .toBe(DANGEROUS)
+    expect(find(changes, 'Query.peep(args.offset)')[0].criticality)
+      .toBe(DANGEROUS)
+    expect(find(changes, 'Person.name')[0].criticality).toBe(SAFE)
+    expect(find(changes, 'Person.age')[0].type).toBe('FIELD_ADDED')
+    expect(find(changes, 'Pet')[0].type).toBe('TYPE_ADDED')
+    expect(changes.some(c => c.criticality === BREAKING)).toBe(false)
+  })
+
+  it('should fold type extensions into their definitions', () => {
+    let left = gql`type Query { a: String } extend type Query { b: String }`
+    let right = gql`type Query { a: String b: String }`
+
+    expect(left.diff(right)).toEqual([])
+  })
+
+  it('should give interfaces paths unlike those of fields', () => {
+    let left = gql`
+      interface Node { id: ID }
+      type Person implements Node { id: ID Node: String }
+      extend type Person { name: String }
+    `
+    let changes = left.diff(`
+      interface Node { id: ID }
+      type Person { id: ID name: String }
+    `)
+
+    expect(changes).toEqual([
+      {
+        type: 'INTERFACE_REMOVED',
+        criticality: BREAKING,
+        path: 'Person@implements(Node)',
+        message: 'Node was removed from Person',
+      },
+      {
+        type: 'FIELD_REMOVED',
+        criticality: BREAKING,
+        path: 'Person.Node',
+        message: 'Field Person.Node was removed',
+      },
+    ])
+  })
+
+  it('should compare root operation types, not schema blocks', () => {
+    let explicit = `schema { query: Query } ${base}`
+    let renamed = base.diff(`
+      schema { query: Root }
+      type Root { peeps: [ID] }
+      ${base}
+    `)
+
+    expect(base.diff(explicit)).toEqual([])
+    expect(Schemata.from(explicit).diff(base)).toEqual([])
+    expect(find(renamed, 'schema.query')).toEqual([{
+      type: 'ROOT_OPERATION_CHANGED',
+      criticality: BREAKING,
+      path: 'schema.query',
+      message: 'Root query type changed from Query to Root',
+    }])
+    expect(find(renamed, 'schema')).toEqual([])
+    let mutation = base.diff(`${base} type Mutation { a: ID }`)
+
+    expect(find(mutation, 'schema.mutation').map(change => change.criticality))
+      .toEqual([SAFE])
+  })
+})
@@ -0,0 +1,172 @@
+import {
+  Schemata,
+  DefaultDirectives,
+  ExtendedResolver,
+  authDirective,
+  deprecatedDirective,
+} from '..'
+
+describe('schema directives', async () => {
+  let sdl = `
+    directive @default(value: String) on FIELD_DEFINITION
+
+    type Person {
+      name: String @uppercase
+      nickname: String @default(value: "none") @lowercase
+      aliases: [String] @lowercase
+      age: Int @deprecated(reason: "Use birthday")
+      birthday: String
+    }
+
+    type Secret @auth(requires: "ADMIN") {
+      code: String
+      hint: String
+    }
+
+    type Query {
+      person: Person
+      secret: Secret
+      salary: Int @auth(requires: ["ADMIN", "HR"])
+    }
+  `
+  let person = () => ({
+    name: 'Jane',
+    nickname: null,
+    aliases: ['JJ', 'Janie'],
+    age: 30,
+  })
+  let resolvers = {
+    Person: { name: parent => `${parent.name} Smith` },
+    person,
+    secret: () => ({ code: '1234', hint: 'digits' }),
+    salary: () => 100,
+  }
+
+  it('should wrap fields carrying the built-in directives', async () => {
+    let schemata = Schemata.from(sdl, resolvers).applyDirectives()
+    let results = await schemata.runAsync(`{
+      person { name nickname aliases birthday }
+    }`)
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.person).toEqual({
+      name: 'JANE SMITH',
+      nickname: 'none',
+      aliases: ['jj', 'janie'],
+      birthday: null,
+    })
+  })
+
+  it('should keep the original resolvers inspectable', () => {
+    let original = Schemata.from(sdl, resolvers)
+    let schemata = original.applyDirectives()
+
+    expect(schemata.resolvers.Person.name).toBeInstanceOf(ExtendedResolver)
+    expect(schemata.resolvers.Person.name.original)
+      .toBe(resolvers.Person.name)
+    expect(schemata.resolvers.salary.original).toBe(resolvers.salary)
+    expect(schemata.resolvers.Query).toBeUndefined()
+    expect(schemata.resolvers.person).toBe(person)
+    expect(original.resolvers.Person.name).toBe(resolvers.Person.name)
+  })
+
+  it('should check roles for field and type level @auth', async () => {
+    let schemata = Schemata.from(sdl, resolvers).applyDirectives()
+    let query = '{ salary secret { code hint } }'
+    let denied = await schemata.runAsync(
+      query,
+      { roles: ['USER'] },
+      null, null, null, null,
+      { errorFormat: 'raw' }
+    )
+    let allowed = await schemata.runAsync(query, {
+      user: { roles: ['HR', 'ADMIN'] },
+    })
+
+    expect(denied.data).toEqual({
+      salary: null,
+      secret: { code: null, hint: null },
+    })
+    expect(denied.errors.map(error => error.path.join('.'))).toEqual([
+      'salary',
+      'secret.code',
+      'secret.hint',
+    ])
+    expect(denied.errors[0].message).toMatch(/Query.salary/)
+    expect(allowed.errors).toBeUndefined()
+    expect(allowed.data).toEqual({
+      salary: 100,
+      secret: { code: '1234', hint: 'digits' },
+    })
+  })
+
+  it('should accept a custom role checker and logger', async () => {
+    let messages = []
+    let checked = []
+    let schemata = Schemata.from(sdl, resolvers).applyDirectives({
+      auth: authDirective((context, requires, parent, args, info) => {
+        checked.push(`${info.parentType}.${info.fieldName}`)
+
+        return context.admin
+      }),
+      deprecated: deprecatedDirective(message => messages.push(message)),
+    })
+    let results = await schemata.runAsync(
+      '{ person { age } secret { code } }',
+      { admin: true }
+    )
+
+    expect(results.data).toEqual({
+      person: { age: 30 },
+      secret: { code: '1234' },
+    })
+    expect(checked).toEqual(['Secret.code'])
+    expect(messages).toEqual([
+      'The deprecated field Person.age was resolved: Use birthday',
+    ])
+  })
+
+  it('should apply custom directives in order', async () => {
+    let schemata = Schemata.from(`
+      type Query {
+        greeting: String @wrap(with: "[]") @wrap(with: "()") @upper
+      }
+    `, {
+      greeting: () => 'hi',
+    }).applyDirectives({
+      upper: DefaultDirectives.uppercase,
+      wrap: (resolver, { with: chars }, field, type) => async (...args) => (
+        `${chars[0]}${await resolver(...args)}${chars[1]}`
+      ),
+    })
+
+    expect((await schemata.runAsync('{ greeting }')).data.greeting)
+      .toBe('([HI])')
+  })
+
+  it('should keep the original in the chain for later resolvers', async () => {
+    let greeting = () => 'hi'
+    let schemata = Schemata.from(`
+      type Query {
+        greeting: String @wrap(with: "[]") @upper
+      }
+    `, { greeting }).applyDirectives({
+      upper: DefaultDirectives.uppercase,
+      wrap: (resolver, { with: chars }) => async (...args) => (
+        `${chars[0]}${await resolver(...args)}${chars[1]}`
+      ),
+    })
+    let resolver = schemata.resolvers.greeting
+
+    expect(resolver.original).toBe(greeting)
+    expect(resolver.originalIndex).toBe(2)
+
+    resolver.prepend(async (source, args, context, info, next) => (
+      `${await next()}!`
+    ))
+
+    expect(resolver.originalIndex).toBe(3)
+    expect((await schemata.runAsync('{ greeting }')).data.greeting)
+      .toBe('[HI!]')
+  })
+})
@@ -47,25 +47,44 @@ describe('Extending a resolver', () => {
     expect((result.stopped - result.started) < 30).toBe(true)
   })
 
-  it('throws a ResolverResultsPatcherError for a bad patcher', () => {
+  it('should replace rather than merge list results', async () => {
+    let er = ExtendedResolver.from(() => [1, 2, 3])
+    let person = ExtendedResolver.from(() => ({ name: 'Jane' }))
+    let seen = []
+
+    er.push((source, args, context, info, results) => {
+      seen.push(results)
+
+      return ['a']
+    })
+    person.push(() => ({ age: 40 }))
+    person.push((source, args, context, info, results) => {
+      seen.push(Object.assign({}, results))
+
+      return ['listed']
+    })
+    person.push(() => ({ name: 'John' }))
+
+    expect(await er(null, {}, {}, {})).toEqual(['a'])
+    expect(await person(null, {}, {}, {})).toEqual({ name: 'John' })
+    expect(seen).toEqual([[1, 2, 3], { name: 'Jane', age: 40 }])
+  })
+
+  it('throws a ResolverResultsPatcherError for a bad patcher', async () => {
     let er = ExtendedResolver.wrap(() => 42, [], [],
       (results) => { throw new Error('contrived') }
     )
 
-    er().catch(error => {
-      expect(error instanceof ResolverResultsPatcherError).toBeTrue()
-    })
+    await expect(er()).rejects.toBeInstanceOf(ResolverResultsPatcherError)
   })
 
-  it('throws a WrappedResolverExecutionError for a bad patcher', () => {
+  it('throws a WrappedResolverExecutionError for a bad patcher', async () => {
     let er = ExtendedResolver.wrap(
       () => 42,
       (results) => { throw new Error('contrived') }
     )
 
-    er().catch(error => {
-      expect(error instanceof WrappedResolverExecutionError).toBeTrue()
-    })
+    await expect(er()).rejects.toBeInstanceOf(WrappedResolverExecutionError)
   })
 
 })
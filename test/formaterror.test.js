@@ -0,0 +1,141 @@
+import {
+  ExtendedResolver,
+  formatError,
+  ResolverMapStumble,
+  ResolverResultsPatcherError,
+  Schemata,
+  WrappedResolverExecutionError,
+} from '..'
+import { GraphQLError } from 'graphql'
+
+describe('formatting errors for clients', async () => {
+  let sdl = `
+    type Query {
+      account: String
+      report: String
+      forbidden: String
+    }
+  `
+  let context = { token: 'secret-token' }
+  let resolvers = {
+    account: ExtendedResolver.from(() => {
+      throw new Error(`Could not connect with ${context.token}`)
+    }),
+    report: ExtendedResolver.from(() => 'report', () => {
+      throw new Error('patcher failed')
+    }),
+    forbidden: ExtendedResolver.from(() => {
+      throw new GraphQLError('Forbidden', null, null, null, null, null, {
+        code: 'FORBIDDEN',
+      })
+    }),
+  }
+
+  it('should give errors stable codes and GraphQL representations', () => {
+    let wrapped = new WrappedResolverExecutionError(
+      new Error('boom'), null, 0, [], context
+    )
+    let patcher = new ResolverResultsPatcherError(
+      new Error('boom'), null, context, {}
+    )
+    let stumble = new ResolverMapStumble(new Error('Invalid ResolverMap'))
+    let converted = wrapped.toGraphQLError({ path: ['account'] })
+
+    expect(wrapped.extensions).toEqual({ code: 'RESOLVER_EXECUTION_FAILED' })
+    expect(patcher.extensions).toEqual({ code: 'RESULT_PATCHER_FAILED' })
+    expect(stumble.extensions).toEqual({ code: 'RESOLVER_MAP_INVALID' })
+    expect(converted).toBeInstanceOf(GraphQLError)
+    expect(converted.message).toBe('The field could not be resolved.')
+    expect(converted.path).toEqual(['account'])
+    expect(converted.originalError).toBe(wrapped)
+    expect(converted.extensions).toEqual({ code: 'RESOLVER_EXECUTION_FAILED' })
+    expect(wrapped.toGraphQLError({ debug: true }).message).toBe('boom')
+  })
+
+  it('should leave errors untouched with the raw format', async () => {
+    let results = await Schemata.from(sdl, resolvers).runAsync(
+      '{ account report forbidden }',
+      context, null, null, null, null,
+      { errorFormat: 'raw' }
+    )
+    let codes = results.errors.map(error => error.extensions.code)
+
+    expect(codes).toEqual([
+      'RESOLVER_EXECUTION_FAILED',
+      'RESULT_PATCHER_FAILED',
+      'FORBIDDEN',
+    ])
+    expect(results.errors[0].originalError)
+      .toBeInstanceOf(WrappedResolverExecutionError)
+  })
+
+  it('should only send safe messages by default', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let query = '{ account report forbidden }'
+    let results = await schemata.runAsync(query, context)
+
+    expect(results.data).toEqual({
+      account: null,
+      report: null,
+      forbidden: null,
+    })
+    expect(results.errors).toEqual([
+      {
+        message: 'The field could not be resolved.',
+        locations: [{ line: 1, column: 3 }],
+        path: ['account'],
+        extensions: { code: 'RESOLVER_EXECUTION_FAILED' },
+      },
+      {
+        message: 'The results of the field could not be processed.',
+        locations: [{ line: 1, column: 11 }],
+        path: ['report'],
+        extensions: { code: 'RESULT_PATCHER_FAILED' },
+      },
+      {
+        message: 'Forbidden',
+        locations: [{ line: 1, column: 18 }],
+        path: ['forbidden'],
+        extensions: { code: 'FORBIDDEN' },
+      },
+    ])
+    expect(JSON.stringify(results)).not.toMatch(/secret-token|\u001b/)
+    expect(await schemata.runAsync(
+      query, context, null, null, null, null, { errorFormat: 'safe' }
+    )).toEqual(results)
+  })
+
+  it('should include developer details with the debug format', async () => {
+    let schemata = Schemata.from(sdl, {
+      report: ExtendedResolver.from(() => 'report', () => {
+        throw new Error('\u001b[31mpatcher failed\u001b[0m')
+      }),
+    })
+    let results = await schemata.runAsync(
+      '{ report }',
+      null, null, null, null, null,
+      { errorFormat: 'debug' }
+    )
+    let [error] = results.errors
+
+    expect(error.message).toBe('patcher failed')
+    expect(error.extensions.code).toBe('RESULT_PATCHER_FAILED')
+    expect(error.extensions.exception.stacktrace[0])
+      .toBe('Error: patcher failed')
+    expect(JSON.stringify(error)).not.toMatch(/\u001b/)
+  })
+
+  it('should format other errors as GraphQL would', () => {
+    let validation = new GraphQLError('Cannot query field "nope".')
+    let thrown = new Error('plain')
+
+    expect(formatError(validation)).toEqual({
+      message: 'Cannot query field "nope".',
+      locations: undefined,
+      path: undefined,
+    })
+    expect(formatError(thrown)).toMatchObject({ message: 'plain' })
+    expect(formatError(thrown, { debug: true }).extensions.exception)
+      .toBeDefined()
+  })
+})
@@ -0,0 +1,154 @@
+import { Schemata } from '..'
+import { print, printSchema } from 'graphql'
+
+/**
+ * Captures enough of the state of a Schemata instance to compare it after
+ * it has taken part in a merge or pare.
+ */
+function snapshot(schemata) {
+  let resolvers = schemata.resolvers || {}
+  let shape = {}
+
+  for (let key of Object.keys(resolvers)) {
+    let value = resolvers[key]
+
+    shape[key] =
+      typeof value === 'object' && value ? Object.assign({}, value) : value
+  }
+
+  return {
+    sdl: schemata.sdl,
+    ast: schemata.ast,
+    printedAST: print(schemata.ast),
+    definitions: Array.from(schemata.ast.definitions),
+    schema: schemata.schema,
+    printedSchema: printSchema(schemata.schema),
+    resolvers,
+    shape,
+  }
+}
+
+function expectUnchanged(schemata, before) {
+  let after = snapshot(schemata)
+
+  expect(after.sdl).toBe(before.sdl)
+  expect(after.ast).toBe(before.ast)
+  expect(after.printedAST).toBe(before.printedAST)
+  expect(after.definitions).toEqual(before.definitions)
+  after.definitions.forEach((d, i) => expect(d).toBe(before.definitions[i]))
+  expect(after.schema).toBe(before.schema)
+  expect(after.printedSchema).toBe(before.printedSchema)
+  expect(after.resolvers).toBe(before.resolvers)
+  expect(Object.keys(after.resolvers)).toEqual(Object.keys(before.resolvers))
+
+  for (let key of Object.keys(before.shape)) {
+    let value = before.shape[key]
+
+    if (typeof value === 'object' && value) {
+      expect(after.resolvers[key]).toEqual(value)
+
+      for (let field of Object.keys(value)) {
+        expect(after.resolvers[key][field]).toBe(value[field])
+      }
+    }
+    else {
+      expect(after.resolvers[key]).toBe(value)
+    }
+  }
+}
+
+describe('merging and paring never modify their inputs', async () => {
+  let aSDL = `
+    """A person"""
+    type Person { name: String @deprecated(reason: "nope") }
+    enum Color { RED }
+    union Thing = Person
+    type Query { people: [Person] color: Color }
+  `
+  let bSDL = `
+    type Person { name: String! age: Int }
+    enum Color { RED BLUE }
+    type Robot { id: ID }
+    union Thing = Robot
+    extend type Query { robots: [Robot] }
+    type Query { people: [Person] }
+  `
+  let aResolvers = () => ({
+    Query: { people: () => [{ name: 'Jane' }], color: () => 'RED' },
+    Person: { name: p => p.name },
+  })
+  let bResolvers = () => ({
+    Query: { people: () => [{ name: 'Jim', age: 5 }] },
+    Robot: { id: () => 'r2' },
+  })
+
+  it('should leave both sides of mergeSDL() unchanged', () => {
+    let a = Schemata.from(aSDL, aResolvers())
+    let b = Schemata.from(bSDL, bResolvers())
+    let aBefore = snapshot(a)
+    let bBefore = snapshot(b)
+    let merged = a.mergeSDL(b)
+
+    expectUnchanged(a, aBefore)
+    expectUnchanged(b, bBefore)
+    expect(merged.astFieldByName('Person', 'age')).not.toBeNull()
+    expect(merged.astFieldByName('Query', 'robots')).not.toBeNull()
+    expect(merged.astFieldByName('Query', 'color')).not.toBeNull()
+  })
+
+  it('should leave both sides of merge() unchanged', async () => {
+    let a = Schemata.from(aSDL, aResolvers())
+    let b = Schemata.from(bSDL, bResolvers())
+    let aBefore = snapshot(a)
+    let bBefore = snapshot(b)
+    let merged = a.merge(b)
+
+    expectUnchanged(a, aBefore)
+    expectUnchanged(b, bBefore)
+
+    let results = await merged.runAsync('{ people { name age } }')
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.people[0].name).toBe('Jim')
+    expect((await a.runAsync('{ people { name } }')).data.people[0].name)
+      .toBe('Jane')
+  })
+
+  it('should allow the same instance to be merged repeatedly', () => {
+    let a = Schemata.from(aSDL, aResolvers())
+    let first = a.merge(bSDL)
+    let second = a.merge(bSDL)
+
+    expect(second.sdl).toBe(first.sdl)
+    expect(printSchema(second.schema)).toBe(printSchema(first.schema))
+  })
+
+  it('should leave both sides of pareSDL() unchanged', () => {
+    let a = Schemata.from(aSDL, aResolvers())
+    let b = Schemata.from('type Person { name: String }', bResolvers())
+    let aBefore = snapshot(a)
+    let bBefore = snapshot(b)
+    let pared = a.pareSDL(b)
+
+    expectUnchanged(a, aBefore)
+    expectUnchanged(b, bBefore)
+    expect(pared.astTypeByName('Person')).toBeNull()
+    expect(pared.resolvers.Person.name).toBeUndefined()
+  })
+
+  it('should not modify the ASTNodes of a GraphQLSchema', () => {
+    let a = Schemata.from(aSDL, aResolvers())
+    let schema = Schemata.from(bSDL).schema
+    let astNode = schema.getType('Person').astNode
+    let fields = Array.from(astNode.fields)
+    let printed = printSchema(schema)
+
+    a.mergeSDL(schema)
+    Schemata.from(schema).mergeSDL(a)
+    Schemata.from(schema).pareSDL(a)
+
+    expect(schema.getType('Person').astNode).toBe(astNode)
+    expect(astNode.fields).toEqual(fields)
+    expect(printSchema(schema)).toBe(printed)
+  })
+})
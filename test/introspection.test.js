@@ -0,0 +1,83 @@
+import { Schemata, introspectionExtensionHandler } from '..'
+import { mkdtempSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { printSchema } from 'graphql'
+
+describe('introspection JSON', async () => {
+  let sdl = `
+    """A person"""
+    type Person { name: String friends(first: Int = 10): [Person] }
+    type Query { people: [Person] }
+  `
+  let schemata = Schemata.from(sdl)
+
+  it('should export introspection JSON', () => {
+    let json = schemata.toIntrospection()
+    let types = json.__schema.types.map(type => type.name)
+
+    expect(json.__schema.queryType.name).toBe('Query')
+    expect(types).toContain('Person')
+    expect(types).toContain('__Schema')
+  })
+
+  it('should round trip through introspection JSON', () => {
+    let json = schemata.toIntrospection()
+    let printed = printSchema(schemata.schema)
+
+    for (let source of [json, { data: json }, JSON.stringify({ data: json })]) {
+      let result = Schemata.fromIntrospection(source)
+
+      expect(result).toBeInstanceOf(Schemata)
+      expect(printSchema(result.schema)).toBe(printed)
+      expect(result.astTypeByName('Person').description.value)
+        .toBe('A person')
+    }
+  })
+
+  it('should accept introspection JSON wherever SDL is accepted', () => {
+    let json = schemata.toIntrospection()
+    let merged = Schemata.from('type Query { count: Int }').mergeSDL(json)
+
+    expect(new Schemata(json).validSDL).toBe(true)
+    expect(merged.astFieldByName('Query', 'people')).toBeTruthy()
+    expect(merged.astFieldByName('Query', 'count')).toBeTruthy()
+  })
+
+  it('should attach resolvers to schemas built from introspection', () => {
+    let result = Schemata.fromIntrospection(schemata.toIntrospection(), {
+      people: () => [{ name: 'Jane' }],
+    })
+
+    expect(result.run('{ people { name } }').data.people[0].name)
+      .toBe('Jane')
+  })
+
+  it('should reject values that are not introspection results', () => {
+    expect(() => Schemata.fromIntrospection({ data: {} })).toThrow()
+    expect(() => Schemata.fromIntrospection('type Query { a: Int }'))
+      .toThrow()
+  })
+
+  it('should handle requiring schema.json files', () => {
+    let dir = mkdtempSync(join(tmpdir(), 'schemata-'))
+    let filename = join(dir, 'schema.json')
+    let module = { exports: {} }
+
+    let json = JSON.stringify({ data: schemata.toIntrospection() })
+
+    writeFileSync(filename, json)
+    writeFileSync(
+      join(dir, 'schema.js'),
+      'module.exports = { people: () => [{ name: "Jo" }] }'
+    )
+    introspectionExtensionHandler(module, filename)
+
+    let { schemata: loaded, resolvers, astNode } = module.exports
+
+    expect(loaded).toBe(module.exports.default)
+    expect(astNode).toEqual(loaded.ast)
+    expect(resolvers.people).toBeTruthy()
+    expect(loaded.run('{ people { name } }').data.people[0].name).toBe('Jo')
+  })
+})
@@ -0,0 +1,101 @@
+import { gql, LintRules, ERROR, WARNING } from '..'
+
+describe('Linting Schemata', () => {
+  const clean = gql`
+    """A person"""
+    type Person {
+      """The person's name"""
+      name: String
+      """The person's favorite colors"""
+      colors: [Color!]
+    }
+
+    """A color"""
+    enum Color { RED GREEN }
+
+    """Input for a person"""
+    input PersonInput {
+      """The person's name"""
+      name: String
+    }
+
+    """The root query"""
+    type Query {
+      """Finds people"""
+      peeps(filter: PersonInput): [Person!]!
+    }
+  `
+
+  const rulesFor = (findings, rule) => findings.filter(f => f.rule === rule)
+
+  it('should find nothing wrong with clean SDL', () => {
+    expect(clean.lint()).toEqual([])
+  })
+
+  it('should report each built-in rule', () => {
+    let findings = gql`
+      type person {
+        Name: String
+        tags: [String]
+        old: String @deprecated
+      }
+
+      enum Color { red }
+
+      type Orphan { id: ID }
+
+      input PersonFilter { name: String }
+
+      type Query { peeps(filter: PersonFilter): person }
+    `.lint()
+
+    expect(rulesFor(findings, 'type-names-pascal-case').length).toBe(1)
+    expect(rulesFor(findings, 'field-names-camel-case').length).toBe(1)
+    expect(rulesFor(findings, 'enum-values-upper-case').length).toBe(1)
+    expect(rulesFor(findings, 'no-unused-types').map(f => f.message))
+      .toEqual(['Type "Color" is never referenced',
+        'Type "Orphan" is never referenced'])
+    expect(rulesFor(findings, 'input-type-suffix').length).toBe(1)
+    expect(rulesFor(findings, 'no-nullable-list-of-nullable').length).toBe(1)
+    expect(rulesFor(findings, 'deprecation-reason')[0].severity).toBe(ERROR)
+    expect(rulesFor(findings, 'require-descriptions')[0].severity)
+      .toBe(WARNING)
+  })
+
+  it('should carry the location of each finding', () => {
+    let [finding] = gql`type Query { Bad: String }`.lint([
+      'field-names-camel-case',
+    ])
+
+    expect(finding.loc.line).toBe(1)
+    expect(finding.loc.column).toBe(14)
+    expect(finding.loc.start).toBe(13)
+  })
+
+  it('should allow rules to be configured and extended', () => {
+    let findings = gql`type Query { a: String }`.lint({
+      'require-descriptions': 'off',
+      'field-names-camel-case': WARNING,
+      'no-single-letter-fields': {
+        severity: ERROR,
+        check(ast, report) {
+          for (let field of ast.definitions[0].fields) {
+            if (field.name.value.length === 1) {
+              report(field, 'too short')
+            }
+          }
+        },
+      },
+    })
+
+    expect(findings).toEqual([
+      {
+        rule: 'no-single-letter-fields',
+        severity: ERROR,
+        message: 'too short',
+        loc: expect.any(Object),
+      },
+    ])
+    expect(Object.keys(LintRules).length).toBe(8)
+  })
+})
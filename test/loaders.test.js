@@ -0,0 +1,171 @@
+import { attachLoaders, ExtendedResolver, Loader, Schemata } from '..'
+
+describe('batching with loaders', async () => {
+  let people = {
+    1: { id: 1, name: 'Jane', friendIds: [2, 3] },
+    2: { id: 2, name: 'John', friendIds: [1] },
+    3: { id: 3, name: 'Jill', friendIds: [1, 2] },
+  }
+  let sdl = `
+    type Person { id: ID name: String friends: [Person] }
+    type Query { people: [Person] person(id: ID): Person }
+  `
+  let resolvers = {
+    Query: {
+      people: () => [people[1], people[2], people[3]],
+      person: (source, { id }, context) => {
+        return context.loaders.Person.byId.load(Number(id))
+      },
+    },
+    Person: {
+      friends: ({ friendIds }, args, context) => {
+        return context.loaders.Person.byId.loadMany(friendIds)
+      },
+    },
+  }
+  let counted = () => {
+    let calls = []
+    let byId = (ids, context) => {
+      calls.push(ids)
+
+      return ids.map(id => people[id] || new Error(`No person ${id}`))
+    }
+
+    return { calls, byId }
+  }
+
+  it('should batch the loads of a list into a single call', async () => {
+    let { calls, byId } = counted()
+    let schemata = Schemata.from(sdl, resolvers).withLoaders({
+      Person: { byId },
+    })
+    let results = await schemata.runAsync(
+      '{ people { name friends { name } } }'
+    )
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.people[0].friends).toEqual([
+      { name: 'John' },
+      { name: 'Jill' },
+    ])
+    expect(calls).toEqual([[2, 3, 1]])
+    expect(schemata.loaders.Person.byId).toBe(byId)
+    expect(Schemata.from(sdl, resolvers).loaders).toBeNull()
+  })
+
+  it('should cache values per operation unless shared', async () => {
+    let { calls, byId } = counted()
+    let schemata = Schemata.from(sdl, resolvers).withLoaders({
+      Person: { byId },
+    })
+    let query = '{ a: person(id: 2) { name } b: person(id: 2) { name } }'
+    let context = {}
+    let options = { shareLoaders: true }
+
+    await schemata.runAsync(query, context)
+    await schemata.runAsync(query, context)
+    expect(calls).toEqual([[2], [2]])
+    expect(context.loaders.Person.byId).toBeInstanceOf(Loader)
+
+    let request = {}
+
+    await schemata.runAsync(query, request, null, null, null, null, options)
+    await schemata.runAsync(query, request, null, null, null, null, options)
+    expect(calls).toEqual([[2], [2], [2]])
+    expect(request.loaders.Person.byId).toBeInstanceOf(Loader)
+  })
+
+  it('should support priming and clearing', async () => {
+    let { calls, byId } = counted()
+    let loader = new Loader(byId)
+
+    loader.prime(1, { id: 1, name: 'Primed' })
+    expect(await loader.load(1)).toEqual({ id: 1, name: 'Primed' })
+    expect(calls).toEqual([])
+
+    loader.clear(1)
+    expect((await loader.load(1)).name).toBe('Jane')
+    expect(calls).toEqual([[1]])
+
+    loader.clearAll()
+    await loader.loadMany([1, 2])
+    expect(calls).toEqual([[1], [1, 2]])
+
+    let uncached = new Loader(byId, { cache: false, maxBatchSize: 2 })
+
+    await uncached.loadMany([1, 2, 3, 1])
+    expect(calls.slice(2)).toEqual([[1, 2], [3, 1]])
+  })
+
+  it('should reject only the keys that failed', async () => {
+    let { byId } = counted()
+    let loader = new Loader(byId)
+    let [found, missing] = await Promise.all([
+      loader.load(1),
+      loader.load(9).catch(error => error),
+    ])
+
+    expect(found.name).toBe('Jane')
+    expect(missing.message).toBe('No person 9')
+
+    let short = new Loader(ids => ids.slice(1))
+
+    await expect(short.loadMany([1, 2])).rejects.toThrow(/list of 2 value/)
+    await expect(loader.load(null)).rejects.toBeInstanceOf(TypeError)
+    expect(() => new Loader()).toThrow(TypeError)
+  })
+
+  it('should keep a primed value when a failed batch settles', async () => {
+    let loader = new Loader(ids => Promise.reject(new Error('down')))
+    let failed = loader.load(5).catch(error => error)
+
+    loader.clear(5).prime(5, 'primed')
+
+    expect((await failed).message).toBe('down')
+    expect(await loader.load(5)).toBe('primed')
+  })
+
+  it('should add fresh loaders to the supplied context', async () => {
+    let seen = []
+    let schemata = Schemata.from(sdl, {
+      person: ExtendedResolver.from((source, { id }, context) => {
+        seen.push(context)
+        context.visits = (context.visits || 0) + 1
+
+        return context.loaders.Person.byId.load(id)
+      }),
+    }).withLoaders({
+      Person: {
+        byId: {
+          batch: (ids, context) => ids.map(id => ({ id, name: context.user })),
+          cacheKey: String,
+        },
+      },
+    })
+    let stale = { load: () => ({ name: 'Stale' }) }
+    let other = {}
+    let context = {
+      user: 'Jane',
+      loaders: { Other: other, Person: { byId: stale } },
+    }
+    let query = '{ person(id: 4) { name } }'
+    let first = await schemata.runAsync(query, context)
+    let loader = context.loaders.Person.byId
+    let second = await schemata.runAsync(query, context)
+    let shared = attachLoaders(
+      { loaders: { Other: {} } },
+      schemata.loaders,
+      true
+    )
+
+    expect(first.data.person).toEqual({ name: 'Jane' })
+    expect(second.data.person).toEqual({ name: 'Jane' })
+    expect(seen).toEqual([context, context])
+    expect(context.visits).toBe(2)
+    expect(loader).toBeInstanceOf(Loader)
+    expect(context.loaders.Person.byId).not.toBe(loader)
+    expect(context.loaders.Other).toBe(other)
+    expect(Object.keys(shared.loaders)).toEqual(['Other', 'Person'])
+    expect(attachLoaders(null, {}).loaders).toEqual({})
+  })
+})
@@ -0,0 +1,92 @@
+import {
+  ExtendedResolver,
+  Schemata,
+  WrappedResolverExecutionError,
+} from '..'
+
+describe('Composing resolvers as middleware', () => {
+  let person = (source, { id }) => ({ id, name: 'Brielle' })
+
+  it('should run middleware around the original in order', async () => {
+    let calls = []
+    let er = ExtendedResolver.compose([
+      async (source, args, context, info, next) => {
+        calls.push('outer')
+
+        let result = await next()
+
+        calls.push('outer done')
+
+        return Object.assign({}, result, { wrapped: true })
+      },
+      (source, args, context, info, next) => {
+        calls.push('inner')
+
+        return next(Object.assign({}, args, { id: args.id * 2 }))
+      },
+    ], person)
+
+    expect(er.mode).toBe('middleware')
+    expect(er.original).toBe(person)
+    expect(await er(null, { id: 21 })).toEqual({
+      id: 42,
+      name: 'Brielle',
+      wrapped: true,
+    })
+    expect(calls).toEqual(['outer', 'inner', 'outer done'])
+  })
+
+  it('should allow middleware to skip the original', async () => {
+    let original = jest.fn(person)
+    let er = ExtendedResolver.compose([
+      (source, args, context, info, next) => context.user ? next() : null,
+    ], original)
+
+    expect(await er(null, { id: 1 }, {})).toBeNull()
+    expect(original).not.toHaveBeenCalled()
+    expect(await er(null, { id: 1 }, { user: 'jane' }))
+      .toEqual({ id: 1, name: 'Brielle' })
+  })
+
+  it('should let errors pass through middleware once wrapped', async () => {
+    let caught
+    let er = ExtendedResolver.compose([
+      async (source, args, context, info, next) => {
+        try {
+          return await next()
+        }
+        catch (error) {
+          caught = error
+
+          return 'recovered'
+        }
+      },
+      () => { throw new Error('contrived') },
+    ])
+    let failing = ExtendedResolver.compose([(s, a, c, i, next) => next()],
+      () => { throw new Error('contrived') }
+    )
+
+    expect(await er()).toBe('recovered')
+    expect(caught).toBeInstanceOf(WrappedResolverExecutionError)
+    expect(caught.index).toBe(1)
+
+    await expect(failing()).rejects.toHaveProperty('index', 1)
+  })
+
+  it('should keep the mode and use it within a schema', async () => {
+    let er = new ExtendedResolver(ExtendedResolver.compose([
+      async (source, args, context, info, next) =>
+        (await next()).toUpperCase(),
+    ], () => 'hello'))
+    let schemata = Schemata.from('type Query { greeting: String }', {
+      greeting: er,
+    })
+
+    expect(er.mode).toBe('middleware')
+    expect((await schemata.runAsync('{ greeting }')).data.greeting)
+      .toBe('HELLO')
+    expect(() => { er.mode = 'onion' }).toThrow(TypeError)
+    expect(ExtendedResolver.from(person).mode).toBe('sequential')
+  })
+})
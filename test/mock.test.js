@@ -0,0 +1,107 @@
+import { Schemata, DefaultMocks } from '..'
+
+describe('mocking', async () => {
+  let sdl = `
+    enum Role { ADMIN USER GUEST }
+    interface Node { id: ID! }
+    type User implements Node { id: ID! name: String age: Int role: Role }
+    type Post implements Node { id: ID! title: String author: User }
+    union SearchResult = User | Post
+    type Query {
+      me: User
+      users: [User!]!
+      node: Node
+      search: [SearchResult]
+      score: Float
+    }
+  `
+  let query = `{
+    me { id name age role }
+    users { name }
+    node { __typename id }
+    search { __typename ... on Post { title } }
+    score
+  }`
+
+  it('should resolve every field with generated data', () => {
+    let results = Schemata.from(sdl).mock().run(query)
+    let { me, users, node, search, score } = results.data
+
+    expect(results.errors).toBeUndefined()
+    expect(typeof me.id).toBe('string')
+    expect(typeof me.name).toBe('string')
+    expect(Number.isInteger(me.age)).toBe(true)
+    expect(['ADMIN', 'USER', 'GUEST']).toContain(me.role)
+    expect(users.length).toBe(2)
+    expect(['User', 'Post']).toContain(node.__typename)
+    expect(search.every(r => ['User', 'Post'].includes(r.__typename)))
+      .toBe(true)
+    expect(typeof score).toBe('number')
+  })
+
+  it('should generate the same data for the same seed', () => {
+    let schemata = Schemata.from(sdl)
+    let first = schemata.mock({ seed: 42 }).run(query)
+    let second = schemata.mock({ seed: 42 }).run(query)
+    let other = schemata.mock({ seed: 'other' }).run(query)
+
+    expect(first.data).toEqual(second.data)
+    expect(first.data).not.toEqual(other.data)
+  })
+
+  it('should use generators for scalars, types and fields', () => {
+    let mocked = Schemata.from(sdl).mock({
+      seed: 1,
+      listLength: 6,
+      mocks: {
+        Int: () => 7,
+        User: () => ({ name: 'Jane' }),
+        'Post.title': (random, post, args, context, info) => (
+          `Post ${String(info.path.prev.key)}`
+        ),
+      },
+    })
+    let results = mocked.run(`{
+      me { name age }
+      search { ... on Post { title } }
+    }`)
+    let posts = results.data.search.filter(result => result.title)
+
+    expect(results.data.me).toEqual({ name: 'Jane', age: 7 })
+    expect(posts.length).toBeGreaterThan(0)
+    expect(posts.every(post => /^Post \d$/.test(post.title))).toBe(true)
+    expect(DefaultMocks.Int(() => 0.5)).toBe(0)
+  })
+
+  it('should generate lists of the configured length', () => {
+    let fixed = Schemata.from(sdl).mock({ listLength: 4 })
+    let ranged = Schemata.from(sdl).mock({ listLength: [1, 3] })
+
+    expect(fixed.run('{ users { id } }').data.users.length).toBe(4)
+
+    for (let i = 0; i < 10; i++) {
+      let { length } = ranged.run('{ users { id } }').data.users
+
+      expect(length).toBeGreaterThanOrEqual(1)
+      expect(length).toBeLessThanOrEqual(3)
+    }
+  })
+
+  it('should keep existing resolvers when asked to', () => {
+    let schemata = Schemata.from(sdl, {
+      User: { name: user => `${user.first} Smith` },
+      me: () => ({ first: 'Jane', age: 30 }),
+    })
+    let preserved = schemata.mock({ preserveResolvers: true })
+    let replaced = schemata.mock()
+    let results = preserved.run('{ me { name age role } users { name } }')
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.me.name).toBe('Jane Smith')
+    expect(results.data.me.age).toBe(30)
+    expect(['ADMIN', 'USER', 'GUEST']).toContain(results.data.me.role)
+    expect(results.data.users[0].name).toBe('undefined Smith')
+    expect(replaced.run('{ me { name } }').data.me.name).not.toMatch(/Smith/)
+    expect(schemata.run('{ me { role } }').data.me.role).toBeNull()
+  })
+})
@@ -0,0 +1,92 @@
+import { Schemata, gql } from '..'
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { GraphQLError, parse, Source, specifiedRules } from 'graphql'
+
+describe('operation validation', async () => {
+  let people = Schemata.from(`
+    type Person { id: ID! name: String }
+    type Query { person(id: ID!): Person }
+  `, {
+    person: () => { throw new Error('should not be executed') },
+  })
+  let merged = people.merge(`
+    type Company { name: String }
+    type Query { company: Company }
+    type Mutation { renamePerson(id: ID!, name: String!): Person }
+  `)
+
+  it('should accept valid operations in any form', () => {
+    let query = '{ person(id: 1) { name } }'
+
+    expect(people.validateOperation(query)).toEqual([])
+    expect(people.validateOperation(new Source(query))).toEqual([])
+    expect(people.validateOperation(parse(query))).toEqual([])
+    expect(people.validateOperation(gql`query { person(id: 1) { id } }`))
+      .toEqual([])
+  })
+
+  it('should report validation errors with locations', () => {
+    let errors = people.validateOperation(`query {
+      person { age }
+    }`)
+    let missing = errors.find(error => /argument "id"/.test(error.message))
+    let unknown = errors.find(error => /"age"/.test(error.message))
+
+    expect(errors.length).toBe(2)
+    expect(missing.locations).toEqual([{ line: 2, column: 7 }])
+    expect(unknown.locations).toEqual([{ line: 2, column: 16 }])
+  })
+
+  it('should report syntax errors rather than throwing them', () => {
+    let errors = people.validateOperation('{ person(id: 1) { name }')
+
+    expect(errors.length).toBe(1)
+    expect(errors[0].message).toMatch(/Syntax Error/)
+    expect(errors[0].locations).toEqual([{ line: 1, column: 25 }])
+  })
+
+  it('should validate against merged schemas and custom rules', () => {
+    let mutation = 'mutation { renamePerson(id: 1, name: "Jo") { id } }'
+    let noMutations = context => ({
+      OperationDefinition(node) {
+        if (node.operation === 'mutation') {
+          context.reportError(
+            new GraphQLError('Mutations are not allowed', [node])
+          )
+        }
+      },
+    })
+
+    expect(people.validateOperation('{ company { name } }').length).toBe(1)
+    expect(merged.validateOperation(mutation)).toEqual([])
+    expect(merged.validateOperation('{ company { name } }')).toEqual([])
+    expect(merged.validateOperation(mutation, {
+      rules: [...specifiedRules, noMutations],
+    }).map(error => error.message)).toEqual(['Mutations are not allowed'])
+  })
+
+  it('should validate directories, globs and lists of files', () => {
+    let dir = mkdtempSync(join(tmpdir(), 'schemata-'))
+    let good = join(dir, 'person.graphql')
+    let bad = join(dir, 'nested', 'company.gql')
+
+    mkdirSync(join(dir, 'nested'))
+    writeFileSync(good, 'query Person { person(id: 1) { name } }')
+    writeFileSync(bad, 'query Company { company { name founded } }')
+    writeFileSync(join(dir, 'notes.txt'), 'not an operation')
+
+    let results = merged.validateOperations(dir)
+
+    expect(Object.keys(results)).toEqual([bad, good])
+    expect(results[good]).toEqual([])
+    expect(results[bad].length).toBe(1)
+    expect(results[bad][0].message).toMatch(/"founded"/)
+
+    expect(Object.keys(merged.validateOperations(join(dir, '*.graphql'))))
+      .toEqual([good])
+    expect(Object.keys(merged.validateOperations([good, good])))
+      .toEqual([good])
+  })
+})
@@ -0,0 +1,183 @@
+import {
+  executionRoot,
+  ExtendedResolver,
+  ResolverTimeoutError,
+  Schemata,
+  withIgnoredErrors,
+  WrappedResolverExecutionError,
+} from '..'
+import { execute, parse } from 'graphql'
+
+describe('resolver error policies', async () => {
+  let flaky = (failures, value = 'ok') => {
+    let calls = 0
+    let fn = function flakyService() {
+      if (++calls <= failures) {
+        throw new Error(`failure ${calls}`)
+      }
+
+      return value
+    }
+
+    fn.calls = () => calls
+
+    return fn
+  }
+
+  it('should retry failed calls with a backoff', async () => {
+    let service = flaky(2)
+    let waits = []
+    let resolver = ExtendedResolver.withPolicy(service, {
+      retry: {
+        attempts: 3,
+        backoff: (attempt, error) => waits.push([attempt, error.message]),
+      },
+    })
+
+    expect(await resolver(null, {}, {}, null)).toBe('ok')
+    expect(service.calls()).toBe(3)
+    expect(waits).toEqual([[1, 'failure 1'], [2, 'failure 2']])
+
+    let stubborn = flaky(5)
+    let limited = ExtendedResolver.withPolicy(stubborn, { retry: {} })
+
+    await expect(limited(null, {}, {}, null))
+      .rejects.toBeInstanceOf(WrappedResolverExecutionError)
+    expect(stubborn.calls()).toBe(3)
+  })
+
+  it('should only retry errors accepted by retryIf', async () => {
+    let service = flaky(2)
+    let resolver = ExtendedResolver.withPolicy(service, {
+      retry: { attempts: 5, retryIf: error => error.message !== 'failure 1' },
+    })
+    let error
+
+    try {
+      await resolver(null, {}, {}, null)
+    }
+    catch (thrown) {
+      error = thrown
+    }
+
+    expect(error).toBeInstanceOf(WrappedResolverExecutionError)
+    expect(error.message).toBe('failure 1')
+    expect(error.index).toBe(0)
+    expect(service.calls()).toBe(1)
+  })
+
+  it('should time out slow calls and resolve any fallback', async () => {
+    let slow = function slowService() {
+      return new Promise(resolve => setTimeout(() => resolve('late'), 200))
+    }
+    let error
+
+    try {
+      await ExtendedResolver.withPolicy(slow, { timeout: 10 })(null, {})
+    }
+    catch (thrown) {
+      error = thrown
+    }
+
+    expect(error).toBeInstanceOf(WrappedResolverExecutionError)
+    expect(error.error).toBeInstanceOf(ResolverTimeoutError)
+    expect(error.error.timeout).toBe(10)
+    expect(error.error.resolverName).toBe('slowService')
+    expect(error.message).toMatch(/'slowService' did not resolve within 10ms/)
+
+    let value = ExtendedResolver.withPolicy(slow, {
+      timeout: 10,
+      fallback: 'cached',
+    })
+    let computed = ExtendedResolver.withPolicy(flaky(1), {
+      fallback: (error, source, args) => `${error.message} for ${args.id}`,
+    })
+
+    expect(await value(null, {})).toBe('cached')
+    expect(await computed(null, { id: 7 })).toBe('failure 1 for 7')
+  })
+
+  it('should report errors ignored by continueOnError', async () => {
+    let person = ExtendedResolver.from(() => ({ name: 'Jane' }))
+
+    person.prepend(function audit() {
+      throw new Error('audit service unavailable')
+    }, { continueOnError: true })
+    person.append(function enrich() {
+      return { nickname: 'JJ' }
+    })
+
+    let schemata = Schemata.from(`
+      type Person { name: String nickname: String }
+      type Query { me: Person }
+    `, { me: person })
+
+    for (let results of [
+      await schemata.runAsync(
+        '{ me { name nickname } }',
+        null, null, null, null, null,
+        { errorFormat: 'raw' }
+      ),
+      await schemata.runAsync(
+        '{ me { name nickname } }',
+        null, null, null, null, null,
+        { tracing: true, errorFormat: 'raw' }
+      ),
+    ]) {
+      expect(results.data).toEqual({ me: { name: 'Jane', nickname: 'JJ' } })
+      expect(results.errors.length).toBe(1)
+      expect(results.errors[0].message).toBe('audit service unavailable')
+      expect(results.errors[0].path).toEqual(['me'])
+      expect(results.errors[0].originalError)
+        .toBeInstanceOf(WrappedResolverExecutionError)
+    }
+
+    expect(person.getPolicy(0)).toEqual({ continueOnError: true })
+    expect(ExtendedResolver.from(person).getPolicy(0))
+      .toEqual({ continueOnError: true })
+  })
+
+  it('should keep ignored errors with their own execution', async () => {
+    let me = ExtendedResolver.from(() => 'me')
+
+    me.prepend(function audit(source, args, context) {
+      throw new Error(`audit failed for ${context.user}`)
+    }, { continueOnError: true })
+
+    let schemata = Schemata.from('type Query { me: String }', { me })
+    let document = parse('{ me }')
+    let run = async user => {
+      let root = executionRoot(schemata.resolvers)
+      let result = await execute(schemata.schema, document, root, { user })
+
+      return withIgnoredErrors(root, result)
+    }
+    let [jane, john] = await Promise.all([run('jane'), run('john')])
+
+    expect(jane.errors.map(error => error.message))
+      .toEqual(['audit failed for jane'])
+    expect(john.errors.map(error => error.message))
+      .toEqual(['audit failed for john'])
+    expect((await run('jill')).errors.length).toBe(1)
+    expect(withIgnoredErrors({}, { data: null })).toEqual({ data: null })
+  })
+
+  it('should apply policies to middleware', async () => {
+    let resolver = ExtendedResolver.compose([
+      async (source, args, context, info, next) => `<${await next()}>`,
+      function broken() { throw new Error('broken') },
+    ], () => 'value')
+
+    await expect(resolver(null, {}))
+      .rejects.toBeInstanceOf(WrappedResolverExecutionError)
+
+    resolver.setPolicy(1, { continueOnError: true })
+    expect(await resolver(null, {})).toBe('<undefined>')
+
+    resolver.setPolicy(1, { fallback: 'fallback' })
+    expect(await resolver(null, {})).toBe('<fallback>')
+
+    resolver.setPolicy(1, null)
+    expect(resolver.getPolicy(1)).toBeNull()
+  })
+})
@@ -0,0 +1,243 @@
+import {
+  executionRoot,
+  ExtendedResolver,
+  LRUCacheStore,
+  Schemata,
+  withCacheControl,
+} from '..'
+import { execute, parse } from 'graphql'
+
+describe('caching resolver results', async () => {
+  let counter = (fn = () => null) => {
+    let calls = []
+    let resolver = (parent, args, context, info) => {
+      calls.push(args)
+
+      return fn(parent, args, context, info)
+    }
+
+    resolver.calls = calls
+
+    return resolver
+  }
+
+  it('should cache fields hinted with @cacheControl', async () => {
+    let prices = counter((parent, { currency }) => `${currency} 10`)
+    let schemata = Schemata.from(`
+      type Query {
+        price(currency: String): String @cacheControl(maxAge: 60)
+        time: String
+      }
+    `, { price: prices, time: () => 'now' }).withCaching()
+
+    let first = await schemata.runAsync('{ price(currency: "EUR") time }')
+    let second = await schemata.runAsync('{ price(currency: "EUR") }')
+
+    await schemata.runAsync('{ price(currency: "USD") }')
+
+    expect(first.data).toEqual({ price: 'EUR 10', time: 'now' })
+    expect(second.data).toEqual({ price: 'EUR 10' })
+    expect(prices.calls).toEqual([{ currency: 'EUR' }, { currency: 'USD' }])
+    expect(second.extensions.cacheControl).toEqual({
+      version: 1,
+      maxAge: 60,
+      scope: 'PUBLIC',
+      hints: [{ path: ['price'], maxAge: 60, scope: 'PUBLIC' }],
+    })
+    expect(Schemata.from('type Query { time: String }', {
+      time: () => 'now',
+    }).run('{ time }').extensions).toBeUndefined()
+  })
+
+  it('should count fields without a hint as maxAge 0', async () => {
+    let schemata = Schemata.from(`
+      type Person { name: String age: Int @cacheControl(maxAge: 30) }
+      type Query {
+        price: String @cacheControl(maxAge: 60)
+        time: String
+        me: Person @cacheControl(maxAge: 90)
+        boss: Person
+      }
+    `, {
+      Query: {
+        price: () => '10',
+        time: () => 'now',
+        me: () => ({ name: 'Jane', age: 40 }),
+        boss: () => ({ name: 'John', age: 50 }),
+      },
+    }).withCaching()
+    let policyOf = async query => {
+      return (await schemata.runAsync(query)).extensions.cacheControl
+    }
+    let mixed = await policyOf('{ price time }')
+    let nested = await policyOf('{ price me { name age } }')
+    let unhinted = await policyOf('{ boss { name age } }')
+
+    expect(mixed.maxAge).toBe(0)
+    expect(mixed.hints).toEqual([
+      { path: ['price'], maxAge: 60, scope: 'PUBLIC' },
+      { path: ['time'], maxAge: 0, scope: 'PUBLIC' },
+    ])
+    expect(nested.maxAge).toBe(30)
+    expect(nested.hints.map(hint => hint.path.join('.')))
+      .toEqual(['price', 'me', 'me.age'])
+    expect(unhinted.maxAge).toBe(0)
+    expect(unhinted.hints.find(hint => hint.path[0] === 'boss').maxAge)
+      .toBe(0)
+  })
+
+  it('should only share PRIVATE fields with the same user', async () => {
+    let account = counter((parent, args, context) => context.userId || 'anon')
+    let schemata = Schemata.from(`
+      type Query { account: String @cacheControl(maxAge: 30, scope: PRIVATE) }
+    `, { account }).withCaching()
+    let results = []
+
+    for (let context of [
+      { userId: 1 },
+      { userId: 1 },
+      { user: { id: 2 } },
+      {},
+      {},
+    ]) {
+      results.push(await schemata.runAsync('{ account }', context))
+    }
+
+    expect(results.map(result => result.data.account))
+      .toEqual(['1', '1', 'anon', 'anon', 'anon'])
+    expect(account.calls.length).toBe(4)
+    expect(results[0].extensions.cacheControl.scope).toBe('PRIVATE')
+  })
+
+  it('should combine config, type and field hints', async () => {
+    let friends = counter(() => [{ id: 2, name: 'John' }])
+    let schemata = Schemata.from(`
+      type Person @cacheControl(maxAge: 120) {
+        id: ID
+        name: String
+        friends: [Person] @cacheControl(maxAge: 90)
+      }
+      type Query { people: [Person] }
+    `, {
+      Query: { people: () => [{ id: 1, name: 'Jane' }] },
+      Person: { friends },
+    }).withCaching({
+      Query: { people: 10 },
+      Person: { friends: { maxAge: 5 } },
+    })
+    let query = '{ people { name friends { name } } }'
+    let results = await schemata.runAsync(query)
+
+    await schemata.runAsync(query)
+
+    let { cacheControl } = results.extensions
+    let hintAt = path => cacheControl.hints
+      .find(hint => hint.path.join('.') === path)
+
+    expect(results.data.people[0].friends).toEqual([{ name: 'John' }])
+    expect(friends.calls.length).toBe(1)
+    expect(cacheControl.maxAge).toBe(5)
+    expect(hintAt('people').maxAge).toBe(10)
+    expect(hintAt('people.0.name').maxAge).toBe(120)
+    expect(hintAt('people.0.friends').maxAge).toBe(5)
+  })
+
+  it('should use any pluggable store', async () => {
+    let lru = new LRUCacheStore(2)
+
+    lru.set('a', 1, 60)
+    lru.set('b', 2, 60)
+    lru.get('a')
+    lru.set('c', 3, 60)
+
+    expect([lru.get('a'), lru.get('b'), lru.get('c')])
+      .toEqual([1, undefined, 3])
+
+    lru.set('d', 4, 0)
+    expect([lru.get('a'), lru.get('d'), lru.size])
+      .toEqual([undefined, undefined, 1])
+
+    let entries = new Map()
+    let store = {
+      get: async key => entries.get(key),
+      set: async (key, value, maxAge) => entries.set(key, { value, maxAge }),
+    }
+    let slow = counter(() => 'slow')
+    let schemata = Schemata.from('type Query { slow: String }', { slow })
+      .withCaching({ Query: { slow: 15 } }, {
+        store: {
+          get: async key => (await store.get(key) || {}).value,
+          set: store.set,
+        },
+      })
+
+    await schemata.runAsync('{ slow }')
+    await schemata.runAsync('{ slow }')
+
+    expect(slow.calls.length).toBe(1)
+    expect([...entries.values()][0]).toEqual({
+      value: { value: 'slow' },
+      maxAge: 15,
+    })
+  })
+
+  it('should cache ExtendedResolvers but never errors', async () => {
+    let attempts = 0
+    let flaky = counter(() => {
+      if (++attempts === 1) {
+        throw new Error('unavailable')
+      }
+
+      return 'stock'
+    })
+    let schemata = Schemata.from('type Query { stock: String }', {
+      stock: ExtendedResolver.withCache(flaky, { maxAge: 60 }),
+    })
+    let failed = await schemata.runAsync(
+      '{ stock }',
+      null, null, null, null, null,
+      { errorFormat: 'raw' }
+    )
+    let traced = await schemata.runAsync(
+      '{ stock }',
+      null, null, null, null, null,
+      { tracing: true }
+    )
+
+    await schemata.runAsync('{ stock }')
+
+    expect(failed.errors[0].message).toBe('unavailable')
+    expect(traced.data).toEqual({ stock: 'stock' })
+    expect(traced.extensions.tracing).toBeDefined()
+    expect(traced.extensions.cacheControl.maxAge).toBe(60)
+    expect(flaky.calls.length).toBe(2)
+    expect(schemata.resolvers.stock.originalIndex).toBe(0)
+  })
+
+  it('should keep the hints of each execution apart', async () => {
+    let schemata = Schemata.from(`
+      type Query {
+        price: String @cacheControl(maxAge: 60)
+        stock: String @cacheControl(maxAge: 5)
+      }
+    `, { price: () => '10', stock: () => '3' }).withCaching()
+    let run = async query => {
+      let root = executionRoot(schemata.resolvers)
+      let result = await execute(schemata.schema, query, root)
+
+      return withCacheControl(root, result).extensions.cacheControl
+    }
+    let price = parse('{ price }')
+    let [first, second, stock] = await Promise.all([
+      run(price),
+      run(price),
+      run(parse('{ stock }')),
+    ])
+
+    expect(first).toEqual(second)
+    expect(first.hints).toEqual([
+      { path: ['price'], maxAge: 60, scope: 'PUBLIC' },
+    ])
+    expect(stock.maxAge).toBe(5)
+  })
+})
@@ -0,0 +1,69 @@
+import { isRootType, Schemata } from '..'
+
+describe('custom root operation type names', async () => {
+  let sdl = `
+    schema { query: RootQuery mutation: RootMutation }
+    type Person { name: String }
+    enum Color { RED }
+    type RootQuery { people: [Person] }
+    type RootMutation { addPerson(name: String): Person }
+  `
+  let flattened = () => ({
+    people: () => [{ name: 'Jane' }],
+    addPerson: (root, { name }) => ({ name }),
+  })
+
+  it('should determine the root operation types from the SDL', () => {
+    expect(Schemata.from(sdl).rootOperationTypes).toEqual({
+      query: 'RootQuery',
+      mutation: 'RootMutation',
+      subscription: null,
+    })
+    expect(Schemata.from('type Query { a: String }').rootOperationTypes)
+      .toEqual({ query: 'Query', mutation: null, subscription: null })
+  })
+
+  it('should detect flattened resolvers for custom root types', () => {
+    expect(Schemata.from(sdl, flattened()).hasFlattenedResolvers).toBe(true)
+  })
+
+  it('should bind flattened resolvers to custom root types', () => {
+    let schemata = Schemata.from(sdl, flattened())
+    let results = schemata.run('{ people { name } }')
+    let mutation = schemata.run('mutation { addPerson(name: "Jo") { name } }')
+
+    expect(results.data.people[0].name).toBe('Jane')
+    expect(mutation.data.addPerson.name).toBe('Jo')
+  })
+
+  it('should flatten and unflatten custom root types', () => {
+    let schemata = Schemata.from(sdl, flattened())
+    let flat = schemata.buildResolvers(true)
+    let nested = schemata.buildResolvers(false)
+
+    expect(typeof flat.people).toBe('function')
+    expect(flat.RootQuery).toBeUndefined()
+    expect(typeof nested.RootQuery.people).toBe('function')
+    expect(typeof nested.RootMutation.addPerson).toBe('function')
+  })
+
+  it('should recognize root types given a schema', () => {
+    let schema = Schemata.from(sdl).schema
+
+    expect(isRootType(schema.getType('RootQuery'), schema)).toBe(true)
+    expect(isRootType(schema.getType('Person'), schema)).toBe(false)
+    expect(isRootType(schema.getType('RootQuery'))).toBe(false)
+  })
+
+  it('should only iterate the root types with forEachRootType', () => {
+    let names = []
+    let enums = []
+    let schemata = Schemata.from(sdl)
+
+    schemata.forEachRootType((type, typeName) => names.push(typeName))
+    schemata.forEachEnum((type, typeName) => enums.push(typeName))
+
+    expect(names.sort()).toEqual(['RootMutation', 'RootQuery'])
+    expect(enums).not.toContain('RootQuery')
+  })
+})
@@ -89,6 +89,32 @@ describe('testing Schemata', async () => {
     )
   })
 
+  it('passes type directives, schema and context to field callbacks', () => {
+    let context = { user: 'Jane' }
+    let seen = []
+    let schema = Schemata.from(`
+      directive @entity on OBJECT
+      type Person @entity { name: String }
+      type Query { me: Person }
+    `).forEachField(
+      (type, typeName, typeDirectives, ...rest) => {
+        seen.push([
+          typeName,
+          typeDirectives.map(directive => directive.name.value),
+          rest[rest.length - 2],
+          rest[rest.length - 1],
+        ])
+      },
+      context,
+      Schemata.TYPES
+    )
+
+    expect(seen).toEqual(expect.arrayContaining([
+      ['Person', ['entity'], schema, context],
+      ['Query', [], schema, context],
+    ]))
+  })
+
   it('should return null if .schema is invoked with bad values', () => {
     let sdlString = gql`
       type Something {
@@ -382,7 +408,7 @@ describe('testing Schemata', async () => {
         contrivances: ContrivedType
       }
     `,
-      { ContrivedType: lScalarFn },
+      { ContrivedScalar: lScalarFn },
     )
 
     let rSchemata = Schemata.from(
@@ -393,7 +419,7 @@ describe('testing Schemata', async () => {
         moreContrivances: ContrivedScalar
       }
     `,
-      { ContrivedType: rScalarFn },
+      { ContrivedScalar: rScalarFn },
     )
 
     lSchemata.mergeSDL(rSchemata, {
@@ -403,12 +429,43 @@ describe('testing Schemata', async () => {
         expect(rS).toBeTruthy()
         expect(rC).toBeTruthy()
 
-        expect(lC).toBe(lScalarFn)
-        expect(rC).toBe(rScalarFn)
+        // The resolver receives the configs bound to each schema from its
+        // resolvers rather than the scalars themselves. It used to never be
+        // called, as scalar definitions were matched by the wrong kind
+        expect(lC.parseValue).toBe(lScalarFn._scalarConfig.parseValue)
+        expect(rC.parseValue).toBe(rScalarFn._scalarConfig.parseValue)
+
+        return rC
+      },
+    })
+  })
+
+  it('should apply the config returned by scalarMergeResolver', () => {
+    let scalar = (name, parsed) => new GraphQLScalarType({
+      name,
+      serialize: value => value,
+      parseValue: value => parsed,
+      parseLiteral: ast => parsed,
+    })
+    let left = Schemata.from(`
+      scalar ContrivedScalar
+      type Query { contrivance: ContrivedScalar }
+    `, { ContrivedScalar: scalar('ContrivedScalar', 24) })
+    let right = Schemata.from(`
+      scalar ContrivedScalar
+      type Query { moreContrivances: ContrivedScalar }
+    `, { ContrivedScalar: scalar('ContrivedScalar', 42) })
+    let calls = 0
+    let merged = left.mergeSDL(right, {
+      scalarMergeResolver(lS, lC, rS, rC) {
+        calls++
 
         return rC
       },
     })
+
+    expect(calls).toBe(1)
+    expect(merged.schema.getType('ContrivedScalar').parseValue(1)).toBe(42)
   })
 
   it('should be able to pare down Schemata given Schemata as a guide', () => {
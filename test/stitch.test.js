@@ -0,0 +1,194 @@
+import { Schemata, delegateTo } from '..'
+
+describe('schema stitching', async () => {
+  let companies = Schemata.from(`
+    type Company { id: ID name: String }
+    type Query { companyById(id: ID!): Company broken: Company }
+  `, {
+    Company: {
+      name: company => {
+        if (company.id === '0') {
+          throw new Error('Company 0 has no name')
+        }
+
+        return company.name
+      },
+    },
+    companyById: (root, { id }) => ({ id, name: `Company ${id}` }),
+    broken: () => { throw new Error('Broken company') },
+  })
+  let people = Schemata.from(`
+    type Person { id: ID name: String companyId: ID }
+    type Query { people: [Person] person(id: ID!): Person }
+    type Mutation { renamePerson(id: ID!, name: String): Person }
+  `, {
+    people: () => [
+      { id: 1, name: 'Jane', companyId: 7 },
+      { id: 2, name: 'Jo', companyId: 0 },
+    ],
+    person: (root, { id }) => ({ id, name: 'Jane', companyId: 7 }),
+    renamePerson: (root, { id, name }) => ({ id, name, companyId: 7 }),
+  })
+  let links = [{
+    type: 'Person',
+    field: 'company',
+    fieldType: 'Company',
+    requires: 'companyId',
+    schema: companies,
+    fieldName: 'companyById',
+    args: person => ({ id: person.companyId }),
+  }]
+
+  it('should delegate root fields to the subschema defining them', () => {
+    let gateway = Schemata.stitch([people, companies], { links })
+    let results = gateway.run(`{
+      person(id: 3) { name }
+      companyById(id: 4) { name }
+    }`)
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data).toEqual({
+      person: { name: 'Jane' },
+      companyById: { name: 'Company 4' },
+    })
+    expect(gateway.run(`mutation {
+      renamePerson(id: 1, name: "Jay") { name }
+    }`).data.renamePerson.name).toBe('Jay')
+  })
+
+  it('should resolve linked fields using the other subschema', () => {
+    let gateway = Schemata.stitch([people, companies], { links })
+    let results = gateway.run(`
+      query People($id: ID!) {
+        person(id: $id) { ...Details employer: company { id name } }
+      }
+      fragment Details on Person { n: name }
+    `, null, { id: 1 })
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.person).toEqual({
+      n: 'Jane',
+      employer: { id: '7', name: 'Company 7' },
+    })
+  })
+
+  it('should map errors back to the field being resolved', () => {
+    let gateway = Schemata.stitch([people, companies], { links })
+    let broken = gateway.run('{ broken { id } }')
+    let nested = gateway.run('{ people { company { id name } } }')
+
+    expect(broken.data.broken).toBeNull()
+    expect(broken.errors[0].message).toBe('Broken company')
+    expect(broken.errors[0].path).toEqual(['broken'])
+
+    expect(nested.data.people[0].company.name).toBe('Company 7')
+    expect(nested.data.people[1].company).toEqual({ id: '0', name: null })
+    expect(nested.errors.length).toBe(1)
+    expect(nested.errors[0].message).toBe('Company 0 has no name')
+    expect(nested.errors[0].path).toEqual(['people', 1, 'company', 'name'])
+  })
+
+  it('should keep aliases when delegating', () => {
+    let gateway = Schemata.stitch([people, companies], { links })
+    let results = gateway.run(`{
+      a: person(id: 1) { name id: companyId company { n: name } }
+      b: person(id: 2) { first: name, last: name }
+      c: companyById(id: 1) { one: name two: name }
+    }`)
+    let greetings = Schemata.from(`
+      type Greeter { greet(lang: String): String }
+      type Query { greeter: Greeter }
+    `, {
+      Greeter: { greet: (greeter, { lang }) => lang === 'fr' ? 'Salut' : 'Hi' },
+      greeter: () => ({}),
+    })
+    let greeted = Schemata.stitch([greetings]).run(`{
+      greeter { en: greet(lang: "en") fr: greet(lang: "fr") }
+    }`)
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data).toEqual({
+      a: { name: 'Jane', id: '7', company: { n: 'Company 7' } },
+      b: { first: 'Jane', last: 'Jane' },
+      c: { one: 'Company 1', two: 'Company 1' },
+    })
+    expect(greeted.data.greeter).toEqual({ en: 'Hi', fr: 'Salut' })
+  })
+
+  it('should allow resolvers to delegate directly', () => {
+    let gateway = Schemata.from(`
+      type Company { id: ID name: String }
+      type Query { acme: Company }
+    `, {
+      acme: (root, args, context, info) => delegateTo(
+        companies, 'query', 'companyById', { id: 'acme' }, context, info
+      ),
+    })
+
+    expect(gateway.run('{ acme { name } }').data.acme.name)
+      .toBe('Company acme')
+  })
+
+  it('should skip fragments unknown to the operation', () => {
+    let gateway = Schemata.from(`
+      type Company { id: ID name: String }
+      type Query { acme: Company }
+    `, {
+      acme: (root, args, context, info) => delegateTo(
+        companies, 'query', 'companyById', { id: 'acme' }, context,
+        Object.assign({}, info, { fragments: {} })
+      ),
+    })
+    let results = gateway.run(`
+      { acme { name ...Identity } }
+      fragment Identity on Company { id }
+    `)
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.acme).toEqual({ name: 'Company acme', id: null })
+  })
+
+  it('should handle root fields defined by several subschemas', () => {
+    let rivals = Schemata.from(`
+      type Company { id: ID name: String }
+      type Query { companyById(id: ID!): Company }
+    `, {
+      companyById: (root, { id }) => ({ id, name: `Rival ${id}` }),
+    })
+    let query = '{ companyById(id: 1) { name } }'
+    let nameOf = conflictStrategy => Schemata
+      .stitch([companies, rivals], { conflictStrategy })
+      .run(query).data.companyById.name
+
+    expect(() => Schemata.stitch([companies, rivals]))
+      .toThrow(/Query.companyById/)
+    expect(nameOf('leftWins')).toBe('Company 1')
+    expect(nameOf('rightWins')).toBe('Rival 1')
+    expect(() => nameOf('collect')).toThrow(/conflict strategies/)
+  })
+
+  it('should fetch the __typename of values returned as abstract types', () => {
+    let named = Schemata.from(`
+      interface Named { name: String }
+      type Company implements Named { id: ID name: String }
+      type Query { named: [Named] }
+    `)
+    let gateway = Schemata.stitch([people, companies, named], {
+      links: [Object.assign({}, links[0], {
+        field: 'employer',
+        fieldType: 'Named',
+      })],
+    })
+    let results = gateway.run('{ person(id: 1) { employer { name } } }')
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.person.employer.name).toBe('Company 7')
+  })
+
+  it('should reject links to fields that do not exist', () => {
+    expect(() => Schemata.stitch([])).toThrow()
+    expect(() => Schemata.stitch([people, companies], {
+      links: [Object.assign({}, links[0], { fieldType: undefined })],
+    })).toThrow(/Person.company/)
+  })
+})
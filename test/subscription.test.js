@@ -0,0 +1,89 @@
+import { Schemata } from '..'
+
+describe('Subscriptions with Schemata', () => {
+  const sdl = `
+    type Person { name: String }
+
+    type Query { peeps: [Person] }
+
+    type Subscription { onPerson(prefix: String): Person }
+  `
+
+  // Creates an async iterator over the supplied values without the need
+  // for async generator support
+  function iterate(values) {
+    let index = 0
+
+    return {
+      next() {
+        return Promise.resolve(
+          index < values.length
+            ? { value: values[index++], done: false }
+            : { value: undefined, done: true }
+        )
+      },
+      return() {
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      [Symbol.asyncIterator]() {
+        return this
+      },
+    }
+  }
+
+  const resolvers = {
+    Query: { peeps: () => [] },
+    Subscription: {
+      onPerson: {
+        subscribe: () => iterate([{ name: 'Brie' }, { name: 'Sally' }]),
+        resolve: (payload, { prefix = '' }) => ({
+          name: `${prefix}${payload.name}`,
+        }),
+      },
+    },
+  }
+
+  it('should bind subscribe functions and yield results', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let iterator = await schemata.subscribe(
+      'subscription { onPerson(prefix: "Hi ") { name } }'
+    )
+    let first = await iterator.next()
+    let second = await iterator.next()
+
+    expect(first.value.data.onPerson.name).toBe('Hi Brie')
+    expect(second.value.data.onPerson.name).toBe('Hi Sally')
+    expect((await iterator.next()).done).toBe(true)
+  })
+
+  it('should report validation errors without subscribing', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let result = await schemata.subscribe('subscription { nope }')
+
+    expect(result.errors.length).toBe(1)
+  })
+
+  it('should round trip subscribe functions through buildResolvers', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let built = schemata.buildResolvers()
+
+    expect(built.Subscription.onPerson.subscribe)
+      .toBe(resolvers.Subscription.onPerson.subscribe)
+    expect(built.Subscription.onPerson.resolve)
+      .toBe(resolvers.Subscription.onPerson.resolve)
+  })
+
+  it('should keep subscriptions working after a merge', async () => {
+    let left = Schemata.from(sdl, resolvers)
+    let right = Schemata.from('type Query { ping: String }', {
+      Query: { ping: () => 'pong' },
+    })
+    let merged = left.merge(right)
+    let iterator = await merged.subscribe('subscription { onPerson { name } }')
+    let first = await iterator.next()
+
+    expect(typeof merged.resolvers.Subscription.onPerson.subscribe)
+      .toBe('function')
+    expect(first.value.data.onPerson.name).toBe('Brie')
+  })
+})
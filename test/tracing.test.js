@@ -0,0 +1,202 @@
+import { Schemata, ExtendedResolver, stripResolversFromSchema } from '..'
+
+describe('tracing', async () => {
+  let sdl = `
+    type Person {
+      name: String
+      friends: [Person]
+    }
+
+    type Query {
+      me: Person
+      greeting: String
+    }
+  `
+  let resolvers = {
+    Person: { friends: () => [{ name: 'Jo' }] },
+    me: () => ({ name: 'Jane' }),
+    greeting: () => 'hi',
+  }
+
+  it('should not add tracing unless asked to', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+
+    expect(schemata.run('{ greeting }')).toEqual({ data: { greeting: 'hi' } })
+  })
+
+  it('should trace run() in the Apollo tracing format', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let results = schemata.run(
+      '{ me { name friends { name } } }',
+      null, null, null, null, null,
+      { tracing: true }
+    )
+    let tracing = results.extensions.tracing
+    let paths = tracing.execution.resolvers.map(trace => trace.path.join('.'))
+
+    expect(results.data).toEqual({
+      me: { name: 'Jane', friends: [{ name: 'Jo' }] },
+    })
+    expect(tracing.version).toBe(1)
+    expect(new Date(tracing.startTime) <= new Date(tracing.endTime)).toBe(true)
+    expect(tracing.duration).toBeGreaterThan(0)
+    expect(tracing.parsing.duration).toBeGreaterThan(0)
+    expect(tracing.validation.startOffset)
+      .toBeGreaterThanOrEqual(tracing.parsing.startOffset)
+    expect(paths).toEqual([
+      'me',
+      'me.name',
+      'me.friends',
+      'me.friends.0.name',
+    ])
+    expect(tracing.execution.resolvers[2]).toMatchObject({
+      parentType: 'Person',
+      fieldName: 'friends',
+      returnType: '[Person]',
+    })
+
+    for (let trace of tracing.execution.resolvers) {
+      expect(trace.startOffset).toBeGreaterThan(0)
+      expect(trace.duration).toBeGreaterThan(0)
+      expect(trace.startOffset + trace.duration)
+        .toBeLessThanOrEqual(tracing.duration)
+    }
+
+    expect(schemata.run('{ greeting }')).toEqual({ data: { greeting: 'hi' } })
+  })
+
+  it('should break down the time spent in each ExtendedResolver entry',
+    async () => {
+      let schemata = Schemata.from(sdl, {
+        greeting: ExtendedResolver.wrap(
+          function greet() { return 'hi' },
+          [function checkAccess() {}],
+          [function shout(source, args, context, info, result) {
+            return result.toUpperCase()
+          }]
+        ),
+      })
+      let results = await schemata.runAsync(
+        '{ greeting }',
+        null, null, null, null, null,
+        { tracing: true }
+      )
+      let [trace] = results.extensions.tracing.execution.resolvers
+
+      expect(results.data).toEqual({ greeting: 'HI' })
+      expect(trace.entries.map(({ name, index }) => [name, index])).toEqual([
+        ['checkAccess', 0],
+        ['greet', 1],
+        ['shout', 2],
+      ])
+
+      for (let entry of trace.entries) {
+        expect(entry.startOffset).toBeGreaterThanOrEqual(trace.startOffset)
+        expect(entry.duration).toBeLessThanOrEqual(trace.duration)
+      }
+    }
+  )
+
+  it('should report errors along with the trace', async () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let options = { tracing: true }
+    let invalid = await schemata.runAsync(
+      '{ unknown }', null, null, null, null, null, options
+    )
+    let broken = schemata.run('{ me { ', null, null, null, null, null, options)
+
+    expect(invalid.errors[0].message).toMatch(/unknown/)
+    expect(invalid.extensions.tracing.validation.duration).toBeGreaterThan(0)
+    expect(invalid.extensions.tracing.execution.resolvers).toEqual([])
+    expect(broken.errors[0].message).toMatch(/Syntax Error/)
+    expect(broken.extensions.tracing.version).toBe(1)
+  })
+
+  it('should report the timing of a resolver with Timer()', async () => {
+    let timings = []
+    let report = timing => timings.push(timing)
+    let schemata = Schemata.from(sdl, {
+      Person: {
+        friends: ExtendedResolver.Timer(() => [{ name: 'Jo' }], report),
+      },
+      me: ExtendedResolver.Timer(() => ({ name: 'Jane' }), report),
+    })
+    let results = await schemata.runAsync('{ me { friends { name } } }')
+    let composed = ExtendedResolver.compose([], () => 'hi')
+    let timed = ExtendedResolver.Timer(composed, report)
+
+    expect(results.data).toEqual({ me: { friends: [{ name: 'Jo' }] } })
+    expect(timings.map(({ path, parentType, fieldName, returnType }) => (
+      [path.join('.'), parentType, fieldName, returnType]
+    ))).toEqual([
+      ['me', 'Query', 'me', 'Person'],
+      ['me.friends', 'Person', 'friends', '[Person]'],
+    ])
+    expect(timings.every(timing => timing.duration > 0)).toBe(true)
+    expect(await timed(null, {}, {}, null)).toBe('hi')
+    expect(timings.length).toBe(3)
+  })
+
+  it('should trace against the schema that runs without tracing', () => {
+    let schemas = []
+    let schemata = Schemata.from(sdl, {
+      greeting: (source, args, context, info) => {
+        schemas.push(info.schema)
+
+        return 'hi'
+      },
+    })
+    let traced = schemata.run(
+      '{ greeting }',
+      null, null, null, null, null,
+      { tracing: true }
+    )
+
+    schemata.run('{ greeting }')
+
+    expect(traced.data).toEqual({ greeting: 'hi' })
+    expect(schemas).toEqual([schemata.schema, schemata.schema])
+    expect(schemata.resolvers.greeting).toBe(
+      stripResolversFromSchema(schemata.schema).Query.greeting
+    )
+  })
+
+  it('should validate the schema whether tracing or not', async () => {
+    let schemata = Schemata.from(`
+      interface Node { id: ID }
+      type Person implements Node { name: String }
+      type Query { person: Person }
+    `, { person: () => ({ name: 'Jane' }) })
+    let plain = await schemata.runAsync('{ person { name } }')
+    let traced = await schemata.runAsync(
+      '{ person { name } }',
+      null, null, null, null, null,
+      { tracing: true }
+    )
+
+    expect(plain.errors[0].message).toMatch(/Node\.id/)
+    expect(traced.errors).toEqual(plain.errors)
+    expect(traced.extensions.tracing.version).toBe(1)
+  })
+
+  it('should time concurrent calls of a Timer() apart', async () => {
+    let timings = []
+    let wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+    let schemata = Schemata.from('type Query { pause(ms: Int): Int }', {
+      pause: ExtendedResolver.Timer(
+        (source, { ms }) => wait(ms).then(() => ms),
+        timing => timings.push(timing)
+      ),
+    })
+    let results = await schemata.runAsync(
+      '{ long: pause(ms: 50) short: pause(ms: 1) }'
+    )
+    let [short, long] = timings
+
+    expect(results.data).toEqual({ long: 50, short: 1 })
+    expect(timings.map(timing => timing.path.join('.')))
+      .toEqual(['short', 'long'])
+    expect(long.duration).toBeGreaterThanOrEqual(45e6)
+    expect(short.duration).toBeLessThan(long.duration)
+  })
+})
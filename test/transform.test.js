@@ -0,0 +1,140 @@
+import { Schemata, prefixTypes, renameFields } from '..'
+
+describe('schema transforms', async () => {
+  let sdl = `
+    type User { id: ID name: String }
+    union Result = User
+    type Query { user: User find: Result }
+    type Mutation { rename(name: String): User }
+  `
+  let resolvers = () => ({
+    User: { name: user => user.name.toUpperCase() },
+    Result: { __resolveType: () => 'User' },
+    user: () => ({ id: 1, name: 'Jane' }),
+    find: () => ({ id: 2, name: 'Jo' }),
+    rename: (root, { name }) => ({ id: 1, name }),
+  })
+
+  it('should prefix types and move their resolvers', () => {
+    let map = resolvers()
+    let prefixed = Schemata.from(sdl, map).prefixTypes('Accounts_', {
+      except: ['Result'],
+    })
+    let ast = prefixed.ast
+
+    expect(prefixed.astTypeByName('Accounts_User')).toBeTruthy()
+    expect(prefixed.astTypeByName('User')).toBeFalsy()
+    expect(prefixed.astTypeByName('Result')).toBeTruthy()
+    expect(prefixed.astTypeByName('Query')).toBeTruthy()
+    expect(prefixed.resolvers.Accounts_User.name).toBe(map.User.name)
+    expect(prefixed.resolvers.User).toBeUndefined()
+    expect(prefixed.resolvers.user).toBeDefined()
+    expect(ast.definitions.find(d => d.kind === 'SchemaDefinition'))
+      .toBeUndefined()
+
+    let results = prefixed.run('{ user { name } find { __typename } }')
+
+    expect(results.errors).toBeUndefined()
+    expect(results.data.user.name).toBe('JANE')
+    expect(results.data.find.__typename).toBe('Accounts_User')
+  })
+
+  it('should leave the original instance untouched', () => {
+    let schemata = Schemata.from(sdl, resolvers())
+    let original = schemata.resolvers
+
+    schemata.prefixTypes('A_')
+
+    expect(schemata.sdl).toBe(Schemata.from(sdl).sdl)
+    expect(schemata.resolvers).toBe(original)
+    expect(schemata.astTypeByName('User')).toBeTruthy()
+  })
+
+  it('should namespace types before merging services', () => {
+    let accounts = Schemata.from(sdl, resolvers()).prefixTypes('Accounts_')
+    let reviews = Schemata.from(`
+      type User { id: ID reviews: [String] }
+      type Query { reviewer: User }
+    `)
+    let merged = accounts.mergeSDL(reviews)
+
+    expect(merged.astFieldByName('Accounts_User', 'name')).toBeTruthy()
+    expect(merged.astFieldByName('User', 'reviews')).toBeTruthy()
+    expect(merged.astFieldByName('Query', 'user')).toBeTruthy()
+    expect(merged.astFieldByName('Query', 'reviewer')).toBeTruthy()
+  })
+
+  it('should keep renamed root types as root types', () => {
+    let renamed = Schemata.from(sdl, resolvers()).renameTypes(
+      name => name === 'Query' ? 'RootQuery' : null
+    )
+
+    expect(renamed.rootOperationTypes).toEqual({
+      query: 'RootQuery',
+      mutation: 'Mutation',
+      subscription: null,
+    })
+    expect(renamed.run('{ user { id } }').data.user.id).toBe('1')
+  })
+
+  it('should rename fields and their resolvers', () => {
+    let names = { user: 'currentUser', id: 'userId', name: 'fullName' }
+    let renamed = Schemata.from(sdl, resolvers()).renameFields(
+      (type, field) => names[field]
+    )
+    let results = renamed.run('{ currentUser { userId fullName } }')
+
+    expect(renamed.resolvers.user).toBeUndefined()
+    expect(renamed.resolvers.currentUser).toBeDefined()
+    expect(renamed.resolvers.User.fullName).toBeDefined()
+    expect(results.errors).toBeUndefined()
+    expect(results.data.currentUser).toEqual({ userId: '1', fullName: 'JANE' })
+  })
+
+  it('should filter types and anything that refers to them', () => {
+    let filtered = Schemata.from(sdl, resolvers()).filterTypes(
+      name => name !== 'Result'
+    )
+
+    expect(filtered.astTypeByName('Result')).toBeFalsy()
+    expect(filtered.astFieldByName('Query', 'find')).toBeFalsy()
+    expect(filtered.astFieldByName('Query', 'user')).toBeTruthy()
+    expect(filtered.resolvers.Result).toBeUndefined()
+    expect(filtered.resolvers.find).toBeUndefined()
+    expect(filtered.resolvers.user).toBeDefined()
+
+    let emptied = Schemata.from(sdl, resolvers()).filterTypes(
+      name => name !== 'User'
+    )
+
+    expect(emptied.ast).toBeNull()
+    expect(emptied.resolvers).toEqual({})
+  })
+
+  it('should filter root fields and their flattened resolvers', () => {
+    let filtered = Schemata.from(sdl, resolvers()).filterRootFields(
+      (operation, field) => operation === 'query' && field !== 'find'
+    )
+
+    expect(filtered.astFieldByName('Query', 'user')).toBeTruthy()
+    expect(filtered.astFieldByName('Query', 'find')).toBeFalsy()
+    expect(filtered.astTypeByName('Mutation')).toBeFalsy()
+    expect(filtered.resolvers.find).toBeUndefined()
+    expect(filtered.resolvers.rename).toBeUndefined()
+    expect(filtered.resolvers.user).toBeDefined()
+    expect(filtered.run('{ user { name } }').data.user.name).toBe('JANE')
+  })
+
+  it('should apply transform functions in order', () => {
+    let transformed = Schemata.from(sdl, resolvers()).transform(
+      prefixTypes('A_'),
+      renameFields((type, field) => type === 'A_User' && field === 'name'
+        ? 'displayName'
+        : null
+      )
+    )
+
+    expect(transformed.astFieldByName('A_User', 'displayName')).toBeTruthy()
+    expect(transformed.resolvers.A_User.displayName).toBeDefined()
+  })
+})
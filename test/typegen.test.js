@@ -0,0 +1,83 @@
+import { Schemata } from '..'
+
+describe('type generation', async () => {
+  let schemata = Schemata.from(`
+    scalar DateTime
+    enum Gender { Male Female }
+    interface Node { id: ID! }
+    """A person"""
+    type Person implements Node {
+      id: ID!
+      name: String
+      born: DateTime
+      friends(first: Int = 10): [Person!]
+    }
+    union Result = Person
+    input PersonInput { name: String! gender: Gender }
+    type Query { peep(id: ID!): Person results: [Result] }
+    type Mutation { addPerson(input: PersonInput!): Person }
+  `)
+
+  it('should declare every type as TypeScript', () => {
+    let ts = schemata.toTypeScript({ scalars: { DateTime: 'Date' } })
+
+    expect(ts).toContain("import { GraphQLResolveInfo, GraphQLScalarType }")
+    expect(ts).toContain('export type DateTime = Date')
+    expect(ts).toContain("export type Gender = 'Male' | 'Female'")
+    expect(ts).toContain('/** A person */\nexport type Person = {')
+    expect(ts).toContain('  name?: Maybe<string>,')
+    expect(ts).toContain('  friends?: Maybe<Array<Person>>,')
+    expect(ts).toContain('export type PersonFriendsArgs = {')
+    expect(ts).toContain('export type PersonInput = {\n  name: string,')
+    expect(ts).toContain('export type Result = Person')
+    expect(ts).not.toContain('__Schema')
+  })
+
+  it('should describe the resolver map', () => {
+    let ts = schemata.toTypeScript({ contextType: 'Context' })
+
+    expect(ts).toContain(
+      '  peep?: Resolver<Maybe<Person>, any, QueryPeepArgs, Context>,'
+    )
+    expect(ts).toContain(
+      "  __resolveType?: TypeResolver<'Person', Context>,"
+    )
+    expect(ts).toContain('  Query: QueryResolvers,')
+    expect(ts).toContain('  DateTime: ScalarConfig<DateTime>,')
+    expect(ts).toContain(
+      'export type ResolverMap = Partial<Resolvers>\n' +
+      '  & QueryResolvers\n' +
+      '  & MutationResolvers'
+    )
+  })
+
+  it('should declare every type as Flow', () => {
+    let flow = schemata.toFlow()
+
+    expect(flow.startsWith('// @flow\n')).toBe(true)
+    expect(flow).toContain('import type { GraphQLResolveInfo')
+    expect(flow).toContain('export type Maybe<T> = ?T')
+    expect(flow).toContain('export type DateTime = any')
+    expect(flow).toContain('export type QueryResolvers = {|')
+    expect(flow).toContain('export type ResolverMap = {\n  ...QueryResolvers,')
+    expect(flow).toContain('  Person?: PersonResolvers,')
+  })
+
+  it('should omit the resolver types when asked to', () => {
+    let flow = schemata.toFlow({ resolvers: false })
+
+    expect(flow).toContain('export type Person = {')
+    expect(flow).not.toContain('Resolvers')
+  })
+
+  it('should describe schemas without root types', () => {
+    let ts = Schemata.from('type Person { name: String }').toTypeScript()
+
+    expect(ts).toContain('export type Person = {')
+    expect(ts).toContain('export type ResolverMap = Partial<Resolvers>\n')
+  })
+
+  it('should require a valid schema', () => {
+    expect(() => Schemata.from('type Person {').toFlow()).toThrow()
+  })
+})
@@ -0,0 +1,117 @@
+import { Schemata, stripResolversFromSchema } from '..'
+import { GraphQLScalarType, Kind } from 'graphql'
+
+describe('Type level resolvers in a resolver map', () => {
+  const sdl = `
+    scalar Upper
+
+    enum Color { RED GREEN }
+
+    interface Node { id: ID! }
+
+    type Person implements Node { id: ID! name: Upper color: Color }
+    type Robot implements Node { id: ID! }
+
+    union Being = Person | Robot
+
+    type Query {
+      node(id: ID!): Node
+      beings: [Being]
+      colorOf(color: Color): String
+      paint(color: Color = RED): String
+    }
+  `
+
+  const Upper = new GraphQLScalarType({
+    name: 'Upper',
+    serialize: value => String(value).toUpperCase(),
+    parseValue: value => value,
+    parseLiteral: ast => ast.kind === Kind.STRING ? ast.value : null,
+  })
+
+  const data = [
+    { id: 1, name: 'brie', color: '#f00' },
+    { id: 2, serial: 'xyz' },
+  ]
+
+  const resolvers = {
+    Upper,
+    Color: { RED: '#f00', GREEN: '#0f0' },
+    Node: { __resolveType: obj => (obj.serial ? 'Robot' : 'Person') },
+    Being: { __resolveType: obj => (obj.serial ? 'Robot' : 'Person') },
+    Query: {
+      node: (root, { id }) => data.find(d => String(d.id) === id),
+      beings: () => data,
+      colorOf: (root, { color }) => color,
+      paint: (root, { color }) => color,
+    },
+  }
+
+  it('should resolve interfaces, unions, enums and scalars', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let result = schemata.run(`{
+      node(id: "1") { id ... on Person { name color } }
+      beings { __typename }
+      colorOf(color: GREEN)
+    }`)
+
+    expect(result.errors).toBeUndefined()
+    expect(result.data.node.name).toBe('BRIE')
+    expect(result.data.node.color).toBe('RED')
+    expect(result.data.beings.map(b => b.__typename))
+      .toEqual(['Person', 'Robot'])
+    expect(result.data.colorOf).toBe('#0f0')
+  })
+
+  it('should serialize and parse enums by their bound values', () => {
+    let color = Schemata.from(sdl, resolvers).schema.getType('Color')
+
+    expect(color.serialize('#0f0')).toBe('GREEN')
+    expect(color.serialize('GREEN')).toBeUndefined()
+    expect(color.parseValue('RED')).toBe('#f00')
+    expect(color.getValue('GREEN').value).toBe('#0f0')
+  })
+
+  it('should give enum argument defaults their bound values', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let result = schemata.run(`{
+      paint
+      other: paint(color: GREEN)
+    }`)
+
+    expect(result.errors).toBeUndefined()
+    expect(result.data).toEqual({ paint: '#f00', other: '#0f0' })
+    expect(
+      schemata.schema.getQueryType().getFields().paint.args[0].defaultValue
+    ).toBe('#f00')
+  })
+
+  it('should round trip type level resolvers', () => {
+    let schemata = Schemata.from(sdl, resolvers)
+    let stripped = stripResolversFromSchema(schemata.schema)
+
+    expect(stripped.Node.__resolveType).toBe(resolvers.Node.__resolveType)
+    expect(stripped.Being.__resolveType).toBe(resolvers.Being.__resolveType)
+    expect(stripped.Color).toEqual({ RED: '#f00', GREEN: '#0f0' })
+    expect(stripped.Upper.serialize).toBe(Upper._scalarConfig.serialize)
+
+    let built = schemata.buildResolvers()
+
+    expect(built.Node.__resolveType).toBe(resolvers.Node.__resolveType)
+    expect(built.Color.GREEN).toBe('#0f0')
+  })
+
+  it('should keep type level resolvers through a merge', async () => {
+    let left = Schemata.from(sdl, resolvers)
+    let right = Schemata.from('type Query { ping: String }', {
+      Query: { ping: () => 'pong' },
+    })
+    let merged = left.merge(right)
+    let result = await merged.runAsync(
+      '{ node(id: "1") { ... on Person { name } } }'
+    )
+
+    expect(result.errors).toBeUndefined()
+    expect(result.data.node.name).toBe('BRIE')
+  })
+})